@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { accountTemplates } = require('./notifications/templates');
+
+// Password reset and email verification tokens: random, single-use and
+// expiring, stored hashed and mailed to the user. A link to the frontend is
+// included when appUrl is set (APP_URL), e.g. <appUrl>/reset-password?token=...
+const TOKEN_PATHS = {
+  email_verification: '/verify-email',
+  password_reset: '/reset-password',
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// In production no token is issued through a mailer that doesn't deliver (the
+// log transport): it would exist without reaching its owner. Elsewhere the
+// token is printed instead, so local accounts can still be verified and reset.
+const createAccounts = ({ repos, mailer, appUrl, ttlMinutes = {}, production = process.env.NODE_ENV === 'production' }) => {
+  const minutesFor = (purpose) => ttlMinutes[purpose] || (purpose === 'password_reset' ? 60 : 24 * 60);
+
+  // Replaces any outstanding token for the same purpose
+  const issue = async (userId, email, purpose) => {
+    if (production && mailer.delivers === false) {
+      throw new Error(`Not issuing a ${purpose} token: mail is not being delivered (see notifications/mailer.js)`);
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const minutes = minutesFor(purpose);
+
+    await repos.accountTokens.invalidate(userId, purpose);
+    await repos.accountTokens.create({
+      user_id: userId,
+      purpose,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + minutes * 60 * 1000).toISOString(),
+    });
+
+    const link = appUrl ? `${appUrl.replace(/\/$/, '')}${TOKEN_PATHS[purpose]}?token=${encodeURIComponent(token)}` : null;
+    await mailer.send({ to: email, ...accountTemplates[purpose]({ token, link, minutes }) });
+    if (mailer.delivers === false) console.log(`Undelivered ${purpose} for ${email}: ${link || `token ${token}`}`);
+  };
+
+  return {
+    sendVerification: (userId, email) => issue(userId, email, 'email_verification'),
+    sendPasswordReset: (userId, email) => issue(userId, email, 'password_reset'),
+
+    // The token row when valid (and now used up), otherwise null
+    consume: (token, purpose) =>
+      (typeof token === 'string' && token ? repos.accountTokens.consume(hashToken(token), purpose) : null),
+  };
+};
+
+module.exports = { createAccounts, MIN_PASSWORD_LENGTH };
@@ -0,0 +1,183 @@
+// Dashboard analytics over complaints. The repositories do the aggregation
+// (complaints.analytics, one round trip); this module parses the range,
+// fills in empty periods and shapes the response.
+//
+//   from, to     created_at range, resolved_at for resolutions (default: the
+//                last 30 days, whole days so repeated requests share a cache entry)
+//   interval     day | week (starting Monday) | month, all in UTC
+//   top          how many top-upvoted open complaints and reporters, 1-50
+
+const { parseDate } = require('./complaintQuery');
+
+const INTERVALS = ['day', 'week', 'month'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_PERIODS = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 'YYYY-MM-DD' of the start of the UTC period holding `timestamp`
+const periodStart = (timestamp, interval) => {
+  const date = new Date(timestamp);
+  if (interval === 'month') date.setUTCDate(1);
+  if (interval === 'week') date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+};
+
+const nextPeriod = (period, interval) => {
+  const date = new Date(`${period}T00:00:00.000Z`);
+  if (interval === 'month') date.setUTCMonth(date.getUTCMonth() + 1);
+  else date.setUTCDate(date.getUTCDate() + (interval === 'week' ? 7 : 1));
+  return date.toISOString().slice(0, 10);
+};
+
+// Every period from the one holding `from` to the one holding `to`
+const periodsBetween = (from, to, interval) => {
+  const last = periodStart(to, interval);
+  const periods = [];
+  for (let period = periodStart(from, interval); period <= last; period = nextPeriod(period, interval)) {
+    periods.push(period);
+  }
+  return periods;
+};
+
+// Linear interpolation between closest ranks, as Postgres' percentile_cont
+const percentile = (sorted, fraction) => {
+  if (!sorted.length) return null;
+  const position = fraction * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.min(lower + 1, sorted.length - 1);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Returns { from, to, interval, top } or { error } with a message for a 400 response
+const parseAnalyticsQuery = (query, now = new Date()) => {
+  const interval = query.interval || 'day';
+  if (!INTERVALS.includes(interval)) {
+    return { error: `Invalid interval (expected one of ${INTERVALS.join(', ')})` };
+  }
+
+  const to = query.to ? parseDate(query.to, true) : parseDate(now.toISOString().slice(0, 10), true);
+  if (!to) return { error: 'Invalid "to" date' };
+
+  const defaultFrom = new Date(new Date(to).getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  const from = query.from ? parseDate(query.from) : parseDate(defaultFrom.toISOString().slice(0, 10));
+  if (!from) return { error: 'Invalid "from" date' };
+  if (from > to) return { error: '"from" must be before "to"' };
+
+  if (periodsBetween(from, to, interval).length > MAX_PERIODS) {
+    return { error: `Range too long for interval "${interval}" (at most ${MAX_PERIODS} periods)` };
+  }
+
+  const top = query.top === undefined ? 10 : Number(query.top);
+  if (!Number.isInteger(top) || top < 1 || top > 50) return { error: '"top" must be an integer from 1 to 50' };
+
+  return { from, to, interval, top };
+};
+
+const round = (value) => (value === null || value === undefined ? null : Number(Number(value).toFixed(2)));
+const ratio = (part, whole) => (whole ? round(part / whole) : null);
+
+// Counts per workflow state (legacy statuses folded in), every state present
+const countByState = (rows, workflow) => {
+  const counts = Object.fromEntries(workflow.states.map((state) => [state, 0]));
+  for (const { status, count } of rows) {
+    const state = workflow.normalize(status);
+    counts[state] = (counts[state] || 0) + Number(count);
+  }
+  return counts;
+};
+
+// Totals per tag (a complaint counts once for each of its tags), every
+// category present
+const countByTag = (rows, tags, workflow) => {
+  const byTag = Object.fromEntries(tags.map((tag) => [tag, []]));
+  for (const row of rows) (byTag[row.tag] = byTag[row.tag] || []).push(row);
+
+  return Object.fromEntries(Object.entries(byTag).map(([tag, tagRows]) => [tag, {
+    total: tagRows.reduce((sum, row) => sum + Number(row.count), 0),
+    by_status: countByState(tagRows, workflow),
+  }]));
+};
+
+// Share of resolved complaints that met their resolution target, overall and per tag
+const slaCompliance = (aggregate, tags) => {
+  const byTag = Object.fromEntries(tags.map((tag) => [tag, { resolved: 0, within_sla: 0, compliance: null }]));
+  for (const { tag, resolved, within_sla: met } of aggregate.sla_by_tag) {
+    byTag[tag] = { resolved: Number(resolved), within_sla: Number(met), compliance: ratio(Number(met), Number(resolved)) };
+  }
+
+  const { count, within_sla: met, mean_hours: mean } = aggregate.resolution;
+  return {
+    mean_time_to_resolve_hours: round(mean),
+    compliance: ratio(Number(met), Number(count)),
+    byTag,
+  };
+};
+
+// Response body of GET /admin/analytics from a repository aggregate
+const summarizeAnalytics = (aggregate, { from, to, interval }, { workflow, tags }) => {
+  const opened = new Map(aggregate.opened.map((row) => [row.period, Number(row.count)]));
+  const resolved = new Map(aggregate.resolved.map((row) => [row.period, Number(row.count)]));
+  const { resolution } = aggregate;
+
+  return {
+    range: { from, to, interval },
+    total: Number(aggregate.total),
+    series: periodsBetween(from, to, interval).map((period) => ({
+      period,
+      opened: opened.get(period) || 0,
+      resolved: resolved.get(period) || 0,
+    })),
+    by_status: countByState(aggregate.by_status, workflow),
+    by_tag: countByTag(aggregate.by_tag_status, tags, workflow),
+    top_open: aggregate.top_open,
+    top_reporters: aggregate.top_reporters.map((row) => ({ ...row, complaints: Number(row.complaints) })),
+    resolution_hours: {
+      count: Number(resolution.count),
+      mean: round(resolution.mean_hours),
+      p50: round(resolution.p50),
+      p75: round(resolution.p75),
+      p90: round(resolution.p90),
+      p95: round(resolution.p95),
+    },
+    sla: slaCompliance(aggregate, tags),
+  };
+};
+
+// Remembers computed results for ttlSeconds (0 disables). Concurrent requests
+// for the same key share one computation; failures are not cached.
+const createAnalyticsCache = ({ ttlSeconds = 60, maxEntries = 100 } = {}) => {
+  const entries = new Map();
+
+  return {
+    get(key, compute) {
+      if (ttlSeconds <= 0) return compute();
+
+      const now = Date.now();
+      for (const [entryKey, entry] of entries) {
+        if (entry.expiresAt <= now) entries.delete(entryKey);
+      }
+
+      const cached = entries.get(key);
+      if (cached) return cached.value;
+
+      const value = compute();
+      value.catch(() => entries.delete(key));
+      entries.set(key, { value, expiresAt: now + ttlSeconds * 1000 });
+      if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+      return value;
+    },
+
+    clear: () => entries.clear(),
+  };
+};
+
+module.exports = {
+  parseAnalyticsQuery,
+  summarizeAnalytics,
+  slaCompliance,
+  countByState,
+  createAnalyticsCache,
+  periodStart,
+  percentile,
+  INTERVALS,
+};
@@ -0,0 +1,6 @@
+// Automatic routing of new complaints: the first department (oldest first)
+// that handles any of the complaint's tags gets it.
+const routeByTags = (departments, tags = []) =>
+  departments.find((department) => (department.tags || []).some((tag) => tags.includes(tag))) || null;
+
+module.exports = { routeByTags };
@@ -0,0 +1,117 @@
+const { v4: uuidv4 } = require('uuid');
+const { sniffImageType, processAttachment, ACCEPTED_TYPES } = require('./images');
+
+// Complaint images: "report" photos from the reporter and "proof" photos from
+// staff after a fix. Files live in the complaint-images bucket under
+// attachments/<complaint id>/. complaints.image_url mirrors the first report
+// attachment for clients that only know about one image.
+const BUCKET = 'complaint-images';
+const ATTACHMENT_KINDS = ['report', 'proof'];
+
+const createAttachments = ({ repos, audit, maxPerKind = 5 }) => {
+  const upload = (path, buffer) =>
+    repos.storage.upload(BUCKET, path, buffer, { contentType: 'image/webp', cacheControl: '3600' });
+
+  const syncImageUrl = async (complaintId) => {
+    const [first] = await repos.attachments.listByComplaint(complaintId, { kind: 'report' });
+    await repos.complaints.update(complaintId, { image_url: first ? first.url : null });
+  };
+
+  return {
+    maxPerKind,
+
+    // Returns an error message for files that aren't acceptable images, or null
+    checkFiles(files) {
+      const rejected = files.filter((file) => !sniffImageType(file.buffer));
+      if (!rejected.length) return null;
+      return `Not a supported image: ${rejected.map((file) => file.originalname).join(', ')} (expected ${ACCEPTED_TYPES.join(', ')})`;
+    },
+
+    // How many more attachments of `kind` the complaint can take
+    async remaining(complaintId, kind) {
+      const existing = await repos.attachments.listByComplaint(complaintId, { kind });
+      return Math.max(0, maxPerKind - existing.length);
+    },
+
+    // Decodes and resizes the files (already checked), before anything is
+    // stored: { images } in order, or { error } naming a file that can't be read
+    async prepare(files) {
+      const images = [];
+      for (const file of files) {
+        try {
+          images.push(await processAttachment(file.buffer));
+        } catch (error) {
+          return { error: `Could not read image: ${file.originalname}` };
+        }
+      }
+      return { images };
+    },
+
+    // Stores prepared images in order
+    async add(complaint, images, { kind = 'report', uploaderId }) {
+      const added = [];
+      for (const { image, thumbnail, width, height } of images) {
+        const base = `attachments/${complaint.id}/${uuidv4()}`;
+        const path = `${base}.webp`;
+        const thumbnailPath = `${base}-thumb.webp`;
+
+        const attachment = await repos.attachments.create({
+          complaint_id: complaint.id,
+          uploader_id: uploaderId,
+          kind,
+          url: await upload(path, image),
+          thumbnail_url: await upload(thumbnailPath, thumbnail),
+          path,
+          thumbnail_path: thumbnailPath,
+          content_type: 'image/webp',
+          width,
+          height,
+          size_bytes: image.length,
+        });
+        added.push(attachment);
+
+        await audit.record({
+          complaintId: complaint.id,
+          actorId: uploaderId,
+          action: 'image_added',
+          newValue: attachment.url,
+          details: { attachment_id: attachment.id, kind },
+        });
+      }
+
+      if (kind === 'report') await syncImageUrl(complaint.id);
+      return added;
+    },
+
+    async remove(attachment, { actorId, reason } = {}) {
+      await repos.attachments.remove(attachment.id);
+
+      // Copies made by a merge share files with the original
+      const paths = [attachment.path, attachment.thumbnail_path].filter(Boolean);
+      const unused = [];
+      for (const path of paths) {
+        if (!await repos.attachments.isPathInUse(path)) unused.push(path);
+      }
+      if (unused.length) {
+        try {
+          await repos.storage.remove(BUCKET, unused);
+        } catch (error) {
+          console.error('Attachment Storage Delete Error:', error);
+        }
+      }
+
+      await audit.record({
+        complaintId: attachment.complaint_id,
+        actorId,
+        action: 'image_removed',
+        oldValue: attachment.url,
+        reason,
+        details: { attachment_id: attachment.id, kind: attachment.kind },
+      });
+
+      if (attachment.kind === 'report') await syncImageUrl(attachment.complaint_id);
+    },
+  };
+};
+
+module.exports = { createAttachments, ATTACHMENT_KINDS };
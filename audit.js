@@ -0,0 +1,61 @@
+const EventEmitter = require('events');
+
+// Audit trail for complaints. Every change goes through record(), which
+// appends an immutable event (who, what, old/new value, when, why) and then
+// emits it as 'event' for subscribers such as notifications.
+
+const AUDIT_ACTIONS = [
+  'created',
+  'status_changed',
+  'deleted',
+  'comment_added',
+  'comment_edited',
+  'comment_deleted',
+  'image_added',
+  'image_removed',
+  'merged',
+  'assigned',
+  'priority_changed',
+  'escalated',
+  'tags_changed',
+  'upvoted',
+  'upvote_removed',
+];
+
+const createAuditLog = (events) => {
+  const emitter = new EventEmitter();
+
+  return {
+    // Subscribers get every recorded event; they must not throw
+    on: (name, listener) => emitter.on(name, listener),
+
+    // An audit failure is logged rather than failing a change that already happened
+    async record({ complaintId, actorId, action, oldValue = null, newValue = null, reason = null, details = null }) {
+      const event = {
+        complaint_id: complaintId,
+        actor_id: actorId || null,
+        action,
+        old_value: oldValue,
+        new_value: newValue,
+        reason,
+        details,
+      };
+
+      let recorded = null;
+      try {
+        recorded = await events.create(event);
+      } catch (error) {
+        console.error('Audit Error:', error);
+      }
+
+      try {
+        emitter.emit('event', recorded || { ...event, created_at: new Date().toISOString() });
+      } catch (error) {
+        console.error('Audit Subscriber Error:', error);
+      }
+      return recorded;
+    },
+  };
+};
+
+module.exports = { createAuditLog, AUDIT_ACTIONS };
@@ -1,30 +1,226 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const JWT_SECRET = process.env.JWT_SECRET; // Ensure it's correctly loaded
+const { UUID_PATTERN } = require("./validation");
 
-const isAdmin = (req, res, next) => {
-  const tokenHeader = req.headers["authorization"];
-  if (!tokenHeader) return res.status(401).json({ message: "Access denied. No token provided." });
+// Roles, lowest to highest. Each role has its own permissions plus those of
+// the roles below it; admin has every permission.
+const ROLES = ["reporter", "staff", "moderator", "admin"];
 
-  const token = tokenHeader.startsWith("Bearer ") ? tokenHeader.split(" ")[1] : tokenHeader;
+const ROLE_PERMISSIONS = {
+  reporter: [
+    "complaints:create",
+    "complaints:read:own",
+    "complaints:update:own",
+    "complaints:delete:own",
+    "complaints:vote",
+    "comments:write",
+    "feed:read",
+    "profile:manage",
+  ],
+  staff: [
+    "queue:read",
+    "complaints:status:assigned",
+    "comments:internal",
+  ],
+  moderator: [
+    "admin:access",
+    "complaints:read:any",
+    "complaints:status:any",
+    "complaints:assign",
+    "complaints:merge",
+    "comments:delete:any",
+    "audit:read",
+    "statistics:read",
+    "complaints:export",
+    "users:read",
+  ],
+  // Everything, including complaints:delete:any, categories:manage,
+  // staff:manage, users:manage, locations:manage, notifications:manage
+  // and sla:manage
+  admin: ["*"],
+};
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      console.error("JWT Verification Error:", err);
-      return res.status(403).json({ message: "Invalid token." });
-    }
+const permissionsFor = (role) => {
+  const index = ROLES.indexOf(role);
+  if (index === -1) return [];
+  return ROLES.slice(0, index + 1).flatMap((name) => ROLE_PERMISSIONS[name]);
+};
+
+const hasPermission = (role, permission) => {
+  const permissions = permissionsFor(role);
+  return permissions.includes("*") || permissions.includes(permission);
+};
+
+// Every auth failure uses this body shape
+const deny = (res, status, code, message) => res.status(status).json({ message, code });
+
+// Accepts both "Bearer <token>" and a bare token
+const extractToken = (req) => {
+  const header = req.headers["authorization"];
+  if (!header) return null;
+  return header.startsWith("Bearer ") ? header.slice(7) : header;
+};
+
+// Device/IP recorded with a session. req.ip only follows X-Forwarded-For
+// through the proxies TRUST_PROXY names.
+const clientInfo = (req) => ({
+  userAgent: req.headers["user-agent"] || null,
+  ip: req.ip || null,
+});
+
+// Role set by the account's auth metadata, which outranks any other; or null
+const metadataRole = (user) => (user.user_metadata?.admin ? "admin" : null);
+
+// Tokens issued before roles existed only carry isAdmin
+const roleOf = (payload) => (ROLES.includes(payload.role) ? payload.role : payload.isAdmin ? "admin" : "reporter");
+
+// Refresh tokens are "<session id>.<secret>"; only a hash of the secret is stored
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const newRefreshSecret = () => crypto.randomBytes(32).toString("base64url");
+
+// Null unless the session id is a UUID, so nothing malformed reaches the database
+const parseRefreshToken = (token) => {
+  const [sessionId, secret] = typeof token === "string" ? token.split(".") : [];
+  return UUID_PATTERN.test(sessionId || "") && secret ? { sessionId, secret } : null;
+};
+
+// Constant-time comparison of two hex digests
+const sameHash = (a, b) => {
+  const left = Buffer.from(a, "hex");
+  const right = Buffer.from(String(b || ""), "hex");
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const createAuth = ({ secret = process.env.JWT_SECRET, expiresIn = "1h", refreshTtlDays = 30, repos }) => {
+  // admin flag in auth metadata, then an explicit role, then staff membership
+  const resolveRole = async (user) => {
+    const fixed = metadataRole(user);
+    if (fixed) return fixed;
 
-    console.log("Decoded Admin Token:", user); // ✅ Debugging line
+    const assigned = await repos.roles.findByUserId(user.id);
+    if (assigned && ROLES.includes(assigned.role)) return assigned.role;
 
-    if (!user.isAdmin) { // ⚠️ Ensure `isAdmin` exists in JWT payload
-      return res.status(403).json({ message: "Access denied. Admins only." });
+    const staff = await repos.staff.findByUserId(user.id);
+    if (staff?.active) return "staff";
+
+    return "reporter";
+  };
+
+  // Disabled accounts can neither log in nor refresh
+  const isDisabled = async (user) => Boolean((await repos.profiles.findByUserId(user.id))?.disabled_at);
+
+  const signToken = (user, role, sessionId) => jwt.sign(
+    { id: user.id, email: user.email, role, isAdmin: role === "admin", sid: sessionId },
+    secret,
+    { expiresIn }
+  );
+
+  // What a login/refresh response carries
+  const issueTokens = (user, role, session, refreshSecret) => ({
+    token: signToken(user, role, session.id),
+    refresh_token: `${session.id}.${refreshSecret}`,
+    refresh_expires_at: session.expires_at,
+  });
+
+  // New session for a successful login; client is { userAgent, ip }
+  const startSession = async (user, client = {}, role) => {
+    role = role || await resolveRole(user);
+    const refreshSecret = newRefreshSecret();
+    const session = await repos.sessions.create({
+      user_id: user.id,
+      token_hash: hashSecret(refreshSecret),
+      user_agent: client.userAgent || null,
+      ip: client.ip || null,
+      expires_at: new Date(Date.now() + refreshTtlDays * 24 * 60 * 60 * 1000).toISOString(),
+    });
+    return issueTokens(user, role, session, refreshSecret);
+  };
+
+  // Swaps a refresh token for a new access token and a new refresh token.
+  // Presenting an already-rotated token means it leaked: the session is revoked.
+  // Returns the tokens or { error }.
+  const refreshSession = async (refreshToken, client = {}) => {
+    const parsed = parseRefreshToken(refreshToken);
+    const session = parsed && await repos.sessions.findById(parsed.sessionId);
+    if (!session || session.revoked_at) return { error: "Invalid refresh token" };
+    if (new Date(session.expires_at) <= new Date()) return { error: "Refresh token has expired" };
+
+    const presentedHash = hashSecret(parsed.secret);
+    if (!sameHash(presentedHash, session.token_hash)) {
+      await repos.sessions.revoke(session.id);
+      return { error: "Refresh token was already used; the session has been revoked" };
     }
 
-    req.user = user;
+    const user = await repos.auth.getUserById(session.user_id);
+    if (!user) return { error: "Invalid refresh token" };
+    if (await isDisabled(user)) return { error: "This account has been disabled" };
+
+    // Only rotates if nobody else rotated the token since it was read. The
+    // loser of two concurrent refreshes (e.g. two tabs) is turned away without
+    // revoking the session the winner now holds.
+    const refreshSecret = newRefreshSecret();
+    const updated = await repos.sessions.rotate(session.id, presentedHash, {
+      token_hash: hashSecret(refreshSecret),
+      last_used_at: new Date().toISOString(),
+      user_agent: client.userAgent || session.user_agent,
+      ip: client.ip || session.ip,
+    });
+    if (!updated) return { error: "Refresh token was already used" };
+    // Role changes take effect here rather than at the next login
+    return issueTokens(user, await resolveRole(user), updated, refreshSecret);
+  };
+
+  // Verifies the JWT and its session, then sets req.user ({ id, email, role, sid })
+  // and req.can(permission)
+  const authenticate = (req, res, next) => {
+    const token = extractToken(req);
+    if (!token) return deny(res, 401, "UNAUTHENTICATED", "Access denied. No token provided.");
+
+    jwt.verify(token, secret, async (err, payload) => {
+      if (err) return deny(res, 401, "INVALID_TOKEN", "Invalid or expired token.");
+
+      // Tokens issued before sessions existed have no sid and simply expire
+      if (payload.sid) {
+        try {
+          const session = await repos.sessions.findById(payload.sid);
+          if (!session || session.revoked_at) return deny(res, 401, "TOKEN_REVOKED", "This session has been logged out.");
+        } catch (error) {
+          console.error("Session Check Error:", error);
+          return res.status(500).json({ message: "Error checking session" });
+        }
+      }
+
+      const role = roleOf(payload);
+      req.user = { ...payload, role, isAdmin: role === "admin" };
+      req.can = (permission) => hasPermission(role, permission);
+      next();
+    });
+  };
+
+  // Route guard: authenticate, then require every listed permission (kept on
+  // the guard as .permissions for the API docs)
+  const authorize = (...permissions) => [authenticate, Object.assign((req, res, next) => {
+    const missing = permissions.find((permission) => !req.can(permission));
+    if (missing) return deny(res, 403, "FORBIDDEN", `Access denied. Missing permission: ${missing}`);
     next();
-  });
-};
+  }, { permissions })];
 
+  // Run after authenticate: blocks users whose profile email isn't verified yet
+  const requireVerifiedEmail = async (req, res, next) => {
+    try {
+      const profile = await repos.profiles.findByUserId(req.user.id);
+      if (profile && !profile.email_verified_at) {
+        return deny(res, 403, "EMAIL_NOT_VERIFIED", "Please verify your email address first.");
+      }
+      next();
+    } catch (error) {
+      console.error("Verification Check Error:", error);
+      res.status(500).json({ message: "Error checking email verification" });
+    }
+  };
 
+  return { resolveRole, isDisabled, startSession, refreshSession, authenticate, authorize, requireVerifiedEmail };
+};
 
-// ✅ Correct Export
-module.exports = { isAdmin };
\ No newline at end of file
+module.exports = { createAuth, clientInfo, hasPermission, permissionsFor, metadataRole, ROLES };
@@ -0,0 +1,90 @@
+// Parses the query string shared by GET /complaints and GET /admin/complaints
+// into repository filters and paging options.
+//
+//   status, tag      one value, comma-separated values or repeated params
+//   from, to         created_at range (ISO dates or timestamps, inclusive)
+//   date             a single calendar day (shorthand for from/to)
+//   q                case-insensitive search over title and description
+//   near, radius     within radius metres (default 1000) of near=lat,lng
+//   building         building id from the location catalogue
+//   sort, order      created_at | upvotes | status | resolve_due_at, asc | desc
+//   limit            page size, 1-100
+//   cursor | page    next_cursor from a previous response, or a 1-based page
+
+const { parsePage, pageResponse } = require('./pagination');
+const { parseNear } = require('./geo');
+
+const SORT_COLUMNS = ['created_at', 'upvotes', 'status', 'resolve_due_at'];
+
+const toList = (value) => {
+  if (value === undefined || value === '') return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((item) => String(item).split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
+const parseDate = (value, endOfDay = false) => {
+  // Bare dates cover the whole day
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    value += endOfDay ? 'T23:59:59.999Z' : 'T00:00:00.000Z';
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Returns { filters, options } or { error } with a message for a 400 response
+const parseComplaintQuery = (query, { validTags, defaultSort = 'created_at', defaultOrder = 'desc' } = {}) => {
+  const filters = {};
+
+  const statuses = toList(query.status);
+  if (statuses.length) filters.status = statuses;
+
+  // Unknown tags are ignored, as before
+  const tags = toList(query.tag).filter((tag) => !validTags || validTags.includes(tag));
+  if (tags.length) filters.tag = tags;
+
+  if (query.date) {
+    filters.from = parseDate(query.date);
+    filters.to = parseDate(query.date, true);
+    if (!filters.from) return { error: 'Invalid date' };
+  }
+  if (query.from) {
+    filters.from = parseDate(query.from);
+    if (!filters.from) return { error: 'Invalid "from" date' };
+  }
+  if (query.to) {
+    filters.to = parseDate(query.to, true);
+    if (!filters.to) return { error: 'Invalid "to" date' };
+  }
+
+  if (query.q && String(query.q).trim()) filters.q = String(query.q).trim();
+
+  if (query.near) {
+    const near = parseNear(query.near, query.radius);
+    if (near.error) return { error: near.error };
+    filters.near = near;
+  }
+  if (query.building) filters.buildingId = String(query.building);
+
+  const sort = query.sort || defaultSort;
+  if (!SORT_COLUMNS.includes(sort)) {
+    return { error: `Invalid sort column (expected one of ${SORT_COLUMNS.join(', ')})` };
+  }
+
+  const order = query.order || defaultOrder;
+  if (!['asc', 'desc'].includes(order)) return { error: 'Invalid order (expected asc or desc)' };
+
+  const { offset, limit, error } = parsePage(query);
+  if (error) return { error };
+
+  return {
+    filters,
+    options: { sort, ascending: order === 'asc', offset, limit },
+  };
+};
+
+// Shapes a repository search result into the paginated response body
+const paginate = (result, options) => pageResponse('complaints', result, options);
+
+module.exports = { parseComplaintQuery, paginate, toList, parseDate, SORT_COLUMNS };
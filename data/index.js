@@ -0,0 +1,33 @@
+// Data-access layer: every route goes through these repositories instead of
+// talking to Supabase directly, so the backend can be swapped by configuration.
+//
+//   DATA_BACKEND=supabase (default)  uses SUPABASE_URL / SUPABASE_KEY
+//   DATA_BACKEND=local               in-process store, no network needed
+//     LOCAL_DATA_DIR                 persist tables and uploads here (omit for memory only)
+//     LOCAL_ADMIN_EMAIL / LOCAL_ADMIN_PASSWORD  seed an admin account on startup
+const createRepositories = (options = {}) => {
+  const backend = options.backend || process.env.DATA_BACKEND || 'supabase';
+
+  if (backend === 'supabase') {
+    const { createSupabaseRepositories } = require('./supabase');
+    return createSupabaseRepositories({
+      url: options.url || process.env.SUPABASE_URL,
+      key: options.key || process.env.SUPABASE_KEY,
+    });
+  }
+
+  if (backend === 'local') {
+    const { createLocalRepositories } = require('./local');
+    return createLocalRepositories({
+      dir: options.dir !== undefined ? options.dir : process.env.LOCAL_DATA_DIR,
+      admin: options.admin || (process.env.LOCAL_ADMIN_EMAIL && {
+        email: process.env.LOCAL_ADMIN_EMAIL,
+        password: process.env.LOCAL_ADMIN_PASSWORD,
+      }),
+    });
+  }
+
+  throw new Error(`Unknown DATA_BACKEND "${backend}" (expected "supabase" or "local")`);
+};
+
+module.exports = { createRepositories };
@@ -0,0 +1,36 @@
+const { v4: uuidv4 } = require('uuid');
+const { clone } = require('./store');
+
+const createAccountTokenRepository = (store) => {
+  const tokens = () => store.table('account_tokens');
+
+  return {
+    async create(token) {
+      const row = { id: uuidv4(), used_at: null, created_at: new Date().toISOString(), ...token };
+      tokens().push(row);
+      store.save();
+      return clone(row);
+    },
+
+    async consume(tokenHash, purpose) {
+      const now = new Date().toISOString();
+      const row = tokens().find((token) =>
+        token.token_hash === tokenHash && token.purpose === purpose && !token.used_at && token.expires_at > now);
+      if (!row) return null;
+
+      row.used_at = now;
+      store.save();
+      return clone(row);
+    },
+
+    async invalidate(userId, purpose) {
+      const now = new Date().toISOString();
+      tokens()
+        .filter((token) => token.user_id === userId && token.purpose === purpose && !token.used_at)
+        .forEach((token) => { token.used_at = now; });
+      store.save();
+    },
+  };
+};
+
+module.exports = { createAccountTokenRepository };
@@ -0,0 +1,47 @@
+const { v4: uuidv4 } = require('uuid');
+const { clone } = require('./store');
+
+const createAttachmentRepository = (store) => {
+  const attachments = () => store.table('complaint_attachments');
+
+  return {
+    async listByComplaint(complaintId, { kind } = {}) {
+      return attachments()
+        .filter((attachment) => attachment.complaint_id === complaintId && (!kind || attachment.kind === kind))
+        .map(clone);
+    },
+
+    async findById(id) {
+      return clone(attachments().find((attachment) => attachment.id === id));
+    },
+
+    async isPathInUse(path) {
+      return attachments().some((attachment) => attachment.path === path);
+    },
+
+    async create(attachment) {
+      const row = {
+        id: uuidv4(),
+        kind: 'report',
+        thumbnail_url: null,
+        path: null,
+        thumbnail_path: null,
+        merged_from: null,
+        created_at: new Date().toISOString(),
+        ...attachment,
+      };
+      attachments().push(row);
+      store.save();
+      return clone(row);
+    },
+
+    async remove(id) {
+      const rows = attachments();
+      const index = rows.findIndex((attachment) => attachment.id === id);
+      if (index !== -1) rows.splice(index, 1);
+      store.save();
+    },
+  };
+};
+
+module.exports = { createAttachmentRepository };
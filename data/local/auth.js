@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { clone } = require('./store');
+
+const hashPassword = (password, salt = crypto.randomBytes(16).toString('hex')) =>
+  `${salt}:${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+
+const verifyPassword = (password, stored) => {
+  const [salt, hash] = stored.split(':');
+  const candidate = crypto.scryptSync(password, salt, 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+};
+
+// Strip the password hash so rows look like Supabase auth users
+const toUser = ({ password_hash, ...user }) => clone(user);
+
+const createAuthRepository = (store) => {
+  const users = () => store.table('users');
+  const findByEmail = (email) =>
+    users().find((user) => user.email === String(email).toLowerCase());
+
+  return {
+    async signUp({ email, password, user_metadata = {} }) {
+      if (!email || !password) throw new Error('Email and password are required');
+      if (findByEmail(email)) throw new Error('User already registered');
+
+      const row = {
+        id: uuidv4(),
+        email: email.toLowerCase(),
+        password_hash: hashPassword(password),
+        user_metadata,
+        created_at: new Date().toISOString(),
+      };
+      users().push(row);
+      store.save();
+      return toUser(row);
+    },
+
+    async signIn({ email, password }) {
+      const user = email && findByEmail(email);
+      if (!user || !password || !verifyPassword(password, user.password_hash)) return null;
+      return toUser(user);
+    },
+
+    async getUserById(id) {
+      const user = users().find((row) => row.id === id);
+      return user ? toUser(user) : null;
+    },
+
+    async updatePassword(id, password) {
+      const user = users().find((row) => row.id === id);
+      if (!user) throw new Error('User not found');
+      user.password_hash = hashPassword(password);
+      store.save();
+    },
+  };
+};
+
+module.exports = { createAuthRepository };
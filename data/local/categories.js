@@ -0,0 +1,89 @@
+const { v4: uuidv4 } = require('uuid');
+const { clone, compareBy } = require('./store');
+
+// Same starting set as the categories migration
+const DEFAULT_CATEGORIES = ['electricity', 'canteen', 'furniture', 'campus'];
+
+const createCategoryRepository = (store) => {
+  const categories = () => store.table('categories');
+
+  const insert = (category) => {
+    const row = {
+      id: uuidv4(),
+      description: null,
+      icon: null,
+      active: true,
+      parent_id: null,
+      ack_hours: null,
+      resolve_hours: null,
+      created_at: new Date().toISOString(),
+      updated_at: null,
+      ...category,
+    };
+    categories().push(row);
+    return row;
+  };
+
+  if (!categories().length) {
+    DEFAULT_CATEGORIES.forEach((name) => insert({ name }));
+    store.save();
+  }
+
+  return {
+    async list({ activeOnly = false } = {}) {
+      return categories()
+        .filter((category) => !activeOnly || category.active)
+        .sort(compareBy('name', true))
+        .map(clone);
+    },
+
+    async findById(id) {
+      return clone(categories().find((category) => category.id === id));
+    },
+
+    async findByName(name) {
+      return clone(categories().find((category) => category.name === name));
+    },
+
+    async create(category) {
+      if (categories().some((existing) => existing.name === category.name)) {
+        throw new Error(`Category "${category.name}" already exists`);
+      }
+      const row = insert(category);
+      store.save();
+      return clone(row);
+    },
+
+    async update(id, changes) {
+      const row = categories().find((category) => category.id === id);
+      if (!row) return null;
+      Object.assign(row, changes, { updated_at: new Date().toISOString() });
+      store.save();
+      return clone(row);
+    },
+
+    async remove(id) {
+      const rows = categories();
+      const index = rows.findIndex((category) => category.id === id);
+      if (index !== -1) rows.splice(index, 1);
+      // on delete set null
+      for (const category of rows) {
+        if (category.parent_id === id) category.parent_id = null;
+      }
+      store.save();
+    },
+
+    async renameTag(from, to) {
+      let changed = 0;
+      for (const complaint of store.table('complaints')) {
+        if (!(complaint.tags || []).includes(from)) continue;
+        complaint.tags = [...new Set(complaint.tags.map((tag) => (tag === from ? to : tag)))];
+        changed++;
+      }
+      store.save();
+      return changed;
+    },
+  };
+};
+
+module.exports = { createCategoryRepository };
@@ -0,0 +1,78 @@
+const { v4: uuidv4 } = require('uuid');
+const { clone } = require('./store');
+
+const createCommentRepository = (store) => {
+  const comments = () => store.table('complaint_comments');
+  const revisions = () => store.table('complaint_comment_revisions');
+  const find = (id) => comments().find((comment) => comment.id === id);
+
+  const revise = (comment, action, editorId) => {
+    revisions().push({
+      id: uuidv4(),
+      comment_id: comment.id,
+      body: comment.body,
+      action,
+      editor_id: editorId,
+      created_at: new Date().toISOString(),
+    });
+  };
+
+  return {
+    async create(comment) {
+      const row = {
+        id: uuidv4(),
+        parent_id: null,
+        internal: false,
+        created_at: new Date().toISOString(),
+        updated_at: null,
+        deleted_at: null,
+        ...comment,
+      };
+      comments().push(row);
+      store.save();
+      return clone(row);
+    },
+
+    async findById(id) {
+      return clone(find(id));
+    },
+
+    async listByComplaint(complaintId, { includeInternal = false } = {}) {
+      return comments()
+        .filter((comment) => comment.complaint_id === complaintId && (includeInternal || !comment.internal))
+        .map(clone);
+    },
+
+    async listByComplaints(complaintIds, { includeInternal = false } = {}) {
+      return comments()
+        .filter((comment) => complaintIds.includes(comment.complaint_id) && (includeInternal || !comment.internal))
+        .map(clone);
+    },
+
+    async edit(id, body, editorId) {
+      const comment = find(id);
+      if (!comment) return null;
+
+      revise(comment, 'edited', editorId);
+      Object.assign(comment, { body, updated_at: new Date().toISOString() });
+      store.save();
+      return clone(comment);
+    },
+
+    async remove(id, editorId) {
+      const comment = find(id);
+      if (!comment) return null;
+
+      revise(comment, 'deleted', editorId);
+      Object.assign(comment, { body: null, deleted_at: new Date().toISOString() });
+      store.save();
+      return clone(comment);
+    },
+
+    async listRevisions(id) {
+      return revisions().filter((revision) => revision.comment_id === id).map(clone);
+    },
+  };
+};
+
+module.exports = { createCommentRepository };
@@ -0,0 +1,228 @@
+const { v4: uuidv4 } = require('uuid');
+const { clone, compareBy } = require('./store');
+const { distanceMeters } = require('../../geo');
+const { periodStart, percentile } = require('../../analytics');
+
+const asList = (value) => (Array.isArray(value) ? value : [value]);
+
+const hasCoordinates = (complaint) => complaint.latitude != null && complaint.longitude != null;
+
+const isOverdue = (complaint, at) =>
+  (!complaint.acknowledged_at && complaint.ack_due_at && complaint.ack_due_at < at) ||
+  (!complaint.resolved_at && complaint.resolve_due_at && complaint.resolve_due_at < at);
+
+const matches = (complaint, {
+  ids, userId, status, tag, visibility, merged, assigneeId, departmentId, buildingId, located, near, overdueAt, from, to, q,
+} = {}) =>
+  (!ids || ids.includes(complaint.id)) &&
+  (!userId || complaint.user_id === userId) &&
+  (!overdueAt || isOverdue(complaint, overdueAt)) &&
+  (!buildingId || complaint.building_id === buildingId) &&
+  (!located || hasCoordinates(complaint)) &&
+  (!near || (hasCoordinates(complaint) && distanceMeters(near, complaint) <= near.radius)) &&
+  (!assigneeId || (complaint.assignee_id || 'none') === assigneeId) &&
+  (!departmentId || complaint.department_id === departmentId) &&
+  (!visibility || asList(visibility).includes(complaint.visibility)) &&
+  (merged !== false || !complaint.merged_into) &&
+  (!status || asList(status).includes(complaint.status)) &&
+  (!tag || asList(tag).some((item) => (complaint.tags || []).includes(item))) &&
+  (!from || complaint.created_at >= from) &&
+  (!to || complaint.created_at <= to) &&
+  (!q || [complaint.title, complaint.description]
+    .some((text) => String(text || '').toLowerCase().includes(q.toLowerCase())));
+
+const inRange = (timestamp, from, to) => (!from || timestamp >= from) && (!to || timestamp <= to);
+
+const withinSla = (complaint) => !complaint.resolve_due_at || complaint.resolved_at <= complaint.resolve_due_at;
+
+// [{ ...group(row), count }] for each distinct group, in first-seen order
+const countBy = (rows, group) => {
+  const counts = new Map();
+  for (const row of rows) {
+    const fields = group(row);
+    const key = JSON.stringify(fields);
+    counts.set(key, { ...fields, count: (counts.get(key)?.count || 0) + 1 });
+  }
+  return [...counts.values()];
+};
+
+// Sort column first, then newest first, then id so pages are stable
+const searchOrder = (sort, ascending) => {
+  const bySort = compareBy(sort, ascending);
+  const byCreated = compareBy('created_at', false);
+  const byId = compareBy('id', true);
+  return (a, b) => bySort(a, b) || byCreated(a, b) || byId(a, b);
+};
+
+const createComplaintRepository = (store) => {
+  const complaints = () => store.table('complaints');
+
+  return {
+    async list(filters, { orderBy, ascending = false, limit } = {}) {
+      let rows = complaints().filter((complaint) => matches(complaint, filters));
+      if (orderBy) rows = rows.sort(compareBy(orderBy, ascending));
+      if (limit) rows = rows.slice(0, limit);
+      return rows.map(clone);
+    },
+
+    // `after` (a row from the previous page) pages by keyset instead of offset
+    async search(filters, { sort = 'created_at', ascending = false, offset = 0, limit = 20, after } = {}) {
+      const order = searchOrder(sort, ascending);
+      const rows = complaints()
+        .filter((complaint) => matches(complaint, filters) && (!after || order(complaint, after) > 0))
+        .sort(order);
+
+      return { items: rows.slice(offset, offset + limit).map(clone), total: rows.length };
+    },
+
+    async count(filters) {
+      return complaints().filter((complaint) => matches(complaint, filters)).length;
+    },
+
+    // Same shape as the complaint_analytics database function
+    async analytics({ from, to, interval, openStatuses = [], top = 10 } = {}) {
+      const created = complaints().filter((complaint) => inRange(complaint.created_at, from, to));
+      const resolved = complaints().filter((complaint) =>
+        complaint.resolved_at && !complaint.merged_into && inRange(complaint.resolved_at, from, to));
+      const hours = resolved
+        .map((complaint) => (new Date(complaint.resolved_at) - new Date(complaint.created_at)) / 3600000)
+        .sort((a, b) => a - b);
+      const tagged = (rows) => rows.flatMap((complaint) => (complaint.tags || []).map((tag) => ({ tag, complaint })));
+
+      const names = new Map(store.table('profiles').map((profile) => [profile.user_id, profile.display_name]));
+      const metSla = new Map(countBy(tagged(resolved.filter(withinSla)), ({ tag }) => ({ tag }))
+        .map(({ tag, count }) => [tag, count]));
+
+      return {
+        total: created.length,
+        opened: interval ? countBy(created, (complaint) => ({ period: periodStart(complaint.created_at, interval) })) : [],
+        resolved: interval ? countBy(resolved, (complaint) => ({ period: periodStart(complaint.resolved_at, interval) })) : [],
+        by_status: countBy(created, (complaint) => ({ status: complaint.status })),
+        by_tag_status: countBy(tagged(created), ({ tag, complaint }) => ({ tag, status: complaint.status })),
+        top_open: created
+          .filter((complaint) => openStatuses.includes(complaint.status) && !complaint.merged_into)
+          .sort((a, b) => compareBy('upvotes', false)(a, b) || compareBy('created_at', false)(a, b))
+          .slice(0, top)
+          .map(clone),
+        top_reporters: countBy(created.filter((complaint) => complaint.user_id), (complaint) => ({ user_id: complaint.user_id }))
+          .sort((a, b) => b.count - a.count)
+          .slice(0, top)
+          .map(({ user_id: userId, count }) => ({ user_id: userId, display_name: names.get(userId) || null, complaints: count })),
+        resolution: {
+          count: hours.length,
+          within_sla: resolved.filter(withinSla).length,
+          mean_hours: hours.length ? hours.reduce((sum, value) => sum + value, 0) / hours.length : null,
+          p50: percentile(hours, 0.5),
+          p75: percentile(hours, 0.75),
+          p90: percentile(hours, 0.9),
+          p95: percentile(hours, 0.95),
+        },
+        sla_by_tag: countBy(tagged(resolved), ({ tag }) => ({ tag }))
+          .map(({ tag, count }) => ({ tag, resolved: count, within_sla: metSla.get(tag) || 0 })),
+      };
+    },
+
+    async findById(id) {
+      return clone(complaints().find((complaint) => complaint.id === id));
+    },
+
+    async create(complaint) {
+      const row = {
+        id: uuidv4(),
+        created_at: new Date().toISOString(),
+        status: 'pending',
+        tags: [],
+        upvotes: 0,
+        image_url: null,
+        admin_comments: null,
+        status_details: null,
+        status_changed_at: null,
+        visibility: 'private',
+        merged_into: null,
+        department_id: null,
+        assignee_id: null,
+        latitude: null,
+        longitude: null,
+        location_source: null,
+        location_id: null,
+        building_id: null,
+        location_note: null,
+        priority: 'normal',
+        ack_due_at: null,
+        resolve_due_at: null,
+        acknowledged_at: null,
+        resolved_at: null,
+        escalated_at: null,
+        escalated_breach: null,
+        ...complaint,
+      };
+      complaints().push(row);
+      store.save();
+      return clone(row);
+    },
+
+    async update(id, changes) {
+      const row = complaints().find((complaint) => complaint.id === id);
+      if (!row) return null;
+      Object.assign(row, changes);
+      store.save();
+      return clone(row);
+    },
+
+    // Same steps as the merge_complaints database function
+    async merge(duplicateId, survivingId) {
+      const duplicate = complaints().find((complaint) => complaint.id === duplicateId);
+      const surviving = complaints().find((complaint) => complaint.id === survivingId);
+      const votes = store.table('complaint_votes');
+      const hasVote = (userId) =>
+        votes.some((vote) => vote.user_id === userId && vote.complaint_id === survivingId);
+
+      const carried = votes
+        .filter((vote) => vote.complaint_id === duplicateId)
+        .map((vote) => ({ user_id: vote.user_id, created_at: vote.created_at }));
+      if (duplicate.user_id) carried.push({ user_id: duplicate.user_id, created_at: new Date().toISOString() });
+
+      for (const vote of carried) {
+        if (hasVote(vote.user_id)) continue;
+        votes.push({ ...vote, complaint_id: survivingId });
+        surviving.upvotes = (surviving.upvotes || 0) + 1;
+      }
+
+      const attachments = store.table('complaint_attachments');
+      attachments
+        .filter((attachment) => attachment.complaint_id === duplicateId)
+        .forEach((attachment) => attachments.push({
+          ...attachment,
+          id: uuidv4(),
+          complaint_id: survivingId,
+          merged_from: attachment.merged_from || duplicateId,
+        }));
+      duplicate.merged_into = survivingId;
+      store.save();
+    },
+
+    async remove(id) {
+      const rows = complaints();
+      const index = rows.findIndex((complaint) => complaint.id === id);
+      if (index !== -1) rows.splice(index, 1);
+
+      // Mirrors the foreign keys: merged_into and merged_from are set null;
+      // votes, follows, comments and attachments cascade
+      for (const complaint of rows) {
+        if (complaint.merged_into === id) complaint.merged_into = null;
+      }
+      for (const attachment of store.table('complaint_attachments')) {
+        if (attachment.merged_from === id) attachment.merged_from = null;
+      }
+      for (const table of ['complaint_votes', 'complaint_follows', 'complaint_comments', 'complaint_attachments']) {
+        const related = store.table(table);
+        for (let i = related.length - 1; i >= 0; i--) {
+          if (related[i].complaint_id === id) related.splice(i, 1);
+        }
+      }
+      store.save();
+    },
+  };
+};
+
+module.exports = { createComplaintRepository };
@@ -0,0 +1,59 @@
+const { v4: uuidv4 } = require('uuid');
+const { clone } = require('./store');
+
+const createDepartmentRepository = (store) => {
+  const departments = () => store.table('departments');
+  const find = (id) => departments().find((department) => department.id === id);
+
+  return {
+    async list() {
+      return departments().map(clone);
+    },
+
+    async findById(id) {
+      return clone(find(id));
+    },
+
+    async findByName(name) {
+      return clone(departments().find((department) => department.name === name));
+    },
+
+    async create(department) {
+      const row = {
+        id: uuidv4(),
+        description: null,
+        tags: [],
+        created_at: new Date().toISOString(),
+        updated_at: null,
+        ...department,
+      };
+      departments().push(row);
+      store.save();
+      return clone(row);
+    },
+
+    async update(id, changes) {
+      const row = find(id);
+      if (!row) return null;
+      Object.assign(row, changes, { updated_at: new Date().toISOString() });
+      store.save();
+      return clone(row);
+    },
+
+    async remove(id) {
+      const rows = departments();
+      const index = rows.findIndex((department) => department.id === id);
+      if (index !== -1) rows.splice(index, 1);
+
+      // on delete set null
+      for (const table of ['staff_members', 'complaints']) {
+        for (const row of store.table(table)) {
+          if (row.department_id === id) row.department_id = null;
+        }
+      }
+      store.save();
+    },
+  };
+};
+
+module.exports = { createDepartmentRepository };
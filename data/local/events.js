@@ -0,0 +1,54 @@
+const { v4: uuidv4 } = require('uuid');
+const { clone, compareBy } = require('./store');
+
+const asList = (value) => (Array.isArray(value) ? value : [value]);
+
+const matches = (event, { complaintId, actorId, action, from, to } = {}) =>
+  (!complaintId || event.complaint_id === complaintId) &&
+  (!actorId || event.actor_id === actorId) &&
+  (!action || asList(action).includes(event.action)) &&
+  (!from || event.created_at >= from) &&
+  (!to || event.created_at <= to);
+
+// Complaint events are append-only: there is no update or remove
+const createEventRepository = (store) => {
+  const events = () => store.table('complaint_events');
+
+  return {
+    async create(event) {
+      const row = { id: uuidv4(), created_at: new Date().toISOString(), ...event };
+      events().push(row);
+      store.save();
+      return clone(row);
+    },
+
+    // Insertion order doubles as a tie-breaker for events in the same millisecond
+    async listByComplaint(complaintId) {
+      return events().filter((event) => event.complaint_id === complaintId).map(clone);
+    },
+
+    async listByComplaints(complaintIds, { action } = {}) {
+      return events()
+        .filter((event) => complaintIds.includes(event.complaint_id) && matches(event, { action }))
+        .map(clone);
+    },
+
+    // Events recorded after the given one, oldest first; null for an unknown id
+    async listAfter(eventId, { limit = 100 } = {}) {
+      const index = events().findIndex((event) => event.id === eventId);
+      if (index === -1) return null;
+      return events().slice(index + 1, index + 1 + limit).map(clone);
+    },
+
+    async search(filters, { offset = 0, limit = 20 } = {}) {
+      const rows = events()
+        .filter((event) => matches(event, filters))
+        .reverse()
+        .sort(compareBy('created_at', false));
+
+      return { items: rows.slice(offset, offset + limit).map(clone), total: rows.length };
+    },
+  };
+};
+
+module.exports = { createEventRepository };
@@ -0,0 +1,31 @@
+// Who follows which complaint; rows go with the complaint (see complaints.remove)
+const createFollowRepository = (store) => {
+  const follows = () => store.table('complaint_follows');
+  const findFollow = (userId, complaintId) =>
+    follows().findIndex((follow) => follow.user_id === userId && follow.complaint_id === complaintId);
+
+  return {
+    async add(userId, complaintId) {
+      if (findFollow(userId, complaintId) !== -1) return false;
+
+      follows().push({ user_id: userId, complaint_id: complaintId, created_at: new Date().toISOString() });
+      store.save();
+      return true;
+    },
+
+    async remove(userId, complaintId) {
+      const index = findFollow(userId, complaintId);
+      if (index === -1) return false;
+
+      follows().splice(index, 1);
+      store.save();
+      return true;
+    },
+
+    async listFollowerIds(complaintId) {
+      return follows().filter((follow) => follow.complaint_id === complaintId).map((follow) => follow.user_id);
+    },
+  };
+};
+
+module.exports = { createFollowRepository };
@@ -0,0 +1,55 @@
+const { createStore } = require('./store');
+const { createComplaintRepository } = require('./complaints');
+const { createProfileRepository } = require('./profiles');
+const { createAuthRepository } = require('./auth');
+const { createStorageRepository } = require('./storage');
+const { createEventRepository } = require('./events');
+const { createVoteRepository } = require('./votes');
+const { createFollowRepository } = require('./follows');
+const { createCommentRepository } = require('./comments');
+const { createNotificationRepository } = require('./notifications');
+const { createCategoryRepository } = require('./categories');
+const { createDepartmentRepository } = require('./departments');
+const { createStaffRepository } = require('./staff');
+const { createRoleRepository } = require('./roles');
+const { createSessionRepository } = require('./sessions');
+const { createAccountTokenRepository } = require('./accountTokens');
+const { createAttachmentRepository } = require('./attachments');
+const { createLocationRepository } = require('./locations');
+const { createRateLimitRepository } = require('./rateLimits');
+
+const createLocalRepositories = ({ dir, admin } = {}) => {
+  const store = createStore({ dir });
+  const auth = createAuthRepository(store);
+
+  // Seed an admin so the /admin routes are usable offline
+  if (admin && admin.email && admin.password) {
+    // Rejects harmlessly when the account was already created by an earlier run
+    auth.signUp({ ...admin, user_metadata: { admin: true } }).catch(() => {});
+  }
+
+  return {
+    backend: 'local',
+    store,
+    complaints: createComplaintRepository(store),
+    profiles: createProfileRepository(store),
+    auth,
+    storage: createStorageRepository({ dir }),
+    events: createEventRepository(store),
+    votes: createVoteRepository(store),
+    follows: createFollowRepository(store),
+    comments: createCommentRepository(store),
+    notifications: createNotificationRepository(store),
+    categories: createCategoryRepository(store),
+    departments: createDepartmentRepository(store),
+    staff: createStaffRepository(store),
+    roles: createRoleRepository(store),
+    sessions: createSessionRepository(store),
+    accountTokens: createAccountTokenRepository(store),
+    attachments: createAttachmentRepository(store),
+    locations: createLocationRepository(store),
+    rateLimits: createRateLimitRepository(),
+  };
+};
+
+module.exports = { createLocalRepositories };
@@ -0,0 +1,76 @@
+const { v4: uuidv4 } = require('uuid');
+const { clone, compareBy } = require('./store');
+
+const createLocationRepository = (store) => {
+  const locations = () => store.table('locations');
+  const find = (id) => locations().find((location) => location.id === id);
+
+  return {
+    async list({ parentId, kind } = {}) {
+      return locations()
+        .filter((location) => !parentId || (location.parent_id || 'root') === parentId)
+        .filter((location) => !kind || location.kind === kind)
+        .sort(compareBy('name', true))
+        .map(clone);
+    },
+
+    async findById(id) {
+      return clone(find(id));
+    },
+
+    async findByName(parentId, name) {
+      return clone(locations().find((location) =>
+        (location.parent_id || null) === (parentId || null) && location.name === name));
+    },
+
+    async create(location) {
+      const row = {
+        id: uuidv4(),
+        parent_id: null,
+        code: null,
+        latitude: null,
+        longitude: null,
+        created_at: new Date().toISOString(),
+        ...location,
+      };
+      locations().push(row);
+      store.save();
+      return clone(row);
+    },
+
+    async update(id, changes) {
+      const row = find(id);
+      if (!row) return null;
+      Object.assign(row, changes, { updated_at: new Date().toISOString() });
+      store.save();
+      return clone(row);
+    },
+
+    async remove(id) {
+      // on delete cascade for children, set null on complaints
+      const doomed = new Set([id]);
+      let grew = true;
+      while (grew) {
+        grew = false;
+        for (const location of locations()) {
+          if (doomed.has(location.parent_id) && !doomed.has(location.id)) {
+            doomed.add(location.id);
+            grew = true;
+          }
+        }
+      }
+
+      const rows = locations();
+      for (let i = rows.length - 1; i >= 0; i--) {
+        if (doomed.has(rows[i].id)) rows.splice(i, 1);
+      }
+      for (const complaint of store.table('complaints')) {
+        if (doomed.has(complaint.location_id)) complaint.location_id = null;
+        if (doomed.has(complaint.building_id)) complaint.building_id = null;
+      }
+      store.save();
+    },
+  };
+};
+
+module.exports = { createLocationRepository };
@@ -0,0 +1,49 @@
+const { v4: uuidv4 } = require('uuid');
+const { clone } = require('./store');
+
+const createNotificationRepository = (store) => {
+  const preferences = () => store.table('notification_preferences');
+  const deadLetters = () => store.table('notification_dead_letters');
+
+  return {
+    async getPreferences(userId) {
+      return clone(preferences().find((row) => row.user_id === userId));
+    },
+
+    async savePreferences(userId, { email, events }) {
+      let row = preferences().find((existing) => existing.user_id === userId);
+      if (!row) {
+        row = { user_id: userId };
+        preferences().push(row);
+      }
+      Object.assign(row, { email, events, updated_at: new Date().toISOString() });
+      store.save();
+      return clone(row);
+    },
+
+    async addDeadLetter(entry) {
+      const row = { id: uuidv4(), created_at: new Date().toISOString(), ...entry };
+      deadLetters().push(row);
+      store.save();
+      return clone(row);
+    },
+
+    async findDeadLetter(id) {
+      return clone(deadLetters().find((row) => row.id === id));
+    },
+
+    async listDeadLetters({ offset = 0, limit = 20 } = {}) {
+      const rows = [...deadLetters()].reverse();
+      return { items: rows.slice(offset, offset + limit).map(clone), total: rows.length };
+    },
+
+    async removeDeadLetter(id) {
+      const rows = deadLetters();
+      const index = rows.findIndex((row) => row.id === id);
+      if (index !== -1) rows.splice(index, 1);
+      store.save();
+    },
+  };
+};
+
+module.exports = { createNotificationRepository };
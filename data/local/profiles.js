@@ -0,0 +1,44 @@
+const { v4: uuidv4 } = require('uuid');
+const { clone, compareBy } = require('./store');
+
+const createProfileRepository = (store) => {
+  const profiles = () => store.table('profiles');
+
+  return {
+    async findByUserId(userId) {
+      return clone(profiles().find((profile) => profile.user_id === userId));
+    },
+
+    async findByEmail(email) {
+      const wanted = String(email).toLowerCase();
+      return clone(profiles().find((profile) => String(profile.email).toLowerCase() === wanted));
+    },
+
+    async search({ q, disabled } = {}, { offset = 0, limit = 20 } = {}) {
+      const term = q && q.toLowerCase();
+      const rows = profiles()
+        .filter((profile) => !term || [profile.display_name, profile.email]
+          .some((text) => String(text || '').toLowerCase().includes(term)))
+        .filter((profile) => disabled === undefined || Boolean(profile.disabled_at) === disabled)
+        .sort(compareBy('created_at', false));
+      return { items: rows.slice(offset, offset + limit).map(clone), total: rows.length };
+    },
+
+    async create(profile) {
+      const row = { id: uuidv4(), created_at: new Date().toISOString(), ...profile };
+      profiles().push(row);
+      store.save();
+      return clone(row);
+    },
+
+    async update(userId, changes) {
+      const row = profiles().find((profile) => profile.user_id === userId);
+      if (!row) return null;
+      Object.assign(row, changes);
+      store.save();
+      return clone(row);
+    },
+  };
+};
+
+module.exports = { createProfileRepository };
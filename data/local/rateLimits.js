@@ -0,0 +1,7 @@
+const { createMemoryStore } = require('../../rateLimit');
+
+// A single process is all the local backend serves, so buckets stay in memory
+// (and out of db.json, which would be rewritten on every request)
+const createRateLimitRepository = () => createMemoryStore();
+
+module.exports = { createRateLimitRepository };
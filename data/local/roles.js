@@ -0,0 +1,36 @@
+const { clone } = require('./store');
+
+const createRoleRepository = (store) => {
+  const roles = () => store.table('user_roles');
+  const find = (userId) => roles().find((row) => row.user_id === userId);
+
+  return {
+    async list() {
+      return roles().map(clone);
+    },
+
+    async findByUserId(userId) {
+      return clone(find(userId));
+    },
+
+    async set(userId, role, grantedBy = null) {
+      let row = find(userId);
+      if (!row) {
+        row = { user_id: userId, created_at: new Date().toISOString() };
+        roles().push(row);
+      }
+      Object.assign(row, { role, granted_by: grantedBy, updated_at: new Date().toISOString() });
+      store.save();
+      return clone(row);
+    },
+
+    async remove(userId) {
+      const rows = roles();
+      const index = rows.findIndex((row) => row.user_id === userId);
+      if (index !== -1) rows.splice(index, 1);
+      store.save();
+    },
+  };
+};
+
+module.exports = { createRoleRepository };
@@ -0,0 +1,62 @@
+const { v4: uuidv4 } = require('uuid');
+const { clone, compareBy } = require('./store');
+
+const createSessionRepository = (store) => {
+  const sessions = () => store.table('user_sessions');
+  const find = (id) => sessions().find((session) => session.id === id);
+
+  return {
+    async create(session) {
+      const now = new Date().toISOString();
+      const row = { id: uuidv4(), created_at: now, last_used_at: now, revoked_at: null, ...session };
+      sessions().push(row);
+      store.save();
+      return clone(row);
+    },
+
+    async findById(id) {
+      return clone(find(id));
+    },
+
+    async listActive(userId) {
+      const now = new Date().toISOString();
+      return sessions()
+        .filter((session) => session.user_id === userId && !session.revoked_at && session.expires_at > now)
+        .sort(compareBy('last_used_at', false))
+        .map(clone);
+    },
+
+    async update(id, changes) {
+      const row = find(id);
+      if (!row) throw new Error(`Session ${id} not found`);
+      Object.assign(row, changes);
+      store.save();
+      return clone(row);
+    },
+
+    async rotate(id, tokenHash, changes) {
+      const row = find(id);
+      if (!row || row.revoked_at || row.token_hash !== tokenHash) return null;
+      Object.assign(row, changes);
+      store.save();
+      return clone(row);
+    },
+
+    async revoke(id) {
+      const row = find(id);
+      if (row && !row.revoked_at) row.revoked_at = new Date().toISOString();
+      store.save();
+    },
+
+    async revokeAll(userId, { exceptId } = {}) {
+      const now = new Date().toISOString();
+      const active = sessions().filter((session) =>
+        session.user_id === userId && !session.revoked_at && session.id !== exceptId);
+      active.forEach((session) => { session.revoked_at = now; });
+      store.save();
+      return active.length;
+    },
+  };
+};
+
+module.exports = { createSessionRepository };
@@ -0,0 +1,38 @@
+const { clone } = require('./store');
+
+const createStaffRepository = (store) => {
+  const staff = () => store.table('staff_members');
+  const find = (userId) => staff().find((member) => member.user_id === userId);
+
+  return {
+    async list({ departmentId } = {}) {
+      return staff()
+        .filter((member) => !departmentId || member.department_id === departmentId)
+        .map(clone);
+    },
+
+    async findByUserId(userId) {
+      return clone(find(userId));
+    },
+
+    async upsert(member) {
+      let row = find(member.user_id);
+      if (!row) {
+        row = { active: true, department_id: null, created_at: new Date().toISOString() };
+        staff().push(row);
+      }
+      Object.assign(row, member, { updated_at: new Date().toISOString() });
+      store.save();
+      return clone(row);
+    },
+
+    async remove(userId) {
+      const rows = staff();
+      const index = rows.findIndex((member) => member.user_id === userId);
+      if (index !== -1) rows.splice(index, 1);
+      store.save();
+    },
+  };
+};
+
+module.exports = { createStaffRepository };
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+// Public URLs point at the router below, which index.js mounts at /storage
+const PUBLIC_PATH = '/storage';
+
+const createStorageRepository = ({ dir } = {}) => {
+  const root = dir && path.join(dir, 'storage');
+  const files = new Map();
+
+  const key = (bucket, filePath) => `${bucket}/${filePath}`;
+
+  const router = express.Router();
+  router.get('/:bucket/*', (req, res) => {
+    const file = files.get(key(req.params.bucket, req.params[0]));
+    if (!file) return res.status(404).json({ message: 'File not found' });
+    res.type(file.contentType).send(file.buffer);
+  });
+
+  // Reload files persisted by a previous run
+  if (root && fs.existsSync(path.join(root, 'index.json'))) {
+    const meta = JSON.parse(fs.readFileSync(path.join(root, 'index.json'), 'utf8'));
+    for (const [name, contentType] of Object.entries(meta)) {
+      files.set(name, { contentType, buffer: fs.readFileSync(path.join(root, name)) });
+    }
+  }
+
+  const persist = () => {
+    if (!root) return;
+    const meta = {};
+    for (const [name, file] of files) meta[name] = file.contentType;
+    fs.mkdirSync(root, { recursive: true });
+    fs.writeFileSync(path.join(root, 'index.json'), JSON.stringify(meta, null, 2));
+  };
+
+  return {
+    router,
+
+    async upload(bucket, filePath, buffer, { contentType = 'application/octet-stream' } = {}) {
+      const name = key(bucket, filePath);
+      if (files.has(name)) throw new Error('The resource already exists');
+
+      files.set(name, { contentType, buffer });
+      if (root) {
+        fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+        fs.writeFileSync(path.join(root, name), buffer);
+        persist();
+      }
+      return this.getPublicUrl(bucket, filePath);
+    },
+
+    async remove(bucket, filePaths) {
+      for (const filePath of filePaths) {
+        const name = key(bucket, filePath);
+        files.delete(name);
+        if (root) fs.rmSync(path.join(root, name), { force: true });
+      }
+      persist();
+    },
+
+    getPublicUrl(bucket, filePath) {
+      return `${PUBLIC_PATH}/${key(bucket, filePath)}`;
+    },
+  };
+};
+
+module.exports = { createStorageRepository, PUBLIC_PATH };
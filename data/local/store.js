@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+// Minimal table store for the local backend: plain arrays of rows kept in
+// memory and, when a directory is given, flushed to db.json after each write.
+const createStore = ({ dir } = {}) => {
+  const file = dir && path.join(dir, 'db.json');
+  let tables = {};
+
+  if (file && fs.existsSync(file)) {
+    tables = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  return {
+    table(name) {
+      if (!tables[name]) tables[name] = [];
+      return tables[name];
+    },
+
+    save() {
+      if (!file) return;
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(tables, null, 2));
+      fs.renameSync(`${file}.tmp`, file);
+    },
+  };
+};
+
+// Rows are handed out as copies so callers can't mutate the store by accident
+const clone = (row) => (row ? JSON.parse(JSON.stringify(row)) : null);
+
+const compareBy = (column, ascending) => (a, b) => {
+  if (a[column] === b[column]) return 0;
+  const result = a[column] > b[column] ? 1 : -1;
+  return ascending ? result : -result;
+};
+
+module.exports = { createStore, clone, compareBy };
@@ -0,0 +1,56 @@
+const { clone } = require('./store');
+
+// Votes and the complaint's upvotes counter change in the same synchronous step
+const createVoteRepository = (store) => {
+  const votes = () => store.table('complaint_votes');
+  const findComplaint = (id) => store.table('complaints').find((complaint) => complaint.id === id);
+  const findVote = (userId, complaintId) =>
+    votes().findIndex((vote) => vote.user_id === userId && vote.complaint_id === complaintId);
+
+  return {
+    async add(userId, complaintId) {
+      const complaint = findComplaint(complaintId);
+      if (!complaint) throw new Error('Complaint not found');
+      if (findVote(userId, complaintId) !== -1) return false;
+
+      votes().push({ user_id: userId, complaint_id: complaintId, created_at: new Date().toISOString() });
+      complaint.upvotes = (complaint.upvotes || 0) + 1;
+      store.save();
+      return true;
+    },
+
+    async remove(userId, complaintId) {
+      const index = findVote(userId, complaintId);
+      if (index === -1) return false;
+
+      votes().splice(index, 1);
+      const complaint = findComplaint(complaintId);
+      if (complaint) complaint.upvotes = Math.max((complaint.upvotes || 0) - 1, 0);
+      store.save();
+      return true;
+    },
+
+    async votedIds(userId, complaintIds) {
+      return new Set(votes()
+        .filter((vote) => vote.user_id === userId && complaintIds.includes(vote.complaint_id))
+        .map((vote) => vote.complaint_id));
+    },
+
+    async listComplaintsByUser(userId, { offset = 0, limit = 20 } = {}) {
+      const rows = votes()
+        .filter((vote) => vote.user_id === userId)
+        .reverse()
+        .map((vote) => ({ vote, complaint: findComplaint(vote.complaint_id) }))
+        .filter(({ complaint }) => complaint);
+
+      return {
+        items: rows
+          .slice(offset, offset + limit)
+          .map(({ vote, complaint }) => ({ ...clone(complaint), voted_at: vote.created_at })),
+        total: rows.length,
+      };
+    },
+  };
+};
+
+module.exports = { createVoteRepository };
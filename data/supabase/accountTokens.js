@@ -0,0 +1,39 @@
+const createAccountTokenRepository = (supabase) => ({
+  async create(token) {
+    const { data, error } = await supabase.from('account_tokens').insert([token]).select().single();
+    if (error) throw error;
+    return data;
+  },
+
+  // Marks an unused, unexpired token as used and returns it; null otherwise.
+  // A single conditional update, so two concurrent requests can't both use it.
+  async consume(tokenHash, purpose) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('account_tokens')
+      .update({ used_at: now })
+      .eq('token_hash', tokenHash)
+      .eq('purpose', purpose)
+      .is('used_at', null)
+      .gt('expires_at', now)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Outstanding tokens stop working when a new one is issued
+  async invalidate(userId, purpose) {
+    const { error } = await supabase
+      .from('account_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('purpose', purpose)
+      .is('used_at', null);
+
+    if (error) throw error;
+  },
+});
+
+module.exports = { createAccountTokenRepository };
@@ -0,0 +1,45 @@
+const createAttachmentRepository = (supabase) => ({
+  // Oldest first; `kind` narrows to report or proof images
+  async listByComplaint(complaintId, { kind } = {}) {
+    let query = supabase
+      .from('complaint_attachments')
+      .select('*')
+      .eq('complaint_id', complaintId)
+      .order('created_at', { ascending: true });
+    if (kind) query = query.eq('kind', kind);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  },
+
+  async findById(id) {
+    const { data, error } = await supabase.from('complaint_attachments').select('*').eq('id', id).maybeSingle();
+    if (error) throw error;
+    return data;
+  },
+
+  // Merged complaints share files, so a file is only deleted once unreferenced
+  async isPathInUse(path) {
+    const { count, error } = await supabase
+      .from('complaint_attachments')
+      .select('id', { count: 'exact', head: true })
+      .eq('path', path);
+
+    if (error) throw error;
+    return count > 0;
+  },
+
+  async create(attachment) {
+    const { data, error } = await supabase.from('complaint_attachments').insert([attachment]).select().single();
+    if (error) throw error;
+    return data;
+  },
+
+  async remove(id) {
+    const { error } = await supabase.from('complaint_attachments').delete().eq('id', id);
+    if (error) throw error;
+  },
+});
+
+module.exports = { createAttachmentRepository };
@@ -0,0 +1,34 @@
+const createAuthRepository = (supabase) => ({
+  // Rejects with the provider's error (e.g. "User already registered")
+  async signUp({ email, password }) {
+    const { data, error } = await supabase.auth.signUp({ email, password });
+    if (error) throw error;
+    if (!data.user) throw new Error('User signup failed');
+    return data.user;
+  },
+
+  // Resolves to the user, or null when the credentials are wrong
+  async signIn({ email, password }) {
+    const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+    if (error || !data.user) return null;
+    return data.user;
+  },
+
+  // Needs the service role key; the auth schema isn't exposed through the REST API
+  async getUserById(id) {
+    const { data, error } = await supabase.auth.admin.getUserById(id);
+    if (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+    return data.user;
+  },
+
+  // Needs the service role key
+  async updatePassword(id, password) {
+    const { error } = await supabase.auth.admin.updateUserById(id, { password });
+    if (error) throw error;
+  },
+});
+
+module.exports = { createAuthRepository };
@@ -0,0 +1,69 @@
+const createCategoryRepository = (supabase) => ({
+  async list({ activeOnly = false } = {}) {
+    let query = supabase.from('categories').select('*').order('name', { ascending: true });
+    if (activeOnly) query = query.eq('active', true);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  },
+
+  async findById(id) {
+    const { data, error } = await supabase
+      .from('categories')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async findByName(name) {
+    const { data, error } = await supabase
+      .from('categories')
+      .select('*')
+      .eq('name', name)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async create(category) {
+    const { data, error } = await supabase
+      .from('categories')
+      .insert([category])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async update(id, changes) {
+    const { data, error } = await supabase
+      .from('categories')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async remove(id) {
+    const { error } = await supabase.from('categories').delete().eq('id', id);
+    if (error) throw error;
+  },
+
+  // Rewrites complaints tagged `from` to `to`; resolves to the number changed
+  async renameTag(from, to) {
+    const { data, error } = await supabase.rpc('rename_complaint_tag', { p_from: from, p_to: to });
+    if (error) throw error;
+    return data;
+  },
+});
+
+module.exports = { createCategoryRepository };
@@ -0,0 +1,108 @@
+const createCommentRepository = (supabase) => ({
+  async create(comment) {
+    const { data, error } = await supabase
+      .from('complaint_comments')
+      .insert([comment])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async findById(id) {
+    const { data, error } = await supabase
+      .from('complaint_comments')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Oldest first; internal notes only when asked for
+  async listByComplaint(complaintId, { includeInternal = false } = {}) {
+    let query = supabase
+      .from('complaint_comments')
+      .select('*')
+      .eq('complaint_id', complaintId)
+      .order('created_at', { ascending: true });
+    if (!includeInternal) query = query.eq('internal', false);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  },
+
+  // Same, for several complaints at once
+  async listByComplaints(complaintIds, { includeInternal = false } = {}) {
+    if (!complaintIds.length) return [];
+
+    let query = supabase
+      .from('complaint_comments')
+      .select('*')
+      .in('complaint_id', complaintIds)
+      .order('created_at', { ascending: true });
+    if (!includeInternal) query = query.eq('internal', false);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  },
+
+  // Keeps the previous body as a revision, then applies the edit
+  async edit(id, body, editorId) {
+    const comment = await this.findById(id);
+    if (!comment) return null;
+
+    const { error: revisionError } = await supabase
+      .from('complaint_comment_revisions')
+      .insert([{ comment_id: id, body: comment.body, action: 'edited', editor_id: editorId }]);
+    if (revisionError) throw revisionError;
+
+    const { data, error } = await supabase
+      .from('complaint_comments')
+      .update({ body, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Soft delete: the row stays so replies keep their place in the thread
+  async remove(id, editorId) {
+    const comment = await this.findById(id);
+    if (!comment) return null;
+
+    const { error: revisionError } = await supabase
+      .from('complaint_comment_revisions')
+      .insert([{ comment_id: id, body: comment.body, action: 'deleted', editor_id: editorId }]);
+    if (revisionError) throw revisionError;
+
+    const { data, error } = await supabase
+      .from('complaint_comments')
+      .update({ body: null, deleted_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async listRevisions(id) {
+    const { data, error } = await supabase
+      .from('complaint_comment_revisions')
+      .select('*')
+      .eq('comment_id', id)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+});
+
+module.exports = { createCommentRepository };
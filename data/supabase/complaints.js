@@ -0,0 +1,151 @@
+const { likeTerm } = require('./search');
+
+// Apply the shared complaint filters to a Supabase query. `ids` limits to the
+// given complaints; `status`, `tag` and `visibility` accept a single value or
+// a list (any of); `merged: false` skips complaints merged into another;
+// `assigneeId: 'none'` means unassigned; `located: true` keeps complaints with
+// coordinates; `overdueAt` (a timestamp) keeps those past an SLA due date at
+// that time. `near` is handled by fromComplaints below.
+const applyFilters = (query, {
+  ids, userId, status, tag, visibility, merged, assigneeId, departmentId, buildingId, located, overdueAt, from, to, q,
+} = {}) => {
+  if (ids) query = query.in('id', ids);
+  if (userId) query = query.eq('user_id', userId);
+  if (overdueAt) {
+    query = query.or(
+      `and(acknowledged_at.is.null,ack_due_at.lt.${overdueAt}),and(resolved_at.is.null,resolve_due_at.lt.${overdueAt})`
+    );
+  }
+  if (buildingId) query = query.eq('building_id', buildingId);
+  if (located) query = query.not('latitude', 'is', null);
+  if (assigneeId) query = assigneeId === 'none' ? query.is('assignee_id', null) : query.eq('assignee_id', assigneeId);
+  if (departmentId) query = query.eq('department_id', departmentId);
+  if (visibility) {
+    query = Array.isArray(visibility) ? query.in('visibility', visibility) : query.eq('visibility', visibility);
+  }
+  if (merged === false) query = query.is('merged_into', null);
+  if (status) query = Array.isArray(status) ? query.in('status', status) : query.eq('status', status);
+  if (tag) query = Array.isArray(tag) ? query.overlaps('tags', tag) : query.contains('tags', [tag]);
+  if (from) query = query.gte('created_at', from);
+  if (to) query = query.lte('created_at', to);
+  if (q) query = query.or(`title.ilike.${likeTerm(q)},description.ilike.${likeTerm(q)}`);
+  return query;
+};
+
+// Complaints, or with `near: { latitude, longitude, radius }` only those
+// within radius metres (complaints_near database function)
+const fromComplaints = (supabase, { near } = {}, { count, head } = {}) => {
+  if (!near) return supabase.from('complaints').select('*', { count, head });
+  return supabase.rpc('complaints_near', {
+    p_lat: near.latitude,
+    p_lng: near.longitude,
+    p_radius_m: near.radius,
+  }, { count, head });
+};
+
+const createComplaintRepository = (supabase) => ({
+  async list(filters, { orderBy, ascending = false, limit } = {}) {
+    let query = applyFilters(fromComplaints(supabase, filters), filters);
+    if (orderBy) query = query.order(orderBy, { ascending });
+    if (limit) query = query.limit(limit);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  },
+
+  // One page of matching complaints plus the total number of matches
+  // `after` (a row from the previous page) pages by keyset instead of
+  // offset; only in created_at order
+  async search(filters, { sort = 'created_at', ascending = false, offset = 0, limit = 20, after } = {}) {
+    let query = applyFilters(fromComplaints(supabase, filters, { count: 'exact' }), filters);
+    if (after) {
+      if (sort !== 'created_at') throw new Error('Keyset paging needs sort=created_at');
+      query = query.or(
+        `created_at.${ascending ? 'gt' : 'lt'}."${after.created_at}",and(created_at.eq."${after.created_at}",id.gt.${after.id})`
+      );
+    }
+    query = query.order(sort, { ascending });
+    if (sort !== 'created_at') query = query.order('created_at', { ascending: false });
+
+    const { data, count, error } = await query
+      .order('id', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { items: data, total: count };
+  },
+
+  async count(filters) {
+    const { count, error } = await applyFilters(
+      fromComplaints(supabase, filters, { count: 'exact', head: true }),
+      filters
+    );
+    if (error) throw error;
+    return count;
+  },
+
+  // Dashboard aggregates in one call (complaint_analytics database function);
+  // `from`, `to` and `interval` may be omitted for all-time totals
+  async analytics({ from, to, interval, openStatuses = [], top = 10 } = {}) {
+    const { data, error } = await supabase.rpc('complaint_analytics', {
+      p_from: from || null,
+      p_to: to || null,
+      p_interval: interval || null,
+      p_open_statuses: openStatuses,
+      p_top: top,
+    });
+    if (error) throw error;
+    return data;
+  },
+
+  async findById(id) {
+    const { data, error } = await supabase
+      .from('complaints')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async create(complaint) {
+    const { data, error } = await supabase
+      .from('complaints')
+      .insert([complaint])
+      .select('*')
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async update(id, changes) {
+    const { data, error } = await supabase
+      .from('complaints')
+      .update(changes)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Moves votes and images from the duplicate onto the surviving complaint
+  async merge(duplicateId, survivingId) {
+    const { error } = await supabase.rpc('merge_complaints', {
+      p_duplicate: duplicateId,
+      p_surviving: survivingId,
+    });
+    if (error) throw error;
+  },
+
+  async remove(id) {
+    const { error } = await supabase.from('complaints').delete().eq('id', id);
+    if (error) throw error;
+  },
+});
+
+module.exports = { createComplaintRepository };
@@ -0,0 +1,64 @@
+const createDepartmentRepository = (supabase) => ({
+  // Oldest first, which is also the routing priority
+  async list() {
+    const { data, error } = await supabase
+      .from('departments')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
+  async findById(id) {
+    const { data, error } = await supabase
+      .from('departments')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async findByName(name) {
+    const { data, error } = await supabase
+      .from('departments')
+      .select('*')
+      .eq('name', name)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async create(department) {
+    const { data, error } = await supabase
+      .from('departments')
+      .insert([department])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async update(id, changes) {
+    const { data, error } = await supabase
+      .from('departments')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async remove(id) {
+    const { error } = await supabase.from('departments').delete().eq('id', id);
+    if (error) throw error;
+  },
+});
+
+module.exports = { createDepartmentRepository };
@@ -0,0 +1,87 @@
+const applyFilters = (query, { complaintId, actorId, action, from, to } = {}) => {
+  if (complaintId) query = query.eq('complaint_id', complaintId);
+  if (actorId) query = query.eq('actor_id', actorId);
+  if (action) query = Array.isArray(action) ? query.in('action', action) : query.eq('action', action);
+  if (from) query = query.gte('created_at', from);
+  if (to) query = query.lte('created_at', to);
+  return query;
+};
+
+// Complaint events are append-only: there is no update or remove
+const createEventRepository = (supabase) => ({
+  async create(event) {
+    const { data, error } = await supabase
+      .from('complaint_events')
+      .insert([event])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Oldest first, as a timeline
+  async listByComplaint(complaintId) {
+    const { data, error } = await supabase
+      .from('complaint_events')
+      .select('*')
+      .eq('complaint_id', complaintId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Timelines of several complaints at once, optionally only some actions
+  async listByComplaints(complaintIds, { action } = {}) {
+    if (!complaintIds.length) return [];
+
+    const { data, error } = await applyFilters(
+      supabase.from('complaint_events').select('*').in('complaint_id', complaintIds),
+      { action }
+    ).order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Events recorded after the given one, oldest first; null for an unknown id.
+  // Ordered by (created_at, id) so events in the same instant are neither
+  // skipped nor repeated.
+  async listAfter(eventId, { limit = 100 } = {}) {
+    const { data: last, error: findError } = await supabase
+      .from('complaint_events')
+      .select('id, created_at')
+      .eq('id', eventId)
+      .maybeSingle();
+
+    if (findError) throw findError;
+    if (!last) return null;
+
+    const { data, error } = await supabase
+      .from('complaint_events')
+      .select('*')
+      .or(`created_at.gt."${last.created_at}",and(created_at.eq."${last.created_at}",id.gt.${last.id})`)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Newest first, for the global feed
+  async search(filters, { offset = 0, limit = 20 } = {}) {
+    const { data, count, error } = await applyFilters(
+      supabase.from('complaint_events').select('*', { count: 'exact' }),
+      filters
+    )
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { items: data, total: count };
+  },
+});
+
+module.exports = { createEventRepository };
@@ -0,0 +1,41 @@
+// Who follows which complaint; rows cascade with the complaint
+const createFollowRepository = (supabase) => ({
+  // Resolves to true when the follow was new, false if the user already followed
+  async add(userId, complaintId) {
+    const { data, error } = await supabase
+      .from('complaint_follows')
+      .upsert([{ user_id: userId, complaint_id: complaintId }], {
+        onConflict: 'user_id,complaint_id',
+        ignoreDuplicates: true,
+      })
+      .select();
+
+    if (error) throw error;
+    return data.length > 0;
+  },
+
+  // Resolves to true when a follow was removed
+  async remove(userId, complaintId) {
+    const { data, error } = await supabase
+      .from('complaint_follows')
+      .delete()
+      .eq('user_id', userId)
+      .eq('complaint_id', complaintId)
+      .select();
+
+    if (error) throw error;
+    return data.length > 0;
+  },
+
+  async listFollowerIds(complaintId) {
+    const { data, error } = await supabase
+      .from('complaint_follows')
+      .select('user_id')
+      .eq('complaint_id', complaintId);
+
+    if (error) throw error;
+    return data.map((follow) => follow.user_id);
+  },
+});
+
+module.exports = { createFollowRepository };
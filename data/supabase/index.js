@@ -0,0 +1,47 @@
+const { createClient } = require('@supabase/supabase-js');
+const { createComplaintRepository } = require('./complaints');
+const { createProfileRepository } = require('./profiles');
+const { createAuthRepository } = require('./auth');
+const { createStorageRepository } = require('./storage');
+const { createEventRepository } = require('./events');
+const { createVoteRepository } = require('./votes');
+const { createFollowRepository } = require('./follows');
+const { createCommentRepository } = require('./comments');
+const { createNotificationRepository } = require('./notifications');
+const { createCategoryRepository } = require('./categories');
+const { createDepartmentRepository } = require('./departments');
+const { createStaffRepository } = require('./staff');
+const { createRoleRepository } = require('./roles');
+const { createSessionRepository } = require('./sessions');
+const { createAccountTokenRepository } = require('./accountTokens');
+const { createAttachmentRepository } = require('./attachments');
+const { createLocationRepository } = require('./locations');
+const { createRateLimitRepository } = require('./rateLimits');
+
+const createSupabaseRepositories = ({ url, key }) => {
+  const supabase = createClient(url, key);
+
+  return {
+    backend: 'supabase',
+    complaints: createComplaintRepository(supabase),
+    profiles: createProfileRepository(supabase),
+    auth: createAuthRepository(supabase),
+    storage: createStorageRepository(supabase),
+    events: createEventRepository(supabase),
+    votes: createVoteRepository(supabase),
+    follows: createFollowRepository(supabase),
+    comments: createCommentRepository(supabase),
+    notifications: createNotificationRepository(supabase),
+    categories: createCategoryRepository(supabase),
+    departments: createDepartmentRepository(supabase),
+    staff: createStaffRepository(supabase),
+    roles: createRoleRepository(supabase),
+    sessions: createSessionRepository(supabase),
+    accountTokens: createAccountTokenRepository(supabase),
+    attachments: createAttachmentRepository(supabase),
+    locations: createLocationRepository(supabase),
+    rateLimits: createRateLimitRepository(supabase),
+  };
+};
+
+module.exports = { createSupabaseRepositories };
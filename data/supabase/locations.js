@@ -0,0 +1,54 @@
+const createLocationRepository = (supabase) => ({
+  // Ordered by name. Filters: parentId ('root' for buildings' level), kind
+  async list({ parentId, kind } = {}) {
+    let query = supabase.from('locations').select('*').order('name', { ascending: true });
+    if (parentId === 'root') query = query.is('parent_id', null);
+    else if (parentId) query = query.eq('parent_id', parentId);
+    if (kind) query = query.eq('kind', kind);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  },
+
+  async findById(id) {
+    const { data, error } = await supabase.from('locations').select('*').eq('id', id).maybeSingle();
+    if (error) throw error;
+    return data;
+  },
+
+  async findByName(parentId, name) {
+    let query = supabase.from('locations').select('*').eq('name', name);
+    query = parentId ? query.eq('parent_id', parentId) : query.is('parent_id', null);
+
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+    return data;
+  },
+
+  async create(location) {
+    const { data, error } = await supabase.from('locations').insert([location]).select().single();
+    if (error) throw error;
+    return data;
+  },
+
+  async update(id, changes) {
+    const { data, error } = await supabase
+      .from('locations')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Children cascade; complaints keep their coordinates but lose the reference
+  async remove(id) {
+    const { error } = await supabase.from('locations').delete().eq('id', id);
+    if (error) throw error;
+  },
+});
+
+module.exports = { createLocationRepository };
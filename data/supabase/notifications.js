@@ -0,0 +1,63 @@
+const createNotificationRepository = (supabase) => ({
+  async getPreferences(userId) {
+    const { data, error } = await supabase
+      .from('notification_preferences')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async savePreferences(userId, { email, events }) {
+    const { data, error } = await supabase
+      .from('notification_preferences')
+      .upsert([{ user_id: userId, email, events, updated_at: new Date().toISOString() }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async addDeadLetter(entry) {
+    const { data, error } = await supabase
+      .from('notification_dead_letters')
+      .insert([entry])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async findDeadLetter(id) {
+    const { data, error } = await supabase
+      .from('notification_dead_letters')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async listDeadLetters({ offset = 0, limit = 20 } = {}) {
+    const { data, count, error } = await supabase
+      .from('notification_dead_letters')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { items: data, total: count };
+  },
+
+  async removeDeadLetter(id) {
+    const { error } = await supabase.from('notification_dead_letters').delete().eq('id', id);
+    if (error) throw error;
+  },
+});
+
+module.exports = { createNotificationRepository };
@@ -0,0 +1,64 @@
+const { likeTerm } = require('./search');
+
+const createProfileRepository = (supabase) => ({
+  async findByUserId(userId) {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('*')
+      .eq('user_id', userId)
+      .limit(1);
+
+    if (error) throw error;
+    return data[0] || null;
+  },
+
+  async findByEmail(email) {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('*')
+      .ilike('email', email.replace(/[%_\\]/g, '\\$&'))
+      .limit(1);
+
+    if (error) throw error;
+    return data[0] || null;
+  },
+
+  // Newest first. Filters: q (name or email), disabled (boolean)
+  async search({ q, disabled } = {}, { offset = 0, limit = 20 } = {}) {
+    let query = supabase.from('profiles').select('*', { count: 'exact' });
+    if (q) query = query.or(`display_name.ilike.${likeTerm(q)},email.ilike.${likeTerm(q)}`);
+    if (disabled === true) query = query.not('disabled_at', 'is', null);
+    if (disabled === false) query = query.is('disabled_at', null);
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { items: data, total: count };
+  },
+
+  async create(profile) {
+    const { data, error } = await supabase
+      .from('profiles')
+      .insert([profile])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async update(userId, changes) {
+    const { data, error } = await supabase
+      .from('profiles')
+      .update(changes)
+      .eq('user_id', userId)
+      .select();
+
+    if (error) throw error;
+    return data[0] || null;
+  },
+});
+
+module.exports = { createProfileRepository };
@@ -0,0 +1,32 @@
+// Rate-limit buckets shared by every instance (see rateLimit.js). Hits go
+// through the rate_limit_hit database function so concurrent requests can't
+// both see the old count.
+const createRateLimitRepository = (supabase) => ({
+  async hit(key, windowMs) {
+    const { data, error } = await supabase
+      .rpc('rate_limit_hit', { p_key: key, p_window_ms: windowMs })
+      .single();
+
+    if (error) throw error;
+    return { count: data.count, resetAt: new Date(data.reset_at).getTime() };
+  },
+
+  async get(key) {
+    const { data, error } = await supabase
+      .from('rate_limits')
+      .select('count, reset_at')
+      .eq('key', key)
+      .gt('reset_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) throw error;
+    return data && { count: data.count, resetAt: new Date(data.reset_at).getTime() };
+  },
+
+  async reset(key) {
+    const { error } = await supabase.from('rate_limits').delete().eq('key', key);
+    if (error) throw error;
+  },
+});
+
+module.exports = { createRateLimitRepository };
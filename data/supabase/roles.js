@@ -0,0 +1,36 @@
+const createRoleRepository = (supabase) => ({
+  async list() {
+    const { data, error } = await supabase.from('user_roles').select('*').order('created_at', { ascending: true });
+    if (error) throw error;
+    return data;
+  },
+
+  async findByUserId(userId) {
+    const { data, error } = await supabase
+      .from('user_roles')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async set(userId, role, grantedBy = null) {
+    const { data, error } = await supabase
+      .from('user_roles')
+      .upsert([{ user_id: userId, role, granted_by: grantedBy, updated_at: new Date().toISOString() }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async remove(userId) {
+    const { error } = await supabase.from('user_roles').delete().eq('user_id', userId);
+    if (error) throw error;
+  },
+});
+
+module.exports = { createRoleRepository };
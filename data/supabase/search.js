@@ -0,0 +1,4 @@
+// Quote a search term for a PostgREST `or` filter, dropping LIKE wildcards
+const likeTerm = (q) => `"%${q.replace(/[%_\\"]/g, '')}%"`;
+
+module.exports = { likeTerm };
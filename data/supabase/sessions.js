@@ -0,0 +1,75 @@
+const createSessionRepository = (supabase) => ({
+  async create(session) {
+    const { data, error } = await supabase.from('user_sessions').insert([session]).select().single();
+    if (error) throw error;
+    return data;
+  },
+
+  async findById(id) {
+    const { data, error } = await supabase.from('user_sessions').select('*').eq('id', id).maybeSingle();
+    if (error) throw error;
+    return data;
+  },
+
+  // Sessions that are neither revoked nor expired, most recently used first
+  async listActive(userId) {
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .select('*')
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('last_used_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  },
+
+  async update(id, changes) {
+    const { data, error } = await supabase.from('user_sessions').update(changes).eq('id', id).select().single();
+    if (error) throw error;
+    return data;
+  },
+
+  // Replaces the refresh token hash only if it is still `tokenHash`, so of two
+  // concurrent refreshes only one wins. Resolves to the session, or null.
+  async rotate(id, tokenHash, changes) {
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .update(changes)
+      .eq('id', id)
+      .eq('token_hash', tokenHash)
+      .is('revoked_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async revoke(id) {
+    const { error } = await supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', id)
+      .is('revoked_at', null);
+
+    if (error) throw error;
+  },
+
+  // Returns the number of sessions revoked
+  async revokeAll(userId, { exceptId } = {}) {
+    let query = supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+    if (exceptId) query = query.neq('id', exceptId);
+
+    const { data, error } = await query.select('id');
+    if (error) throw error;
+    return data.length;
+  },
+});
+
+module.exports = { createSessionRepository };
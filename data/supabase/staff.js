@@ -0,0 +1,39 @@
+const createStaffRepository = (supabase) => ({
+  async list({ departmentId } = {}) {
+    let query = supabase.from('staff_members').select('*').order('created_at', { ascending: true });
+    if (departmentId) query = query.eq('department_id', departmentId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  },
+
+  async findByUserId(userId) {
+    const { data, error } = await supabase
+      .from('staff_members')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async upsert(member) {
+    const { data, error } = await supabase
+      .from('staff_members')
+      .upsert([{ ...member, updated_at: new Date().toISOString() }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async remove(userId) {
+    const { error } = await supabase.from('staff_members').delete().eq('user_id', userId);
+    if (error) throw error;
+  },
+});
+
+module.exports = { createStaffRepository };
@@ -0,0 +1,24 @@
+const createStorageRepository = (supabase) => ({
+  // Uploads the buffer and resolves to its public URL
+  async upload(bucket, filePath, buffer, { contentType, cacheControl = '3600' } = {}) {
+    const { error } = await supabase
+      .storage
+      .from(bucket)
+      .upload(filePath, buffer, { contentType, cacheControl, upsert: false });
+
+    if (error) throw error;
+    return this.getPublicUrl(bucket, filePath);
+  },
+
+  async remove(bucket, filePaths) {
+    const { error } = await supabase.storage.from(bucket).remove(filePaths);
+    if (error) throw error;
+  },
+
+  getPublicUrl(bucket, filePath) {
+    const { data: { publicUrl } } = supabase.storage.from(bucket).getPublicUrl(filePath);
+    return publicUrl;
+  },
+});
+
+module.exports = { createStorageRepository };
@@ -0,0 +1,61 @@
+// complaints.upvotes is maintained by triggers on complaint_votes
+const createVoteRepository = (supabase) => ({
+  // Resolves to true when the vote was new, false if the user had already voted
+  async add(userId, complaintId) {
+    const { data, error } = await supabase
+      .from('complaint_votes')
+      .upsert([{ user_id: userId, complaint_id: complaintId }], {
+        onConflict: 'user_id,complaint_id',
+        ignoreDuplicates: true,
+      })
+      .select();
+
+    if (error) throw error;
+    return data.length > 0;
+  },
+
+  // Resolves to true when a vote was removed
+  async remove(userId, complaintId) {
+    const { data, error } = await supabase
+      .from('complaint_votes')
+      .delete()
+      .eq('user_id', userId)
+      .eq('complaint_id', complaintId)
+      .select();
+
+    if (error) throw error;
+    return data.length > 0;
+  },
+
+  // Which of the given complaints the user has voted for
+  async votedIds(userId, complaintIds) {
+    if (!complaintIds.length) return new Set();
+
+    const { data, error } = await supabase
+      .from('complaint_votes')
+      .select('complaint_id')
+      .eq('user_id', userId)
+      .in('complaint_id', complaintIds);
+
+    if (error) throw error;
+    return new Set(data.map((vote) => vote.complaint_id));
+  },
+
+  // The user's voted complaints, most recent vote first
+  async listComplaintsByUser(userId, { offset = 0, limit = 20 } = {}) {
+    const { data, count, error } = await supabase
+      .from('complaint_votes')
+      .select('created_at, complaint:complaints(*)', { count: 'exact' })
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return {
+      items: data.map((vote) => ({ ...vote.complaint, voted_at: vote.created_at })),
+      total: count,
+    };
+  },
+});
+
+module.exports = { createVoteRepository };
@@ -0,0 +1,85 @@
+// Every error response has the same body: { message, code, ...details }, where
+// code is machine-readable (authMiddleware's deny and rateLimit's tooMany set
+// their own; other responses get the default for their status). Handlers can
+// still answer with res.status(...).json({ message }), or pass an apiError()
+// to next().
+
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'BAD_GATEWAY',
+};
+
+const codeFor = (status) => STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+// An Error that errorHandler answers with `status`; details are added to the body
+const apiError = (status, message, { code, ...details } = {}) =>
+  Object.assign(new Error(message), { status, code: code || codeFor(status), details, expose: true });
+
+// Multer's upload errors, by multer error code
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: [413, 'FILE_TOO_LARGE', 'File too large'],
+  LIMIT_FILE_COUNT: [400, 'TOO_MANY_FILES', 'Too many files'],
+  LIMIT_UNEXPECTED_FILE: [400, 'UNEXPECTED_FILE', 'Unexpected file field'],
+  LIMIT_PART_COUNT: [400, 'UPLOAD_REJECTED', 'Too many parts in the upload'],
+  LIMIT_FIELD_KEY: [400, 'UPLOAD_REJECTED', 'Field name too long'],
+  LIMIT_FIELD_VALUE: [400, 'UPLOAD_REJECTED', 'Field value too long'],
+  LIMIT_FIELD_COUNT: [400, 'UPLOAD_REJECTED', 'Too many fields'],
+};
+
+// Fills in `code` on error bodies and drops `error`, which used to carry raw
+// database and storage errors. Registered before the routes.
+const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 400 || !body || typeof body !== 'object' || Array.isArray(body)) return json(body);
+
+    const { error, ...rest } = body;
+    return json({
+      ...rest,
+      message: rest.message || (res.statusCode < 500 && typeof error === 'string' ? error : 'Something went wrong'),
+      code: rest.code || codeFor(res.statusCode),
+    });
+  };
+  next();
+};
+
+// Unknown routes; registered after all of them
+const notFound = (req, res) => {
+  res.status(404).json({ message: `Cannot ${req.method} ${req.path}`, code: 'ROUTE_NOT_FOUND' });
+};
+
+// Errors passed to next(): apiError()s, multer upload limits, unreadable JSON
+// bodies and anything else that escaped a handler (500, details logged only).
+// Express only treats it as an error handler with all four parameters.
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) return res.destroy(error);
+
+  if (error.name === 'MulterError') {
+    const [status, code, message] = UPLOAD_ERRORS[error.code] || [400, 'UPLOAD_REJECTED', error.message];
+    return res.status(status).json({ message: error.field ? `${message} ("${error.field}")` : message, code });
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ message: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ message: 'Request body too large', code: 'PAYLOAD_TOO_LARGE' });
+  }
+
+  const status = error.status || error.statusCode || 500;
+  if (status >= 500 || !error.expose) {
+    console.error('Unhandled Error:', error);
+    return res.status(status >= 400 ? status : 500).json({ message: 'Something went wrong', code: codeFor(status) });
+  }
+  res.status(status).json({ message: error.message, code: error.code || codeFor(status), ...error.details });
+};
+
+module.exports = { apiError, errorEnvelope, errorHandler, notFound, codeFor, STATUS_CODES };
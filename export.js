@@ -0,0 +1,161 @@
+// Offline complaint exports for administrators. CSV and JSON are written in
+// batches as they are read, so the whole result never sits in memory; the PDF
+// is a one-page-or-so summary of the analytics for a period.
+
+const { once } = require('events');
+const PDFDocument = require('pdfkit');
+
+const EXPORT_FORMATS = ['csv', 'json', 'pdf'];
+const BATCH_SIZE = 200;
+
+const CSV_COLUMNS = [
+  'id', 'created_at', 'title', 'description', 'status', 'priority', 'tags', 'visibility', 'upvotes',
+  'user_id', 'department_id', 'assignee_id', 'building_id', 'location_id', 'latitude', 'longitude',
+  'ack_due_at', 'resolve_due_at', 'acknowledged_at', 'resolved_at', 'merged_into',
+  'comment_count', 'comments', 'status_history',
+];
+
+// Quotes when needed. Text with a leading =, +, - or @ would run as a
+// spreadsheet formula and is prefixed with '; numbers (-73.98) are left alone.
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = Array.isArray(value) ? value.join(';') : String(value);
+  const isText = typeof value === 'string' || Array.isArray(value);
+  if (isText && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvField).join(',')}\r\n`;
+
+// "<when> <role>[ (internal)]: <body>" per comment, deleted ones marked as such
+const commentLines = (comments) => comments.map((comment) =>
+  `${comment.created_at} ${comment.author_role}${comment.internal ? ' (internal)' : ''}: ${comment.deleted_at ? '[deleted]' : comment.body}`
+).join('\n');
+
+// "<when> [<from> -> ]<to>" per status change, starting with creation
+const historyLines = (events) => events.map((event) =>
+  `${event.created_at} ${event.old_value ? `${event.old_value} -> ` : ''}${event.new_value}${event.reason ? ` (${event.reason})` : ''}`
+).join('\n');
+
+const toCsvRow = (complaint) => CSV_COLUMNS.map((column) => {
+  if (column === 'comment_count') return complaint.comments.filter((comment) => !comment.deleted_at).length;
+  if (column === 'comments') return commentLines(complaint.comments);
+  if (column === 'status_history') return historyLines(complaint.status_history);
+  return complaint[column];
+});
+
+const groupBy = (rows, key) => {
+  const groups = new Map();
+  for (const row of rows) groups.set(row[key], [...(groups.get(row[key]) || []), row]);
+  return groups;
+};
+
+// Matching complaints in batches, each with its comments (internal notes
+// included) and status changes, oldest first. Batches follow on from the last
+// row read (created_at, id), so complaints added or deleted meanwhile don't
+// shift the rest.
+async function* exportBatches(repos, filters, { ascending = true, batchSize = BATCH_SIZE } = {}) {
+  for (let after; ;) {
+    const { items } = await repos.complaints.search(filters, { sort: 'created_at', ascending, after, limit: batchSize });
+    if (!items.length) return;
+    after = items[items.length - 1];
+
+    const ids = items.map((complaint) => complaint.id);
+    const [comments, events] = await Promise.all([
+      repos.comments.listByComplaints(ids, { includeInternal: true }),
+      repos.events.listByComplaints(ids, { action: ['created', 'status_changed'] }),
+    ]);
+    const commentsOf = groupBy(comments, 'complaint_id');
+    const eventsOf = groupBy(events, 'complaint_id');
+
+    yield items.map((complaint) => ({
+      ...complaint,
+      comments: commentsOf.get(complaint.id) || [],
+      status_history: eventsOf.get(complaint.id) || [],
+    }));
+
+    if (items.length < batchSize) return;
+  }
+}
+
+// Waits for the client to catch up instead of buffering the whole export.
+// Resolves to false once the client has gone away.
+const write = async (stream, chunk) => {
+  if (!stream.write(chunk)) await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+  return !stream.destroyed;
+};
+
+// Nothing is written until the first batch has been read, so a failing query
+// can still be answered with an error status
+const writeCsv = async (stream, batches) => {
+  // The byte order mark makes Excel read the file as UTF-8
+  let header = `\uFEFF${csvLine(CSV_COLUMNS)}`;
+  for await (const batch of batches) {
+    if (!await write(stream, header + batch.map((complaint) => csvLine(toCsvRow(complaint))).join(''))) return;
+    header = '';
+  }
+  stream.end(header);
+};
+
+// A JSON array, one complaint per line
+const writeJson = async (stream, batches) => {
+  let separator = '[\n';
+  for await (const batch of batches) {
+    if (!await write(stream, separator + batch.map((complaint) => JSON.stringify(complaint)).join(',\n'))) return;
+    separator = ',\n';
+  }
+  stream.end(separator === '[\n' ? '[]\n' : '\n]\n');
+};
+
+// Summary report from summarizeAnalytics: totals, counts by status and tag,
+// the opened/resolved series, resolution times and top open complaints
+const writePdfReport = (stream, analytics) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: 'Complaint report' } });
+  doc.pipe(stream);
+
+  const day = (timestamp) => timestamp.slice(0, 10);
+  const heading = (text) => doc.moveDown().font('Helvetica-Bold').fontSize(13).text(text).font('Helvetica').fontSize(10);
+  const table = (rows) => {
+    for (const [label, value] of rows) {
+      // Label and value must land on the same page
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+      const y = doc.y;
+      doc.text(String(label), 50, y, { width: 330 });
+      doc.text(String(value), 390, y, { width: 150, align: 'right' });
+      doc.moveDown(0.2);
+    }
+  };
+
+  doc.font('Helvetica-Bold').fontSize(18).text('Complaint report');
+  doc.font('Helvetica').fontSize(10)
+    .text(`${day(analytics.range.from)} to ${day(analytics.range.to)}, by ${analytics.range.interval}`)
+    .text(`Generated ${analytics.generated_at || new Date().toISOString()}`);
+
+  const { resolution_hours: hours, sla } = analytics;
+  heading('Summary');
+  table([
+    ['Complaints opened', analytics.total],
+    ['Complaints resolved', hours.count],
+    ['Resolved within SLA', sla.compliance === null ? '-' : `${Math.round(sla.compliance * 100)}%`],
+    ['Resolution time, median (h)', hours.p50 ?? '-'],
+    ['Resolution time, 90th percentile (h)', hours.p90 ?? '-'],
+  ]);
+
+  heading('By status');
+  table(Object.entries(analytics.by_status));
+
+  heading('By tag');
+  table(Object.entries(analytics.by_tag).map(([tag, { total }]) => [tag, total]));
+
+  heading(`Opened / resolved per ${analytics.range.interval}`);
+  table(analytics.series.map(({ period, opened, resolved }) => [period, `${opened} / ${resolved}`]));
+
+  if (analytics.top_open.length) {
+    heading('Most upvoted open complaints');
+    table(analytics.top_open.map((complaint) => [`${complaint.title} (${complaint.status})`, complaint.upvotes || 0]));
+  }
+
+  doc.end();
+};
+
+module.exports = { exportBatches, writeCsv, writeJson, writePdfReport, csvField, EXPORT_FORMATS, CSV_COLUMNS };
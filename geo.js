@@ -0,0 +1,65 @@
+// Coordinates and distances for location-aware complaints
+
+const EARTH_RADIUS_M = 6371000;
+const DEFAULT_RADIUS_M = 1000;
+const MAX_RADIUS_M = 50000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance in metres
+const distanceMeters = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+};
+
+// Returns { latitude, longitude }, null when both are absent, or { error }
+const parseCoordinates = (latitude, longitude) => {
+  const blank = (value) => value === undefined || value === null || value === '';
+  if (blank(latitude) && blank(longitude)) return null;
+  if (blank(latitude) || blank(longitude)) return { error: 'latitude and longitude must be given together' };
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) return { error: 'latitude must be between -90 and 90' };
+  if (!Number.isFinite(lng) || lng < -180 || lng > 180) return { error: 'longitude must be between -180 and 180' };
+  return { latitude: lat, longitude: lng };
+};
+
+// ?near=lat,lng&radius=metres → { latitude, longitude, radius } or { error }
+const parseNear = (near, radius) => {
+  const [latitude, longitude, extra] = String(near).split(',');
+  const point = extra === undefined ? parseCoordinates(latitude, longitude) : null;
+  if (!point || point.error) return { error: 'Invalid "near" (expected lat,lng)' };
+
+  const meters = radius === undefined ? DEFAULT_RADIUS_M : Number(radius);
+  if (!Number.isFinite(meters) || meters <= 0 || meters > MAX_RADIUS_M) {
+    return { error: `Invalid radius (expected metres, up to ${MAX_RADIUS_M})` };
+  }
+  return { ...point, radius: meters };
+};
+
+// FeatureCollection of the complaints that have coordinates
+const toGeoJSON = (complaints) => ({
+  type: 'FeatureCollection',
+  features: complaints
+    .filter((complaint) => complaint.latitude != null && complaint.longitude != null)
+    .map((complaint) => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [complaint.longitude, complaint.latitude] },
+      properties: {
+        id: complaint.id,
+        title: complaint.title,
+        status: complaint.status,
+        tags: complaint.tags,
+        upvotes: complaint.upvotes,
+        building_id: complaint.building_id || null,
+        location_id: complaint.location_id || null,
+        created_at: complaint.created_at,
+      },
+    })),
+});
+
+module.exports = { distanceMeters, parseCoordinates, parseNear, toGeoJSON, DEFAULT_RADIUS_M, MAX_RADIUS_M };
@@ -0,0 +1,79 @@
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+
+// Image handling for uploads. The client's mimetype is never trusted: the
+// format is read from the file's magic bytes and sharp must then decode it.
+// Output never carries metadata (EXIF, GPS, camera details), since sharp drops
+// it unless asked to keep it; orientation is applied to the pixels first.
+
+const SIGNATURES = [
+  { type: 'image/jpeg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: 'image/png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/gif', matches: (b) => ['GIF87a', 'GIF89a'].includes(b.subarray(0, 6).toString('latin1')) },
+  { type: 'image/webp', matches: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+];
+
+const ACCEPTED_TYPES = SIGNATURES.map(({ type }) => type);
+
+// The detected content type, or null for anything that isn't a supported image
+const sniffImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  const signature = SIGNATURES.find(({ matches }) => matches(buffer));
+  return signature ? signature.type : null;
+};
+
+// GPS position recorded by the camera, as { latitude, longitude }, or null.
+// Must be read from the original upload: processed images carry no EXIF.
+async function readGpsLocation(buffer) {
+  try {
+    const { exif } = await sharp(buffer).metadata();
+    const gps = exif && exifReader(exif).GPSInfo;
+    if (!gps || !Array.isArray(gps.GPSLatitude) || !Array.isArray(gps.GPSLongitude)) return null;
+
+    const toDegrees = ([degrees = 0, minutes = 0, seconds = 0]) => degrees + minutes / 60 + seconds / 3600;
+    const latitude = toDegrees(gps.GPSLatitude) * (gps.GPSLatitudeRef === 'S' ? -1 : 1);
+    const longitude = toDegrees(gps.GPSLongitude) * (gps.GPSLongitudeRef === 'W' ? -1 : 1);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+    return { latitude, longitude };
+  } catch (error) {
+    // Unreadable EXIF just means no location
+    return null;
+  }
+}
+
+// Resize and optimize to JPEG. Defaults suit complaint photos; avatars pass
+// fit: 'cover' for a centred square crop.
+async function processImage(buffer, { width = 1200, height = 1200, fit = 'inside' } = {}) {
+  try {
+    return await sharp(buffer)
+      .rotate()
+      .resize(width, height, {
+        fit,
+        withoutEnlargement: fit === 'inside'
+      })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+  } catch (error) {
+    console.error('Image processing error:', error);
+    throw error;
+  }
+}
+
+// A complaint attachment: a WebP of at most 1600px and a square WebP thumbnail
+async function processAttachment(buffer) {
+  const source = sharp(buffer).rotate();
+
+  const { data: image, info } = await source.clone()
+    .resize(1600, 1600, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer({ resolveWithObject: true });
+
+  const thumbnail = await source.clone()
+    .resize(320, 320, { fit: 'cover' })
+    .webp({ quality: 70 })
+    .toBuffer();
+
+  return { image, thumbnail, width: info.width, height: info.height };
+}
+
+module.exports = { sniffImageType, readGpsLocation, processImage, processAttachment, ACCEPTED_TYPES };
@@ -3,20 +3,60 @@ require('dotenv').config();
 
 const express = require('express');
 const app = express();
-const jwt = require('jsonwebtoken');
-const { createClient } = require('@supabase/supabase-js');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 const punycode = require("punycode/");
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
-const sharp = require('sharp');
-const { isAdmin } = require("./authMiddleware");
+const { createAuth, clientInfo, hasPermission, permissionsFor } = require("./authMiddleware");
+const { createRepositories } = require('./data');
+const { parseComplaintQuery, paginate, toList, parseDate } = require('./complaintQuery');
+const { parsePage, pageResponse } = require('./pagination');
+const { errorEnvelope, errorHandler, notFound } = require('./errors');
+const { validate, string, email, uuid, oneOf, array, boolean, list } = require('./validation');
+const { idParams, pageQuery, complaintQuery, optionalReason, coordinates, locationNote } = require('./schemas');
+const { createAuditLog, AUDIT_ACTIONS } = require('./audit');
+const { loadWorkflow } = require('./workflow');
+const { findSimilar } = require('./similarity');
+const { createCommentRoutes } = require('./routes/comments');
+const { createNotificationRoutes } = require('./routes/notifications');
+const { createCategoryRoutes } = require('./routes/categories');
+const { createStaffRoutes } = require('./routes/staff');
+const { createUserRoutes } = require('./routes/users');
+const { createSessionRoutes } = require('./routes/sessions');
+const { createAccountRoutes } = require('./routes/account');
+const { createAccounts, MIN_PASSWORD_LENGTH } = require('./accounts');
+const { profileBody, profileChanges, toProfileResponse, AVATAR_SIZES } = require('./profiles');
+const { sniffImageType, processImage } = require('./images');
+const { createAttachments } = require('./attachments');
+const { createAttachmentRoutes } = require('./routes/attachments');
+const { createLocationRoutes } = require('./routes/locations');
+const { createAnalyticsRoutes } = require('./routes/analytics');
+const { createExportRoutes } = require('./routes/exports');
+const { createBulkRoutes } = require('./routes/bulk');
+const { createDocsRoutes } = require('./routes/docs');
+const { createFollowRoutes } = require('./routes/follows');
+const { createEventRoutes } = require('./routes/events');
+const { resolveComplaintLocation } = require('./locations');
+const { toGeoJSON } = require('./geo');
+const { routeByTags } = require('./assignment');
+const { createSla, escalateOverdue, startSlaMonitor, PRIORITIES } = require('./sla');
+const { trustProxy, createMemoryStore, createRateLimiter, createLoginLockout, dailyComplaintQuota } = require('./rateLimit');
+const { createNotifier } = require('./notifications');
+const { createMailer } = require('./notifications/mailer');
+const { createWebhookSender } = require('./notifications/webhooks');
 
 
 
 // Constants
-const VALID_TAGS = ['electricity', 'canteen', 'furniture', 'campus'];
+// public: in the feed; anonymous: in the feed without the reporter; private: reporter and admins only
+const VISIBILITIES = ['public', 'private', 'anonymous'];
+const GEOJSON_LIMIT = 5000;
+// How long /admin/analytics and /admin/statistics results are reused (0 disables)
+const ANALYTICS_CACHE_SECONDS = process.env.ANALYTICS_CACHE_SECONDS === undefined
+  ? 60
+  : Number(process.env.ANALYTICS_CACHE_SECONDS);
 
 const allowedOrigins = ['https://urbanfix.madrasco.space', 'http://127.0.0.1:5500'];
 
@@ -25,67 +65,146 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json());
+// { message, code } on every error response (see errors.js)
+app.use(errorEnvelope);
 
-// Supabase setup using environment variables
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
-
-// Secret key for JWT from environment variables
-const JWT_SECRET = process.env.JWT_SECRET;
-
-// Function to generate JWT token
-const generateToken = (user) => {
-  return jwt.sign(
-    { email: user.email, id: user.id, isAdmin: user.user_metadata?.admin || false },
-    JWT_SECRET,
-    { expiresIn: '1h' }
-  );
-};
+app.use(express.json());
 
-const authenticateToken = (req, res, next) => {
-  const token = req.headers['authorization'];
-  if (!token) return res.status(401).json({ message: 'Access denied. No token provided.' });
+// Data access (Supabase or the local store, picked by DATA_BACKEND)
+const repos = createRepositories();
+
+// Every complaint change is recorded here
+const audit = createAuditLog(repos.events);
+
+// Email the reporter and call integration webhooks on complaint events
+//   NOTIFY_WEBHOOK_URLS (comma-separated), NOTIFY_WEBHOOK_SECRET,
+//   NOTIFY_ESCALATION_EMAILS (SLA escalations of unassigned complaints),
+//   NOTIFY_MAX_ATTEMPTS, NOTIFY_RETRY_DELAY_MS; mail settings in notifications/mailer.js
+const mailer = createMailer();
+const notifier = createNotifier({
+  repos,
+  mailer,
+  webhooks: createWebhookSender({
+    urls: toList(process.env.NOTIFY_WEBHOOK_URLS),
+    secret: process.env.NOTIFY_WEBHOOK_SECRET,
+  }),
+  escalationEmails: toList(process.env.NOTIFY_ESCALATION_EMAILS),
+  maxAttempts: Number(process.env.NOTIFY_MAX_ATTEMPTS) || 3,
+  retryDelayMs: Number(process.env.NOTIFY_RETRY_DELAY_MS) || 2000,
+});
+audit.on('event', (event) => notifier.handle(event));
+
+// For code that requires the app rather than running it (the tests read
+// stored rows and sent mail through these)
+Object.assign(app.locals, { repos, mailer });
+
+// Complaint states and allowed transitions (WORKFLOW_CONFIG)
+const workflow = loadWorkflow();
+
+// Acknowledgement/resolution targets in hours when a complaint's categories
+// set none (SLA_ACK_HOURS, SLA_RESOLVE_HOURS); breaches are escalated every
+// SLA_CHECK_INTERVAL_MINUTES (default 15, 0 disables) by a long-running server.
+// Serverless deploys have none: there a scheduler calls GET /cron/sla/escalate
+// with "Authorization: Bearer $CRON_SECRET" (the Vercel cron in vercel.json,
+// which Vercel sends when CRON_SECRET is set). Unset CRON_SECRET disables it.
+const sla = createSla({
+  ackHours: Number(process.env.SLA_ACK_HOURS) || 24,
+  resolveHours: Number(process.env.SLA_RESOLVE_HOURS) || 72,
+});
+const SLA_CHECK_INTERVAL_MINUTES = process.env.SLA_CHECK_INTERVAL_MINUTES === undefined
+  ? 15
+  : Number(process.env.SLA_CHECK_INTERVAL_MINUTES);
+const CRON_SECRET = process.env.CRON_SECRET;
+
+// The local backend serves its own uploads
+if (repos.storage.router) {
+  app.use('/storage', repos.storage.router);
+}
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ message: 'Invalid token.' });
+// JWT auth with role-based permissions (see authMiddleware.js)
+//   JWT_EXPIRES_IN (access tokens, default 1h), REFRESH_TOKEN_TTL_DAYS (default 30)
+const auth = createAuth({
+  secret: process.env.JWT_SECRET,
+  expiresIn: process.env.JWT_EXPIRES_IN || '1h',
+  refreshTtlDays: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  repos,
+});
+const { authenticate, authorize } = auth;
+
+// Request limits per IP and user, login lockout and the daily complaint quota
+// (see rateLimit.js)
+//   RATE_LIMIT_STORE    memory (default, per instance) or database (shared)
+//   RATE_LIMITS         JSON overrides of DEFAULT_LIMITS, e.g. {"submit":{"user":{"max":5,"windowSeconds":3600}}}
+//   TRUST_PROXY         proxies in front of the app whose X-Forwarded-For is believed: a hop
+//                       count ("1" behind one proxy, as on Vercel) or addresses/subnets
+//                       ("loopback, 10.0.0.0/8"). Unset trusts none and uses the socket address.
+//   LOGIN_MAX_FAILURES (default 5), LOGIN_LOCKOUT_MINUTES (default 15), COMPLAINTS_PER_DAY (default 20, 0 disables)
+app.set('trust proxy', trustProxy(process.env.TRUST_PROXY));
+const rateLimitStore = process.env.RATE_LIMIT_STORE === 'database' ? repos.rateLimits : createMemoryStore();
+const { limit: rateLimit } = createRateLimiter({
+  store: rateLimitStore,
+  limits: process.env.RATE_LIMITS ? JSON.parse(process.env.RATE_LIMITS) : {},
+  ipOf: (req) => req.ip,
+});
+const loginLockout = createLoginLockout({
+  store: rateLimitStore,
+  maxFailures: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+  lockMinutes: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+});
+const complaintQuota = dailyComplaintQuota({
+  repos,
+  perDay: process.env.COMPLAINTS_PER_DAY === undefined ? 20 : Number(process.env.COMPLAINTS_PER_DAY),
+});
 
-    req.user = user;
-    next();
-  });
-};
+// Password reset and email verification mail
+//   APP_URL (frontend, for links), PASSWORD_RESET_TTL_MINUTES, EMAIL_VERIFICATION_TTL_MINUTES
+const accounts = createAccounts({
+  repos,
+  mailer,
+  appUrl: process.env.APP_URL,
+  ttlMinutes: {
+    password_reset: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || undefined,
+    email_verification: Number(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || undefined,
+  },
+});
 
+// Uploads are kept in memory and checked by content (see images.js), not by
+// the client's mimetype. MAX_ATTACHMENTS caps report and proof images per complaint.
+const MAX_ATTACHMENTS = Number(process.env.MAX_ATTACHMENTS) || 5;
 const storage = multer.memoryStorage();
 const upload = multer({
   storage: storage,
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    // Accept only image files
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed!'), false);
-    }
+    files: MAX_ATTACHMENTS,
   },
 });
 
-// Middleware to authenticate admin
-const authenticateAdmin = (req, res, next) => {
-  const token = req.headers['authorization'];
-  if (!token) return res.status(401).json({ message: 'Access denied. No token provided.' });
+// Multipart images; too many or too large files are answered by errorHandler.
+// The fields are kept on the middleware for the API docs.
+const uploadImages = (fields) => Object.assign(upload.fields(fields), { uploadFields: fields });
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ message: 'Invalid token.' });
+// Uploaded files from uploadImages, in field order
+const uploadedFiles = (req, names) => names.flatMap((name) => (req.files && req.files[name]) || []);
 
-    if (!user.isAdmin) return res.status(403).json({ message: 'Access denied. Admins only.' });
+const attachments = createAttachments({ repos, audit, maxPerKind: MAX_ATTACHMENTS });
 
-    req.user = user;
-    next();
-  });
+// Request bodies shared by the routes below
+const credentialsBody = {
+  email: email(),
+  password: string({ min: 1, max: 200 }),
+};
+
+// Multipart form: tags arrive as a JSON string, empty fields as ''
+const complaintBody = {
+  title: string({ trim: true, min: 1, max: 200 }),
+  description: string({ trim: true, min: 1, max: 5000 }),
+  tags: array(string({ max: 40 }), { json: true, max: 10, unique: true, default: [] }),
+  visibility: oneOf(VISIBILITIES, { default: 'public' }),
+  location_id: uuid({ optional: true, blank: true }),
+  location_note: locationNote,
+  use_photo_location: boolean({ optional: true, blank: true }),
+  ...coordinates(),
 };
 
 app.get('/favicon.ico', (req, res) => res.status(204).end());
@@ -93,125 +212,137 @@ app.get('/favicon.ico', (req, res) => res.status(204).end());
 app.get('/', (req, res) => {
   res.send('Welcome to the backend server!');
 });
-// Get complaints with optional tag filter
-app.get('/complaints', authenticateToken, async (req, res) => {
+// Get the user's complaints, paginated, with optional filters and search
+app.get('/complaints', authorize('complaints:read:own'), validate({ query: complaintQuery }), async (req, res) => {
   try {
     const userId = req.user.id;
-    const { tag } = req.query;
-
-    let query = supabase
-      .from('complaints')
-      .select('*, image_url') // Add image_url to selection
-      .eq('user_id', userId);
 
-    if (tag && VALID_TAGS.includes(tag)) {
-      query = query.contains('tags', [tag]);
-    }
+    const { filters, options, error } = parseComplaintQuery(req.query, { validTags: await tagNames() });
+    if (error) return res.status(400).json({ message: error });
 
-    query = query.order('created_at', { ascending: false });
+    const result = await repos.complaints.search({ ...filters, userId }, options);
+    result.items = await withVoteFlags(result.items, userId);
 
-    const { data: complaints, error } = await query;
-
-    if (error) {
-      console.error('Supabase Fetch Error:', error);
-      return res.status(500).json({ message: 'Error fetching complaints', error: error.message });
-    }
-
-    res.json({ complaints });
+    res.json(paginate(result, options));
   } catch (error) {
-    console.error('Unexpected Error:', error.message);
-    res.status(500).json({ message: 'Unexpected error occurred', error: error.message });
+    console.error('Fetch Error:', error);
+    res.status(500).json({ message: 'Error fetching complaints' });
   }
 });
 
 // Submit new complaint
-app.post('/submit', authenticateToken, upload.single('image'), async (req, res) => {
+// Images go in "images" (up to MAX_ATTACHMENTS); older clients send one "image"
+app.post('/submit', authorize('complaints:create'), auth.requireVerifiedEmail, rateLimit('submit'), complaintQuota, uploadImages([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MAX_ATTACHMENTS },
+]), validate({ body: complaintBody }), async (req, res) => {
   try {
-    const { title, description, tags } = req.body;
+    const { title, description, tags: parsedTags, visibility } = req.body;
     const userId = req.user.id;
 
-    // Validate basic fields
-    if (!title || !description) {
-      return res.status(400).json({ message: 'Title and description are required' });
+    // Only active categories can be used on new complaints
+    const activeTags = await tagNames({ activeOnly: true });
+    const unknownTags = parsedTags.filter((tag) => !activeTags.includes(tag));
+    if (unknownTags.length) {
+      return res.status(400).json({
+        message: `Unknown or inactive tags: ${unknownTags.join(', ')}`,
+        code: 'UNKNOWN_TAGS',
+        invalid_tags: unknownTags,
+        valid_tags: activeTags
+      });
+    }
+
+    // Check images before anything is stored
+    const files = uploadedFiles(req, ['image', 'images']);
+    if (files.length > MAX_ATTACHMENTS) {
+      return res.status(400).json({ message: `At most ${MAX_ATTACHMENTS} images per complaint` });
     }
+    const fileError = attachments.checkFiles(files);
+    if (fileError) return res.status(415).json({ message: fileError });
+    const { images, error: imageError } = await attachments.prepare(files);
+    if (imageError) return res.status(415).json({ message: imageError });
 
-    // Parse tags properly
-    let parsedTags = [];
+    // Optional coordinates (explicit, from the photo's EXIF, or the catalogue) and campus location
+    const { fields: locationFields, error: locationError } = await resolveComplaintLocation(repos, req.body, files);
+    if (locationError) return res.status(400).json({ message: locationError });
+
+    // Route to the department that handles these tags
+    const department = routeByTags(await repos.departments.list(), parsedTags);
+
+    // Due dates from the categories' SLA targets
+    const dueDates = sla.dueDates(await slaTargets(parsedTags, 'normal'), new Date());
+
+    let complaint;
     try {
-      // Check if tags is already an array or a JSON string
-      if (Array.isArray(tags)) {
-        parsedTags = tags;
-      } else if (typeof tags === 'string') {
-        parsedTags = JSON.parse(tags);
-      }
-      
-      // Filter to only include valid tags
-      parsedTags = parsedTags.filter(tag => VALID_TAGS.includes(tag));
+      complaint = await repos.complaints.create({
+        user_id: userId,
+        title,
+        description,
+        status: workflow.initial,
+        tags: parsedTags,
+        visibility,
+        department_id: department ? department.id : null,
+        priority: 'normal',
+        ...dueDates,
+        ...locationFields
+      });
     } catch (error) {
-      return res.status(400).json({ message: 'Invalid tags format' });
+      console.error('Insert Error:', error);
+      return res.status(500).json({ message: 'Error inserting complaint' });
     }
 
-    // Rest of the function remains the same...
-    // Handle image if provided
-    let imageUrl = null;
-    if (req.file) {
+    await audit.record({ complaintId: complaint.id, actorId: userId, action: 'created', newValue: complaint.status });
+
+    let added = [];
+    if (images.length) {
       try {
-        // Process image
-        const processedImage = await processImage(req.file.buffer);
-        
-        // Generate unique filename
-        const fileName = `${uuidv4()}.jpg`;
-        
-        // Upload to storage
-        imageUrl = await uploadToStorage(processedImage, fileName);
+        added = await attachments.add(complaint, images, { kind: 'report', uploaderId: userId });
+        complaint = await repos.complaints.findById(complaint.id);
       } catch (error) {
         console.error('Image handling error:', error);
-        return res.status(500).json({ message: 'Error processing image', error: error.message });
+        return res.status(500).json({ message: 'Error processing image', complaint });
       }
     }
+    if (department) {
+      await audit.record({
+        complaintId: complaint.id,
+        action: 'assigned',
+        newValue: { assignee_id: null, department_id: department.id },
+        reason: `Routed to ${department.name} by tag`
+      });
+    }
 
-    // Insert complaint with image URL
-    const { data: complaint, error } = await supabase
-      .from('complaints')
-      .insert([{ 
-        user_id: userId, 
-        title, 
-        description, 
-        status: 'pending',
-        tags: parsedTags,
-        image_url: imageUrl
-      }])
-      .select('*');
-
-    if (error) {
-      console.error('Supabase Insert Error:', error);
-      return res.status(500).json({ message: 'Error inserting complaint', error: error.message });
+    // Suggest existing complaints the reporter could upvote instead
+    let possibleDuplicates = [];
+    try {
+      possibleDuplicates = await findPossibleDuplicates(complaint);
+    } catch (error) {
+      console.error('Duplicate Check Error:', error);
     }
 
     res.status(201).json({ 
       message: 'Complaint submitted successfully', 
-      complaint: complaint[0]
+      complaint,
+      attachments: added,
+      possible_duplicates: possibleDuplicates
     });
   } catch (error) {
     console.error('Unexpected Error:', error);
-    res.status(500).json({ message: 'Unexpected error occurred', error: error.message });
+    res.status(500).json({ message: 'Unexpected error occurred' });
   }
 });
 
 
-app.delete('/complaints/:id/image', authenticateToken, async (req, res) => {
+// Older clients' single-image delete; see /complaints/:id/attachments
+app.delete('/complaints/:id/image', authorize('complaints:update:own'), validate({ params: idParams }), async (req, res) => {
   const complaintId = req.params.id;
   const userId = req.user.id;
 
   try {
     // Get complaint to verify ownership and get image URL
-    const { data: complaint, error: fetchError } = await supabase
-      .from('complaints')
-      .select('user_id, image_url')
-      .eq('id', complaintId)
-      .single();
+    const complaint = await repos.complaints.findById(complaintId);
 
-    if (fetchError || !complaint) {
+    if (!complaint) {
       return res.status(404).json({ message: 'Complaint not found' });
     }
 
@@ -220,32 +351,9 @@ app.delete('/complaints/:id/image', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'Unauthorized' });
     }
 
-    if (complaint.image_url) {
-      // Extract filename from URL
-      const fileName = complaint.image_url.split('/').pop();
-      
-      // Delete from storage
-      const { error: deleteError } = await supabase
-        .storage
-        .from('complaint-images')
-        .remove([`complaints/${fileName}`]);
-
-      if (deleteError) {
-        console.error('Storage delete error:', deleteError);
-        return res.status(500).json({ message: 'Error deleting image' });
-      }
-
-      // Update complaint to remove image URL
-      const { error: updateError } = await supabase
-        .from('complaints')
-        .update({ image_url: null })
-        .eq('id', complaintId);
-
-      if (updateError) {
-        console.error('Database update error:', updateError);
-        return res.status(500).json({ message: 'Error updating complaint' });
-      }
-    }
+    // The image older clients know about is the first report attachment
+    const [first] = await repos.attachments.listByComplaint(complaintId, { kind: 'report' });
+    if (first) await attachments.remove(first, { actorId: userId });
 
     res.json({ message: 'Image deleted successfully' });
   } catch (error) {
@@ -255,279 +363,604 @@ app.delete('/complaints/:id/image', authenticateToken, async (req, res) => {
 });
 
 // Add this to your backend code
-app.post("/admin/login", async (req, res) => {
+app.post("/admin/login", rateLimit("admin_login"), validate({ body: credentialsBody }), async (req, res) => {
   const { email, password } = req.body;
 
-  const { data, error } = await supabase.auth.signInWithPassword({ email, password });
-  if (error || !data.user) return res.status(401).json({ message: "Invalid credentials" });
-
+  try {
+    if (await loginLockout.reject(res, email)) return;
 
-  // Ensure admin metadata exists
-  if (!data.user.user_metadata?.admin) {
-    return res.status(403).json({ message: "Access denied: Admins only" });
-  }
+    const user = await repos.auth.signIn({ email, password });
+    if (!user) {
+      await loginLockout.fail(email);
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+    await loginLockout.succeed(email);
+    if (await auth.isDisabled(user)) {
+      return res.status(403).json({ message: "This account has been disabled", code: "ACCOUNT_DISABLED" });
+    }
 
-  // ✅ Generate Token with `isAdmin: true`
-  const token = jwt.sign(
-    { id: data.user.id, email: data.user.email, isAdmin: true },
-    JWT_SECRET,
-    { expiresIn: "1h" }
-  );
+    // Moderators and admins can use the admin dashboard
+    const role = await auth.resolveRole(user);
+    if (!hasPermission(role, "admin:access")) {
+      return res.status(403).json({ message: "Access denied: Admins only" });
+    }
 
-  res.json({ message: "Login successful", token });
+    const tokens = await auth.startSession(user, clientInfo(req), role);
+    res.json({ message: "Login successful", ...tokens });
+  } catch (error) {
+    console.error("Admin Login Error:", error);
+    res.status(500).json({ message: "An error occurred during login." });
+  }
 });
 
-// Simplified upvote endpoint
-app.post('/complaints/:id/upvote', authenticateToken, async (req, res) => {
+// Upvote a complaint, at most once per user
+app.post('/complaints/:id/upvote', authorize('complaints:vote'), rateLimit('upvote'), validate({ params: idParams }), async (req, res) => {
   const complaintId = req.params.id;
   
   try {
-    // Get current complaint
-    const { data: complaint, error: fetchError } = await supabase
-      .from('complaints')
-      .select('upvotes')
-      .eq('id', complaintId)
-      .single();
+    const complaint = await repos.complaints.findById(complaintId);
 
-    if (fetchError) {
-      console.error('Fetch Error:', fetchError);
+    // Votes go to the complaint a duplicate was merged into, not the duplicate
+    const votable = complaint && !complaint.merged_into &&
+      (complaint.visibility !== 'private' || complaint.user_id === req.user.id || req.can('complaints:read:any'));
+    if (!votable) {
       return res.status(404).json({ message: 'Complaint not found' });
     }
 
-    // Increment upvotes
-    const newUpvotes = (complaint.upvotes || 0) + 1;
-    
-    const { data: updatedComplaint, error: updateError } = await supabase
-      .from('complaints')
-      .update({ upvotes: newUpvotes })
-      .eq('id', complaintId)
-      .select()
-      .single();
-
-    if (updateError) {
-      console.error('Update Error:', updateError);
-      throw updateError;
+    const added = await repos.votes.add(req.user.id, complaintId);
+    if (!added) {
+      return res.status(409).json({ message: 'You have already upvoted this complaint' });
     }
 
-    res.json(updatedComplaint);
+    const updatedComplaint = await repos.complaints.findById(complaintId);
+    await audit.record({ complaintId, actorId: req.user.id, action: 'upvoted', newValue: updatedComplaint.upvotes });
+    res.json(toPublicComplaint({ ...updatedComplaint, has_voted: true }));
   } catch (error) {
     console.error('Upvote Error:', error);
     res.status(500).json({ message: 'Error processing upvote' });
   }
 });
 
-// Get available tags
-app.get('/tags', authenticateToken, (req, res) => {
-  res.json({ tags: VALID_TAGS });
+// Retract the current user's upvote
+app.delete('/complaints/:id/upvote', authorize('complaints:vote'), validate({ params: idParams }), async (req, res) => {
+  const complaintId = req.params.id;
+
+  try {
+    const complaint = await repos.complaints.findById(complaintId);
+    const visible = complaint && (complaint.visibility !== 'private' || complaint.user_id === req.user.id || req.can('complaints:read:any'));
+    if (!visible) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    const removed = await repos.votes.remove(req.user.id, complaintId);
+    if (!removed) {
+      return res.status(404).json({ message: 'You have not upvoted this complaint' });
+    }
+
+    const updatedComplaint = await repos.complaints.findById(complaintId);
+    await audit.record({ complaintId, actorId: req.user.id, action: 'upvote_removed', newValue: updatedComplaint.upvotes });
+    res.json(toPublicComplaint({ ...updatedComplaint, has_voted: false }));
+  } catch (error) {
+    console.error('Remove Upvote Error:', error);
+    res.status(500).json({ message: 'Error removing upvote' });
+  }
+});
+
+// Complaints the current user has upvoted, most recent vote first
+app.get('/profile/votes', authorize('complaints:vote'), validate({ query: pageQuery }), async (req, res) => {
+  const { offset, limit, error } = parsePage(req.query);
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const result = await repos.votes.listComplaintsByUser(req.user.id, { offset, limit });
+    result.items = result.items.map((complaint) => toPublicComplaint({ ...complaint, has_voted: true }));
+
+    res.json(paginate(result, { offset, limit }));
+  } catch (error) {
+    console.error('Votes Fetch Error:', error);
+    res.status(500).json({ message: 'Error fetching votes' });
+  }
+});
+
+// Public and anonymous complaints from everyone, with the same filters as /complaints
+app.get('/feed', authorize('feed:read'), validate({ query: complaintQuery }), async (req, res) => {
+  try {
+    const { filters, options, error } = parseComplaintQuery(req.query, { validTags: await tagNames() });
+    if (error) return res.status(400).json({ message: error });
+
+    const result = await repos.complaints.search(
+      { ...filters, visibility: ['public', 'anonymous'], merged: false },
+      options
+    );
+    result.items = (await withVoteFlags(result.items, req.user.id)).map(toPublicComplaint);
+
+    res.json(paginate(result, options));
+  } catch (error) {
+    console.error('Feed Error:', error);
+    res.status(500).json({ message: 'Error fetching feed' });
+  }
 });
 
-// Admin: Fetch all complaints with filters
-app.get('/admin/complaints', authenticateAdmin, async (req, res) => {
-  const { status, date, user_id, tag } = req.query;
+// Check for existing open complaints before submitting: ?title=&description=&tags=a,b
+app.get('/complaints/similar', authorize('complaints:create'), validate({
+  query: {
+    title: string({ optional: true, max: 200 }),
+    description: string({ optional: true, max: 5000 }),
+    tags: list(string({ max: 40 }), { optional: true }),
+  },
+}), async (req, res) => {
+  const { title, description } = req.query;
+  if (!title && !description) {
+    return res.status(400).json({ message: 'Title or description is required' });
+  }
 
-  let query = supabase.from('complaints').select('*');
+  try {
+    const validTags = await tagNames();
+    const tags = toList(req.query.tags).filter((tag) => validTags.includes(tag));
+    const matches = await findPossibleDuplicates({ title, description, tags });
+    res.json({ possible_duplicates: matches });
+  } catch (error) {
+    console.error('Similar Complaints Error:', error);
+    res.status(500).json({ message: 'Error checking for similar complaints' });
+  }
+});
+
+// Reporter reopens their own resolved/closed complaint within the window
+app.post('/complaints/:id/reopen', authorize('complaints:update:own'), validate({
+  params: idParams,
+  body: { reason: optionalReason },
+}), async (req, res) => {
+  try {
+    const complaint = await repos.complaints.findById(req.params.id);
+    if (!complaint) return res.status(404).json({ message: 'Complaint not found' });
 
-  if (status) query = query.eq('status', status);
-  if (date) query = query.eq('created_at', date);
-  if (user_id) query = query.eq('user_id', user_id);
-  if (tag && VALID_TAGS.includes(tag)) {
-    query = query.contains('tags', [tag]);
+    if (complaint.user_id !== req.user.id) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+
+    const transition = workflow.checkReopen(complaint, req.body);
+    if (transition.error) {
+      return res.status(transition.conflict ? 409 : 400).json({ message: transition.error });
+    }
+
+    const updated = await changeStatus(complaint, transition, req.user.id, req.body.reason);
+    res.json({ message: 'Complaint reopened', complaint: updated });
+  } catch (error) {
+    console.error('Reopen Error:', error);
+    res.status(500).json({ message: 'Error reopening complaint' });
   }
+});
+
+// Configured complaint states and transitions, for building status menus
+app.get('/workflow', authenticate, (req, res) => {
+  res.json(workflow.describe());
+});
 
-  const { data, error } = await query;
+// Categories (GET /tags and the admin category routes)
+app.use(createCategoryRoutes({ repos, authenticate, authorize }));
 
-  if (error) return res.status(500).json({ message: 'Error fetching complaints', error });
+// Departments, staff, assignment and the staff work queue
+app.use(createStaffRoutes({ repos, audit, workflow, changeStatus, tagNames, authorize }));
 
-  res.json({ complaints: data });
+// Admin: Fetch all complaints with filters, paginated
+app.get('/admin/complaints', authorize('complaints:read:any'), validate({ query: complaintQuery }), async (req, res) => {
+  try {
+    const { filters, options, error } = parseComplaintQuery(req.query, { validTags: await tagNames() });
+    if (error) return res.status(400).json({ message: error });
+
+    const result = await repos.complaints.search({ ...filters, userId: req.query.user_id }, options);
+
+    res.json(paginate(result, options));
+  } catch (error) {
+    console.error('Complaints Fetch Error:', error);
+    res.status(500).json({ message: 'Error fetching complaints' });
+  }
 });
 
-app.put("/admin/complaints/:id/status", isAdmin, async (req, res) => {
-  const { id } = req.params;
-  const { status } = req.body;
+// Located complaints as GeoJSON points for heatmaps; same filters as above,
+// without paging (capped at GEOJSON_LIMIT features, newest first)
+app.get('/admin/complaints/geojson', authorize('complaints:read:any'), validate({ query: complaintQuery }), async (req, res) => {
+  try {
+    const { filters, error } = parseComplaintQuery(req.query, { validTags: await tagNames() });
+    if (error) return res.status(400).json({ message: error });
+
+    const complaints = await repos.complaints.list(
+      { ...filters, userId: req.query.user_id, located: true },
+      { orderBy: 'created_at', ascending: false, limit: GEOJSON_LIMIT }
+    );
 
-  if (!["pending", "working", "finished"].includes(status)) {
-      return res.status(400).json({ message: "Invalid status value" });
+    res.type('application/geo+json').send(JSON.stringify(toGeoJSON(complaints)));
+  } catch (error) {
+    console.error('GeoJSON Error:', error);
+    res.status(500).json({ message: 'Error exporting complaints' });
+  }
+});
+
+// CSV/JSON exports and the PDF summary report
+app.use(createExportRoutes({ repos, workflow, tagNames, authorize }));
+
+// Open complaints past an SLA due date, most overdue first; same filters and
+// paging as /admin/complaints. Each carries sla: { breach, overdue_hours }.
+app.get('/admin/complaints/overdue', authorize('complaints:read:any'), validate({ query: complaintQuery }), async (req, res) => {
+  try {
+    const { filters, options, error } = parseComplaintQuery(req.query, {
+      validTags: await tagNames(),
+      defaultSort: 'resolve_due_at',
+      defaultOrder: 'asc',
+    });
+    if (error) return res.status(400).json({ message: error });
+
+    const now = new Date();
+    const openStatuses = workflow.states.filter(workflow.isOpen).flatMap(workflow.statusesFor);
+    const requested = filters.status ? filters.status.filter((status) => openStatuses.includes(status)) : openStatuses;
+    const result = await repos.complaints.search(
+      { ...filters, status: requested, merged: false, overdueAt: now.toISOString() },
+      options
+    );
+
+    const items = result.items.map((complaint) => {
+      const breach = sla.breachOf(complaint, now);
+      return { ...complaint, sla: { breach, overdue_hours: breach ? sla.overdueHours(complaint, breach, now) : 0 } };
+    });
+    res.json(paginate({ ...result, items }, options));
+  } catch (error) {
+    console.error('Overdue Complaints Error:', error);
+    res.status(500).json({ message: 'Error fetching overdue complaints' });
   }
+});
+
+// Body: { priority, reason? } — due dates are recomputed from the complaint's
+// creation with the new priority
+app.put('/admin/complaints/:id/priority', authorize('complaints:status:any'), validate({
+  params: idParams,
+  body: { priority: oneOf(PRIORITIES), reason: optionalReason },
+}), async (req, res) => {
+  const { priority, reason } = req.body;
+
+  try {
+    const complaint = await repos.complaints.findById(req.params.id);
+    if (!complaint) return res.status(404).json({ message: 'Complaint not found' });
+    if (complaint.priority === priority) {
+      return res.json({ message: 'Priority unchanged', complaint });
+    }
+
+    const targets = await slaTargets(complaint.tags, priority);
+    const changes = { priority, ...sla.dueDates(targets, complaint.created_at) };
+    // A reopened complaint's resolution clock runs from when it was reopened
+    if (complaint.status === workflow.reopen?.to && complaint.status_changed_at) {
+      changes.resolve_due_at = sla.addHours(complaint.status_changed_at, targets.resolveHours);
+    }
+
+    const updated = await repos.complaints.update(complaint.id, changes);
+    await audit.record({
+      complaintId: complaint.id,
+      actorId: req.user.id,
+      action: 'priority_changed',
+      oldValue: complaint.priority,
+      newValue: priority,
+      reason,
+    });
+
+    res.json({ message: 'Priority updated', complaint: updated });
+  } catch (error) {
+    console.error('Priority Update Error:', error);
+    res.status(500).json({ message: 'Error updating priority' });
+  }
+});
+
+// Run the SLA escalation now instead of waiting for the next scheduled check
+app.post('/admin/sla/escalate', authorize('sla:manage'), async (req, res) => {
+  try {
+    const escalated = await escalateOverdue({ repos, audit, sla, workflow });
+    res.json({ message: `${escalated.length} complaint(s) escalated`, complaints: escalated });
+  } catch (error) {
+    console.error('SLA Escalation Error:', error);
+    res.status(500).json({ message: 'Error escalating complaints' });
+  }
+});
+
+// The scheduled SLA escalation for hosts without a long-running process
+app.get('/cron/sla/escalate', async (req, res) => {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  const presented = req.get('authorization') || '';
+  if (!CRON_SECRET || !crypto.timingSafeEqual(digest(presented), digest(`Bearer ${CRON_SECRET}`))) {
+    return res.status(401).json({ message: 'Invalid cron secret' });
+  }
+
+  try {
+    const escalated = await escalateOverdue({ repos, audit, sla, workflow });
+    res.json({ message: `${escalated.length} complaint(s) escalated`, complaints: escalated });
+  } catch (error) {
+    console.error('SLA Escalation Error:', error);
+    res.status(500).json({ message: 'Error escalating complaints' });
+  }
+});
+
+// Move a complaint along the workflow. Transitions may require extra body
+// fields (e.g. resolution_note when resolving); `reason` is always optional.
+app.put("/admin/complaints/:id/status", authorize("complaints:status:any"), validate({
+  params: idParams,
+  body: { status: string({ trim: true, min: 1, max: 50 }), reason: optionalReason },
+}), async (req, res) => {
+  const { id } = req.params;
+  const { status, reason } = req.body;
+  let updated;
 
-  const { error } = await supabase
-      .from("complaints")
-      .update({ status })
-      .eq("id", id);
+  try {
+      const complaint = await repos.complaints.findById(id);
+      if (!complaint) return res.status(404).json({ message: "Complaint not found" });
 
-  if (error) {
+      const transition = workflow.checkTransition(complaint.status, status, req.body);
+      if (transition.error) {
+        return res.status(transition.conflict ? 409 : 400).json({ message: transition.error });
+      }
+
+      updated = await changeStatus(complaint, transition, req.user.id, reason);
+  } catch (error) {
       console.error("❌ Error updating complaint status:", error);
-      return res.status(500).json({ error: error.message });
+      return res.status(500).json({ message: "Error updating complaint status" });
   }
 
-  res.json({ message: `✅ Complaint marked as ${status}` });
+  res.json({ message: `✅ Complaint marked as ${updated.status}`, complaint: updated });
 });
 // ✅ Secure Route: Delete a Complaint (Optional)
-app.delete("/admin/complaints/:id", isAdmin, async (req, res) => {
+app.delete("/admin/complaints/:id", authorize("complaints:delete:any"), validate({
+  params: idParams,
+  body: { reason: optionalReason },
+}), async (req, res) => {
   const { id } = req.params;
-  const { error } = await supabase.from("complaints").delete().eq("id", id);
-  if (error) return res.status(500).json({ error: error.message });
+  try {
+    const complaint = await repos.complaints.findById(id);
+    if (!complaint) return res.status(404).json({ message: "Complaint not found" });
+
+    // Followers still get the deleted event once their follows are gone
+    const followerIds = await repos.follows.listFollowerIds(id);
+    await repos.complaints.remove(id);
+    await audit.record({
+      complaintId: id,
+      actorId: req.user.id,
+      action: "deleted",
+      oldValue: complaint,
+      reason: req.body.reason,
+      details: { follower_ids: followerIds },
+    });
+  } catch (error) {
+    console.error("Complaint Delete Error:", error);
+    return res.status(500).json({ message: "Error deleting complaint" });
+  }
 
   res.json({ message: "Complaint deleted successfully" });
 });
 
-app.post('/signup', async (req, res) => {
+app.post('/signup', rateLimit('signup'), validate({
+  body: {
+    name: string({ optional: true, trim: true, min: 1, max: 100 }),
+    email: email(),
+    password: string({ min: MIN_PASSWORD_LENGTH, max: 200 }),
+  },
+}), async (req, res) => {
   const { name, email, password } = req.body;
 
   try {
-    // Sign up user in Supabase authentication
-    const { data: user, error } = await supabase.auth.signUp({
-      email,
-      password
-    });
-
-    if (error) return res.status(400).json({ message: error.message });
-
-    // Ensure user exists before inserting profile
-    if (!user.user) return res.status(400).json({ message: 'User signup failed' });
+    // Sign up user with the auth provider; its message says what was wrong
+    // (e.g. the address is already registered)
+    let user;
+    try {
+      user = await repos.auth.signUp({ email, password });
+    } catch (error) {
+      return res.status(400).json({ message: error.message, code: 'SIGNUP_FAILED' });
+    }
 
     // Insert user profile into `profiles`
-    const { error: profileError } = await supabase
-      .from('profiles')
-      .insert([{ user_id: user.user.id, display_name: name, email }]);
+    try {
+      await repos.profiles.create({ user_id: user.id, display_name: name, email });
+    } catch (profileError) {
+      console.error('Profile Create Error:', profileError);
+      return res.status(500).json({ message: 'Profile creation failed' });
+    }
 
-    if (profileError) return res.status(500).json({ message: 'Profile creation failed', error: profileError.message });
+    // Complaints can be submitted once the address is confirmed
+    try {
+      await accounts.sendVerification(user.id, email);
+    } catch (mailError) {
+      console.error('Verification Mail Error:', mailError);
+    }
 
-    const token = generateToken(user.user);
-    res.status(201).json({ message: 'Signup successful', token, user: user.user });
+    const tokens = await auth.startSession(user, clientInfo(req));
+    res.status(201).json({ message: 'Signup successful', ...tokens, user, email_verified: false });
   } catch (err) {
+    console.error('Signup Error:', err);
     res.status(500).json({ message: 'An error occurred during signup.' });
   }
 });
 
 // User Login Endpoint
-app.post('/login', async (req, res) => {
+app.post('/login', rateLimit('login'), validate({ body: credentialsBody }), async (req, res) => {
   const { email, password } = req.body;
 
   try {
-    const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+    if (await loginLockout.reject(res, email)) return;
+
+    const user = await repos.auth.signIn({ email, password });
 
-    if (error) return res.status(401).json({ message: 'Invalid email or password.' });
+    if (!user) {
+      await loginLockout.fail(email);
+      return res.status(401).json({ message: 'Invalid email or password.' });
+    }
+    await loginLockout.succeed(email);
+    if (await auth.isDisabled(user)) {
+      return res.status(403).json({ message: 'This account has been disabled.', code: 'ACCOUNT_DISABLED' });
+    }
 
-    const token = generateToken(data.user);
-    res.json({ message: 'Login successful', token });
+    const tokens = await auth.startSession(user, clientInfo(req));
+    res.json({ message: 'Login successful', ...tokens });
   } catch (err) {
+    console.error('Login Error:', err);
     res.status(500).json({ message: 'An error occurred during login.' });
   }
 });
 
-app.delete('/complaints/:id', async (req, res) => {
+// Reporters delete their own complaints; complaints:delete:any deletes any
+app.delete('/complaints/:id', authenticate, validate({ params: idParams }), async (req, res) => {
   const complaintId = req.params.id;
-  const userId = req.user?.id; // Ensure user is authenticated
+  const userId = req.user.id;
 
   try {
     // Find the complaint
-    const { data: complaint, error: findError } = await supabase
-      .from('complaints')
-      .select('id, user_id')
-      .eq('id', complaintId)
-      .single();
+    const complaint = await repos.complaints.findById(complaintId);
 
-    if (findError || !complaint) {
-      return res.status(404).json({ error: 'Complaint not found' });
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
     }
 
     // Check if user is authorized to delete
-    if (complaint.user_id !== userId) {
-      return res.status(403).json({ error: 'Unauthorized to delete this complaint' });
+    const allowed = req.can('complaints:delete:any') || (complaint.user_id === userId && req.can('complaints:delete:own'));
+    if (!allowed) {
+      return res.status(403).json({ message: 'Unauthorized to delete this complaint', code: 'FORBIDDEN' });
     }
 
-    // Delete the complaint
-    const { error: deleteError } = await supabase
-      .from('complaints')
-      .delete()
-      .eq('id', complaintId);
-
-    if (deleteError) {
-      return res.status(500).json({ error: 'Failed to delete complaint' });
+    // Delete the complaint; followers still get the deleted event once their
+    // follows are gone
+    let followerIds;
+    try {
+      followerIds = await repos.follows.listFollowerIds(complaintId);
+      await repos.complaints.remove(complaintId);
+    } catch (deleteError) {
+      console.error('Complaint Delete Error:', deleteError);
+      return res.status(500).json({ message: 'Failed to delete complaint' });
     }
 
+    await audit.record({
+      complaintId,
+      actorId: userId,
+      action: 'deleted',
+      oldValue: complaint,
+      details: { follower_ids: followerIds },
+    });
+
     res.status(200).json({ message: 'Complaint deleted successfully' });
 
   } catch (error) {
-    res.status(500).json({ error: 'Server error' });
+    console.error('Complaint Delete Error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.get('/profile', authenticateToken, async (req, res) => {
+app.get('/profile', authorize('profile:manage'), async (req, res) => {
   try {
     const userId = req.user.id;
 
-    const { data: profileArray, error } = await supabase
-      .from('profiles')
-      .select('display_name, user_id, email')
-      .eq('user_id', userId); // removed .single()
-
-
-    if (error) {
-      console.error('Supabase Fetch Error:', error);
-      return res.status(500).json({ message: 'Error fetching profile', error: error.message });
+    let profile;
+    try {
+      profile = await repos.profiles.findByUserId(userId);
+    } catch (error) {
+      console.error('Profile Fetch Error:', error);
+      return res.status(500).json({ message: 'Error fetching profile' });
     }
 
-    if (!profileArray || profileArray.length === 0) {
+    if (!profile) {
       return res.status(404).json({ message: 'Profile not found' });
     }
 
-    const profile = profileArray[0]; // take the first result
-
-    res.json({ 
-      profile: {
-        display_name: profile.display_name || 'User', 
-        email: profile.email || 'No email provided',
-        user_id: profile.user_id
-      } 
-    });
+    res.json({ profile: toProfileResponse(profile) });
 
   } catch (error) {
-    console.error('Unexpected Error:', error.message);
-    res.status(500).json({ message: 'Unexpected error occurred', error: error.message });
+    console.error('Unexpected Error:', error);
+    res.status(500).json({ message: 'Unexpected error occurred' });
   }
 });
 
-// Helper function to process and optimize images
-async function processImage(buffer) {
+// Category names, i.e. the tags complaints can carry
+async function tagNames({ activeOnly = false } = {}) {
+  const categories = await repos.categories.list({ activeOnly });
+  return categories.map((category) => category.name);
+}
+
+// Add `has_voted` for the given user to each complaint
+async function withVoteFlags(complaints, userId) {
+  const voted = await repos.votes.votedIds(userId, complaints.map((complaint) => complaint.id));
+  return complaints.map((complaint) => ({ ...complaint, has_voted: voted.has(complaint.id) }));
+}
+
+// Feed view of a complaint: no internal notes, no reporter for anonymous ones
+function toPublicComplaint({ admin_comments, ...complaint }) {
+  return complaint.visibility === 'anonymous' ? { ...complaint, user_id: null } : complaint;
+}
+
+// Open public complaints that look like the given one, best match first
+async function findPossibleDuplicates(candidate) {
+  const openStatuses = workflow.states.filter(workflow.isOpen).flatMap(workflow.statusesFor);
+  const complaints = await repos.complaints.list({
+    status: openStatuses,
+    tag: candidate.tags?.length ? candidate.tags : undefined,
+    visibility: ['public', 'anonymous'],
+    merged: false
+  }, { orderBy: 'created_at', ascending: false, limit: 200 });
+
+  return findSimilar(candidate, complaints.filter((complaint) => complaint.id !== candidate.id))
+    .map(({ complaint, similarity }) => ({ ...toPublicComplaint(complaint), similarity }));
+}
+
+// SLA targets for a complaint's tags and priority
+async function slaTargets(tags, priority) {
+  return sla.targetsFor(await repos.categories.list(), tags || [], priority);
+}
+
+// Apply a checked workflow transition and record it in the audit trail. Also
+// tracks SLA progress: the first move out of the initial state acknowledges
+// the complaint, a terminal state resolves it, and reopening restarts the
+// resolution clock. `details` are added to the recorded event.
+async function changeStatus(complaint, { to, fields }, actorId, reason, details = {}) {
+  const now = new Date().toISOString();
+  const changes = {
+    status: to,
+    status_details: Object.keys(fields).length ? fields : null,
+    status_changed_at: now
+  };
+
+  if (!complaint.acknowledged_at && to !== workflow.initial) changes.acknowledged_at = now;
+  if (!workflow.isOpen(to)) {
+    if (!complaint.resolved_at) changes.resolved_at = now;
+  } else if (complaint.resolved_at) {
+    const targets = await slaTargets(complaint.tags, complaint.priority);
+    changes.resolved_at = null;
+    changes.resolve_due_at = sla.addHours(now, targets.resolveHours);
+    changes.escalated_breach = null;
+  }
+
+  const updated = await repos.complaints.update(complaint.id, changes);
+
+  await audit.record({
+    complaintId: complaint.id,
+    actorId,
+    action: 'status_changed',
+    oldValue: complaint.status,
+    newValue: to,
+    reason,
+    details: Object.keys(fields).length || Object.keys(details).length ? { ...fields, ...details } : null
+  });
+
+  return updated;
+}
+
+// Best effort: a replaced avatar's files are only garbage
+async function removeAvatarFiles(avatar) {
+  if (!avatar) return;
   try {
-    // Resize and optimize image
-    const processedImage = await sharp(buffer)
-      .resize(1200, 1200, { // Max dimensions
-        fit: 'inside',
-        withoutEnlargement: true
-      })
-      .jpeg({ quality: 80 }) // Convert to JPEG and compress
-      .toBuffer();
-    
-    return processedImage;
+    const paths = Object.values(avatar).map((url) => `avatars/${url.split('/').pop()}`);
+    await repos.storage.remove('complaint-images', paths);
   } catch (error) {
-    console.error('Image processing error:', error);
-    throw error;
+    console.error('Avatar Cleanup Error:', error);
   }
 }
 
-// Helper function to upload to Supabase Storage
-async function uploadToStorage(imageBuffer, fileName) {
+// Helper function to upload to storage, resolving to the public URL
+async function uploadToStorage(imageBuffer, fileName, folder = 'complaints') {
   try {
-    const { data, error } = await supabase
-      .storage
-      .from('complaint-images')
-      .upload(`complaints/${fileName}`, imageBuffer, {
-        contentType: 'image/jpeg',
-        cacheControl: '3600',
-        upsert: false
-      });
-
-    if (error) throw error;
-
-    // Get public URL
-    const { data: { publicUrl } } = supabase
-      .storage
-      .from('complaint-images')
-      .getPublicUrl(`complaints/${fileName}`);
-
-    return publicUrl;
+    return await repos.storage.upload('complaint-images', `${folder}/${fileName}`, imageBuffer, {
+      contentType: 'image/jpeg',
+      cacheControl: '3600'
+    });
   } catch (error) {
     console.error('Storage upload error:', error);
     throw error;
@@ -535,25 +968,22 @@ async function uploadToStorage(imageBuffer, fileName) {
 }
 
 // Admin Profile Route
-app.get('/admin/profile', authenticateAdmin, async (req, res) => {
+app.get('/admin/profile', authorize('admin:access'), async (req, res) => {
   try {
     const userId = req.user.id;
 
-    // Fetch admin details from Supabase `auth.users`
-    const { data: user, error } = await supabase
-      .from('auth.users') // Using Supabase authentication table
-      .select('email, raw_user_meta_data')
-      .eq('id', userId)
-      .single();
+    // Fetch admin details from the auth provider
+    const user = await repos.auth.getUserById(userId);
 
-    if (error || !user) {
+    if (!user) {
       return res.status(404).json({ message: 'Admin profile not found' });
     }
 
     res.json({
       email: user.email,
-      display_name: user.raw_user_meta_data?.display_name || 'Admin',
-      role: user.raw_user_meta_data?.admin ? 'admin' : 'user',
+      display_name: user.user_metadata?.display_name || 'Admin',
+      role: req.user.role,
+      permissions: permissionsFor(req.user.role),
     });
 
   } catch (error) {
@@ -562,125 +992,154 @@ app.get('/admin/profile', authenticateAdmin, async (req, res) => {
   }
 });
 
-app.get('/admin/statistics', isAdmin, async (req, res) => {
+// Dashboard analytics and the all-time statistics summary
+app.use(createAnalyticsRoutes({ repos, workflow, tagNames, authorize, cacheSeconds: ANALYTICS_CACHE_SECONDS }));
+
+// Get complaint details by ID
+app.get('/admin/complaints/:id', authorize('complaints:read:any'), validate({ params: idParams }), async (req, res) => {
   try {
-    // Get total complaints
-    const { count: totalCount, error: countError } = await supabase
-      .from('complaints')
-      .select('*', { count: 'exact', head: true }); // ✅ Fix: Uses correct Supabase syntax
-    
-    if (countError) throw countError;
-    
-    // Get counts by status
-    const statuses = ['pending', 'working', 'finished'];
-    const statusCounts = {};
-    
-    for (const status of statuses) {
-      const { count, error } = await supabase
-      .from('complaints')
-      .select('*', { count: 'exact', head: true }) // ✅ Correct syntax
-      .eq('status', status);
-        
-      if (error) throw error;
-      statusCounts[status] = count;
-    }
-    
-    // Get recent complaints
-    const { data: recentComplaints, error: recentError } = await supabase
-      .from('complaints')
-      .select('*')
-      .order('created_at', { ascending: false })
-      .limit(5);
-      
-    if (recentError) throw recentError;
+    const { id } = req.params;
     
-    // Get complaints by tag
-    const tagCounts = {};
-    for (const tag of VALID_TAGS) {
-      const { count, error } = await supabase
-        .from('complaints')
-        .select('*', { count: 'exact', head: true })
-        .contains('tags', [tag]);
-        
-      if (error) throw error;
-      tagCounts[tag] = count;
+    const complaint = await repos.complaints.findById(id);
+
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
     }
     
-    res.json({
-      total: totalCount,
-      byStatus: statusCounts,
-      byTag: tagCounts,
-      recent: recentComplaints
-    });
+    res.json({ ...complaint, attachments: await repos.attachments.listByComplaint(id) });
   } catch (error) {
-    console.error('Statistics Error:', error);
-    res.status(500).json({ message: 'Error fetching statistics' });
+    console.error('Complaint Detail Error:', error);
+    res.status(500).json({ message: 'Error fetching complaint details' });
   }
 });
 
-// Get complaint details by ID
-app.get('/admin/complaints/:id', isAdmin, async (req, res) => {
+// Status, comment, image and deletion history of one complaint
+app.get('/admin/complaints/:id/history', authorize('audit:read'), validate({ params: idParams }), async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    const { data, error } = await supabase
-      .from('complaints')
-      .select('*')
-      .eq('id', id)
-      .single();
-      
-    if (error) throw error;
-    
-    res.json(data);
+    const history = await repos.events.listByComplaint(req.params.id);
+    res.json({ history });
   } catch (error) {
-    console.error('Complaint Detail Error:', error);
-    res.status(500).json({ message: 'Error fetching complaint details' });
+    console.error('History Error:', error);
+    res.status(500).json({ message: 'Error fetching complaint history' });
   }
 });
 
-// Add comment to complaint (new feature)
-app.post('/admin/complaints/:id/comment', isAdmin, async (req, res) => {
+// Global audit feed, newest first
+// Filters: complaint_id, actor_id, action (comma-separated), from, to
+app.get('/admin/audit', authorize('audit:read'), validate({
+  query: {
+    ...pageQuery,
+    complaint_id: uuid({ optional: true }),
+    actor_id: uuid({ optional: true }),
+    action: list(oneOf(AUDIT_ACTIONS), { optional: true }),
+    from: string({ optional: true, max: 40 }),
+    to: string({ optional: true, max: 40 }),
+  },
+}), async (req, res) => {
+  const { offset, limit, error } = parsePage(req.query);
+  if (error) return res.status(400).json({ message: error });
+
+  const actions = toList(req.query.action);
+
+  const filters = {
+    complaintId: req.query.complaint_id,
+    actorId: req.query.actor_id,
+    action: actions.length ? actions : undefined,
+    from: req.query.from && parseDate(req.query.from),
+    to: req.query.to && parseDate(req.query.to, true),
+  };
+  if (filters.from === null || filters.to === null) {
+    return res.status(400).json({ message: 'Invalid date range' });
+  }
+
   try {
-    const { id } = req.params;
-    const { comment } = req.body;
-    
-    if (!comment) {
-      return res.status(400).json({ message: 'Comment is required' });
+    const result = await repos.events.search(filters, { offset, limit });
+    res.json(pageResponse('events', result, { offset, limit }));
+  } catch (error) {
+    console.error('Audit Feed Error:', error);
+    res.status(500).json({ message: 'Error fetching audit feed' });
+  }
+});
+
+// Merge a duplicate into another complaint: votes and images move to the
+// surviving complaint and the duplicate is marked as such. Body: { into, reason }
+app.post('/admin/complaints/:id/merge', authorize('complaints:merge'), validate({
+  params: idParams,
+  body: { into: uuid(), reason: optionalReason },
+}), async (req, res) => {
+  const { id } = req.params;
+  const { into, reason } = req.body;
+
+  if (into === id) {
+    return res.status(400).json({ message: 'A different surviving complaint ("into") is required' });
+  }
+
+  try {
+    const [duplicate, surviving] = await Promise.all([
+      repos.complaints.findById(id),
+      repos.complaints.findById(into),
+    ]);
+    if (!duplicate || !surviving) return res.status(404).json({ message: 'Complaint not found' });
+
+    if (duplicate.merged_into || surviving.merged_into) {
+      return res.status(409).json({ message: 'Complaint has already been merged' });
     }
-    
-    // Get existing comments
-    const { data: complaint, error: fetchError } = await supabase
-      .from('complaints')
-      .select('admin_comments')
-      .eq('id', id)
-      .single();
-      
-    if (fetchError) throw fetchError;
-    
-    const comments = complaint.admin_comments || [];
-    comments.push({
-      text: comment,
-      timestamp: new Date().toISOString(),
-      admin_id: req.user.id
-    });
-    
-    // Update complaint with new comment
-    const { error: updateError } = await supabase
-      .from('complaints')
-      .update({ admin_comments: comments })
-      .eq('id', id);
-      
-    if (updateError) throw updateError;
-    
-    res.json({ message: 'Comment added successfully', comments });
+
+    const transition = workflow.checkTransition(duplicate.status, 'duplicate', { ...req.body, duplicate_of: into }, { merging: true });
+    if (transition.error) {
+      return res.status(transition.conflict ? 409 : 400).json({ message: transition.error });
+    }
+
+    await repos.complaints.merge(id, into);
+    await changeStatus(duplicate, transition, req.user.id, reason);
+    await audit.record({ complaintId: into, actorId: req.user.id, action: 'merged', newValue: id, reason });
+
+    const merged = await repos.complaints.findById(into);
+    res.json({ message: 'Complaints merged successfully', complaint: merged });
   } catch (error) {
-    console.error('Comment Error:', error);
-    res.status(500).json({ message: 'Error adding comment' });
+    console.error('Merge Error:', error);
+    res.status(500).json({ message: 'Error merging complaints' });
   }
 });
 
+// One action on many complaints
+app.use(createBulkRoutes({ repos, audit, workflow, changeStatus, tagNames, authorize }));
+
+// Comment threads (reporter and admin routes)
+app.use(createCommentRoutes({ repos, audit, authorize }));
+
+// Notification preferences and failed deliveries
+app.use(createNotificationRoutes({ repos, notifier, authorize }));
+
+// User administration and roles
+app.use(createUserRoutes({ repos, auth, tagNames, authorize }));
+
+// Token refresh, logout and active sessions
+app.use(createSessionRoutes({ repos, auth, authenticate }));
+
+// Password reset, password change and email verification
+app.use(createAccountRoutes({ repos, accounts, authenticate, rateLimit }));
+
+// Report and proof images on complaints
+app.use(createAttachmentRoutes({ repos, attachments, uploadImages, uploadedFiles, authenticate, authorize }));
+
+// Campus location catalogue
+app.use(createLocationRoutes({ repos, authenticate, authorize }));
+
+// Following complaints, and their events streamed live to dashboards and reporters
+//   EVENTS_HEARTBEAT_SECONDS (default 25), EVENTS_REPLAY_LIMIT (missed events
+//   sent on reconnect, default 500)
+app.use(createFollowRoutes({ repos, authorize }));
+app.use(createEventRoutes({
+  repos,
+  audit,
+  authenticate,
+  heartbeatSeconds: Number(process.env.EVENTS_HEARTBEAT_SECONDS) || 25,
+  replayLimit: Number(process.env.EVENTS_REPLAY_LIMIT) || 500,
+}));
+
 // Profile update endpoint
-app.post('/profile/update', authenticateToken, async (req, res) => {
+app.post('/profile/update', authorize('profile:manage'), validate({ body: profileBody }), async (req, res) => {
   try {
     const userId = req.user.id || req.user.sub;
 
@@ -688,38 +1147,95 @@ app.post('/profile/update', authenticateToken, async (req, res) => {
       return res.status(401).json({ message: 'Invalid token payload' });
     }
 
-    const { display_name } = req.body;
-
-    if (!display_name || typeof display_name !== 'string') {
-      return res.status(400).json({ message: 'Display name is required' });
+    // Omitted fields are left alone
+    const changes = profileChanges(req.body);
+    if (!Object.keys(changes).length) {
+      return res.status(400).json({ message: `Nothing to update (expected any of ${Object.keys(profileBody).join(', ')})` });
     }
 
-    const { data: updatedProfiles, error } = await supabase
-      .from('profiles')
-      .update({ display_name })
-      .eq('user_id', userId)
-      .select(); // removed .single()
-
-    if (error) {
-      console.error('Supabase update error:', error.message);
-      return res.status(500).json({ message: 'Failed to update profile', error: error.message });
+    let updatedProfile;
+    try {
+      updatedProfile = await repos.profiles.update(userId, changes);
+    } catch (error) {
+      console.error('Profile update error:', error);
+      return res.status(500).json({ message: 'Failed to update profile' });
     }
 
-    if (!updatedProfiles || updatedProfiles.length === 0) {
+    if (!updatedProfile) {
       return res.status(404).json({ message: 'Profile not found' });
     }
 
-    res.json(updatedProfiles[0]); // safely return the first
+    res.json({ message: 'Profile updated', profile: toProfileResponse(updatedProfile) });
   } catch (err) {
-    console.error('Profile Update Error:', err.message);
-    res.status(500).json({ message: 'Server error', error: err.message });
+    console.error('Profile Update Error:', err);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Start the server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
+// Upload a profile picture (multipart field "avatar"), stored as square crops
+// in each of AVATAR_SIZES; upload errors go to errorHandler
+app.post('/profile/avatar', authorize('profile:manage'), uploadImages([{ name: 'avatar', maxCount: 1 }]), async (req, res) => {
+  const [file] = uploadedFiles(req, ['avatar']);
+  if (!file) return res.status(400).json({ message: 'An "avatar" image file is required' });
+  if (!sniffImageType(file.buffer)) return res.status(415).json({ message: 'Avatar must be a JPEG, PNG, GIF or WebP image' });
+
+  try {
+    const profile = await repos.profiles.findByUserId(req.user.id);
+    if (!profile) return res.status(404).json({ message: 'Profile not found' });
+
+    const baseName = `${req.user.id}-${uuidv4()}`;
+    const avatar = {};
+    for (const size of AVATAR_SIZES) {
+      const image = await processImage(file.buffer, { width: size, height: size, fit: 'cover' });
+      avatar[size] = await uploadToStorage(image, `${baseName}-${size}.jpg`, 'avatars');
+    }
+
+    const updated = await repos.profiles.update(req.user.id, {
+      avatar,
+      avatar_url: avatar[AVATAR_SIZES[AVATAR_SIZES.length - 1]],
+    });
+    await removeAvatarFiles(profile.avatar);
+
+    res.json({ message: 'Avatar updated', profile: toProfileResponse(updated) });
+  } catch (error) {
+    console.error('Avatar Upload Error:', error);
+    res.status(500).json({ message: 'Error uploading avatar' });
+  }
 });
 
+app.delete('/profile/avatar', authorize('profile:manage'), async (req, res) => {
+  try {
+    const profile = await repos.profiles.findByUserId(req.user.id);
+    if (!profile) return res.status(404).json({ message: 'Profile not found' });
+
+    const updated = await repos.profiles.update(req.user.id, { avatar: null, avatar_url: null });
+    await removeAvatarFiles(profile.avatar);
+
+    res.json({ message: 'Avatar removed', profile: toProfileResponse(updated) });
+  } catch (error) {
+    console.error('Avatar Delete Error:', error);
+    res.status(500).json({ message: 'Error removing avatar' });
+  }
+});
+
+// OpenAPI document at /openapi.json and its reference page at /docs
+app.use(createDocsRoutes({ app, authenticate }));
+
+// Unknown routes, then errors passed to next() (validation, uploads, bad JSON)
+app.use(notFound);
+app.use(errorHandler);
+
+// Start the server when run directly; tests and serverless hosts use the
+// exported app
+if (require.main === module) {
+  if (SLA_CHECK_INTERVAL_MINUTES > 0) {
+    startSlaMonitor({ intervalMinutes: SLA_CHECK_INTERVAL_MINUTES, repos, audit, sla, workflow });
+  }
+
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    console.log(`Server is running on port ${PORT}`);
+  });
+}
+
 module.exports = app;
\ No newline at end of file
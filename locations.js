@@ -0,0 +1,61 @@
+const { readGpsLocation } = require('./images');
+
+// Campus locations (building → floor → room) and where a new complaint is.
+const LOCATION_KINDS = ['building', 'floor', 'room'];
+
+// Which kinds each kind may sit in; buildings are top level
+const PARENT_KINDS = {
+  building: [],
+  floor: ['building'],
+  room: ['floor', 'building'],
+};
+
+// The location followed by its parents, up to the building
+const ancestry = async (repos, location) => {
+  const chain = [location];
+  while (chain[chain.length - 1].parent_id) {
+    const parent = await repos.locations.findById(chain[chain.length - 1].parent_id);
+    if (!parent) break;
+    chain.push(parent);
+  }
+  return chain;
+};
+
+// Location columns for a new complaint from the checked /submit body:
+//   latitude, longitude   explicit coordinates (location_source "gps")
+//   use_photo_location    "true" to read them from the first image's EXIF ("photo")
+//   location_id           catalogue entry; supplies coordinates otherwise ("catalogue")
+//   location_note         free text, e.g. "next to the lift"
+// Returns { fields } or { error }.
+const resolveComplaintLocation = async (repos, body, files = []) => {
+  const fields = {};
+
+  const { latitude, longitude } = body;
+  const explicit = latitude !== undefined;
+  if (explicit) Object.assign(fields, { latitude, longitude, location_source: 'gps' });
+
+  if (!explicit && body.use_photo_location && files.length) {
+    const fromPhoto = await readGpsLocation(files[0].buffer);
+    if (fromPhoto) Object.assign(fields, fromPhoto, { location_source: 'photo' });
+  }
+
+  if (body.location_id) {
+    const location = await repos.locations.findById(body.location_id);
+    if (!location) return { error: 'Unknown location_id' };
+
+    const chain = await ancestry(repos, location);
+    fields.location_id = location.id;
+    fields.building_id = chain.find((entry) => entry.kind === 'building')?.id || null;
+
+    const located = chain.find((entry) => entry.latitude != null && entry.longitude != null);
+    if (fields.latitude === undefined && located) {
+      Object.assign(fields, { latitude: located.latitude, longitude: located.longitude, location_source: 'catalogue' });
+    }
+  }
+
+  if (body.location_note) fields.location_note = body.location_note;
+
+  return { fields };
+};
+
+module.exports = { resolveComplaintLocation, ancestry, LOCATION_KINDS, PARENT_KINDS };
@@ -0,0 +1,107 @@
+const { templates, staffTemplates, NOTIFIABLE_EVENTS } = require('./templates');
+
+const DEFAULT_PREFERENCES = {
+  email: true,
+  events: Object.fromEntries(NOTIFIABLE_EVENTS.map((name) => [name, true])),
+};
+
+// Saved preferences layered over the defaults, so new event types start enabled
+const resolvePreferences = (saved) => ({
+  email: saved?.email ?? DEFAULT_PREFERENCES.email,
+  events: { ...DEFAULT_PREFERENCES.events, ...(saved?.events || {}) },
+});
+
+// Turns audit events into reporter emails, escalation emails and integration
+// webhooks. Escalations go to the assignee, or to `escalationEmails` when the
+// complaint has none. Failed deliveries are retried with exponential backoff,
+// then dead-lettered.
+const createNotifier = ({ repos, mailer, webhooks, escalationEmails = [], maxAttempts = 3, retryDelayMs = 2000 }) => {
+  const channels = {
+    email: (target, payload) => mailer.send({ to: target, ...payload }),
+    webhook: (target, payload) => webhooks.send(target, payload),
+  };
+
+  const deliver = async (channel, target, payload, attempt = 1) => {
+    try {
+      await channels[channel](target, payload);
+    } catch (error) {
+      if (attempt < maxAttempts) {
+        const timer = setTimeout(
+          () => deliver(channel, target, payload, attempt + 1),
+          retryDelayMs * 2 ** (attempt - 1)
+        );
+        timer.unref();
+        return;
+      }
+
+      console.error(`Notification to ${target} failed after ${attempt} attempts:`, error.message);
+      try {
+        await repos.notifications.addDeadLetter({
+          channel,
+          target,
+          payload,
+          error: error.message,
+          attempts: attempt,
+        });
+      } catch (deadLetterError) {
+        console.error('Dead Letter Error:', deadLetterError);
+      }
+    }
+  };
+
+  const emailReporter = async (event) => {
+    if (!NOTIFIABLE_EVENTS.includes(event.action)) return;
+    if (event.action === 'comment_added' && event.details?.internal) return;
+
+    // Deleted complaints are only left in the event's snapshot
+    const complaint = event.action === 'deleted'
+      ? event.old_value
+      : await repos.complaints.findById(event.complaint_id);
+    if (!complaint || !complaint.user_id) return;
+
+    // Nobody needs an email about their own action, except the submit receipt
+    if (event.actor_id === complaint.user_id && event.action !== 'created') return;
+
+    const preferences = resolvePreferences(await repos.notifications.getPreferences(complaint.user_id));
+    if (!preferences.email || !preferences.events[event.action]) return;
+
+    const profile = await repos.profiles.findByUserId(complaint.user_id);
+    if (!profile?.email) return;
+
+    await deliver('email', profile.email, templates[event.action](complaint, event));
+  };
+
+  const emailEscalation = async (event) => {
+    if (event.action !== 'escalated') return;
+
+    const complaint = await repos.complaints.findById(event.complaint_id);
+    if (!complaint) return;
+
+    const assignee = complaint.assignee_id && await repos.profiles.findByUserId(complaint.assignee_id);
+    const recipients = assignee?.email ? [assignee.email] : escalationEmails;
+    const payload = staffTemplates.escalated(complaint, event);
+    await Promise.all(recipients.map((email) => deliver('email', email, payload)));
+  };
+
+  return {
+    async handle(event) {
+      try {
+        await Promise.all([
+          emailReporter(event),
+          emailEscalation(event),
+          ...webhooks.urls.map((url) => deliver('webhook', url, event)),
+        ]);
+      } catch (error) {
+        console.error('Notification Error:', error);
+      }
+    },
+
+    // One more attempt for a dead letter; it is removed once delivered
+    async retryDeadLetter(entry) {
+      await channels[entry.channel](entry.target, entry.payload);
+      await repos.notifications.removeDeadLetter(entry.id);
+    },
+  };
+};
+
+module.exports = { createNotifier, resolvePreferences, NOTIFIABLE_EVENTS };
@@ -0,0 +1,75 @@
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = 'UrbanFix <no-reply@urbanfix.local>';
+
+// Outgoing mail behind a one-method interface: send({ to, subject, text }).
+//
+//   MAIL_TRANSPORT=smtp    SMTP_URL, or SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+//   MAIL_TRANSPORT=log     print recipient and subject instead of sending; bodies carry
+//                          account tokens and are never printed (accounts.js prints
+//                          those itself, outside production)
+//   MAIL_TRANSPORT=memory  keep messages in `sent`, for tests
+//   MAIL_FROM              sender address
+//
+// Without MAIL_TRANSPORT, SMTP settings pick smtp. Otherwise log is the
+// default outside production; in production (NODE_ENV=production) every send
+// fails, so a missing setting shows up as failed and dead-lettered mail.
+//
+// Any object with an async send(message) can be passed as `transport` instead.
+// `delivers` says whether mail reaches its recipient.
+const defaultTransport = () => {
+  if (process.env.SMTP_URL || process.env.SMTP_HOST) return 'smtp';
+  return process.env.NODE_ENV === 'production' ? 'unconfigured' : 'log';
+};
+
+const createMailer = ({
+  transport = process.env.MAIL_TRANSPORT || defaultTransport(),
+  from = process.env.MAIL_FROM || DEFAULT_FROM,
+} = {}) => {
+  if (typeof transport === 'object') {
+    return { delivers: true, send: (message) => transport.send({ from, ...message }) };
+  }
+
+  if (transport === 'smtp') {
+    const smtp = nodemailer.createTransport(process.env.SMTP_URL || {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+    return { delivers: true, send: (message) => smtp.sendMail({ from, ...message }) };
+  }
+
+  if (transport === 'memory') {
+    const sent = [];
+    return {
+      delivers: true,
+      sent,
+      async send(message) {
+        sent.push({ from, ...message });
+      },
+    };
+  }
+
+  if (transport === 'log') {
+    return {
+      delivers: false,
+      async send({ to, subject }) {
+        console.log(`Mail (not sent): to=${to} subject="${subject}"`);
+      },
+    };
+  }
+
+  if (transport === 'unconfigured') {
+    return {
+      delivers: false,
+      async send() {
+        throw new Error('Mail is not configured: set SMTP_URL or SMTP_HOST, or MAIL_TRANSPORT');
+      },
+    };
+  }
+
+  throw new Error(`Unknown MAIL_TRANSPORT "${transport}" (expected smtp, log or memory)`);
+};
+
+module.exports = { createMailer };
@@ -0,0 +1,55 @@
+// Plain-text emails to the reporter, one per notifiable event
+const templates = {
+  created: (complaint) => ({
+    subject: `Complaint received: ${complaint.title}`,
+    text: `We have received your complaint "${complaint.title}". We'll let you know when its status changes.`,
+  }),
+
+  status_changed: (complaint, event) => {
+    const details = Object.entries(event.details || {})
+      .filter(([field]) => field !== 'bulk_id')
+      .map(([field, value]) => `\n${field.replace(/_/g, ' ')}: ${value}`)
+      .join('');
+    return {
+      subject: `Your complaint is now ${event.new_value}: ${complaint.title}`,
+      text: `The status of your complaint "${complaint.title}" changed from ${event.old_value} to ${event.new_value}.${details}`,
+    };
+  },
+
+  comment_added: (complaint, event) => ({
+    subject: `New comment on: ${complaint.title}`,
+    text: `There is a new comment on your complaint "${complaint.title}":\n\n${event.new_value}`,
+  }),
+
+  deleted: (complaint, event) => ({
+    subject: `Complaint removed: ${complaint.title}`,
+    text: `Your complaint "${complaint.title}" was removed.${event.reason ? `\nReason: ${event.reason}` : ''}`,
+  }),
+};
+
+const NOTIFIABLE_EVENTS = Object.keys(templates);
+
+// Emails to the people working on a complaint
+const staffTemplates = {
+  escalated: (complaint, event) => ({
+    subject: `Overdue complaint escalated to ${event.new_value}: ${complaint.title}`,
+    text: `The complaint "${complaint.title}" missed its ${event.details?.breach || 'SLA'} target and its priority went from ${event.old_value} to ${event.new_value}.${event.reason ? `\n${event.reason}` : ''}`,
+  }),
+};
+
+// Account emails; `link` is null when APP_URL isn't set, leaving just the token
+const withLink = (link, token) => (link ? `\n\n${link}` : `\n\nToken: ${token}`);
+
+const accountTemplates = {
+  email_verification: ({ token, link, minutes }) => ({
+    subject: 'Confirm your email address',
+    text: `Please confirm your email address to start submitting complaints. This link expires in ${minutes} minutes.${withLink(link, token)}`,
+  }),
+
+  password_reset: ({ token, link, minutes }) => ({
+    subject: 'Reset your password',
+    text: `Someone asked to reset the password of your UrbanFix account. If it wasn't you, ignore this email. The link expires in ${minutes} minutes.${withLink(link, token)}`,
+  }),
+};
+
+module.exports = { templates, staffTemplates, accountTemplates, NOTIFIABLE_EVENTS };
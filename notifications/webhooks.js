@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+
+// Receivers verify X-UrbanFix-Signature by computing
+// HMAC-SHA256(secret, `${X-UrbanFix-Timestamp}.${raw body}`) and comparing hex digests.
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const createWebhookSender = ({ urls = [], secret, timeout = 5000 } = {}) => ({
+  urls,
+
+  async send(url, payload) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-UrbanFix-Event': payload.action,
+      'X-UrbanFix-Delivery': uuidv4(),
+      'X-UrbanFix-Timestamp': String(timestamp),
+    };
+    if (secret) headers['X-UrbanFix-Signature'] = `sha256=${sign(secret, timestamp, body)}`;
+
+    await axios.post(url, body, { headers, timeout });
+  },
+});
+
+module.exports = { createWebhookSender, sign };
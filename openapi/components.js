@@ -0,0 +1,294 @@
+// Response bodies shared by several operations. They list the fields clients
+// rely on; handlers may add more (additionalProperties is left open), but a
+// documented field with the wrong type, or a missing required one, fails the
+// contract test.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const text = { type: 'string' };
+const id = { type: 'string', format: 'uuid' };
+const time = { type: 'string', format: 'date-time' };
+const count = { type: 'integer', minimum: 0 };
+const nullable = (schema) => ({ ...schema, nullable: true });
+const arrayOf = (items) => ({ type: 'array', items });
+const mapOf = (schema) => ({ type: 'object', additionalProperties: schema });
+// Any JSON value, null included
+const anything = { nullable: true };
+
+const object = (properties, required = Object.keys(properties)) => ({ type: 'object', properties, required });
+
+// { message, ...fields }, the body of most writes
+const withMessage = (properties, required = Object.keys(properties)) =>
+  object({ message: text, ...properties }, ['message', ...required]);
+
+// A page of items (see pagination.js)
+const page = (key, items) => object({
+  [key]: arrayOf(items),
+  total: count,
+  limit: { type: 'integer', minimum: 1 },
+  page: { type: 'integer', minimum: 1 },
+  next_cursor: nullable(text),
+});
+
+const complaint = {
+  type: 'object',
+  properties: {
+    id,
+    user_id: nullable(id),
+    title: text,
+    description: text,
+    status: text,
+    tags: arrayOf(text),
+    visibility: { type: 'string', enum: ['public', 'private', 'anonymous'] },
+    upvotes: count,
+    priority: text,
+    image_url: nullable(text),
+    admin_comments: nullable(text),
+    status_details: nullable({ type: 'object' }),
+    status_changed_at: nullable(time),
+    merged_into: nullable(id),
+    department_id: nullable(id),
+    assignee_id: nullable(id),
+    latitude: nullable({ type: 'number' }),
+    longitude: nullable({ type: 'number' }),
+    location_source: nullable(text),
+    location_id: nullable(id),
+    building_id: nullable(id),
+    location_note: nullable(text),
+    ack_due_at: nullable(time),
+    resolve_due_at: nullable(time),
+    acknowledged_at: nullable(time),
+    resolved_at: nullable(time),
+    escalated_at: nullable(time),
+    escalated_breach: nullable(text),
+    created_at: time,
+    has_voted: { type: 'boolean', description: 'Whether the caller has upvoted it' },
+    similarity: { type: 'number', description: 'Duplicate suggestions only' },
+    attachments: arrayOf(ref('Attachment')),
+  },
+  required: ['id', 'title', 'description', 'status', 'tags', 'visibility', 'upvotes', 'created_at'],
+};
+
+const profile = {
+  type: 'object',
+  properties: {
+    user_id: id,
+    display_name: nullable(text),
+    email: nullable(text),
+    email_verified: { type: 'boolean' },
+    department: nullable(text),
+    hostel: nullable(text),
+    building: nullable(text),
+    phone: nullable(text),
+    preferred_language: nullable(text),
+    avatar_url: nullable(text),
+    avatar: nullable({ type: 'object', additionalProperties: text }),
+  },
+  required: ['user_id'],
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    properties: {
+      message: text,
+      code: { type: 'string', description: 'Machine-readable, e.g. VALIDATION_FAILED or RATE_LIMITED' },
+      errors: {
+        ...arrayOf(object({ location: { type: 'string', enum: ['params', 'query', 'body'] }, field: text, message: text })),
+        description: 'VALIDATION_FAILED only',
+      },
+      retry_after: { type: 'integer', description: 'Seconds; 429 only' },
+    },
+    required: ['message', 'code'],
+  },
+  Message: withMessage({}),
+
+  Complaint: complaint,
+  ComplaintPage: page('complaints', ref('Complaint')),
+  ComplaintResult: withMessage({ complaint: ref('Complaint') }),
+
+  Tokens: withMessage({
+    token: { type: 'string', description: 'Access token (JWT), sent as "Authorization: Bearer <token>"' },
+    refresh_token: text,
+    refresh_expires_at: time,
+  }),
+
+  Attachment: object({
+    id,
+    complaint_id: id,
+    uploader_id: nullable(id),
+    kind: { type: 'string', enum: ['report', 'proof'] },
+    url: text,
+    thumbnail_url: nullable(text),
+    content_type: text,
+    width: nullable(count),
+    height: nullable(count),
+    size_bytes: count,
+    created_at: time,
+  }, ['id', 'complaint_id', 'kind', 'url', 'created_at']),
+
+  Comment: object({
+    id,
+    complaint_id: id,
+    parent_id: nullable(id),
+    author_id: nullable(id),
+    author_role: nullable(text),
+    body: nullable(text),
+    internal: { type: 'boolean' },
+    created_at: time,
+    updated_at: nullable(time),
+    deleted_at: nullable(time),
+  }, ['id', 'complaint_id', 'parent_id', 'internal', 'created_at']),
+  CommentThread: {
+    allOf: [ref('Comment')],
+    type: 'object',
+    properties: {
+      edited: { type: 'boolean' },
+      deleted: { type: 'boolean' },
+      replies: arrayOf(ref('CommentThread')),
+    },
+    required: ['replies'],
+  },
+
+  Event: object({
+    id,
+    complaint_id: nullable(id),
+    actor_id: nullable(id),
+    action: text,
+    old_value: anything,
+    new_value: anything,
+    reason: nullable(text),
+    details: nullable({ type: 'object' }),
+    created_at: time,
+  }, ['id', 'action', 'created_at']),
+
+  Profile: profile,
+  AdminUser: {
+    ...profile,
+    properties: {
+      ...profile.properties,
+      created_at: nullable(time),
+      disabled: { type: 'boolean' },
+      disabled_at: nullable(time),
+      disabled_reason: nullable(text),
+      role: nullable(text),
+      complaint_count: count,
+    },
+    required: ['user_id', 'disabled'],
+  },
+  Session: object({
+    id,
+    user_agent: nullable(text),
+    ip: nullable(text),
+    created_at: time,
+    last_used_at: nullable(time),
+    expires_at: time,
+    current: { type: 'boolean' },
+  }, ['id', 'created_at', 'expires_at', 'current']),
+  NotificationPreferences: object({
+    email: { type: 'boolean' },
+    events: mapOf({ type: 'boolean' }),
+  }),
+
+  Category: object({
+    id,
+    name: text,
+    description: nullable(text),
+    icon: nullable(text),
+    active: { type: 'boolean' },
+    parent_id: nullable(id),
+    ack_hours: nullable({ type: 'number' }),
+    resolve_hours: nullable({ type: 'number' }),
+    created_at: time,
+  }, ['id', 'name', 'active']),
+  Department: object({
+    id,
+    name: text,
+    description: nullable(text),
+    tags: arrayOf(text),
+    created_at: time,
+  }, ['id', 'name', 'tags']),
+  StaffMember: object({
+    user_id: id,
+    department_id: nullable(id),
+    active: { type: 'boolean' },
+    display_name: nullable(text),
+    email: nullable(text),
+    created_at: time,
+  }, ['user_id', 'department_id', 'active']),
+  Location: object({
+    id,
+    parent_id: nullable(id),
+    kind: text,
+    name: text,
+    code: nullable(text),
+    latitude: nullable({ type: 'number' }),
+    longitude: nullable({ type: 'number' }),
+    created_at: time,
+  }, ['id', 'parent_id', 'kind', 'name']),
+  DeadLetter: object({
+    id,
+    channel: text,
+    target: nullable(text),
+    payload: anything,
+    error: nullable(text),
+    attempts: count,
+    created_at: time,
+  }, ['id', 'channel', 'attempts', 'created_at']),
+
+  Workflow: object({
+    initial: text,
+    states: arrayOf(text),
+    transitions: mapOf(arrayOf(text)),
+    required: { type: 'object' },
+    terminal: arrayOf(text),
+    reopen: { type: 'object' },
+    merged: text,
+  }, ['initial', 'states', 'transitions']),
+  SlaCompliance: object({
+    mean_time_to_resolve_hours: nullable({ type: 'number' }),
+    compliance: nullable({ type: 'number' }),
+    byTag: mapOf(object({ resolved: count, within_sla: count, compliance: nullable({ type: 'number' }) })),
+  }),
+  Statistics: object({
+    total: count,
+    byStatus: mapOf(count),
+    byTag: mapOf(count),
+    recent: arrayOf(ref('Complaint')),
+    sla: ref('SlaCompliance'),
+  }),
+  Analytics: object({
+    range: object({ from: text, to: text, interval: text }),
+    total: count,
+    series: arrayOf(object({ period: text, opened: count, resolved: count })),
+    by_status: mapOf(count),
+    by_tag: mapOf(object({ total: count, by_status: mapOf(count) })),
+    top_open: arrayOf({ type: 'object' }),
+    top_reporters: arrayOf(object({ user_id: nullable(id), complaints: count }, ['complaints'])),
+    resolution_hours: object({
+      count,
+      mean: nullable({ type: 'number' }),
+      p50: nullable({ type: 'number' }),
+      p75: nullable({ type: 'number' }),
+      p90: nullable({ type: 'number' }),
+      p95: nullable({ type: 'number' }),
+    }),
+    sla: ref('SlaCompliance'),
+    generated_at: time,
+  }),
+  BulkResult: withMessage({
+    bulk_id: nullable(id),
+    applied: { type: 'boolean', description: 'False when a prechecked request was refused' },
+    succeeded: count,
+    failed: count,
+    results: arrayOf(object({
+      id,
+      ok: { type: 'boolean' },
+      complaint: ref('Complaint'),
+      status: { type: 'integer', description: 'HTTP status of a failed item' },
+      error: text,
+    }, ['id', 'ok'])),
+  }, ['bulk_id', 'applied', 'results']),
+};
+
+module.exports = { schemas, ref, object, withMessage, page, arrayOf, mapOf, nullable, text, id, time, count };
@@ -0,0 +1,184 @@
+const http = require('http');
+const { objectSchema } = require('../validation');
+const { schemas } = require('./components');
+const { OPERATIONS } = require('./operations');
+
+// The OpenAPI 3 document of the app, built from the routes themselves so it
+// can't drift from them:
+//
+//   paths and methods      the Express router (routers mounted at the root included)
+//   parameters and bodies  validate() schemas on the route (see validation.js)
+//   security               authenticate / authorize() on the route (authMiddleware.js)
+//   upload fields          uploadImages() (multipart/form-data)
+//   error responses        what those middlewares answer with, plus `errors` below
+//
+// Summaries and success responses come from ./operations.js. test/contract.test.js
+// checks that every route has an entry there and that real responses match.
+
+const binary = { type: 'string', format: 'binary' };
+const json = (schema) => ({ 'application/json': { schema } });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const TAGS = [
+  'Auth', 'Account', 'Profile', 'Complaints', 'Votes', 'Events', 'Comments', 'Attachments', 'Categories', 'Locations',
+  'Staff', 'Admin complaints', 'Users', 'Notifications', 'Analytics', 'Meta',
+];
+
+// /complaints/:id -> /complaints/{id}
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// Every route as { method, path, handlers }, in registration order. Only
+// routers mounted at the root are API routes (/storage serves files).
+const listRoutes = (app) => {
+  const routes = [];
+  const walk = (stack) => {
+    for (const layer of stack) {
+      if (layer.route) {
+        const handlers = layer.route.stack.map((entry) => entry.handle);
+        for (const method of Object.keys(layer.route.methods)) {
+          routes.push({ method: method.toUpperCase(), path: toOpenApiPath(layer.route.path), handlers });
+        }
+      } else if (layer.name === 'router' && layer.regexp.fast_slash) {
+        walk(layer.handle.stack);
+      }
+    }
+  };
+  walk(app._router.stack);
+  return routes;
+};
+
+const operationKey = ({ method, path }) => `${method} ${path}`;
+
+// Routes without an OPERATIONS entry, and entries no route matches
+const checkOperations = (app) => {
+  const keys = listRoutes(app).map(operationKey);
+  return {
+    undocumented: keys.filter((key) => !OPERATIONS[key]),
+    stale: Object.keys(OPERATIONS).filter((key) => !keys.includes(key)),
+  };
+};
+
+// getAdminComplaintsIdHistory
+const operationId = ({ method, path }) => method.toLowerCase() + path
+  .split(/[/{}.-]/)
+  .filter(Boolean)
+  .map((word) => word[0].toUpperCase() + word.slice(1))
+  .join('');
+
+const parametersOf = (path, validated) => [
+  ...[...path.matchAll(/{(\w+)}/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: validated.params?.[name] ? validated.params[name].jsonSchema() : { type: 'string' },
+  })),
+  ...Object.entries(validated.query || {}).map(([name, check]) => ({
+    name,
+    in: 'query',
+    required: !check.optional,
+    schema: check.jsonSchema(),
+  })),
+];
+
+const requestBodyOf = (validated, uploadFields, doc) => {
+  const body = validated.body ? objectSchema(validated.body) : doc.body;
+
+  if (uploadFields) {
+    const files = uploadFields.map(({ name, maxCount }) =>
+      [name, maxCount > 1 ? { type: 'array', items: binary, maxItems: maxCount } : binary]);
+    const schema = { ...body, type: 'object', properties: { ...body?.properties, ...Object.fromEntries(files) } };
+    return { required: true, content: { 'multipart/form-data': { schema } } };
+  }
+  if (!body) return undefined;
+  return { required: Boolean(body.required?.length), content: json(body) };
+};
+
+// A response given as a component name, a schema, or { description, content }
+const responseOf = (status, response) => {
+  const description = http.STATUS_CODES[status];
+  if (typeof response === 'string') return { description, content: json(ref(response)) };
+  if ('content' in response) {
+    return { description: response.description, ...(response.content && { content: response.content }) };
+  }
+  return { description, content: json(response) };
+};
+
+// Error statuses the route's middleware can answer with
+const errorStatusesOf = ({ method, path, handlers }, { validated, permissions, uploadFields, authenticate }) => [
+  (Object.keys(validated).length || uploadFields || ['POST', 'PUT', 'PATCH'].includes(method)) && 400,
+  handlers.includes(authenticate) && 401,
+  permissions.length && 403,
+  path.includes('{') && 404,
+  uploadFields && 413,
+  uploadFields && 415,
+  handlers.some((handler) => handler.rateLimit) && 429,
+  500,
+].filter(Boolean);
+
+const describeRoute = (route, doc, authenticate) => {
+  const { handlers } = route;
+  const validated = Object.assign({}, ...handlers.map((handler) => handler.schemas).filter(Boolean));
+  const permissions = [...new Set(handlers.flatMap((handler) => handler.permissions || []))];
+  const uploadFields = handlers.find((handler) => handler.uploadFields)?.uploadFields;
+  const rateLimits = handlers.map((handler) => handler.rateLimit).filter(Boolean);
+
+  const responses = {};
+  for (const [status, response] of Object.entries(doc.responses || { 200: 'Message' })) {
+    responses[status] = responseOf(status, response);
+  }
+  const errorStatuses = [...errorStatusesOf(route, { validated, permissions, uploadFields, authenticate }), ...(doc.errors || [])];
+  for (const status of errorStatuses.sort()) {
+    responses[status] = responses[status] || { description: http.STATUS_CODES[status], content: json(ref('Error')) };
+  }
+
+  const description = [
+    doc.description,
+    permissions.length && `Requires permission: ${permissions.join(', ')}.`,
+  ].filter(Boolean).join('\n\n');
+
+  const parameters = parametersOf(route.path, validated);
+  const requestBody = requestBodyOf(validated, uploadFields, doc);
+
+  return {
+    operationId: operationId(route),
+    ...(doc.tag && { tags: [doc.tag] }),
+    summary: doc.summary || `${route.method} ${route.path}`,
+    ...(description && { description }),
+    ...(doc.deprecated && { deprecated: true }),
+    ...(handlers.includes(authenticate) && { security: [{ bearerAuth: [] }] }),
+    ...(permissions.length && { 'x-permissions': permissions }),
+    ...(rateLimits.length && { 'x-rate-limits': rateLimits }),
+    ...(parameters.length && { parameters }),
+    ...(requestBody && { requestBody }),
+    responses,
+  };
+};
+
+// authenticate is the middleware that marks a route as needing a token
+const buildSpec = ({ app, authenticate, title = 'UrbanFix API', version = '1.0.0' }) => {
+  const paths = {};
+  for (const route of listRoutes(app)) {
+    const doc = OPERATIONS[operationKey(route)] || {};
+    if (doc.hidden) continue;
+    paths[route.path] = { ...paths[route.path], [route.method.toLowerCase()]: describeRoute(route, doc, authenticate) };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title,
+      version,
+      description: 'Civic complaint reporting and handling. Errors have the body { message, code }.',
+    },
+    tags: TAGS.map((name) => ({ name })),
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Access token from /login, /admin/login or /token/refresh' },
+      },
+    },
+  };
+};
+
+module.exports = { buildSpec, listRoutes, checkOperations, toOpenApiPath };
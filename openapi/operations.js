@@ -0,0 +1,284 @@
+// What the Express routes can't say about themselves: a summary and the
+// success responses of every operation, keyed "METHOD /path" as routed.
+// Parameters, bodies, security and the usual error responses are read off the
+// route (see index.js in this folder); `errors` adds the other statuses a
+// handler answers with, and `body` documents a body no validate() describes.
+//
+// Responses name a component schema, give one inline, or give raw content
+// for non-JSON bodies.
+
+const { ref, object, withMessage, page, arrayOf, nullable, text, id, count } = require('./components');
+
+const raw = (description, content) => ({ description, content });
+const binary = { type: 'string', format: 'binary' };
+
+const complaintPage = 'ComplaintPage';
+const message = 'Message';
+const result = 'ComplaintResult';
+const duplicates = object({ possible_duplicates: arrayOf(ref('Complaint')) });
+const categoryResult = withMessage({ category: ref('Category') });
+const departmentResult = withMessage({ department: ref('Department') });
+const staffResult = withMessage({ staff: ref('StaffMember') });
+const locationResult = withMessage({ location: ref('Location') });
+const commentResult = withMessage({ comment: ref('Comment') });
+const attachmentList = object({ attachments: arrayOf(ref('Attachment')) });
+const profileResult = withMessage({ profile: ref('Profile') });
+const userResult = withMessage({ user: ref('AdminUser') });
+const upvoted = { allOf: [ref('Complaint')], required: ['has_voted'] };
+const following = withMessage({ following: { type: 'boolean' } });
+
+const OPERATIONS = {
+  // Meta
+  'GET /': { tag: 'Meta', summary: 'Health check', responses: { 200: raw('Greeting', { 'text/html': { schema: text } }) } },
+  'GET /favicon.ico': { hidden: true, responses: { 204: raw('No icon') } },
+  'GET /openapi.json': { tag: 'Meta', summary: 'This document', responses: { 200: { type: 'object', required: ['openapi', 'paths'] } } },
+  'GET /docs': { tag: 'Meta', summary: 'API reference (Swagger UI)', responses: { 200: raw('HTML page', { 'text/html': { schema: text } }) } },
+
+  // Sign-up, login and sessions
+  'POST /signup': {
+    tag: 'Auth',
+    summary: 'Create a reporter account and log in',
+    description: 'Sends a verification email; complaints can be submitted once the address is verified.',
+    responses: {
+      201: withMessage({
+        token: text,
+        refresh_token: text,
+        refresh_expires_at: text,
+        user: object({ id, email: text }),
+        email_verified: { type: 'boolean' },
+      }),
+    },
+  },
+  'POST /login': { tag: 'Auth', summary: 'Log in', responses: { 200: 'Tokens' }, errors: [401, 403] },
+  'POST /admin/login': { tag: 'Auth', summary: 'Log in to the admin dashboard (staff and above)', responses: { 200: 'Tokens' }, errors: [401, 403] },
+  'POST /token/refresh': { tag: 'Auth', summary: 'Swap a refresh token for new tokens', responses: { 200: 'Tokens' }, errors: [401] },
+  'POST /logout': { tag: 'Auth', summary: 'End the current session', responses: { 200: message } },
+  'POST /logout/all': { tag: 'Auth', summary: 'End every session of the caller', responses: { 200: withMessage({ revoked: count }) } },
+  'GET /profile/sessions': { tag: 'Auth', summary: "The caller's active sessions", responses: { 200: object({ sessions: arrayOf(ref('Session')) }) } },
+  'DELETE /profile/sessions/{id}': { tag: 'Auth', summary: 'End one of the caller\'s sessions', responses: { 200: message } },
+
+  // Account recovery and verification
+  'POST /password/forgot': { tag: 'Account', summary: 'Email a password reset link', responses: { 200: message } },
+  'POST /password/reset': { tag: 'Account', summary: 'Set a new password with a reset token', responses: { 200: message } },
+  'POST /profile/password': { tag: 'Account', summary: 'Change password', responses: { 200: message }, errors: [403] },
+  'POST /email/verify': { tag: 'Account', summary: 'Verify an email address with its token', responses: { 200: message } },
+  'POST /email/verify/resend': { tag: 'Account', summary: 'Send the verification email again', responses: { 200: message }, errors: [404, 409] },
+
+  // Profile
+  'GET /profile': { tag: 'Profile', summary: "The caller's profile", responses: { 200: object({ profile: ref('Profile') }) }, errors: [404] },
+  'POST /profile/update': {
+    tag: 'Profile',
+    summary: 'Update profile fields',
+    description: 'Fields left out are unchanged; null or an empty string clears a field other than display_name.',
+    responses: { 200: profileResult },
+    errors: [400, 404],
+  },
+  'POST /profile/avatar': { tag: 'Profile', summary: 'Upload an avatar image', responses: { 200: profileResult }, errors: [400, 404] },
+  'DELETE /profile/avatar': { tag: 'Profile', summary: 'Remove the avatar', responses: { 200: profileResult }, errors: [404] },
+  'GET /profile/notifications': {
+    tag: 'Profile',
+    summary: 'Notification preferences',
+    responses: { 200: object({ preferences: ref('NotificationPreferences') }) },
+  },
+  'PUT /profile/notifications': {
+    tag: 'Profile',
+    summary: 'Change notification preferences',
+    responses: { 200: withMessage({ preferences: ref('NotificationPreferences') }) },
+  },
+
+  // Complaints
+  'POST /submit': {
+    tag: 'Complaints',
+    summary: 'Submit a complaint',
+    description: 'Images go in "images"; older clients send a single "image". Requires a verified email address.',
+    responses: {
+      201: withMessage({
+        complaint: ref('Complaint'),
+        attachments: arrayOf(ref('Attachment')),
+        possible_duplicates: arrayOf(ref('Complaint')),
+      }),
+    },
+  },
+  'GET /complaints': { tag: 'Complaints', summary: "The caller's complaints", responses: { 200: complaintPage } },
+  'GET /complaints/similar': { tag: 'Complaints', summary: 'Open complaints similar to a draft', responses: { 200: duplicates } },
+  'GET /feed': { tag: 'Complaints', summary: 'Public complaints from everyone', responses: { 200: complaintPage } },
+  'DELETE /complaints/{id}': { tag: 'Complaints', summary: 'Delete one of the caller\'s complaints', responses: { 200: message }, errors: [403] },
+  'DELETE /complaints/{id}/image': { tag: 'Complaints', summary: 'Remove the images of one of the caller\'s complaints', responses: { 200: message } },
+  'POST /complaints/{id}/reopen': { tag: 'Complaints', summary: 'Reopen a resolved complaint', responses: { 200: result }, errors: [409] },
+  'GET /workflow': { tag: 'Complaints', summary: 'Complaint states and allowed transitions', responses: { 200: 'Workflow' } },
+
+  // Votes
+  'POST /complaints/{id}/upvote': { tag: 'Votes', summary: 'Upvote a complaint', responses: { 200: upvoted }, errors: [409] },
+  'DELETE /complaints/{id}/upvote': { tag: 'Votes', summary: 'Withdraw an upvote', responses: { 200: upvoted } },
+  'GET /profile/votes': { tag: 'Votes', summary: 'Complaints the caller has upvoted', responses: { 200: complaintPage } },
+
+  // Live events
+  'GET /events': {
+    tag: 'Events',
+    summary: 'Complaint events as they happen (server-sent events)',
+    description: 'Moderators and admins receive every event; others receive those of complaints they reported, are assigned or follow, '
+      + 'with other users\' ids left out and, unless they are staff, who a complaint was assigned to. '
+      + 'Each message is an Event with its id as the SSE id. Send it back as Last-Event-ID (or last_event_id) to replay missed events; '
+      + 'a "reset" event means they could not be replayed. EventSource clients can pass the token as access_token.',
+    responses: { 200: raw('Event stream', { 'text/event-stream': { schema: text } }) },
+  },
+  'POST /complaints/{id}/follow': { tag: 'Events', summary: 'Follow a complaint\'s events', responses: { 200: following }, errors: [409] },
+  'DELETE /complaints/{id}/follow': { tag: 'Events', summary: 'Stop following a complaint', responses: { 200: following } },
+
+  // Comments
+  'GET /complaints/{id}/comments': { tag: 'Comments', summary: 'Public comment thread', responses: { 200: object({ comments: arrayOf(ref('CommentThread')) }) } },
+  'POST /complaints/{id}/comments': { tag: 'Comments', summary: 'Comment or reply', responses: { 201: commentResult }, errors: [409] },
+  'PATCH /complaints/{id}/comments/{commentId}': { tag: 'Comments', summary: 'Edit one of the caller\'s comments', responses: { 200: commentResult }, errors: [409] },
+  'DELETE /complaints/{id}/comments/{commentId}': { tag: 'Comments', summary: 'Delete one of the caller\'s comments', responses: { 200: message }, errors: [409] },
+  'GET /admin/complaints/{id}/comments': { tag: 'Comments', summary: 'Full thread, internal notes included', responses: { 200: object({ comments: arrayOf(ref('CommentThread')) }) } },
+  'POST /admin/complaints/{id}/comments': { tag: 'Comments', summary: 'Comment, reply or add an internal note', responses: { 201: commentResult }, errors: [409] },
+  'POST /admin/complaints/{id}/comment': { tag: 'Comments', summary: 'Older alias of POST /admin/complaints/{id}/comments', deprecated: true, responses: { 201: commentResult }, errors: [409] },
+  'GET /admin/complaints/{id}/comments/{commentId}/history': {
+    tag: 'Comments',
+    summary: 'Edit history of a comment',
+    responses: { 200: object({ comment: ref('Comment'), revisions: arrayOf({ type: 'object' }) }) },
+  },
+
+  // Attachments
+  'GET /complaints/{id}/attachments': { tag: 'Attachments', summary: 'Images of a complaint', responses: { 200: attachmentList }, errors: [403] },
+  'POST /complaints/{id}/attachments': { tag: 'Attachments', summary: 'Add report images to one of the caller\'s complaints', responses: { 201: withMessage({ attachments: arrayOf(ref('Attachment')) }) }, errors: [403, 409] },
+  'POST /admin/complaints/{id}/attachments': { tag: 'Attachments', summary: 'Add proof-of-resolution images', responses: { 201: withMessage({ attachments: arrayOf(ref('Attachment')) }) }, errors: [409] },
+  'DELETE /complaints/{id}/attachments/{attachmentId}': { tag: 'Attachments', summary: 'Remove an image', responses: { 200: message }, errors: [403] },
+
+  // Categories
+  'GET /tags': {
+    tag: 'Categories',
+    summary: 'Active categories',
+    responses: { 200: object({ tags: arrayOf(text), categories: arrayOf(ref('Category')) }) },
+  },
+  'GET /admin/categories': { tag: 'Categories', summary: 'All categories', responses: { 200: object({ categories: arrayOf(ref('Category')) }) } },
+  'POST /admin/categories': { tag: 'Categories', summary: 'Create a category', responses: { 201: categoryResult }, errors: [409] },
+  'PUT /admin/categories/{id}': {
+    tag: 'Categories',
+    summary: 'Update a category',
+    description: 'Renaming retags existing complaints.',
+    responses: { 200: withMessage({ category: ref('Category'), complaints_updated: count }) },
+    errors: [409],
+  },
+  'DELETE /admin/categories/{id}': { tag: 'Categories', summary: 'Delete an unused category', responses: { 200: message }, errors: [409] },
+  'POST /admin/categories/{id}/merge': {
+    tag: 'Categories',
+    summary: 'Merge a category into another',
+    responses: { 200: withMessage({ category: ref('Category'), complaints_updated: count }) },
+  },
+
+  // Locations
+  'GET /locations': { tag: 'Locations', summary: 'Campus locations', responses: { 200: object({ locations: arrayOf(ref('Location')) }) } },
+  'GET /locations/{id}': {
+    tag: 'Locations',
+    summary: 'A location with its parents and children',
+    responses: { 200: object({ location: ref('Location'), path: arrayOf(ref('Location')), children: arrayOf(ref('Location')) }) },
+  },
+  'POST /admin/locations': { tag: 'Locations', summary: 'Create a location', responses: { 201: locationResult }, errors: [409] },
+  'PUT /admin/locations/{id}': { tag: 'Locations', summary: 'Update a location', responses: { 200: locationResult }, errors: [409] },
+  'DELETE /admin/locations/{id}': { tag: 'Locations', summary: 'Delete a location', responses: { 200: message } },
+
+  // Departments, staff and the work queue
+  'GET /admin/departments': { tag: 'Staff', summary: 'Departments', responses: { 200: object({ departments: arrayOf(ref('Department')) }) } },
+  'POST /admin/departments': { tag: 'Staff', summary: 'Create a department', responses: { 201: departmentResult }, errors: [409] },
+  'PUT /admin/departments/{id}': { tag: 'Staff', summary: 'Update a department', responses: { 200: departmentResult }, errors: [409] },
+  'DELETE /admin/departments/{id}': { tag: 'Staff', summary: 'Delete a department', responses: { 200: message } },
+  'GET /admin/staff': { tag: 'Staff', summary: 'Staff members', responses: { 200: object({ staff: arrayOf(ref('StaffMember')) }) } },
+  'POST /admin/staff': { tag: 'Staff', summary: 'Add a staff member', responses: { 201: staffResult }, errors: [409] },
+  'PUT /admin/staff/{userId}': { tag: 'Staff', summary: 'Update a staff member', responses: { 200: staffResult } },
+  'DELETE /admin/staff/{userId}': { tag: 'Staff', summary: 'Remove a staff member', responses: { 200: message } },
+  'PUT /admin/complaints/{id}/assignee': { tag: 'Staff', summary: 'Assign or unassign a complaint', responses: { 200: result } },
+  'GET /staff/queue': { tag: 'Staff', summary: "Complaints in the caller's queue", responses: { 200: complaintPage } },
+  'PUT /staff/complaints/{id}/status': { tag: 'Staff', summary: 'Move an assigned complaint along the workflow', responses: { 200: result }, errors: [409] },
+
+  // Complaint administration
+  'GET /admin/complaints': { tag: 'Admin complaints', summary: 'All complaints', responses: { 200: complaintPage } },
+  'GET /admin/complaints/geojson': {
+    tag: 'Admin complaints',
+    summary: 'Complaints with coordinates as a GeoJSON FeatureCollection',
+    responses: {
+      200: raw('FeatureCollection', {
+        'application/geo+json': { schema: object({ type: { type: 'string', enum: ['FeatureCollection'] }, features: arrayOf({ type: 'object' }) }) },
+      }),
+    },
+  },
+  'GET /admin/complaints/export': {
+    tag: 'Admin complaints',
+    summary: 'Export complaints as CSV or JSON, or a PDF summary',
+    description: 'CSV and JSON take the /admin/complaints filters and list complaints in created_at order (order=desc for newest first). '
+      + 'The PDF summarises a period (from, to, interval, top) and takes no list filters.',
+    responses: {
+      200: raw('The export, streamed', {
+        'text/csv': { schema: text },
+        'application/json': { schema: arrayOf(ref('Complaint')) },
+        'application/pdf': { schema: binary },
+      }),
+    },
+  },
+  'GET /admin/complaints/overdue': { tag: 'Admin complaints', summary: 'Open complaints past an SLA due date', responses: { 200: complaintPage } },
+  'GET /admin/complaints/{id}': { tag: 'Admin complaints', summary: 'A complaint with its attachments', responses: { 200: { allOf: [ref('Complaint')], required: ['attachments'] } } },
+  'GET /admin/complaints/{id}/history': { tag: 'Admin complaints', summary: 'Audit trail of a complaint', responses: { 200: object({ history: arrayOf(ref('Event')) }) } },
+  'PUT /admin/complaints/{id}/status': { tag: 'Admin complaints', summary: 'Change status', responses: { 200: result }, errors: [409] },
+  'PUT /admin/complaints/{id}/priority': { tag: 'Admin complaints', summary: 'Change priority (recomputes due dates)', responses: { 200: result } },
+  'POST /admin/complaints/{id}/merge': { tag: 'Admin complaints', summary: 'Merge duplicates into this complaint', responses: { 200: result }, errors: [409] },
+  'DELETE /admin/complaints/{id}': { tag: 'Admin complaints', summary: 'Delete a complaint', responses: { 200: message } },
+  'POST /admin/complaints/bulk': {
+    tag: 'Admin complaints',
+    summary: 'Apply one action to many complaints',
+    description: 'Each action needs its own permission as well. With precheck, nothing is changed if any item fails its checks (409, with the results); it is not a transaction, so a storage error part-way through still leaves earlier items changed.',
+    responses: { 200: 'BulkResult', 409: { allOf: [ref('BulkResult'), ref('Error')] } },
+  },
+  'POST /admin/sla/escalate': {
+    tag: 'Admin complaints',
+    summary: 'Escalate overdue complaints now',
+    responses: { 200: withMessage({ complaints: arrayOf(ref('Complaint')) }) },
+  },
+  'GET /cron/sla/escalate': {
+    tag: 'Admin complaints',
+    summary: 'Scheduled SLA escalation',
+    description: 'For a scheduler such as Vercel Cron, on deploys without a long-running server. Needs "Authorization: Bearer" with the CRON_SECRET setting rather than a user token.',
+    responses: { 200: withMessage({ complaints: arrayOf(ref('Complaint')) }) },
+    errors: [401],
+  },
+  'GET /admin/audit': { tag: 'Admin complaints', summary: 'Audit log', responses: { 200: page('events', ref('Event')) } },
+
+  // Users and roles
+  'GET /admin/profile': {
+    tag: 'Users',
+    summary: "The caller's admin identity and permissions",
+    responses: { 200: object({ email: text, display_name: text, role: text, permissions: arrayOf(text) }) },
+    errors: [404],
+  },
+  'GET /admin/users': { tag: 'Users', summary: 'Users', responses: { 200: page('users', ref('AdminUser')) } },
+  'GET /admin/users/{userId}': { tag: 'Users', summary: 'A user with their role and complaint count', responses: { 200: object({ user: ref('AdminUser') }) } },
+  'GET /admin/users/{userId}/complaints': { tag: 'Users', summary: "A user's complaints", responses: { 200: complaintPage } },
+  'POST /admin/users/{userId}/disable': { tag: 'Users', summary: 'Disable an account', responses: { 200: userResult }, errors: [409] },
+  'POST /admin/users/{userId}/enable': { tag: 'Users', summary: 'Re-enable an account', responses: { 200: userResult }, errors: [409] },
+  'GET /admin/roles': {
+    tag: 'Users',
+    summary: 'Roles and their permissions',
+    responses: { 200: object({ roles: arrayOf(object({ role: text, permissions: arrayOf(text) })) }) },
+  },
+  'GET /admin/users/{userId}/role': {
+    tag: 'Users',
+    summary: "A user's role",
+    responses: { 200: object({ user_id: id, role: text, assigned: nullable(text) }) },
+  },
+  'PUT /admin/users/{userId}/role': {
+    tag: 'Users',
+    summary: 'Change a user\'s role (from their next login or refresh)',
+    responses: { 200: withMessage({ user_id: id, role: text }) },
+    errors: [409],
+  },
+
+  // Notifications
+  'GET /admin/notifications/dead-letters': { tag: 'Notifications', summary: 'Notifications that could not be delivered', responses: { 200: page('dead_letters', ref('DeadLetter')) } },
+  'POST /admin/notifications/dead-letters/{id}/retry': { tag: 'Notifications', summary: 'Deliver a dead letter again', responses: { 200: message }, errors: [502] },
+  'DELETE /admin/notifications/dead-letters/{id}': { tag: 'Notifications', summary: 'Discard a dead letter', responses: { 200: message } },
+
+  // Analytics
+  'GET /admin/analytics': { tag: 'Analytics', summary: 'Time series and breakdowns for the dashboard', responses: { 200: 'Analytics' } },
+  'GET /admin/statistics': { tag: 'Analytics', summary: 'All-time totals and the newest complaints', responses: { 200: 'Statistics' } },
+};
+
+module.exports = { OPERATIONS };
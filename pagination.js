@@ -0,0 +1,49 @@
+// Offset paging shared by the list endpoints. Cursors are opaque to clients;
+// `page` is accepted as a convenience.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const encodeCursor = (offset) => Buffer.from(JSON.stringify({ offset })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Returns { offset, limit } or { error } with a message for a 400 response
+const parsePage = ({ limit: rawLimit, cursor, page: rawPage }) => {
+  const limit = rawLimit === undefined ? DEFAULT_LIMIT : Number(rawLimit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `Invalid limit (expected 1-${MAX_LIMIT})` };
+  }
+
+  if (cursor) {
+    const offset = decodeCursor(cursor);
+    if (offset === null) return { error: 'Invalid cursor' };
+    return { offset, limit };
+  }
+
+  if (rawPage !== undefined) {
+    const page = Number(rawPage);
+    if (!Number.isInteger(page) || page < 1) return { error: 'Invalid page' };
+    return { offset: (page - 1) * limit, limit };
+  }
+
+  return { offset: 0, limit };
+};
+
+// Shapes a repository { items, total } result into a response body
+const pageResponse = (key, { items, total }, { offset, limit }) => ({
+  [key]: items,
+  total,
+  limit,
+  page: Math.floor(offset / limit) + 1,
+  next_cursor: offset + items.length < total ? encodeCursor(offset + items.length) : null,
+});
+
+module.exports = { parsePage, pageResponse, MAX_LIMIT };
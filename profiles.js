@@ -0,0 +1,40 @@
+const { string, oneOf } = require('./validation');
+
+const LANGUAGES = ['en', 'hi', 'ta', 'te', 'kn', 'ml', 'mr', 'bn', 'gu', 'ur'];
+
+// Editable profile fields (POST /profile/update). Every field but
+// display_name may be set to null or an empty string to clear it.
+const clearable = (options = {}) => string({ optional: true, nullable: true, trim: true, max: 100, ...options });
+const profileBody = {
+  display_name: string({ optional: true, trim: true, min: 1, max: 100 }),
+  department: clearable(),
+  hostel: clearable(),
+  building: clearable(),
+  phone: clearable({ pattern: /^(\+?[0-9][0-9 ()-]{5,19})?$/, hint: 'a phone number' }),
+  preferred_language: oneOf([...LANGUAGES, ''], { optional: true, nullable: true }),
+};
+
+// Square avatar sizes in pixels; the largest also goes into avatar_url
+const AVATAR_SIZES = [64, 128, 256];
+
+// The fields present in a body checked against profileBody, '' read as null
+const profileChanges = (body) => Object.fromEntries(Object.keys(profileBody)
+  .filter((field) => body[field] !== undefined)
+  .map((field) => [field, body[field] === '' ? null : body[field]]));
+
+// What the API shows of a profile
+const toProfileResponse = (profile) => ({
+  display_name: profile.display_name || 'User',
+  email: profile.email || 'No email provided',
+  user_id: profile.user_id,
+  email_verified: Boolean(profile.email_verified_at),
+  department: profile.department || null,
+  hostel: profile.hostel || null,
+  building: profile.building || null,
+  phone: profile.phone || null,
+  preferred_language: profile.preferred_language || null,
+  avatar_url: profile.avatar_url || null,
+  avatar: profile.avatar || null,
+});
+
+module.exports = { profileBody, profileChanges, toProfileResponse, AVATAR_SIZES, LANGUAGES };
@@ -0,0 +1,169 @@
+// Rate limiting and abuse protection: fixed-window request buckets per route
+// (per client IP and, behind authenticate, per user), login lockout after
+// repeated failures, and a daily complaint quota. Limited requests get 429
+// with Retry-After.
+//
+// Buckets live in a store with hit/get/reset. The in-process one below is
+// enough for a single instance; with several, use repos.rateLimits
+// (RATE_LIMIT_STORE=database) so they share counts.
+
+const DEFAULT_LIMITS = {
+  login: { ip: { max: 10, windowSeconds: 15 * 60 } },
+  admin_login: { ip: { max: 10, windowSeconds: 15 * 60 } },
+  signup: { ip: { max: 5, windowSeconds: 60 * 60 } },
+  password_forgot: { ip: { max: 5, windowSeconds: 60 * 60 } },
+  submit: { ip: { max: 30, windowSeconds: 60 * 60 }, user: { max: 10, windowSeconds: 60 * 60 } },
+  upvote: { ip: { max: 120, windowSeconds: 60 }, user: { max: 30, windowSeconds: 60 } },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hits between sweeps of expired buckets in the memory store
+const SWEEP_EVERY = 1000;
+
+// Express 'trust proxy' from TRUST_PROXY. Limits key on req.ip, so nothing is
+// trusted unless configured: otherwise a client could pick its own address
+// with X-Forwarded-For. Trusting every hop ("true") would do the same and
+// isn't accepted.
+const trustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') throw new Error('TRUST_PROXY must be a hop count or proxy addresses, not "true"');
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+// { count, resetAt } buckets in a Map; expired ones are dropped as they're met
+// and swept every SWEEP_EVERY hits
+const createMemoryStore = ({ now = Date.now } = {}) => {
+  const buckets = new Map();
+  let hits = 0;
+
+  const live = (key) => {
+    const bucket = buckets.get(key);
+    if (bucket && bucket.resetAt <= now()) {
+      buckets.delete(key);
+      return null;
+    }
+    return bucket || null;
+  };
+
+  return {
+    // Counts a hit in the key's current window: { count, resetAt } (ms)
+    async hit(key, windowMs) {
+      if (++hits % SWEEP_EVERY === 0) {
+        for (const bucketKey of buckets.keys()) live(bucketKey);
+      }
+      const bucket = live(key) || { count: 0, resetAt: now() + windowMs };
+      bucket.count += 1;
+      buckets.set(key, bucket);
+      return { ...bucket };
+    },
+
+    async get(key) {
+      const bucket = live(key);
+      return bucket ? { ...bucket } : null;
+    },
+
+    async reset(key) {
+      buckets.delete(key);
+    },
+  };
+};
+
+const secondsUntil = (resetAt) => Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+// Every limit uses this body shape (as authMiddleware's deny)
+const tooMany = (res, retryAfter, code, message) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ message, code, retry_after: retryAfter });
+};
+
+// A failing store lets requests through rather than locking everyone out
+const safely = async (label, fn, fallback) => {
+  try {
+    return await fn();
+  } catch (error) {
+    console.error(`${label} Error:`, error);
+    return fallback;
+  }
+};
+
+// limits: DEFAULT_LIMITS overridden per route and scope, e.g.
+// { "submit": { "user": { "max": 5, "windowSeconds": 3600 } } }; a scope set
+// to null is not limited. ipOf(req) picks the client address.
+const createRateLimiter = ({ store, limits = {}, ipOf }) => {
+  const rulesFor = (name) => ({ ...DEFAULT_LIMITS[name], ...limits[name] });
+
+  // Middleware for the named route; the user scope needs req.user
+  const limit = (name) => Object.assign(async (req, res, next) => {
+    for (const [scope, rule] of Object.entries(rulesFor(name))) {
+      const id = scope === 'user' ? req.user?.id : ipOf(req);
+      if (!rule || !id) continue;
+
+      const bucket = await safely('Rate Limit', () => store.hit(`${name}:${scope}:${id}`, rule.windowSeconds * 1000), null);
+      if (bucket && bucket.count > rule.max) {
+        return tooMany(res, secondsUntil(bucket.resetAt), 'RATE_LIMITED', 'Too many requests. Please try again later.');
+      }
+    }
+    next();
+  }, { rateLimit: name });
+
+  return { limit };
+};
+
+// Locks an account's email address for lockMinutes after maxFailures failed
+// logins within windowMinutes, from whatever addresses they came; how fast a
+// single client can guess is up to the per-IP login limits. Counted whether
+// or not an account exists, so lockouts don't reveal which emails are
+// registered.
+const createLoginLockout = ({ store, maxFailures = 5, windowMinutes = 15, lockMinutes = 15 }) => {
+  const keyOf = (email) => String(email || '').trim().toLowerCase();
+
+  return {
+    // Seconds until the address unlocks, or 0
+    async retryAfter(email) {
+      const lock = await safely('Login Lockout', () => store.get(`login-lock:${keyOf(email)}`), null);
+      return lock ? secondsUntil(lock.resetAt) : 0;
+    },
+
+    async fail(email) {
+      const key = keyOf(email);
+      await safely('Login Lockout', async () => {
+        const failures = await store.hit(`login-failures:${key}`, windowMinutes * 60 * 1000);
+        if (failures.count < maxFailures) return;
+        await store.reset(`login-failures:${key}`);
+        await store.hit(`login-lock:${key}`, lockMinutes * 60 * 1000);
+      });
+    },
+
+    async succeed(email) {
+      await safely('Login Lockout', () => store.reset(`login-failures:${keyOf(email)}`));
+    },
+
+    // 429 for a locked address; resolves to true when the request was answered
+    async reject(res, email) {
+      const retryAfter = await this.retryAfter(email);
+      if (!retryAfter) return false;
+      tooMany(res, retryAfter, 'ACCOUNT_LOCKED', 'Too many failed logins. Please try again later.');
+      return true;
+    },
+  };
+};
+
+// At most perDay complaints per user per UTC day (0 disables). Counted from
+// stored complaints, so it holds across instances without a shared store.
+const dailyComplaintQuota = ({ repos, perDay }) => Object.assign(async (req, res, next) => {
+  if (!perDay) return next();
+
+  const start = new Date();
+  start.setUTCHours(0, 0, 0, 0);
+  const submitted = await safely('Complaint Quota', () =>
+    repos.complaints.count({ userId: req.user.id, from: start.toISOString() }), 0);
+
+  if (submitted >= perDay) {
+    return tooMany(res, secondsUntil(start.getTime() + DAY_MS), 'QUOTA_EXCEEDED',
+      `You can submit at most ${perDay} complaints per day.`);
+  }
+  next();
+}, { rateLimit: 'complaint_quota' });
+
+module.exports = { trustProxy, createMemoryStore, createRateLimiter, createLoginLockout, dailyComplaintQuota, DEFAULT_LIMITS };
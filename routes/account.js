@@ -0,0 +1,92 @@
+const express = require('express');
+const { MIN_PASSWORD_LENGTH } = require('../accounts');
+const { validate, string, email } = require('../validation');
+
+const newPassword = string({ min: MIN_PASSWORD_LENGTH, max: 200 });
+const token = string({ min: 1, max: 200 });
+
+// Forgotten and changed passwords, and email verification
+const createAccountRoutes = ({ repos, accounts, authenticate, rateLimit }) => {
+  const router = express.Router();
+
+  // Same answer whether or not the address has an account
+  router.post('/password/forgot', rateLimit('password_forgot'), validate({ body: { email: email() } }), async (req, res) => {
+    try {
+      const profile = await repos.profiles.findByEmail(req.body.email);
+      if (profile) await accounts.sendPasswordReset(profile.user_id, profile.email);
+    } catch (error) {
+      console.error('Password Forgot Error:', error);
+    }
+    res.json({ message: 'If that address has an account, a reset link is on its way' });
+  });
+
+  // Body: { token, password } — logs the user out everywhere
+  router.post('/password/reset', validate({ body: { token, password: newPassword } }), async (req, res) => {
+    const { password } = req.body;
+
+    try {
+      const used = await accounts.consume(req.body.token, 'password_reset');
+      if (!used) return res.status(400).json({ message: 'Invalid or expired reset token' });
+
+      await repos.auth.updatePassword(used.user_id, password);
+      await repos.sessions.revokeAll(used.user_id);
+
+      res.json({ message: 'Password has been reset. Please log in again.' });
+    } catch (error) {
+      console.error('Password Reset Error:', error);
+      res.status(500).json({ message: 'Error resetting password' });
+    }
+  });
+
+  // Body: { current_password, new_password } — other sessions are logged out
+  router.post('/profile/password', authenticate, validate({
+    body: { current_password: string({ min: 1, max: 200 }), new_password: newPassword },
+  }), async (req, res) => {
+    const { current_password, new_password } = req.body;
+
+    try {
+      const user = await repos.auth.signIn({ email: req.user.email, password: current_password });
+      if (!user) return res.status(403).json({ message: 'Current password is incorrect' });
+
+      await repos.auth.updatePassword(user.id, new_password);
+      await repos.sessions.revokeAll(user.id, { exceptId: req.user.sid });
+
+      res.json({ message: 'Password changed' });
+    } catch (error) {
+      console.error('Password Change Error:', error);
+      res.status(500).json({ message: 'Error changing password' });
+    }
+  });
+
+  // Body: { token } — from the link mailed at signup
+  router.post('/email/verify', validate({ body: { token } }), async (req, res) => {
+    try {
+      const used = await accounts.consume(req.body.token, 'email_verification');
+      if (!used) return res.status(400).json({ message: 'Invalid or expired verification token' });
+
+      await repos.profiles.update(used.user_id, { email_verified_at: new Date().toISOString() });
+      res.json({ message: 'Email address verified' });
+    } catch (error) {
+      console.error('Email Verify Error:', error);
+      res.status(500).json({ message: 'Error verifying email address' });
+    }
+  });
+
+  router.post('/email/verify/resend', authenticate, async (req, res) => {
+    try {
+      const profile = await repos.profiles.findByUserId(req.user.id);
+      if (!profile) return res.status(404).json({ message: 'Profile not found' });
+      if (profile.email_verified_at) return res.status(409).json({ message: 'Email address is already verified' });
+
+      await accounts.sendVerification(profile.user_id, profile.email);
+      res.json({ message: 'Verification email sent' });
+    } catch (error) {
+      console.error('Verification Resend Error:', error);
+      res.status(500).json({ message: 'Error sending verification email' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAccountRoutes };
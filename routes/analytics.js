@@ -0,0 +1,71 @@
+const express = require('express');
+const { parseAnalyticsQuery, summarizeAnalytics, slaCompliance, countByState, createAnalyticsCache, INTERVALS } = require('../analytics');
+const { validate, string, oneOf, integer } = require('../validation');
+
+// Dates are checked by parseAnalyticsQuery
+const analyticsQuery = {
+  from: string({ optional: true, max: 40 }),
+  to: string({ optional: true, max: 40 }),
+  interval: oneOf(INTERVALS, { optional: true }),
+  top: integer({ optional: true, min: 1, max: 50 }),
+};
+
+// Admin dashboard figures. Both routes read one repository aggregate and are
+// cached for cacheSeconds, so a dashboard polling them costs little.
+const createAnalyticsRoutes = ({ repos, workflow, tagNames, authorize, cacheSeconds = 60 }) => {
+  const router = express.Router();
+  const cache = createAnalyticsCache({ ttlSeconds: cacheSeconds });
+
+  const openStatuses = () => workflow.states.filter(workflow.isOpen).flatMap(workflow.statusesFor);
+
+  // ?from=&to=&interval=day|week|month&top= (see analytics.js)
+  router.get('/admin/analytics', authorize('statistics:read'), validate({ query: analyticsQuery }), async (req, res) => {
+    const range = parseAnalyticsQuery(req.query);
+    if (range.error) return res.status(400).json({ message: range.error });
+
+    try {
+      const body = await cache.get(JSON.stringify(range), async () => {
+        const aggregate = await repos.complaints.analytics({ ...range, openStatuses: openStatuses() });
+        const analytics = summarizeAnalytics(aggregate, range, { workflow, tags: await tagNames() });
+        return { ...analytics, generated_at: new Date().toISOString() };
+      });
+      res.json(body);
+    } catch (error) {
+      console.error('Analytics Error:', error);
+      res.status(500).json({ message: 'Error fetching analytics' });
+    }
+  });
+
+  // All-time totals, the 5 newest complaints and SLA compliance; the
+  // time-series view is /admin/analytics
+  router.get('/admin/statistics', authorize('statistics:read'), async (req, res) => {
+    try {
+      const body = await cache.get('statistics', async () => {
+        const [aggregate, recent, tags] = await Promise.all([
+          repos.complaints.analytics({ openStatuses: openStatuses(), top: 0 }),
+          repos.complaints.list({}, { orderBy: 'created_at', ascending: false, limit: 5 }),
+          tagNames(),
+        ]);
+
+        const byTag = Object.fromEntries(tags.map((tag) => [tag, 0]));
+        for (const { tag, count } of aggregate.by_tag_status) byTag[tag] = (byTag[tag] || 0) + Number(count);
+
+        return {
+          total: Number(aggregate.total),
+          byStatus: countByState(aggregate.by_status, workflow),
+          byTag,
+          recent,
+          sla: slaCompliance(aggregate, tags),
+        };
+      });
+      res.json(body);
+    } catch (error) {
+      console.error('Statistics Error:', error);
+      res.status(500).json({ message: 'Error fetching statistics' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAnalyticsRoutes, analyticsQuery };
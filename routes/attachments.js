@@ -0,0 +1,114 @@
+const express = require('express');
+const { ATTACHMENT_KINDS } = require('../attachments');
+const { validate, uuid, oneOf } = require('../validation');
+const { idParams, optionalReason } = require('../schemas');
+
+// Images on a complaint after submission. Reporters add "report" photos to
+// their own complaints; moderators and the assigned staff member add "proof"
+// photos of the fix.
+const createAttachmentRoutes = ({ repos, attachments, uploadImages, uploadedFiles, authenticate, authorize }) => {
+  const router = express.Router();
+
+  const isAssignee = (req, complaint) =>
+    complaint.assignee_id === req.user.id && req.can('complaints:status:assigned');
+
+  // Proof photos are for people who work on the complaint
+  const canAddProof = (req, complaint) => req.can('complaints:status:any') || isAssignee(req, complaint);
+
+  // Checked after the upload, which is what parses the multipart fields
+  const receive = [
+    uploadImages([{ name: 'images', maxCount: attachments.maxPerKind }]),
+    validate({ params: idParams, body: { kind: oneOf(ATTACHMENT_KINDS, { optional: true, blank: true }) } }),
+  ];
+
+  const addAttachments = (defaultKind) => async (req, res) => {
+    try {
+      const complaint = await repos.complaints.findById(req.params.id);
+      if (!complaint) return res.status(404).json({ message: 'Complaint not found' });
+
+      const kind = req.body.kind || (defaultKind === 'proof' || complaint.user_id !== req.user.id ? 'proof' : 'report');
+      const allowed = kind === 'report' ? complaint.user_id === req.user.id : canAddProof(req, complaint);
+      if (!allowed) return res.status(403).json({ message: 'Unauthorized', code: 'FORBIDDEN' });
+
+      const files = uploadedFiles(req, ['images']);
+      if (!files.length) return res.status(400).json({ message: 'At least one file in "images" is required' });
+
+      const fileError = attachments.checkFiles(files);
+      if (fileError) return res.status(415).json({ message: fileError });
+
+      const remaining = await attachments.remaining(complaint.id, kind);
+      if (files.length > remaining) {
+        return res.status(409).json({
+          message: `A complaint can have at most ${attachments.maxPerKind} ${kind} images (${remaining} left)`,
+        });
+      }
+
+      const { images, error: imageError } = await attachments.prepare(files);
+      if (imageError) return res.status(415).json({ message: imageError });
+
+      const added = await attachments.add(complaint, images, { kind, uploaderId: req.user.id });
+      res.status(201).json({ message: 'Attachments added', attachments: added });
+    } catch (error) {
+      console.error('Attachment Upload Error:', error);
+      res.status(500).json({ message: 'Error adding attachments' });
+    }
+  };
+
+  // Anyone who can see the complaint; private ones only to the reporter and staff
+  router.get('/complaints/:id/attachments', authenticate, validate({
+    params: idParams,
+    query: { kind: oneOf(ATTACHMENT_KINDS, { optional: true }) },
+  }), async (req, res) => {
+    try {
+      const complaint = await repos.complaints.findById(req.params.id);
+      const visible = complaint && (complaint.visibility !== 'private' || complaint.user_id === req.user.id
+        || req.can('complaints:read:any') || isAssignee(req, complaint));
+      if (!visible) return res.status(404).json({ message: 'Complaint not found' });
+
+      // Uploaders are only named to themselves and staff: the reporter
+      // uploads an anonymous complaint's photos
+      const { kind } = req.query;
+      const list = await repos.attachments.listByComplaint(complaint.id, { kind });
+      res.json({
+        attachments: list.map((attachment) => (
+          attachment.uploader_id === req.user.id || req.can('complaints:read:any') ? attachment : { ...attachment, uploader_id: null }
+        )),
+      });
+    } catch (error) {
+      console.error('Attachments Fetch Error:', error);
+      res.status(500).json({ message: 'Error fetching attachments' });
+    }
+  });
+
+  // multipart field "images"; kind defaults to report for the reporter, proof otherwise
+  router.post('/complaints/:id/attachments', authenticate, receive, addAttachments('report'));
+
+  // "After fix" proof photos from the admin dashboard
+  router.post('/admin/complaints/:id/attachments', authorize('complaints:status:any'), receive, addAttachments('proof'));
+
+  // Uploaders remove their own images; moderators remove any
+  router.delete('/complaints/:id/attachments/:attachmentId', authenticate, validate({
+    params: { id: uuid(), attachmentId: uuid() },
+    body: { reason: optionalReason },
+  }), async (req, res) => {
+    try {
+      const attachment = await repos.attachments.findById(req.params.attachmentId);
+      if (!attachment || attachment.complaint_id !== req.params.id) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+      if (attachment.uploader_id !== req.user.id && !req.can('complaints:status:any')) {
+        return res.status(403).json({ message: 'Only the uploader can remove this image', code: 'FORBIDDEN' });
+      }
+
+      await attachments.remove(attachment, { actorId: req.user.id, reason: req.body.reason });
+      res.json({ message: 'Attachment removed' });
+    } catch (error) {
+      console.error('Attachment Delete Error:', error);
+      res.status(500).json({ message: 'Error removing attachment' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAttachmentRoutes };
@@ -0,0 +1,270 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { parseComplaintQuery } = require('../complaintQuery');
+const { validate, string, uuid, oneOf, boolean, array, object } = require('../validation');
+const { complaintQuery, optionalReason, commentText } = require('../schemas');
+
+const MAX_BULK_ITEMS = 500;
+
+// Each action needs the same permission as its single-complaint route
+const BULK_PERMISSIONS = {
+  set_status: 'complaints:status:any',
+  assign: 'complaints:assign',
+  add_tag: 'complaints:status:any',
+  add_comment: 'comments:write',
+  delete: 'complaints:delete:any',
+};
+const BULK_ACTIONS = Object.keys(BULK_PERMISSIONS);
+
+// One action applied to many complaints, e.g. resolving every report of the
+// same outage. Every change is recorded in each complaint's history with
+// details.bulk_id, so one operation can be traced across complaints.
+const createBulkRoutes = ({ repos, audit, workflow, changeStatus, tagNames, authorize }) => {
+  const router = express.Router();
+
+  // Checks the parts of the request that don't depend on the complaint.
+  // Returns { check, apply } for the action, or { error }.
+  const prepare = async (action, body, req) => {
+    const actorId = req.user.id;
+    const { reason } = body;
+
+    if (action === 'set_status') {
+      if (!workflow.states.includes(workflow.normalize(body.status))) {
+        return { error: `Invalid status value (expected one of ${workflow.states.join(', ')})` };
+      }
+      return {
+        check: (complaint) => {
+          const transition = workflow.checkTransition(complaint.status, body.status, body);
+          return transition.error ? { error: transition.error, status: transition.conflict ? 409 : 400 } : { transition };
+        },
+        apply: (complaint, { transition }, bulkId) => changeStatus(complaint, transition, actorId, reason, { bulk_id: bulkId }),
+      };
+    }
+
+    if (action === 'assign') {
+      const { assignee_id: assigneeId } = body;
+      if (assigneeId === undefined) return { error: 'assignee_id is required (null to unassign)' };
+
+      let staffDepartmentId = null;
+      if (assigneeId !== null) {
+        const staff = await repos.staff.findByUserId(assigneeId);
+        if (!staff || !staff.active) return { error: 'Assignee must be an active staff member' };
+        staffDepartmentId = staff.department_id;
+      }
+      if (body.department_id && !await repos.departments.findById(body.department_id)) {
+        return { error: 'Department not found' };
+      }
+
+      // Same department rules as PUT /admin/complaints/:id/assignee
+      const departmentFor = (complaint) => {
+        if (body.department_id !== undefined) return body.department_id || null;
+        return staffDepartmentId || complaint.department_id || null;
+      };
+
+      return {
+        check: () => ({}),
+        apply: async (complaint, checked, bulkId) => {
+          const updated = await repos.complaints.update(complaint.id, {
+            assignee_id: assigneeId,
+            department_id: departmentFor(complaint),
+          });
+          await audit.record({
+            complaintId: complaint.id,
+            actorId,
+            action: 'assigned',
+            oldValue: { assignee_id: complaint.assignee_id, department_id: complaint.department_id },
+            newValue: { assignee_id: updated.assignee_id, department_id: updated.department_id },
+            reason,
+            details: { bulk_id: bulkId },
+          });
+          return updated;
+        },
+      };
+    }
+
+    if (action === 'add_tag') {
+      const { tag } = body;
+      if (typeof tag !== 'string' || !(await tagNames()).includes(tag)) return { error: 'A known category "tag" is required' };
+
+      return {
+        check: (complaint) => ((complaint.tags || []).includes(tag)
+          ? { error: `Complaint is already tagged ${tag}`, status: 409 }
+          : {}),
+        apply: async (complaint, checked, bulkId) => {
+          const tags = [...(complaint.tags || []), tag];
+          const updated = await repos.complaints.update(complaint.id, { tags });
+          await audit.record({
+            complaintId: complaint.id,
+            actorId,
+            action: 'tags_changed',
+            oldValue: complaint.tags || [],
+            newValue: tags,
+            reason,
+            details: { bulk_id: bulkId },
+          });
+          return updated;
+        },
+      };
+    }
+
+    if (action === 'add_comment') {
+      const text = body.body ?? body.comment;
+      if (!text) return { error: '"body" is required for add_comment' };
+      const internal = Boolean(req.can('comments:internal') && body.internal);
+
+      return {
+        check: () => ({}),
+        apply: async (complaint, checked, bulkId) => {
+          const comment = await repos.comments.create({
+            complaint_id: complaint.id,
+            parent_id: null,
+            author_id: actorId,
+            author_role: req.user.role,
+            body: text,
+            internal,
+          });
+          await audit.record({
+            complaintId: complaint.id,
+            actorId,
+            action: 'comment_added',
+            newValue: comment.body,
+            details: { comment_id: comment.id, internal, bulk_id: bulkId },
+          });
+          return complaint;
+        },
+      };
+    }
+
+    // delete
+    return {
+      check: () => ({}),
+      apply: async (complaint, checked, bulkId) => {
+        const followerIds = await repos.follows.listFollowerIds(complaint.id);
+        await repos.complaints.remove(complaint.id);
+        await audit.record({
+          complaintId: complaint.id,
+          actorId,
+          action: 'deleted',
+          oldValue: complaint,
+          reason,
+          details: { bulk_id: bulkId, follower_ids: followerIds },
+        });
+        return null;
+      },
+    };
+  };
+
+  // The complaints named by `ids` (unknown ones as null) or matching
+  // `filter`; returns { targets: [{ id, complaint }] } or { error }
+  const selectTargets = async ({ ids, filter }) => {
+    if (ids) {
+      const found = new Map((await repos.complaints.list({ ids })).map((complaint) => [complaint.id, complaint]));
+      return { targets: ids.map((id) => ({ id, complaint: found.get(id) || null })) };
+    }
+
+    if (!filter) return { error: 'Either "ids" or a "filter" is required' };
+    const { filters, error } = parseComplaintQuery(filter, { validTags: await tagNames() });
+    if (error) return { error };
+    const where = { ...filters, userId: filter.user_id };
+    if (!Object.values(where).some((value) => value !== undefined)) {
+      return { error: 'The filter must narrow the selection (status, tag, from, to, q, ...)' };
+    }
+
+    const complaints = await repos.complaints.list(where, { orderBy: 'created_at', ascending: true, limit: MAX_BULK_ITEMS + 1 });
+    if (complaints.length > MAX_BULK_ITEMS) {
+      return { error: `The filter matches more than ${MAX_BULK_ITEMS} complaints; narrow it down` };
+    }
+    return { targets: complaints.map((complaint) => ({ id: complaint.id, complaint })) };
+  };
+
+  // Body: { action, ids | filter, precheck?, reason?, ...action fields }
+  //   set_status   status, plus whatever the transition requires
+  //   assign       assignee_id (null to unassign), department_id?
+  //   add_tag      tag
+  //   add_comment  body, internal?
+  //   delete
+  // `filter` takes the /admin/complaints query parameters. With precheck: true
+  // every complaint is checked first (existence, allowed transition, ...) and
+  // the request is refused (409) unless all pass. This is not a transaction:
+  // the changes are still applied one by one, and a storage error part-way
+  // through leaves the earlier ones in place. Either way the response reports
+  // each complaint's outcome.
+  router.post('/admin/complaints/bulk', authorize('admin:access'), validate({
+    body: {
+      action: oneOf(BULK_ACTIONS),
+      precheck: boolean({ default: false }),
+      ids: array(uuid(), { optional: true, min: 1, max: MAX_BULK_ITEMS, unique: true }),
+      filter: object(complaintQuery, { optional: true }),
+      reason: optionalReason,
+      status: string({ optional: true, trim: true, max: 50 }),
+      assignee_id: uuid({ optional: true, nullable: true }),
+      department_id: uuid({ optional: true, nullable: true }),
+      tag: string({ optional: true, max: 40 }),
+      body: commentText({ optional: true }),
+      comment: commentText({ optional: true }),
+      internal: boolean({ optional: true }),
+    },
+  }), async (req, res) => {
+    const { action, precheck } = req.body;
+    if (!req.can(BULK_PERMISSIONS[action])) {
+      return res.status(403).json({ message: `Access denied. Missing permission: ${BULK_PERMISSIONS[action]}`, code: 'FORBIDDEN' });
+    }
+
+    try {
+      const { targets, error: targetError } = await selectTargets(req.body);
+      if (targetError) return res.status(400).json({ message: targetError });
+
+      const operation = await prepare(action, req.body, req);
+      if (operation.error) return res.status(400).json({ message: operation.error });
+
+      const checked = targets.map(({ id, complaint }) => {
+        if (!complaint) return { id, error: 'Complaint not found', status: 404 };
+        return { id, complaint, ...operation.check(complaint) };
+      });
+
+      const bulkId = uuidv4();
+      const failedChecks = checked.filter((item) => item.error);
+      if (precheck && failedChecks.length) {
+        return res.status(409).json({
+          message: `No complaints were changed: ${failedChecks.length} of ${checked.length} failed the checks`,
+          bulk_id: bulkId,
+          applied: false,
+          results: checked.map(({ id, error, status }) => (error ? { id, ok: false, status, error } : { id, ok: true })),
+        });
+      }
+
+      // One at a time, so history and notifications stay in order
+      const results = [];
+      for (const item of checked) {
+        if (item.error) {
+          results.push({ id: item.id, ok: false, status: item.status, error: item.error });
+          continue;
+        }
+        try {
+          const complaint = await operation.apply(item.complaint, item, bulkId);
+          results.push({ id: item.id, ok: true, complaint });
+        } catch (error) {
+          console.error('Bulk Item Error:', error);
+          results.push({ id: item.id, ok: false, status: 500, error: 'Error applying the change' });
+        }
+      }
+
+      const succeeded = results.filter((result) => result.ok).length;
+      res.json({
+        message: `${succeeded} of ${results.length} complaint(s) updated`,
+        bulk_id: bulkId,
+        applied: true,
+        succeeded,
+        failed: results.length - succeeded,
+        results,
+      });
+    } catch (error) {
+      console.error('Bulk Operation Error:', error);
+      res.status(500).json({ message: 'Error running bulk operation' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createBulkRoutes, BULK_ACTIONS };
@@ -0,0 +1,185 @@
+const express = require('express');
+const { validate, string, uuid, number, boolean } = require('../validation');
+const { idParams } = require('../schemas');
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const EDITABLE_FIELDS = ['name', 'description', 'icon', 'active', 'parent_id', 'ack_hours', 'resolve_hours'];
+
+// ack_hours/resolve_hours are SLA targets; null falls back to the defaults.
+// Every field may be left out of an update.
+const categoryBody = ({ partial }) => ({
+  name: string({ optional: partial, pattern: NAME_PATTERN, hint: '1-40 lowercase letters, digits or dashes' }),
+  description: string({ optional: true, nullable: true, max: 500 }),
+  icon: string({ optional: true, nullable: true, max: 100 }),
+  active: boolean({ optional: true }),
+  parent_id: uuid({ optional: true, nullable: true }),
+  ack_hours: number({ optional: true, nullable: true, min: 0.1, max: 24 * 365 }),
+  resolve_hours: number({ optional: true, nullable: true, min: 0.1, max: 24 * 365 }),
+});
+
+const pick = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+);
+
+// Complaint categories. A category's name is the tag stored on complaints, so
+// renaming or merging a category rewrites existing complaints' tags.
+const createCategoryRoutes = ({ repos, authenticate, authorize }) => {
+  const router = express.Router();
+
+  // The parent must exist and must not be the category itself or one of its descendants
+  const checkParent = async (categoryId, parentId) => {
+    if (parentId === null || parentId === undefined) return null;
+
+    let current = await repos.categories.findById(parentId);
+    if (!current) return 'Parent category not found';
+    while (current) {
+      if (current.id === categoryId) return 'A category cannot be its own ancestor';
+      current = current.parent_id && await repos.categories.findById(current.parent_id);
+    }
+    return null;
+  };
+
+  // Rewrites the tag on complaints and in department routing rules
+  const renameTag = async (from, to) => {
+    const departments = await repos.departments.list();
+    for (const department of departments.filter((item) => (item.tags || []).includes(from))) {
+      const tags = [...new Set(department.tags.map((tag) => (tag === from ? to : tag)))];
+      await repos.departments.update(department.id, { tags });
+    }
+    return repos.categories.renameTag(from, to);
+  };
+
+  // Active categories; `tags` keeps the shape older clients expect
+  router.get('/tags', authenticate, async (req, res) => {
+    try {
+      const categories = await repos.categories.list({ activeOnly: true });
+      res.json({ tags: categories.map((category) => category.name), categories });
+    } catch (error) {
+      console.error('Tags Fetch Error:', error);
+      res.status(500).json({ message: 'Error fetching tags' });
+    }
+  });
+
+  router.get('/admin/categories', authorize('categories:manage'), async (req, res) => {
+    try {
+      const categories = await repos.categories.list();
+      res.json({ categories });
+    } catch (error) {
+      console.error('Categories Fetch Error:', error);
+      res.status(500).json({ message: 'Error fetching categories' });
+    }
+  });
+
+  router.post('/admin/categories', authorize('categories:manage'), validate({
+    body: categoryBody({ partial: false }),
+  }), async (req, res) => {
+    const fields = pick(req.body);
+
+    try {
+      if (await repos.categories.findByName(fields.name)) {
+        return res.status(409).json({ message: `Category "${fields.name}" already exists` });
+      }
+
+      const parentError = await checkParent(null, fields.parent_id);
+      if (parentError) return res.status(400).json({ message: parentError });
+
+      const category = await repos.categories.create(fields);
+      res.status(201).json({ message: 'Category created', category });
+    } catch (error) {
+      console.error('Category Create Error:', error);
+      res.status(500).json({ message: 'Error creating category' });
+    }
+  });
+
+  // Renaming rewrites the tag on every complaint that has it
+  router.put('/admin/categories/:id', authorize('categories:manage'), validate({
+    params: idParams,
+    body: categoryBody({ partial: true }),
+  }), async (req, res) => {
+    const fields = pick(req.body);
+
+    try {
+      const category = await repos.categories.findById(req.params.id);
+      if (!category) return res.status(404).json({ message: 'Category not found' });
+
+      const renamed = fields.name !== undefined && fields.name !== category.name;
+      if (renamed && await repos.categories.findByName(fields.name)) {
+        return res.status(409).json({
+          message: `Category "${fields.name}" already exists; merge into it instead`,
+        });
+      }
+
+      const parentError = await checkParent(category.id, fields.parent_id);
+      if (parentError) return res.status(400).json({ message: parentError });
+
+      const updated = await repos.categories.update(category.id, fields);
+      const complaintsUpdated = renamed ? await renameTag(category.name, updated.name) : 0;
+
+      res.json({ message: 'Category updated', category: updated, complaints_updated: complaintsUpdated });
+    } catch (error) {
+      console.error('Category Update Error:', error);
+      res.status(500).json({ message: 'Error updating category' });
+    }
+  });
+
+  // Only unused categories can be deleted; deactivate or merge the others
+  router.delete('/admin/categories/:id', authorize('categories:manage'), validate({ params: idParams }), async (req, res) => {
+    try {
+      const category = await repos.categories.findById(req.params.id);
+      if (!category) return res.status(404).json({ message: 'Category not found' });
+
+      const inUse = await repos.complaints.count({ tag: category.name });
+      if (inUse) {
+        return res.status(409).json({
+          message: `Category is used by ${inUse} complaint(s); deactivate it or merge it into another`,
+        });
+      }
+
+      await repos.categories.remove(category.id);
+      res.json({ message: 'Category deleted' });
+    } catch (error) {
+      console.error('Category Delete Error:', error);
+      res.status(500).json({ message: 'Error deleting category' });
+    }
+  });
+
+  // Fold this category into another: complaints are retagged, children move
+  // to the surviving category and this one is deleted. Body: { into }
+  router.post('/admin/categories/:id/merge', authorize('categories:manage'), validate({
+    params: idParams,
+    body: { into: uuid() },
+  }), async (req, res) => {
+    const { into } = req.body;
+    if (into === req.params.id) {
+      return res.status(400).json({ message: 'A different target category ("into") is required' });
+    }
+
+    try {
+      const [source, target] = await Promise.all([
+        repos.categories.findById(req.params.id),
+        repos.categories.findById(into),
+      ]);
+      if (!source || !target) return res.status(404).json({ message: 'Category not found' });
+
+      const parentError = await checkParent(source.id, target.id);
+      if (parentError) return res.status(400).json({ message: 'Cannot merge a category into its own subcategory' });
+
+      const complaintsUpdated = await renameTag(source.name, target.name);
+
+      const children = (await repos.categories.list()).filter((category) => category.parent_id === source.id);
+      for (const child of children) {
+        await repos.categories.update(child.id, { parent_id: target.id });
+      }
+
+      await repos.categories.remove(source.id);
+      res.json({ message: 'Categories merged', category: target, complaints_updated: complaintsUpdated });
+    } catch (error) {
+      console.error('Category Merge Error:', error);
+      res.status(500).json({ message: 'Error merging categories' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createCategoryRoutes };
@@ -0,0 +1,216 @@
+const express = require('express');
+const { validate, uuid, boolean } = require('../validation');
+const { idParams, optionalReason, commentText, commentBody } = require('../schemas');
+
+const commentParams = { id: uuid(), commentId: uuid() };
+
+// A comment or reply; see commentBody for the text
+const newCommentBody = {
+  ...commentBody,
+  internal: boolean({ optional: true }),
+  parent_id: uuid({ optional: true, nullable: true }),
+};
+
+// Nest replies under their parents; deleted comments stay as placeholders
+const buildThread = (comments) => {
+  const byId = new Map(comments.map((comment) => [comment.id, {
+    ...comment,
+    edited: Boolean(comment.updated_at),
+    deleted: Boolean(comment.deleted_at),
+    replies: [],
+  }]));
+
+  const roots = [];
+  for (const comment of byId.values()) {
+    const parent = comment.parent_id && byId.get(comment.parent_id);
+    if (parent) parent.replies.push(comment);
+    else roots.push(comment);
+  }
+  return roots;
+};
+
+// Comment threads on complaints: reporters talk to staff and admins on their
+// own complaints; roles with comments:internal can also leave internal notes
+// the reporter never sees.
+const createCommentRoutes = ({ repos, audit, authorize }) => {
+  const router = express.Router();
+
+  // Loads the complaint and checks the caller may take part in its thread
+  const loadComplaint = async (req, res) => {
+    const complaint = await repos.complaints.findById(req.params.id);
+    if (!complaint) {
+      res.status(404).json({ message: 'Complaint not found' });
+      return null;
+    }
+    const assigned = complaint.assignee_id === req.user.id && req.can('comments:internal');
+    if (complaint.user_id !== req.user.id && !assigned && !req.can('complaints:read:any')) {
+      res.status(403).json({ message: 'Unauthorized' });
+      return null;
+    }
+    return complaint;
+  };
+
+  const loadComment = async (req, res) => {
+    const comment = await repos.comments.findById(req.params.commentId);
+    if (!comment || comment.complaint_id !== req.params.id || (comment.internal && !req.can('comments:internal'))) {
+      res.status(404).json({ message: 'Comment not found' });
+      return null;
+    }
+    return comment;
+  };
+
+  const addComment = async (req, res) => {
+    try {
+      const complaint = await loadComplaint(req, res);
+      if (!complaint) return;
+
+      const body = req.body.body ?? req.body.comment;
+
+      const internal = Boolean(req.can('comments:internal') && req.body.internal);
+      const parentId = req.body.parent_id || null;
+
+      if (parentId) {
+        const parent = await repos.comments.findById(parentId);
+        if (!parent || parent.complaint_id !== complaint.id || (parent.internal && !req.can('comments:internal'))) {
+          return res.status(400).json({ message: 'Parent comment not found on this complaint' });
+        }
+        if (parent.deleted_at) return res.status(409).json({ message: 'Cannot reply to a deleted comment' });
+        // Nothing under an internal note may become visible to the reporter
+        if (parent.internal && !internal) {
+          return res.status(400).json({ message: 'Replies to internal notes must be internal' });
+        }
+      }
+
+      const comment = await repos.comments.create({
+        complaint_id: complaint.id,
+        parent_id: parentId,
+        author_id: req.user.id,
+        author_role: req.user.role,
+        body,
+        internal,
+      });
+
+      await audit.record({
+        complaintId: complaint.id,
+        actorId: req.user.id,
+        action: 'comment_added',
+        newValue: comment.body,
+        details: { comment_id: comment.id, internal },
+      });
+
+      res.status(201).json({ message: 'Comment added successfully', comment });
+    } catch (error) {
+      console.error('Comment Error:', error);
+      res.status(500).json({ message: 'Error adding comment' });
+    }
+  };
+
+  const listComments = (includeInternal) => async (req, res) => {
+    try {
+      const complaint = await loadComplaint(req, res);
+      if (!complaint) return;
+
+      const comments = await repos.comments.listByComplaint(complaint.id, { includeInternal });
+      res.json({ comments: buildThread(comments) });
+    } catch (error) {
+      console.error('Comments Fetch Error:', error);
+      res.status(500).json({ message: 'Error fetching comments' });
+    }
+  };
+
+  // Reporter (or admin) view: internal notes are left out
+  router.get('/complaints/:id/comments', authorize('comments:write'), validate({ params: idParams }), listComments(false));
+  router.post('/complaints/:id/comments', authorize('comments:write'), validate({ params: idParams, body: newCommentBody }), addComment);
+
+  // Only the author may edit
+  router.patch('/complaints/:id/comments/:commentId', authorize('comments:write'), validate({
+    params: commentParams,
+    body: { body: commentText() },
+  }), async (req, res) => {
+    try {
+      const complaint = await loadComplaint(req, res);
+      if (!complaint) return;
+      const comment = await loadComment(req, res);
+      if (!comment) return;
+
+      if (comment.author_id !== req.user.id) {
+        return res.status(403).json({ message: 'Only the author can edit a comment' });
+      }
+      if (comment.deleted_at) return res.status(409).json({ message: 'Comment has been deleted' });
+
+      const updated = await repos.comments.edit(comment.id, req.body.body, req.user.id);
+      await audit.record({
+        complaintId: complaint.id,
+        actorId: req.user.id,
+        action: 'comment_edited',
+        oldValue: comment.body,
+        newValue: updated.body,
+        details: { comment_id: comment.id, internal: comment.internal },
+      });
+
+      res.json({ message: 'Comment updated successfully', comment: updated });
+    } catch (error) {
+      console.error('Comment Edit Error:', error);
+      res.status(500).json({ message: 'Error updating comment' });
+    }
+  });
+
+  // Authors delete their own comments; comments:delete:any deletes any
+  router.delete('/complaints/:id/comments/:commentId', authorize('comments:write'), validate({
+    params: commentParams,
+    body: { reason: optionalReason },
+  }), async (req, res) => {
+    try {
+      const complaint = await loadComplaint(req, res);
+      if (!complaint) return;
+      const comment = await loadComment(req, res);
+      if (!comment) return;
+
+      if (comment.author_id !== req.user.id && !req.can('comments:delete:any')) {
+        return res.status(403).json({ message: 'Only the author can delete a comment' });
+      }
+      if (comment.deleted_at) return res.status(409).json({ message: 'Comment has already been deleted' });
+
+      await repos.comments.remove(comment.id, req.user.id);
+      await audit.record({
+        complaintId: complaint.id,
+        actorId: req.user.id,
+        action: 'comment_deleted',
+        oldValue: comment.body,
+        reason: req.body.reason,
+        details: { comment_id: comment.id, internal: comment.internal },
+      });
+
+      res.json({ message: 'Comment deleted successfully' });
+    } catch (error) {
+      console.error('Comment Delete Error:', error);
+      res.status(500).json({ message: 'Error deleting comment' });
+    }
+  });
+
+  // Staff/admin view, including internal notes
+  router.get('/admin/complaints/:id/comments', authorize('comments:internal'), validate({ params: idParams }), listComments(true));
+  router.post('/admin/complaints/:id/comments', authorize('comments:internal'), validate({ params: idParams, body: newCommentBody }), addComment);
+  // Older clients post { comment } here
+  router.post('/admin/complaints/:id/comment', authorize('comments:internal'), validate({ params: idParams, body: newCommentBody }), addComment);
+
+  // Earlier bodies of an edited or deleted comment
+  router.get('/admin/complaints/:id/comments/:commentId/history', authorize('comments:internal'), validate({
+    params: commentParams,
+  }), async (req, res) => {
+    try {
+      const comment = await loadComment(req, res);
+      if (!comment) return;
+
+      const revisions = await repos.comments.listRevisions(comment.id);
+      res.json({ comment, revisions });
+    } catch (error) {
+      console.error('Comment History Error:', error);
+      res.status(500).json({ message: 'Error fetching comment history' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createCommentRoutes };
@@ -0,0 +1,47 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const { buildSpec } = require('../openapi');
+
+// Swagger UI's own files, served from the swagger-ui-dist package so the page
+// works offline and runs no third-party script
+const SWAGGER_UI = 'docs/assets';
+
+const DOCS_PAGE = `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>UrbanFix API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: 'openapi.json', dom_id: '#docs', persistAuthorization: true });
+  </script>
+</body>
+</html>
+`;
+
+// The OpenAPI document (see openapi/) and a Swagger UI page reading it. The
+// document is built on first request, once every route has been registered.
+// The assets are static files, not API routes, so the document leaves them out.
+const createDocsRoutes = ({ app, authenticate }) => {
+  const router = express.Router();
+  let spec;
+
+  router.get('/openapi.json', (req, res) => {
+    spec = spec || buildSpec({ app, authenticate });
+    res.json(spec);
+  });
+
+  router.get('/docs', (req, res) => {
+    res.type('html').send(DOCS_PAGE);
+  });
+
+  router.use(`/${SWAGGER_UI}`, express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+  return router;
+};
+
+module.exports = { createDocsRoutes };
@@ -0,0 +1,185 @@
+const express = require('express');
+const { validate, string, uuid, UUID_PATTERN } = require('../validation');
+
+// How long EventSource waits before reconnecting
+const RETRY_MS = 5000;
+
+// Longest a timer may be set for; token lifetimes can be longer
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+const RESET = { event: 'reset', data: { message: 'Missed events could not be replayed; reload complaints' } };
+
+// One server-sent event. Events without an id (an audit write that failed)
+// still go out but can't be resumed from.
+const frame = ({ id, event, data }) =>
+  `${id ? `id: ${id}\n` : ''}${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`;
+
+// EventSource can't send headers, so the stream also takes ?access_token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Live complaint events (GET /events) as server-sent events, from the audit
+// log. Moderators and admins get every event as recorded; everyone else gets
+// the events of complaints they reported, are assigned or follow, without
+// internal notes, other users' ids, staff ids (unless they are staff) or
+// deleted complaints' snapshots.
+//
+// Each event's id is its audit event id. A reconnecting client sends it back
+// as Last-Event-ID (or ?last_event_id=) and first receives what it missed;
+// when that can't be replayed (unknown id, or more than replayLimit events)
+// it gets a "reset" event and should reload its lists. The stream ends when
+// the access token expires or its session is logged out.
+//
+// Live events are those recorded by this instance; with several instances,
+// other instances' changes arrive on the next reconnect.
+const createEventRoutes = ({ repos, audit, authenticate, heartbeatSeconds = 25, replayLimit = 500 }) => {
+  const router = express.Router();
+  const clients = new Set();
+
+  // Complaint and followers of an event, loaded once for all connections. A
+  // deleted complaint's follows went with it; its event lists the followers.
+  const loadContext = async (event) => {
+    const deleted = event.action === 'deleted';
+    const complaint = deleted
+      ? event.old_value
+      : event.complaint_id && await repos.complaints.findById(event.complaint_id);
+    if (!complaint) return { complaint: null, followerIds: [] };
+    if (complaint.visibility === 'private') return { complaint, followerIds: [] };
+
+    const followerIds = deleted ? event.details?.follower_ids || [] : await repos.follows.listFollowerIds(complaint.id);
+    return { complaint, followerIds };
+  };
+
+  // The event as the viewer may see it, or null. Assignments and escalations
+  // name staff, which only staff see; followers are never listed.
+  const viewEvent = (event, { complaint, followerIds }, viewer) => {
+    if (viewer.can('complaints:read:any')) return event;
+    if (!complaint) return null;
+
+    const involved = complaint.user_id === viewer.id || complaint.assignee_id === viewer.id || followerIds.includes(viewer.id);
+    if (!involved) return null;
+    if (event.details?.internal && !viewer.can('comments:internal')) return null;
+
+    const staff = viewer.can('queue:read');
+    const hideValues = event.action === 'deleted' || (event.action === 'assigned' && !staff);
+    const hiddenDetails = staff ? ['follower_ids'] : ['follower_ids', 'assignee_id'];
+    return {
+      ...event,
+      actor_id: event.actor_id === viewer.id ? event.actor_id : null,
+      old_value: hideValues ? null : event.old_value,
+      new_value: hideValues ? null : event.new_value,
+      details: event.details && Object.fromEntries(
+        Object.entries(event.details).filter(([key]) => !hiddenDetails.includes(key))
+      ),
+    };
+  };
+
+  // Events go out one at a time, so every connection sees them in order
+  let delivery = Promise.resolve();
+  audit.on('event', (event) => {
+    if (!clients.size) return;
+
+    delivery = delivery.then(async () => {
+      const context = await loadContext(event);
+      for (const client of clients) {
+        const visible = viewEvent(event, context, client.viewer);
+        if (visible) client.push(visible);
+      }
+    }).catch((error) => console.error('Event Stream Error:', error));
+  });
+
+  // Events after lastEventId the viewer may see, or null when they can't be replayed
+  const replay = async (lastEventId, viewer) => {
+    if (!UUID_PATTERN.test(lastEventId)) return null;
+
+    const missed = await repos.events.listAfter(lastEventId, { limit: replayLimit + 1 });
+    if (!missed || missed.length > replayLimit) return null;
+
+    const visible = [];
+    for (const event of missed) {
+      const view = viewEvent(event, await loadContext(event), viewer);
+      if (view) visible.push(view);
+    }
+    return visible;
+  };
+
+  router.get('/events', tokenFromQuery, authenticate, validate({
+    query: {
+      access_token: string({ optional: true, max: 4000 }),
+      last_event_id: uuid({ optional: true }),
+    },
+  }), async (req, res) => {
+    const viewer = { id: req.user.id, can: req.can };
+    const lastEventId = req.get('last-event-id') || req.query.last_event_id;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    // The stream may have ended (expiry, logout) while a write was on its way
+    const write = (chunk) => !res.writableEnded && res.write(chunk);
+    write(`retry: ${RETRY_MS}\n\n`);
+
+    // Live events wait here while missed ones are replayed
+    let pending = [];
+    const sent = new Set();
+    const send = (event) => {
+      if (event.id && sent.has(event.id)) return;
+      write(frame({ id: event.id, data: event }));
+    };
+    const client = { viewer, push: (event) => (pending ? pending.push(event) : send(event)) };
+    clients.add(client);
+
+    const heartbeat = setInterval(async () => {
+      write(': ping\n\n');
+      if (!req.user.sid) return;
+      try {
+        const session = await repos.sessions.findById(req.user.sid);
+        if (!session || session.revoked_at) res.end();
+      } catch (error) {
+        console.error('Session Check Error:', error);
+      }
+    }, heartbeatSeconds * 1000);
+    const expiry = req.user.exp && setTimeout(() => res.end(), Math.min(req.user.exp * 1000 - Date.now(), MAX_TIMEOUT_MS));
+
+    res.on('close', () => {
+      clients.delete(client);
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+    });
+
+    if (lastEventId) {
+      try {
+        const missed = await replay(lastEventId, viewer);
+        if (missed) {
+          for (const event of missed) {
+            send(event);
+            sent.add(event.id);
+          }
+        } else {
+          write(frame(RESET));
+        }
+      } catch (error) {
+        console.error('Event Replay Error:', error);
+        write(frame(RESET));
+      }
+    }
+
+    const waiting = pending;
+    pending = null;
+    waiting.forEach(send);
+    sent.clear();
+  });
+
+  return router;
+};
+
+module.exports = { createEventRoutes };
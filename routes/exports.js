@@ -0,0 +1,88 @@
+const express = require('express');
+const { parseComplaintQuery } = require('../complaintQuery');
+const { parseAnalyticsQuery, summarizeAnalytics } = require('../analytics');
+const { exportBatches, writeCsv, writeJson, writePdfReport, EXPORT_FORMATS } = require('../export');
+const { validate, oneOf } = require('../validation');
+const { complaintQuery, pageQuery } = require('../schemas');
+const { analyticsQuery } = require('./analytics');
+
+// Complaint list filters; the PDF summarises every complaint in its period and
+// takes none of them
+const LIST_FILTERS = Object.keys(complaintQuery).filter((name) => !(name in analyticsQuery) && !(name in pageQuery));
+
+// Report parameters the CSV and JSON lists don't take
+const REPORT_PARAMETERS = Object.keys(analyticsQuery).filter((name) => !(name in complaintQuery));
+
+// Offline reports for facilities management. Mounted before
+// /admin/complaints/:id so "export" isn't taken for an id.
+const createExportRoutes = ({ repos, workflow, tagNames, authorize }) => {
+  const router = express.Router();
+
+  const day = (timestamp) => timestamp.slice(0, 10);
+
+  // ?format=csv|json: every complaint matching the /admin/complaints filters
+  // in created_at order (oldest first unless order=desc), with its comments
+  // and status history; paging parameters are ignored.
+  // ?format=pdf: summary report for from/to/interval (see analytics.js); list
+  // filters are refused rather than silently ignored
+  router.get('/admin/complaints/export', authorize('complaints:export'), validate({
+    query: { ...complaintQuery, ...analyticsQuery, format: oneOf(EXPORT_FORMATS, { default: 'csv' }) },
+  }), async (req, res) => {
+    const { format } = req.query;
+
+    if (format === 'pdf') {
+      const filters = LIST_FILTERS.filter((name) => req.query[name] !== undefined);
+      if (filters.length) {
+        return res.status(400).json({ message: `format=pdf does not take complaint filters (${filters.join(', ')})` });
+      }
+
+      const range = parseAnalyticsQuery(req.query);
+      if (range.error) return res.status(400).json({ message: range.error });
+
+      try {
+        const openStatuses = workflow.states.filter(workflow.isOpen).flatMap(workflow.statusesFor);
+        const aggregate = await repos.complaints.analytics({ ...range, openStatuses });
+        const analytics = summarizeAnalytics(aggregate, range, { workflow, tags: await tagNames() });
+
+        res.type('application/pdf');
+        res.attachment(`complaint-report-${day(range.from)}-${day(range.to)}.pdf`);
+        writePdfReport(res, { ...analytics, generated_at: new Date().toISOString() });
+      } catch (error) {
+        console.error('Report Export Error:', error);
+        res.status(500).json({ message: 'Error generating report' });
+      }
+      return;
+    }
+
+    const unused = REPORT_PARAMETERS.filter((name) => req.query[name] !== undefined);
+    if (unused.length) {
+      return res.status(400).json({ message: `format=${format} does not take report parameters (${unused.join(', ')})` });
+    }
+    if (req.query.sort && req.query.sort !== 'created_at') {
+      return res.status(400).json({ message: `format=${format} is ordered by created_at only` });
+    }
+
+    try {
+      const { filters, options, error } = parseComplaintQuery(
+        { ...req.query, limit: undefined, cursor: undefined, page: undefined },
+        { validTags: await tagNames(), defaultOrder: 'asc' }
+      );
+      if (error) return res.status(400).json({ message: error });
+
+      res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json');
+      res.attachment(`complaints-${day(new Date().toISOString())}.${format}`);
+
+      const batches = exportBatches(repos, { ...filters, userId: req.query.user_id }, options);
+      await (format === 'csv' ? writeCsv : writeJson)(res, batches);
+    } catch (error) {
+      console.error('Complaint Export Error:', error);
+      if (res.headersSent) return res.destroy(error);
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({ message: 'Error exporting complaints' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createExportRoutes };
@@ -0,0 +1,42 @@
+const express = require('express');
+const { validate } = require('../validation');
+const { idParams } = require('../schemas');
+
+// Following a complaint puts its events on the follower's stream (see
+// routes/events.js). Reporters already get their own complaints' events;
+// private complaints of others can't be followed.
+const createFollowRoutes = ({ repos, authorize }) => {
+  const router = express.Router();
+
+  router.post('/complaints/:id/follow', authorize('feed:read'), validate({ params: idParams }), async (req, res) => {
+    try {
+      const complaint = await repos.complaints.findById(req.params.id);
+      const visible = complaint && (complaint.visibility !== 'private' || complaint.user_id === req.user.id || req.can('complaints:read:any'));
+      if (!visible) return res.status(404).json({ message: 'Complaint not found' });
+
+      const added = await repos.follows.add(req.user.id, complaint.id);
+      if (!added) return res.status(409).json({ message: 'You already follow this complaint' });
+
+      res.json({ message: 'Following complaint', following: true });
+    } catch (error) {
+      console.error('Follow Error:', error);
+      res.status(500).json({ message: 'Error following complaint' });
+    }
+  });
+
+  router.delete('/complaints/:id/follow', authorize('feed:read'), validate({ params: idParams }), async (req, res) => {
+    try {
+      const removed = await repos.follows.remove(req.user.id, req.params.id);
+      if (!removed) return res.status(404).json({ message: 'You do not follow this complaint' });
+
+      res.json({ message: 'Stopped following complaint', following: false });
+    } catch (error) {
+      console.error('Unfollow Error:', error);
+      res.status(500).json({ message: 'Error unfollowing complaint' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createFollowRoutes };
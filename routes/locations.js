@@ -0,0 +1,129 @@
+const express = require('express');
+const { ancestry, LOCATION_KINDS, PARENT_KINDS } = require('../locations');
+const { validate, string, uuid, oneOf, UUID_PATTERN } = require('../validation');
+const { idParams, locationBody } = require('../schemas');
+
+// The catalogue fields a checked body sets: '' or null clears the code, null
+// coordinates clear both
+const fieldsOf = ({ name, code, latitude, longitude }) => {
+  const fields = {};
+  if (name !== undefined) fields.name = name;
+  if (code !== undefined) fields.code = code || null;
+  if (latitude !== undefined || longitude !== undefined) {
+    fields.latitude = latitude ?? null;
+    fields.longitude = longitude ?? null;
+  }
+  return fields;
+};
+
+// The campus location catalogue. Everyone signed in can browse it to pick
+// where a complaint is; admins maintain it.
+const createLocationRoutes = ({ repos, authenticate, authorize }) => {
+  const router = express.Router();
+
+  // ?parent_id= (or "root" for buildings) and ?kind=
+  router.get('/locations', authenticate, validate({
+    query: {
+      parent_id: string({ optional: true, pattern: new RegExp(`^root$|${UUID_PATTERN.source}`, 'i'), hint: 'a UUID or "root"' }),
+      kind: oneOf(LOCATION_KINDS, { optional: true }),
+    },
+  }), async (req, res) => {
+    const { parent_id: parentId, kind } = req.query;
+
+    try {
+      res.json({ locations: await repos.locations.list({ parentId, kind }) });
+    } catch (error) {
+      console.error('Locations Fetch Error:', error);
+      res.status(500).json({ message: 'Error fetching locations' });
+    }
+  });
+
+  // The location with its path from the building and its direct children
+  router.get('/locations/:id', authenticate, validate({ params: idParams }), async (req, res) => {
+    try {
+      const location = await repos.locations.findById(req.params.id);
+      if (!location) return res.status(404).json({ message: 'Location not found' });
+
+      const path = (await ancestry(repos, location)).reverse();
+      const children = await repos.locations.list({ parentId: location.id });
+      res.json({ location, path, children });
+    } catch (error) {
+      console.error('Location Fetch Error:', error);
+      res.status(500).json({ message: 'Error fetching location' });
+    }
+  });
+
+  // Body: { kind, name, parent_id?, code?, latitude?, longitude? }
+  router.post('/admin/locations', authorize('locations:manage'), validate({
+    body: { ...locationBody({ partial: false }), kind: oneOf(LOCATION_KINDS), parent_id: uuid({ optional: true, nullable: true }) },
+  }), async (req, res) => {
+    const { kind, parent_id: parentId = null } = req.body;
+
+    const location = { kind, parent_id: parentId, ...fieldsOf(req.body) };
+
+    try {
+      const allowedParents = PARENT_KINDS[kind];
+      if (!parentId && allowedParents.length) {
+        return res.status(400).json({ message: `A ${kind} needs a parent_id (${allowedParents.join(' or ')})` });
+      }
+      if (parentId) {
+        const parent = await repos.locations.findById(parentId);
+        if (!parent) return res.status(400).json({ message: 'Parent location not found' });
+        if (!allowedParents.includes(parent.kind)) {
+          return res.status(400).json({ message: `A ${kind} cannot be inside a ${parent.kind}` });
+        }
+      }
+
+      if (await repos.locations.findByName(parentId, location.name)) {
+        return res.status(409).json({ message: `"${location.name}" already exists here` });
+      }
+
+      const created = await repos.locations.create(location);
+      res.status(201).json({ message: 'Location created', location: created });
+    } catch (error) {
+      console.error('Location Create Error:', error);
+      res.status(500).json({ message: 'Error creating location' });
+    }
+  });
+
+  // Name, code and coordinates; a location can't change kind or move
+  router.put('/admin/locations/:id', authorize('locations:manage'), validate({
+    params: idParams,
+    body: locationBody({ partial: true }),
+  }), async (req, res) => {
+    try {
+      const location = await repos.locations.findById(req.params.id);
+      if (!location) return res.status(404).json({ message: 'Location not found' });
+
+      const changes = fieldsOf(req.body);
+
+      if (changes.name && changes.name !== location.name && await repos.locations.findByName(location.parent_id, changes.name)) {
+        return res.status(409).json({ message: `"${changes.name}" already exists here` });
+      }
+
+      const updated = await repos.locations.update(location.id, changes);
+      res.json({ message: 'Location updated', location: updated });
+    } catch (error) {
+      console.error('Location Update Error:', error);
+      res.status(500).json({ message: 'Error updating location' });
+    }
+  });
+
+  // Removes everything inside it too; complaints keep their coordinates
+  router.delete('/admin/locations/:id', authorize('locations:manage'), validate({ params: idParams }), async (req, res) => {
+    try {
+      const location = await repos.locations.findById(req.params.id);
+      if (!location) return res.status(404).json({ message: 'Location not found' });
+
+      await repos.locations.remove(location.id);
+      res.json({ message: 'Location deleted' });
+    } catch (error) {
+      console.error('Location Delete Error:', error);
+      res.status(500).json({ message: 'Error deleting location' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createLocationRoutes };
@@ -0,0 +1,95 @@
+const express = require('express');
+const { parsePage, pageResponse } = require('../pagination');
+const { resolvePreferences, NOTIFIABLE_EVENTS } = require('../notifications');
+const { validate, oneOf, boolean, record } = require('../validation');
+const { idParams, pageQuery } = require('../schemas');
+
+const createNotificationRoutes = ({ repos, notifier, authorize }) => {
+  const router = express.Router();
+
+  router.get('/profile/notifications', authorize('profile:manage'), async (req, res) => {
+    try {
+      const saved = await repos.notifications.getPreferences(req.user.id);
+      res.json({ preferences: resolvePreferences(saved) });
+    } catch (error) {
+      console.error('Preferences Fetch Error:', error);
+      res.status(500).json({ message: 'Error fetching notification preferences' });
+    }
+  });
+
+  // Partial update: { email?: boolean, events?: { [event]: boolean } }
+  router.put('/profile/notifications', authorize('profile:manage'), validate({
+    body: {
+      email: boolean({ optional: true }),
+      events: record(oneOf(NOTIFIABLE_EVENTS), boolean(), { default: {} }),
+    },
+  }), async (req, res) => {
+    const { email, events } = req.body;
+
+    try {
+      const current = resolvePreferences(await repos.notifications.getPreferences(req.user.id));
+      const preferences = {
+        email: email ?? current.email,
+        events: { ...current.events, ...events },
+      };
+
+      await repos.notifications.savePreferences(req.user.id, preferences);
+      res.json({ message: 'Notification preferences updated', preferences });
+    } catch (error) {
+      console.error('Preferences Update Error:', error);
+      res.status(500).json({ message: 'Error updating notification preferences' });
+    }
+  });
+
+  // Deliveries that failed every retry, newest first
+  router.get('/admin/notifications/dead-letters', authorize('notifications:manage'), validate({ query: pageQuery }), async (req, res) => {
+    const { offset, limit, error } = parsePage(req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+      const result = await repos.notifications.listDeadLetters({ offset, limit });
+      res.json(pageResponse('dead_letters', result, { offset, limit }));
+    } catch (error) {
+      console.error('Dead Letters Fetch Error:', error);
+      res.status(500).json({ message: 'Error fetching dead letters' });
+    }
+  });
+
+  router.post('/admin/notifications/dead-letters/:id/retry', authorize('notifications:manage'), validate({
+    params: idParams,
+  }), async (req, res) => {
+    try {
+      const entry = await repos.notifications.findDeadLetter(req.params.id);
+      if (!entry) return res.status(404).json({ message: 'Dead letter not found' });
+
+      try {
+        await notifier.retryDeadLetter(entry);
+      } catch (error) {
+        // Admin-only, and the cause (e.g. the SMTP reply) is what they need
+        return res.status(502).json({ message: `Delivery failed again: ${error.message}`, code: 'DELIVERY_FAILED' });
+      }
+
+      res.json({ message: 'Notification delivered' });
+    } catch (error) {
+      console.error('Dead Letter Retry Error:', error);
+      res.status(500).json({ message: 'Error retrying notification' });
+    }
+  });
+
+  router.delete('/admin/notifications/dead-letters/:id', authorize('notifications:manage'), validate({ params: idParams }), async (req, res) => {
+    try {
+      const entry = await repos.notifications.findDeadLetter(req.params.id);
+      if (!entry) return res.status(404).json({ message: 'Dead letter not found' });
+
+      await repos.notifications.removeDeadLetter(entry.id);
+      res.json({ message: 'Dead letter discarded' });
+    } catch (error) {
+      console.error('Dead Letter Delete Error:', error);
+      res.status(500).json({ message: 'Error discarding dead letter' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createNotificationRoutes };
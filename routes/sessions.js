@@ -0,0 +1,87 @@
+const express = require('express');
+const { clientInfo } = require('../authMiddleware');
+const { validate, string } = require('../validation');
+const { idParams } = require('../schemas');
+
+// Token refresh, logout and the caller's list of logged-in devices.
+// Access tokens stay short-lived; a session lives as long as its refresh token.
+const createSessionRoutes = ({ repos, auth, authenticate }) => {
+  const router = express.Router();
+
+  const toPublicSession = (session, currentId) => ({
+    id: session.id,
+    user_agent: session.user_agent,
+    ip: session.ip,
+    created_at: session.created_at,
+    last_used_at: session.last_used_at,
+    expires_at: session.expires_at,
+    current: session.id === currentId,
+  });
+
+  // Body: { refresh_token } — the old refresh token stops working
+  router.post('/token/refresh', validate({ body: { refresh_token: string({ min: 1, max: 500 }) } }), async (req, res) => {
+    const { refresh_token } = req.body;
+
+    try {
+      const result = await auth.refreshSession(refresh_token, clientInfo(req));
+      if (result.error) return res.status(401).json({ message: result.error, code: 'INVALID_REFRESH_TOKEN' });
+
+      res.json({ message: 'Token refreshed', ...result });
+    } catch (error) {
+      console.error('Token Refresh Error:', error);
+      res.status(500).json({ message: 'Error refreshing token' });
+    }
+  });
+
+  // Ends the session the access token belongs to
+  router.post('/logout', authenticate, async (req, res) => {
+    try {
+      if (req.user.sid) await repos.sessions.revoke(req.user.sid);
+      res.json({ message: 'Logged out' });
+    } catch (error) {
+      console.error('Logout Error:', error);
+      res.status(500).json({ message: 'Error logging out' });
+    }
+  });
+
+  // Ends every session of the caller, including this one
+  router.post('/logout/all', authenticate, async (req, res) => {
+    try {
+      const revoked = await repos.sessions.revokeAll(req.user.id);
+      res.json({ message: 'Logged out of all sessions', revoked });
+    } catch (error) {
+      console.error('Logout All Error:', error);
+      res.status(500).json({ message: 'Error logging out' });
+    }
+  });
+
+  router.get('/profile/sessions', authenticate, async (req, res) => {
+    try {
+      const sessions = await repos.sessions.listActive(req.user.id);
+      res.json({ sessions: sessions.map((session) => toPublicSession(session, req.user.sid)) });
+    } catch (error) {
+      console.error('Sessions Fetch Error:', error);
+      res.status(500).json({ message: 'Error fetching sessions' });
+    }
+  });
+
+  // Log out one device
+  router.delete('/profile/sessions/:id', authenticate, validate({ params: idParams }), async (req, res) => {
+    try {
+      const session = await repos.sessions.findById(req.params.id);
+      if (!session || session.user_id !== req.user.id || session.revoked_at) {
+        return res.status(404).json({ message: 'Session not found' });
+      }
+
+      await repos.sessions.revoke(session.id);
+      res.json({ message: 'Session revoked' });
+    } catch (error) {
+      console.error('Session Revoke Error:', error);
+      res.status(500).json({ message: 'Error revoking session' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createSessionRoutes };
@@ -0,0 +1,311 @@
+const express = require('express');
+const { parseComplaintQuery, paginate } = require('../complaintQuery');
+const { validate, string, uuid, email, oneOf, boolean, array } = require('../validation');
+const { idParams, complaintQuery, optionalReason } = require('../schemas');
+
+const departmentBody = ({ partial }) => ({
+  name: string({ optional: partial, trim: true, min: 1, max: 100 }),
+  description: string({ optional: true, nullable: true, max: 500 }),
+  tags: array(string({ max: 40 }), { optional: true, max: 50, unique: true }),
+});
+
+const staffParams = { userId: uuid() };
+
+// Departments, their staff, complaint assignment and the staff work queue.
+// Staff are users with an active staff_members row (which gives them the
+// staff role): they get /staff/* but none of the /admin/* routes.
+const createStaffRoutes = ({ repos, audit, workflow, changeStatus, tagNames, authorize }) => {
+  const router = express.Router();
+
+  // The permission plus an active staff_members row, attached as req.staff
+  const authorizeStaff = (permission) => [...authorize(permission), async (req, res, next) => {
+    try {
+      const staff = await repos.staff.findByUserId(req.user.id);
+      if (!staff || !staff.active) return res.status(403).json({ message: 'Access denied. Staff only.', code: 'FORBIDDEN' });
+
+      req.staff = staff;
+      next();
+    } catch (error) {
+      console.error('Staff Lookup Error:', error);
+      res.status(500).json({ message: 'Error checking staff membership' });
+    }
+  }];
+
+  // Returns an error message when tags name unknown categories, or null
+  const checkTags = async (tags) => {
+    if (tags === undefined) return null;
+    const known = await tagNames();
+    const unknown = tags.filter((tag) => !known.includes(tag));
+    return unknown.length ? `Unknown tags: ${unknown.join(', ')}` : null;
+  };
+
+  router.get('/admin/departments', authorize('staff:manage'), async (req, res) => {
+    try {
+      const departments = await repos.departments.list();
+      res.json({ departments });
+    } catch (error) {
+      console.error('Departments Fetch Error:', error);
+      res.status(500).json({ message: 'Error fetching departments' });
+    }
+  });
+
+  // Body: { name, description?, tags? } — tags route new complaints here
+  router.post('/admin/departments', authorize('staff:manage'), validate({
+    body: departmentBody({ partial: false }),
+  }), async (req, res) => {
+    const { name, description = null, tags = [] } = req.body;
+
+    try {
+      const tagError = await checkTags(tags);
+      if (tagError) return res.status(400).json({ message: tagError });
+
+      if (await repos.departments.findByName(name)) {
+        return res.status(409).json({ message: `Department "${name}" already exists` });
+      }
+
+      const department = await repos.departments.create({ name, description, tags });
+      res.status(201).json({ message: 'Department created', department });
+    } catch (error) {
+      console.error('Department Create Error:', error);
+      res.status(500).json({ message: 'Error creating department' });
+    }
+  });
+
+  router.put('/admin/departments/:id', authorize('staff:manage'), validate({
+    params: idParams,
+    body: departmentBody({ partial: true }),
+  }), async (req, res) => {
+    const { name, description, tags } = req.body;
+
+    try {
+      const department = await repos.departments.findById(req.params.id);
+      if (!department) return res.status(404).json({ message: 'Department not found' });
+
+      const tagError = await checkTags(tags);
+      if (tagError) return res.status(400).json({ message: tagError });
+
+      const changes = {};
+      if (name !== undefined) changes.name = name;
+      if (description !== undefined) changes.description = description;
+      if (tags !== undefined) changes.tags = tags;
+
+      if (changes.name && changes.name !== department.name && await repos.departments.findByName(changes.name)) {
+        return res.status(409).json({ message: `Department "${changes.name}" already exists` });
+      }
+
+      const updated = await repos.departments.update(department.id, changes);
+      res.json({ message: 'Department updated', department: updated });
+    } catch (error) {
+      console.error('Department Update Error:', error);
+      res.status(500).json({ message: 'Error updating department' });
+    }
+  });
+
+  // Staff and complaints of a deleted department are left without one
+  router.delete('/admin/departments/:id', authorize('staff:manage'), validate({ params: idParams }), async (req, res) => {
+    try {
+      const department = await repos.departments.findById(req.params.id);
+      if (!department) return res.status(404).json({ message: 'Department not found' });
+
+      await repos.departments.remove(department.id);
+      res.json({ message: 'Department deleted' });
+    } catch (error) {
+      console.error('Department Delete Error:', error);
+      res.status(500).json({ message: 'Error deleting department' });
+    }
+  });
+
+  router.get('/admin/staff', authorize('staff:manage'), validate({
+    query: { department_id: uuid({ optional: true }) },
+  }), async (req, res) => {
+    try {
+      const staff = await repos.staff.list({ departmentId: req.query.department_id });
+      const withProfiles = await Promise.all(staff.map(async (member) => {
+        const profile = await repos.profiles.findByUserId(member.user_id);
+        return { ...member, display_name: profile?.display_name || null, email: profile?.email || null };
+      }));
+      res.json({ staff: withProfiles });
+    } catch (error) {
+      console.error('Staff Fetch Error:', error);
+      res.status(500).json({ message: 'Error fetching staff' });
+    }
+  });
+
+  // Make a user staff, by user_id or email. Body: { user_id | email, department_id? }
+  router.post('/admin/staff', authorize('staff:manage'), validate({
+    body: {
+      user_id: uuid({ optional: true }),
+      email: email({ optional: true }),
+      department_id: uuid({ optional: true, nullable: true }),
+    },
+  }), async (req, res) => {
+    const { user_id, email: userEmail, department_id = null } = req.body;
+    if (!user_id && !userEmail) return res.status(400).json({ message: 'user_id or email is required' });
+
+    try {
+      const profile = user_id
+        ? await repos.profiles.findByUserId(user_id)
+        : await repos.profiles.findByEmail(userEmail);
+      if (!profile) return res.status(404).json({ message: 'User not found' });
+
+      if (department_id && !await repos.departments.findById(department_id)) {
+        return res.status(400).json({ message: 'Department not found' });
+      }
+
+      if (await repos.staff.findByUserId(profile.user_id)) {
+        return res.status(409).json({ message: 'User is already a staff member' });
+      }
+
+      const staff = await repos.staff.upsert({ user_id: profile.user_id, department_id, active: true });
+      res.status(201).json({ message: 'Staff member added', staff });
+    } catch (error) {
+      console.error('Staff Create Error:', error);
+      res.status(500).json({ message: 'Error adding staff member' });
+    }
+  });
+
+  // Body: { department_id?, active? }
+  router.put('/admin/staff/:userId', authorize('staff:manage'), validate({
+    params: staffParams,
+    body: { department_id: uuid({ optional: true, nullable: true }), active: boolean({ optional: true }) },
+  }), async (req, res) => {
+    const { department_id, active } = req.body;
+
+    try {
+      const staff = await repos.staff.findByUserId(req.params.userId);
+      if (!staff) return res.status(404).json({ message: 'Staff member not found' });
+
+      if (department_id && !await repos.departments.findById(department_id)) {
+        return res.status(400).json({ message: 'Department not found' });
+      }
+
+      const changes = { user_id: staff.user_id };
+      if (department_id !== undefined) changes.department_id = department_id;
+      if (active !== undefined) changes.active = active;
+
+      const updated = await repos.staff.upsert(changes);
+      res.json({ message: 'Staff member updated', staff: updated });
+    } catch (error) {
+      console.error('Staff Update Error:', error);
+      res.status(500).json({ message: 'Error updating staff member' });
+    }
+  });
+
+  router.delete('/admin/staff/:userId', authorize('staff:manage'), validate({ params: staffParams }), async (req, res) => {
+    try {
+      const staff = await repos.staff.findByUserId(req.params.userId);
+      if (!staff) return res.status(404).json({ message: 'Staff member not found' });
+
+      await repos.staff.remove(staff.user_id);
+      res.json({ message: 'Staff member removed' });
+    } catch (error) {
+      console.error('Staff Delete Error:', error);
+      res.status(500).json({ message: 'Error removing staff member' });
+    }
+  });
+
+  // Assign (or with assignee_id: null, unassign) a complaint.
+  // Body: { assignee_id, department_id? } — defaults to the assignee's department
+  router.put('/admin/complaints/:id/assignee', authorize('complaints:assign'), validate({
+    params: idParams,
+    body: {
+      assignee_id: uuid({ nullable: true }),
+      department_id: uuid({ optional: true, nullable: true }),
+      reason: optionalReason,
+    },
+  }), async (req, res) => {
+    const { assignee_id, reason } = req.body;
+
+    try {
+      const complaint = await repos.complaints.findById(req.params.id);
+      if (!complaint) return res.status(404).json({ message: 'Complaint not found' });
+
+      let departmentId = req.body.department_id !== undefined ? req.body.department_id : complaint.department_id;
+
+      if (assignee_id !== null) {
+        const staff = await repos.staff.findByUserId(assignee_id);
+        if (!staff || !staff.active) return res.status(400).json({ message: 'Assignee must be an active staff member' });
+        if (req.body.department_id === undefined && staff.department_id) departmentId = staff.department_id;
+      }
+
+      if (departmentId && !await repos.departments.findById(departmentId)) {
+        return res.status(400).json({ message: 'Department not found' });
+      }
+
+      const updated = await repos.complaints.update(complaint.id, {
+        assignee_id,
+        department_id: departmentId || null,
+      });
+
+      await audit.record({
+        complaintId: complaint.id,
+        actorId: req.user.id,
+        action: 'assigned',
+        oldValue: { assignee_id: complaint.assignee_id, department_id: complaint.department_id },
+        newValue: { assignee_id: updated.assignee_id, department_id: updated.department_id },
+        reason,
+      });
+
+      res.json({ message: assignee_id ? 'Complaint assigned' : 'Complaint unassigned', complaint: updated });
+    } catch (error) {
+      console.error('Assignment Error:', error);
+      res.status(500).json({ message: 'Error assigning complaint' });
+    }
+  });
+
+  // The caller's work: ?scope=mine (default) or ?scope=department, plus the
+  // usual complaint filters and paging
+  router.get('/staff/queue', authorizeStaff('queue:read'), validate({
+    query: { ...complaintQuery, scope: oneOf(['mine', 'department'], { default: 'mine' }) },
+  }), async (req, res) => {
+    const { scope } = req.query;
+    if (scope === 'department' && !req.staff.department_id) {
+      return res.status(400).json({ message: 'You are not in a department' });
+    }
+
+    try {
+      const { filters, options, error } = parseComplaintQuery(req.query, { validTags: await tagNames() });
+      if (error) return res.status(400).json({ message: error });
+
+      const scoped = scope === 'mine'
+        ? { ...filters, assigneeId: req.user.id }
+        : { ...filters, departmentId: req.staff.department_id };
+      const result = await repos.complaints.search({ ...scoped, merged: false }, options);
+
+      res.json(paginate(result, options));
+    } catch (error) {
+      console.error('Queue Error:', error);
+      res.status(500).json({ message: 'Error fetching work queue' });
+    }
+  });
+
+  // Staff move their own assigned complaints along the workflow
+  router.put('/staff/complaints/:id/status', authorizeStaff('complaints:status:assigned'), validate({
+    params: idParams,
+    body: { status: string({ trim: true, min: 1, max: 50 }), reason: optionalReason },
+  }), async (req, res) => {
+    try {
+      const complaint = await repos.complaints.findById(req.params.id);
+      if (!complaint) return res.status(404).json({ message: 'Complaint not found' });
+
+      if (complaint.assignee_id !== req.user.id) {
+        return res.status(403).json({ message: 'This complaint is not assigned to you' });
+      }
+
+      const transition = workflow.checkTransition(complaint.status, req.body.status, req.body);
+      if (transition.error) {
+        return res.status(transition.conflict ? 409 : 400).json({ message: transition.error });
+      }
+
+      const updated = await changeStatus(complaint, transition, req.user.id, req.body.reason);
+      res.json({ message: `Complaint marked as ${updated.status}`, complaint: updated });
+    } catch (error) {
+      console.error('Staff Status Error:', error);
+      res.status(500).json({ message: 'Error updating complaint status' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createStaffRoutes };
@@ -0,0 +1,175 @@
+const express = require('express');
+const { ROLES, permissionsFor, metadataRole } = require('../authMiddleware');
+const { parsePage, pageResponse } = require('../pagination');
+const { parseComplaintQuery, paginate } = require('../complaintQuery');
+const { toProfileResponse } = require('../profiles');
+const { validate, string, uuid, oneOf, boolean } = require('../validation');
+const { pageQuery, complaintQuery, optionalReason } = require('../schemas');
+
+const userParams = { userId: uuid() };
+
+// User administration: listing, disabling accounts and roles. A role change
+// applies to tokens issued after it, i.e. at the user's next login or refresh.
+const createUserRoutes = ({ repos, auth, tagNames, authorize }) => {
+  const router = express.Router();
+
+  const toAdminUser = (profile) => ({
+    ...toProfileResponse(profile),
+    created_at: profile.created_at,
+    disabled: Boolean(profile.disabled_at),
+    disabled_at: profile.disabled_at || null,
+    disabled_reason: profile.disabled_reason || null,
+  });
+
+  // ?q= searches name and email; ?disabled=true|false; paged like complaints
+  router.get('/admin/users', authorize('users:read'), validate({
+    query: { ...pageQuery, q: string({ optional: true, trim: true, max: 200 }), disabled: boolean({ optional: true }) },
+  }), async (req, res) => {
+    const { offset, limit, error } = parsePage(req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    const { q, disabled } = req.query;
+
+    try {
+      const result = await repos.profiles.search(
+        { q: q || undefined, disabled },
+        { offset, limit }
+      );
+      res.json(pageResponse('users', { ...result, items: result.items.map(toAdminUser) }, { offset, limit }));
+    } catch (error) {
+      console.error('Users Fetch Error:', error);
+      res.status(500).json({ message: 'Error fetching users' });
+    }
+  });
+
+  router.get('/admin/users/:userId', authorize('users:read'), validate({ params: userParams }), async (req, res) => {
+    try {
+      const profile = await repos.profiles.findByUserId(req.params.userId);
+      if (!profile) return res.status(404).json({ message: 'User not found' });
+
+      const user = await repos.auth.getUserById(profile.user_id);
+      res.json({
+        user: {
+          ...toAdminUser(profile),
+          role: user ? await auth.resolveRole(user) : null,
+          complaint_count: await repos.complaints.count({ userId: profile.user_id }),
+        },
+      });
+    } catch (error) {
+      console.error('User Fetch Error:', error);
+      res.status(500).json({ message: 'Error fetching user' });
+    }
+  });
+
+  // The user's complaints, with the usual complaint filters and paging
+  router.get('/admin/users/:userId/complaints', authorize('users:read', 'complaints:read:any'), validate({
+    params: userParams,
+    query: complaintQuery,
+  }), async (req, res) => {
+    try {
+      const { filters, options, error } = parseComplaintQuery(req.query, { validTags: await tagNames() });
+      if (error) return res.status(400).json({ message: error });
+
+      const result = await repos.complaints.search({ ...filters, userId: req.params.userId }, options);
+      res.json(paginate(result, options));
+    } catch (error) {
+      console.error('User Complaints Error:', error);
+      res.status(500).json({ message: 'Error fetching user complaints' });
+    }
+  });
+
+  // Body: { reason? } — logs the user out everywhere and blocks logging in
+  router.post('/admin/users/:userId/disable', authorize('users:manage'), validate({
+    params: userParams,
+    body: { reason: optionalReason },
+  }), async (req, res) => {
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({ message: 'You cannot disable your own account' });
+    }
+
+    try {
+      const profile = await repos.profiles.findByUserId(req.params.userId);
+      if (!profile) return res.status(404).json({ message: 'User not found' });
+      if (profile.disabled_at) return res.status(409).json({ message: 'Account is already disabled' });
+
+      const updated = await repos.profiles.update(profile.user_id, {
+        disabled_at: new Date().toISOString(),
+        disabled_reason: req.body.reason || null,
+      });
+      await repos.sessions.revokeAll(profile.user_id);
+
+      res.json({ message: 'Account disabled', user: toAdminUser(updated) });
+    } catch (error) {
+      console.error('User Disable Error:', error);
+      res.status(500).json({ message: 'Error disabling account' });
+    }
+  });
+
+  router.post('/admin/users/:userId/enable', authorize('users:manage'), validate({ params: userParams }), async (req, res) => {
+    try {
+      const profile = await repos.profiles.findByUserId(req.params.userId);
+      if (!profile) return res.status(404).json({ message: 'User not found' });
+      if (!profile.disabled_at) return res.status(409).json({ message: 'Account is not disabled' });
+
+      const updated = await repos.profiles.update(profile.user_id, { disabled_at: null, disabled_reason: null });
+      res.json({ message: 'Account enabled', user: toAdminUser(updated) });
+    } catch (error) {
+      console.error('User Enable Error:', error);
+      res.status(500).json({ message: 'Error enabling account' });
+    }
+  });
+
+  // The roles and what each one may do
+  router.get('/admin/roles', authorize('users:manage'), (req, res) => {
+    res.json({ roles: ROLES.map((role) => ({ role, permissions: permissionsFor(role) })) });
+  });
+
+  router.get('/admin/users/:userId/role', authorize('users:manage'), validate({ params: userParams }), async (req, res) => {
+    try {
+      const user = await repos.auth.getUserById(req.params.userId);
+      if (!user) return res.status(404).json({ message: 'User not found' });
+
+      const assigned = await repos.roles.findByUserId(user.id);
+      res.json({ user_id: user.id, role: await auth.resolveRole(user), assigned: assigned?.role || null });
+    } catch (error) {
+      console.error('Role Fetch Error:', error);
+      res.status(500).json({ message: 'Error fetching user role' });
+    }
+  });
+
+  // Body: { role } — null removes the explicit role so it is derived again
+  router.put('/admin/users/:userId/role', authorize('users:manage'), validate({
+    params: userParams,
+    body: { role: oneOf(ROLES, { nullable: true }) },
+  }), async (req, res) => {
+    const { role } = req.body;
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    try {
+      const user = await repos.auth.getUserById(req.params.userId);
+      if (!user) return res.status(404).json({ message: 'User not found' });
+
+      // user_metadata.admin outranks an explicit role, which would be stored
+      // without taking effect
+      const fixed = metadataRole(user);
+      if (role !== null && fixed && fixed !== role) {
+        return res.status(409).json({ message: `User is an ${fixed} through their account metadata`, role: fixed });
+      }
+
+      if (role === null) await repos.roles.remove(user.id);
+      else await repos.roles.set(user.id, role, req.user.id);
+
+      const effective = await auth.resolveRole(user);
+      res.json({ message: 'Role updated', user_id: user.id, role: effective });
+    } catch (error) {
+      console.error('Role Update Error:', error);
+      res.status(500).json({ message: 'Error updating user role' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createUserRoutes };
@@ -0,0 +1,76 @@
+// Schema pieces shared by several routes (see validation.js)
+
+const { string, uuid, oneOf, number, integer, list, withChecks, together, oneRequired } = require('./validation');
+const { SORT_COLUMNS } = require('./complaintQuery');
+const { MAX_LIMIT } = require('./pagination');
+const { MAX_RADIUS_M } = require('./geo');
+
+// /:id routes
+const idParams = { id: uuid() };
+
+// ?limit=&cursor=|page= (see pagination.js)
+const pageQuery = {
+  limit: integer({ optional: true, min: 1, max: MAX_LIMIT }),
+  cursor: string({ optional: true, max: 200 }),
+  page: integer({ optional: true, min: 1 }),
+};
+
+// The complaint list filters parsed by parseComplaintQuery; dates are
+// checked there
+const complaintQuery = {
+  ...pageQuery,
+  status: list(string({ max: 50 }), { optional: true }),
+  tag: list(string({ max: 40 }), { optional: true }),
+  from: string({ optional: true, max: 40 }),
+  to: string({ optional: true, max: 40 }),
+  date: string({ optional: true, max: 40 }),
+  q: string({ optional: true, max: 200 }),
+  near: string({ optional: true, max: 60 }),
+  radius: number({ optional: true, min: 1, max: MAX_RADIUS_M }),
+  building: uuid({ optional: true }),
+  user_id: uuid({ optional: true }),
+  sort: oneOf(SORT_COLUMNS, { optional: true }),
+  order: oneOf(['asc', 'desc'], { optional: true }),
+};
+
+// Optional coordinates; `nullable` where null clears them
+const coordinates = ({ nullable = false } = {}) => withChecks({
+  latitude: number({ optional: true, blank: true, nullable, min: -90, max: 90 }),
+  longitude: number({ optional: true, blank: true, nullable, min: -180, max: 180 }),
+}, together('latitude', 'longitude'));
+
+// Where on campus a complaint is, in the reporter's words
+const locationNote = string({ optional: true, blank: true, trim: true, max: 200 });
+
+// Campus catalogue entries; `partial` for updates
+const locationBody = ({ partial }) => ({
+  name: string({ optional: partial, trim: true, min: 1, max: 100 }),
+  code: string({ optional: true, nullable: true, trim: true, max: 20 }),
+  ...coordinates({ nullable: true }),
+});
+
+const MAX_COMMENT_LENGTH = 2000;
+
+// Comment text, trimmed
+const commentText = (options = {}) => string({ ...options, trim: true, min: 1, max: MAX_COMMENT_LENGTH });
+
+// A new comment: the text is in "body" (older clients send "comment")
+const commentBody = withChecks({
+  body: commentText({ optional: true }),
+  comment: commentText({ optional: true }),
+}, oneRequired('body', 'comment'));
+
+// Optional `reason` recorded with a change
+const optionalReason = string({ optional: true, nullable: true, trim: true, max: 500 });
+
+module.exports = {
+  idParams,
+  pageQuery,
+  complaintQuery,
+  optionalReason,
+  coordinates,
+  locationNote,
+  locationBody,
+  commentText,
+  commentBody,
+};
@@ -0,0 +1,45 @@
+// Cheap duplicate detection: word-set (Jaccard) similarity of title and
+// description, with a bonus for shared tags. Good enough to suggest "did you
+// mean this one?" without a search engine.
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'in', 'is',
+  'it', 'its', 'near', 'not', 'of', 'on', 'or', 'our', 'the', 'there', 'this', 'to', 'was',
+  'were', 'with', 'my', 'i', 'we', 'no', 'very', 'since', 'again', 'still',
+]);
+
+const tokenize = (text) => new Set(
+  String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+    // Crude stemming so "lights" matches "light"
+    .map((word) => word.replace(/(ing|es|s)$/, ''))
+);
+
+const jaccard = (a, b) => {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared++;
+  return shared / (a.size + b.size - shared);
+};
+
+const score = (candidate, complaint) => {
+  const words = jaccard(
+    tokenize(`${candidate.title} ${candidate.description}`),
+    tokenize(`${complaint.title} ${complaint.description}`)
+  );
+  const titles = jaccard(tokenize(candidate.title), tokenize(complaint.title));
+  const tags = jaccard(new Set(candidate.tags || []), new Set(complaint.tags || []));
+  return 0.5 * titles + 0.35 * words + 0.15 * tags;
+};
+
+// Complaints scoring at least `threshold`, best match first
+const findSimilar = (candidate, complaints, { threshold = 0.25, limit = 5 } = {}) =>
+  complaints
+    .map((complaint) => ({ complaint, similarity: Number(score(candidate, complaint).toFixed(3)) }))
+    .filter(({ similarity }) => similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+
+module.exports = { findSimilar, tokenize };
@@ -0,0 +1,99 @@
+// Service levels: how quickly complaints must be acknowledged and resolved.
+//
+// Targets (in hours) come from the complaint's categories, the strictest one
+// winning, then from the defaults (SLA_ACK_HOURS, SLA_RESOLVE_HOURS), and are
+// scaled by priority. A complaint breaches its acknowledgement target while it
+// sits in the initial state past ack_due_at, and its resolution target while
+// it is open past resolve_due_at.
+
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const PRIORITY_FACTORS = { low: 2, normal: 1, high: 0.5, urgent: 0.25 };
+const HOUR_MS = 60 * 60 * 1000;
+
+const createSla = ({ ackHours = 24, resolveHours = 72 } = {}) => {
+  const strictest = (values, fallback) => {
+    const set = values.filter((value) => value !== null && value !== undefined).map(Number);
+    return set.length ? Math.min(...set) : fallback;
+  };
+
+  // { ackHours, resolveHours } for a complaint's tags and priority
+  const targetsFor = (categories, tags = [], priority = 'normal') => {
+    const matching = categories.filter((category) => tags.includes(category.name));
+    const factor = PRIORITY_FACTORS[priority] || 1;
+    return {
+      ackHours: strictest(matching.map((category) => category.ack_hours), ackHours) * factor,
+      resolveHours: strictest(matching.map((category) => category.resolve_hours), resolveHours) * factor,
+    };
+  };
+
+  const addHours = (start, hours) => new Date(new Date(start).getTime() + hours * HOUR_MS).toISOString();
+
+  // Due dates counted from `start` (the complaint's creation)
+  const dueDates = (targets, start) => ({
+    ack_due_at: addHours(start, targets.ackHours),
+    resolve_due_at: addHours(start, targets.resolveHours),
+  });
+
+  // 'acknowledgement', 'resolution' or null
+  const breachOf = (complaint, now = new Date()) => {
+    if (!complaint.resolved_at && complaint.resolve_due_at && new Date(complaint.resolve_due_at) < now) return 'resolution';
+    if (!complaint.acknowledged_at && complaint.ack_due_at && new Date(complaint.ack_due_at) < now) return 'acknowledgement';
+    return null;
+  };
+
+  const overdueHours = (complaint, breach, now = new Date()) => {
+    const due = breach === 'resolution' ? complaint.resolve_due_at : complaint.ack_due_at;
+    return Number(((now - new Date(due)) / HOUR_MS).toFixed(1));
+  };
+
+  return { targetsFor, dueDates, breachOf, overdueHours, addHours, defaults: { ackHours, resolveHours } };
+};
+
+// One step up, stopping at urgent
+const nextPriority = (priority) => PRIORITIES[Math.min(PRIORITIES.indexOf(priority) + 1, PRIORITIES.length - 1)];
+
+// Escalates every open complaint with a breach it hasn't been escalated for
+// yet: bumps its priority and records an 'escalated' event, which notifies the
+// assignee. Returns the escalated complaints.
+const escalateOverdue = async ({ repos, audit, sla, workflow, now = new Date() }) => {
+  const openStates = workflow.states.filter(workflow.isOpen).flatMap(workflow.statusesFor);
+  const overdue = await repos.complaints.list(
+    { overdueAt: now.toISOString(), status: openStates, merged: false },
+    { orderBy: 'created_at', ascending: true }
+  );
+
+  const escalated = [];
+  for (const complaint of overdue) {
+    const breach = sla.breachOf(complaint, now);
+    if (!breach || complaint.escalated_breach === breach) continue;
+
+    const priority = nextPriority(complaint.priority || 'normal');
+    const updated = await repos.complaints.update(complaint.id, {
+      priority,
+      escalated_at: now.toISOString(),
+      escalated_breach: breach,
+    });
+
+    await audit.record({
+      complaintId: complaint.id,
+      action: 'escalated',
+      oldValue: complaint.priority || 'normal',
+      newValue: priority,
+      reason: `${breach} target missed by ${sla.overdueHours(complaint, breach, now)}h`,
+      details: { breach, assignee_id: complaint.assignee_id || null },
+    });
+    escalated.push(updated);
+  }
+  return escalated;
+};
+
+// Runs escalateOverdue every intervalMinutes without keeping the process alive
+const startSlaMonitor = ({ intervalMinutes, ...deps }) => {
+  const timer = setInterval(() => {
+    escalateOverdue(deps).catch((error) => console.error('SLA Escalation Error:', error));
+  }, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return { stop: () => clearInterval(timer) };
+};
+
+module.exports = { createSla, escalateOverdue, startSlaMonitor, nextPriority, PRIORITIES };
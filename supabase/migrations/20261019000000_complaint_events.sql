@@ -0,0 +1,27 @@
+-- Immutable audit trail of complaint changes (see audit.js).
+-- complaint_id is deliberately not a foreign key: events outlive deleted complaints.
+create table if not exists complaint_events (
+  id uuid primary key default gen_random_uuid(),
+  complaint_id uuid not null,
+  actor_id uuid,
+  action text not null,
+  old_value jsonb,
+  new_value jsonb,
+  reason text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists complaint_events_complaint_idx on complaint_events (complaint_id, created_at);
+create index if not exists complaint_events_created_idx on complaint_events (created_at desc);
+
+-- Events are append-only
+create or replace function complaint_events_immutable() returns trigger as $$
+begin
+  raise exception 'complaint_events rows are immutable';
+end;
+$$ language plpgsql;
+
+drop trigger if exists complaint_events_immutable on complaint_events;
+create trigger complaint_events_immutable
+  before update or delete on complaint_events
+  for each row execute function complaint_events_immutable();
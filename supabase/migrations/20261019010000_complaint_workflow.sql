@@ -0,0 +1,6 @@
+-- Workflow state machine (see workflow.js): status is free text so the set of
+-- states stays configurable; transition fields and timing live alongside it.
+alter table complaints add column if not exists status_details jsonb;
+alter table complaints add column if not exists status_changed_at timestamptz;
+
+alter table complaint_events add column if not exists details jsonb;
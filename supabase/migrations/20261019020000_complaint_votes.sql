@@ -0,0 +1,27 @@
+-- One vote per user per complaint. complaints.upvotes is kept in step by
+-- triggers so counts change atomically with the vote rows.
+create table if not exists complaint_votes (
+  user_id uuid not null,
+  complaint_id uuid not null references complaints (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (user_id, complaint_id)
+);
+
+create index if not exists complaint_votes_complaint_idx on complaint_votes (complaint_id);
+
+create or replace function complaint_votes_count() returns trigger as $$
+begin
+  if tg_op = 'INSERT' then
+    update complaints set upvotes = coalesce(upvotes, 0) + 1 where id = new.complaint_id;
+    return new;
+  end if;
+
+  update complaints set upvotes = greatest(coalesce(upvotes, 0) - 1, 0) where id = old.complaint_id;
+  return old;
+end;
+$$ language plpgsql;
+
+drop trigger if exists complaint_votes_count on complaint_votes;
+create trigger complaint_votes_count
+  after insert or delete on complaint_votes
+  for each row execute function complaint_votes_count();
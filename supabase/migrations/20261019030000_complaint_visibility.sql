@@ -0,0 +1,34 @@
+-- Per-complaint visibility for the public feed. Complaints filed before the
+-- feed existed stay private; /submit defaults new ones to public.
+alter table complaints add column if not exists visibility text not null default 'private'
+  check (visibility in ('public', 'private', 'anonymous'));
+
+-- Duplicate merging: the duplicate points at the surviving complaint, which
+-- keeps the duplicate's images alongside its own.
+alter table complaints add column if not exists merged_into uuid references complaints (id) on delete set null;
+alter table complaints add column if not exists merged_images jsonb not null default '[]';
+
+create index if not exists complaints_feed_idx on complaints (visibility, created_at desc) where merged_into is null;
+
+-- Carry votes (plus the duplicate reporter's own support) and images over in
+-- one transaction; the vote trigger updates the surviving upvotes count.
+create or replace function merge_complaints(p_duplicate uuid, p_surviving uuid) returns void as $$
+begin
+  insert into complaint_votes (user_id, complaint_id, created_at)
+    select user_id, p_surviving, created_at from complaint_votes where complaint_id = p_duplicate
+    on conflict do nothing;
+
+  insert into complaint_votes (user_id, complaint_id)
+    select user_id, p_surviving from complaints where id = p_duplicate and user_id is not null
+    on conflict do nothing;
+
+  update complaints s
+    set merged_images = s.merged_images
+      || case when d.image_url is null then '[]'::jsonb else jsonb_build_array(d.image_url) end
+      || d.merged_images
+    from complaints d
+    where s.id = p_surviving and d.id = p_duplicate;
+
+  update complaints set merged_into = p_surviving where id = p_duplicate;
+end;
+$$ language plpgsql;
@@ -0,0 +1,37 @@
+-- Comment threads between reporters and admins. Replaces the admin_comments
+-- JSON array, which was updated read-modify-write and lost concurrent comments.
+create table if not exists complaint_comments (
+  id uuid primary key default gen_random_uuid(),
+  complaint_id uuid not null references complaints (id) on delete cascade,
+  parent_id uuid references complaint_comments (id) on delete cascade,
+  author_id uuid not null,
+  author_role text not null check (author_role in ('reporter', 'admin')),
+  body text,
+  internal boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  deleted_at timestamptz
+);
+
+create index if not exists complaint_comments_complaint_idx on complaint_comments (complaint_id, created_at);
+
+-- Previous bodies of edited or deleted comments
+create table if not exists complaint_comment_revisions (
+  id uuid primary key default gen_random_uuid(),
+  comment_id uuid not null references complaint_comments (id) on delete cascade,
+  body text,
+  action text not null check (action in ('edited', 'deleted')),
+  editor_id uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists complaint_comment_revisions_comment_idx on complaint_comment_revisions (comment_id, created_at);
+
+-- Carry over existing admin_comments entries
+insert into complaint_comments (complaint_id, author_id, author_role, body, created_at)
+select c.id, (entry->>'admin_id')::uuid, 'admin', entry->>'text', coalesce((entry->>'timestamp')::timestamptz, c.created_at)
+from complaints c, jsonb_array_elements(c.admin_comments::jsonb) as entry
+where c.admin_comments is not null
+  and jsonb_typeof(c.admin_comments::jsonb) = 'array'
+  and entry->>'admin_id' is not null
+  and not exists (select 1 from complaint_comments existing where existing.complaint_id = c.id);
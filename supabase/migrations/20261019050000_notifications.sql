@@ -0,0 +1,20 @@
+-- Per-user notification preferences; missing rows mean "all enabled"
+create table if not exists notification_preferences (
+  user_id uuid primary key,
+  email boolean not null default true,
+  events jsonb not null default '{}',
+  updated_at timestamptz not null default now()
+);
+
+-- Deliveries that failed every retry, kept for admins to inspect or resend
+create table if not exists notification_dead_letters (
+  id uuid primary key default gen_random_uuid(),
+  channel text not null check (channel in ('email', 'webhook')),
+  target text not null,
+  payload jsonb not null,
+  error text,
+  attempts integer not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notification_dead_letters_created_idx on notification_dead_letters (created_at desc);
@@ -0,0 +1,34 @@
+-- Complaint categories, managed by admins. complaints.tags holds category names.
+create table if not exists categories (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique check (name ~ '^[a-z0-9][a-z0-9-]{0,39}$'),
+  description text,
+  icon text,
+  active boolean not null default true,
+  parent_id uuid references categories (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+-- The tags that used to be hardcoded as VALID_TAGS
+insert into categories (name) values ('electricity'), ('canteen'), ('furniture'), ('campus')
+on conflict (name) do nothing;
+
+-- Replace one tag with another on every complaint, keeping order and dropping
+-- the duplicate when a complaint already had both. Returns the number changed.
+create or replace function rename_complaint_tag(p_from text, p_to text) returns integer as $$
+declare
+  changed integer;
+begin
+  update complaints
+    set tags = array(
+      select tag from unnest(array_replace(tags, p_from, p_to)) with ordinality as t(tag, position)
+      group by tag
+      order by min(position)
+    )
+    where p_from = any(tags);
+
+  get diagnostics changed = row_count;
+  return changed;
+end;
+$$ language plpgsql;
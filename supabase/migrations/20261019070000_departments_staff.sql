@@ -0,0 +1,24 @@
+-- Departments own complaints by tag; staff members belong to one department
+-- and work the complaints assigned to them.
+create table if not exists departments (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  description text,
+  tags text[] not null default '{}',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create table if not exists staff_members (
+  user_id uuid primary key,
+  department_id uuid references departments (id) on delete set null,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+alter table complaints add column if not exists department_id uuid references departments (id) on delete set null;
+alter table complaints add column if not exists assignee_id uuid;
+
+create index if not exists complaints_assignee_idx on complaints (assignee_id, created_at desc);
+create index if not exists complaints_department_idx on complaints (department_id, created_at desc);
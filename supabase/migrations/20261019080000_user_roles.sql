@@ -0,0 +1,14 @@
+-- Explicit roles. Users without a row are reporters, or staff when they have
+-- an active staff_members row; user_metadata.admin still means admin.
+create table if not exists user_roles (
+  user_id uuid primary key,
+  role text not null check (role in ('reporter', 'staff', 'moderator', 'admin')),
+  granted_by uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+-- Comments are now written by every role
+alter table complaint_comments drop constraint if exists complaint_comments_author_role_check;
+alter table complaint_comments add constraint complaint_comments_author_role_check
+  check (author_role in ('reporter', 'staff', 'moderator', 'admin'));
@@ -0,0 +1,16 @@
+-- One row per login. The refresh token is stored hashed and rotated on every
+-- refresh; access tokens carry the session id, so revoking a session (logout,
+-- logout everywhere, refresh token reuse) rejects its access tokens too.
+create table if not exists user_sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  token_hash text not null,
+  user_agent text,
+  ip text,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  revoked_at timestamptz
+);
+
+create index if not exists user_sessions_user_idx on user_sessions (user_id, last_used_at desc);
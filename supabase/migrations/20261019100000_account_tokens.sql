@@ -0,0 +1,17 @@
+-- Single-use, expiring tokens for password resets and email verification.
+-- Only a hash of the token is stored.
+create table if not exists account_tokens (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  purpose text not null check (purpose in ('password_reset', 'email_verification')),
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists account_tokens_user_idx on account_tokens (user_id, purpose);
+
+-- Submitting complaints requires a verified address; existing accounts keep working
+alter table profiles add column if not exists email_verified_at timestamptz;
+update profiles set email_verified_at = coalesce(created_at, now()) where email_verified_at is null;
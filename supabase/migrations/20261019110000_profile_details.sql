@@ -0,0 +1,13 @@
+-- Campus details, contact info and avatar on profiles, and account disabling
+alter table profiles add column if not exists department text;
+alter table profiles add column if not exists hostel text;
+alter table profiles add column if not exists building text;
+alter table profiles add column if not exists phone text;
+alter table profiles add column if not exists preferred_language text;
+-- avatar_url is the largest size; avatar maps each size (px) to its URL
+alter table profiles add column if not exists avatar_url text;
+alter table profiles add column if not exists avatar jsonb;
+alter table profiles add column if not exists disabled_at timestamptz;
+alter table profiles add column if not exists disabled_reason text;
+
+create index if not exists profiles_created_idx on profiles (created_at desc);
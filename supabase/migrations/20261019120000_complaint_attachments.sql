@@ -0,0 +1,58 @@
+-- Several images per complaint. "report" images come from the reporter,
+-- "proof" images from staff showing the fix. Each stores a WebP image and a
+-- thumbnail; path/thumbnail_path are storage keys (null for images carried
+-- over from before this table, whose files we don't own individually).
+create table if not exists complaint_attachments (
+  id uuid primary key default gen_random_uuid(),
+  complaint_id uuid not null references complaints (id) on delete cascade,
+  uploader_id uuid,
+  kind text not null default 'report' check (kind in ('report', 'proof')),
+  url text not null,
+  thumbnail_url text,
+  path text,
+  thumbnail_path text,
+  content_type text,
+  width integer,
+  height integer,
+  size_bytes integer,
+  -- Set on copies made when a duplicate was merged into this complaint
+  merged_from uuid references complaints (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists complaint_attachments_complaint_idx on complaint_attachments (complaint_id, created_at);
+
+-- Existing single images become the first report attachment. complaints.image_url
+-- stays as a mirror of the first report attachment for older clients.
+insert into complaint_attachments (complaint_id, uploader_id, kind, url, path, content_type, created_at)
+  select id, user_id, 'report', image_url, 'complaints/' || regexp_replace(image_url, '^.*/', ''), 'image/jpeg', created_at
+  from complaints
+  where image_url is not null;
+
+-- Images carried over by earlier merges
+insert into complaint_attachments (complaint_id, kind, url, content_type)
+  select c.id, 'report', images.url, 'image/jpeg'
+  from complaints c, jsonb_array_elements_text(c.merged_images) as images (url);
+
+-- Merging now copies attachment rows instead of collecting URLs
+create or replace function merge_complaints(p_duplicate uuid, p_surviving uuid) returns void as $$
+begin
+  insert into complaint_votes (user_id, complaint_id, created_at)
+    select user_id, p_surviving, created_at from complaint_votes where complaint_id = p_duplicate
+    on conflict do nothing;
+
+  insert into complaint_votes (user_id, complaint_id)
+    select user_id, p_surviving from complaints where id = p_duplicate and user_id is not null
+    on conflict do nothing;
+
+  insert into complaint_attachments
+      (complaint_id, uploader_id, kind, url, thumbnail_url, path, thumbnail_path, content_type, width, height, size_bytes, merged_from, created_at)
+    select p_surviving, uploader_id, kind, url, thumbnail_url, path, thumbnail_path, content_type, width, height, size_bytes,
+      coalesce(merged_from, p_duplicate), created_at
+    from complaint_attachments where complaint_id = p_duplicate;
+
+  update complaints set merged_into = p_surviving where id = p_duplicate;
+end;
+$$ language plpgsql;
+
+alter table complaints drop column if exists merged_images;
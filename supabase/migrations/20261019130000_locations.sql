@@ -0,0 +1,43 @@
+-- Campus location catalogue: buildings contain floors, floors contain rooms
+-- (rooms may also sit directly in a building). Coordinates are optional and
+-- inherited from the nearest ancestor that has them.
+create table if not exists locations (
+  id uuid primary key default gen_random_uuid(),
+  parent_id uuid references locations (id) on delete cascade,
+  kind text not null check (kind in ('building', 'floor', 'room')),
+  name text not null,
+  code text,
+  latitude double precision check (latitude between -90 and 90),
+  longitude double precision check (longitude between -180 and 180),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  unique nulls not distinct (parent_id, name)
+);
+
+-- Where a complaint is: coordinates (from the client, the photo or the
+-- catalogue, see location_source), a catalogue entry and its building, and a note
+alter table complaints add column if not exists latitude double precision;
+alter table complaints add column if not exists longitude double precision;
+alter table complaints add column if not exists location_source text check (location_source in ('gps', 'photo', 'catalogue'));
+alter table complaints add column if not exists location_id uuid references locations (id) on delete set null;
+alter table complaints add column if not exists building_id uuid references locations (id) on delete set null;
+alter table complaints add column if not exists location_note text;
+
+create index if not exists complaints_building_idx on complaints (building_id, created_at desc);
+create index if not exists complaints_coordinates_idx on complaints (latitude, longitude) where latitude is not null;
+
+-- Complaints within p_radius_m metres (haversine). The bounding box lets the
+-- coordinates index do most of the work. Further filters, ordering and paging
+-- are applied to the result by the caller.
+create or replace function complaints_near(p_lat double precision, p_lng double precision, p_radius_m double precision)
+returns setof complaints as $$
+  select *
+  from complaints
+  where latitude between p_lat - p_radius_m / 111320.0 and p_lat + p_radius_m / 111320.0
+    and longitude between p_lng - p_radius_m / (111320.0 * greatest(cos(radians(p_lat)), 0.00001))
+                      and p_lng + p_radius_m / (111320.0 * greatest(cos(radians(p_lat)), 0.00001))
+    and 2 * 6371000 * asin(sqrt(
+          power(sin(radians(latitude - p_lat) / 2), 2)
+          + cos(radians(p_lat)) * cos(radians(latitude)) * power(sin(radians(longitude - p_lng) / 2), 2)
+        )) <= p_radius_m;
+$$ language sql stable;
@@ -0,0 +1,30 @@
+-- Priorities and SLA tracking. Targets come from the complaint's categories
+-- (the strictest wins), falling back to SLA_ACK_HOURS / SLA_RESOLVE_HOURS,
+-- and are scaled by priority. Due dates are stored so overdue complaints can
+-- be queried directly.
+alter table categories add column if not exists ack_hours numeric check (ack_hours > 0);
+alter table categories add column if not exists resolve_hours numeric check (resolve_hours > 0);
+
+alter table complaints add column if not exists priority text not null default 'normal'
+  check (priority in ('low', 'normal', 'high', 'urgent'));
+alter table complaints add column if not exists ack_due_at timestamptz;
+alter table complaints add column if not exists resolve_due_at timestamptz;
+-- First move out of the initial state, and the move into a terminal state
+alter table complaints add column if not exists acknowledged_at timestamptz;
+alter table complaints add column if not exists resolved_at timestamptz;
+-- Last escalation and which breach caused it ('acknowledgement' or 'resolution')
+alter table complaints add column if not exists escalated_at timestamptz;
+alter table complaints add column if not exists escalated_breach text;
+
+-- Existing complaints get the default targets (24h / 72h) and what their
+-- current status says about acknowledgement and resolution
+update complaints set
+  ack_due_at = created_at + interval '24 hours',
+  resolve_due_at = created_at + interval '72 hours',
+  acknowledged_at = case when status <> 'pending' then coalesce(status_changed_at, created_at) end,
+  resolved_at = case when status in ('resolved', 'closed', 'rejected', 'duplicate', 'finished')
+    then coalesce(status_changed_at, created_at) end
+where ack_due_at is null;
+
+create index if not exists complaints_resolve_due_idx on complaints (resolve_due_at) where resolved_at is null;
+create index if not exists complaints_ack_due_idx on complaints (ack_due_at) where acknowledged_at is null;
@@ -0,0 +1,108 @@
+-- Everything the admin dashboard shows, aggregated in one call instead of a
+-- count query per status and tag. Opened counts, breakdowns and reporters
+-- cover complaints created in [p_from, p_to]; resolution figures cover
+-- complaints resolved in that range (merged duplicates excluded). Either end
+-- may be null, and a null p_interval skips the per-period series. Periods are
+-- UTC days, ISO weeks or months, keyed by their first day.
+create or replace function complaint_analytics(
+  p_from timestamptz,
+  p_to timestamptz,
+  p_interval text,
+  p_open_statuses text[],
+  p_top integer
+) returns jsonb as $$
+  with created as (
+    select *
+    from complaints
+    where (p_from is null or created_at >= p_from)
+      and (p_to is null or created_at <= p_to)
+  ),
+  resolved as (
+    select *,
+      extract(epoch from resolved_at - created_at) / 3600 as hours,
+      resolve_due_at is null or resolved_at <= resolve_due_at as within_sla
+    from complaints
+    where resolved_at is not null
+      and merged_into is null
+      and (p_from is null or resolved_at >= p_from)
+      and (p_to is null or resolved_at <= p_to)
+  )
+  select jsonb_build_object(
+    'total', (select count(*) from created),
+    'opened', coalesce((
+      select jsonb_agg(jsonb_build_object('period', period, 'count', n))
+      from (
+        select to_char(date_trunc(p_interval, created_at at time zone 'UTC'), 'YYYY-MM-DD') as period, count(*) as n
+        from created
+        where p_interval is not null
+        group by 1
+      ) periods
+    ), '[]'::jsonb),
+    'resolved', coalesce((
+      select jsonb_agg(jsonb_build_object('period', period, 'count', n))
+      from (
+        select to_char(date_trunc(p_interval, resolved_at at time zone 'UTC'), 'YYYY-MM-DD') as period, count(*) as n
+        from resolved
+        where p_interval is not null
+        group by 1
+      ) periods
+    ), '[]'::jsonb),
+    'by_status', coalesce((
+      select jsonb_agg(jsonb_build_object('status', status, 'count', n))
+      from (select status, count(*) as n from created group by status) statuses
+    ), '[]'::jsonb),
+    'by_tag_status', coalesce((
+      select jsonb_agg(jsonb_build_object('tag', tag, 'status', status, 'count', n))
+      from (
+        select tag, status, count(*) as n
+        from created, unnest(tags) as tag
+        group by tag, status
+      ) tag_statuses
+    ), '[]'::jsonb),
+    'top_open', coalesce((
+      select jsonb_agg(to_jsonb(top_open) order by upvotes desc nulls last, created_at desc)
+      from (
+        select *
+        from created
+        where status = any(p_open_statuses) and merged_into is null
+        order by upvotes desc nulls last, created_at desc
+        limit p_top
+      ) top_open
+    ), '[]'::jsonb),
+    'top_reporters', coalesce((
+      select jsonb_agg(jsonb_build_object('user_id', user_id, 'display_name', display_name, 'complaints', n) order by n desc)
+      from (
+        select created.user_id, profiles.display_name, count(*) as n
+        from created
+        left join profiles on profiles.user_id = created.user_id
+        where created.user_id is not null
+        group by created.user_id, profiles.display_name
+        order by n desc
+        limit p_top
+      ) reporters
+    ), '[]'::jsonb),
+    'resolution', (
+      select jsonb_build_object(
+        'count', count(*),
+        'within_sla', count(*) filter (where within_sla),
+        'mean_hours', avg(hours),
+        'p50', percentile_cont(0.5) within group (order by hours),
+        'p75', percentile_cont(0.75) within group (order by hours),
+        'p90', percentile_cont(0.9) within group (order by hours),
+        'p95', percentile_cont(0.95) within group (order by hours)
+      )
+      from resolved
+    ),
+    'sla_by_tag', coalesce((
+      select jsonb_agg(jsonb_build_object('tag', tag, 'resolved', n, 'within_sla', met))
+      from (
+        select tag, count(*) as n, count(*) filter (where within_sla) as met
+        from resolved, unnest(tags) as tag
+        group by tag
+      ) tags
+    ), '[]'::jsonb)
+  );
+$$ language sql stable;
+
+create index if not exists complaints_created_at_idx on complaints (created_at);
+create index if not exists complaints_resolved_at_idx on complaints (resolved_at) where resolved_at is not null;
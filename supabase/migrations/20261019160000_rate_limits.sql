@@ -0,0 +1,29 @@
+-- Shared rate-limit buckets for multi-instance deployments
+-- (RATE_LIMIT_STORE=database). One row per key and fixed window.
+create table if not exists rate_limits (
+  key text primary key,
+  count integer not null,
+  reset_at timestamptz not null
+);
+
+create index if not exists rate_limits_reset_idx on rate_limits (reset_at);
+
+-- Counts a hit in the key's current window, starting a new window when the
+-- old one has passed. Expired rows of other keys are cleared now and then.
+create or replace function rate_limit_hit(p_key text, p_window_ms integer)
+returns table (count integer, reset_at timestamptz) as $$
+#variable_conflict use_column
+begin
+  if random() < 0.01 then
+    delete from rate_limits where rate_limits.reset_at < now();
+  end if;
+
+  return query
+  insert into rate_limits as bucket (key, count, reset_at)
+  values (p_key, 1, now() + p_window_ms * interval '1 millisecond')
+  on conflict (key) do update set
+    count = case when bucket.reset_at <= now() then 1 else bucket.count + 1 end,
+    reset_at = case when bucket.reset_at <= now() then excluded.reset_at else bucket.reset_at end
+  returning bucket.count, bucket.reset_at;
+end;
+$$ language plpgsql;
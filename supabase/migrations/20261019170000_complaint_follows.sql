@@ -0,0 +1,13 @@
+-- Reporters following complaints other than their own, for the live event
+-- stream (GET /events).
+create table if not exists complaint_follows (
+  user_id uuid not null,
+  complaint_id uuid not null references complaints (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (user_id, complaint_id)
+);
+
+create index if not exists complaint_follows_complaint_idx on complaint_follows (complaint_id);
+
+-- Replaying a stream from its last event id reads the events after it
+create index if not exists complaint_events_created_asc_idx on complaint_events (created_at, id);
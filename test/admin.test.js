@@ -0,0 +1,318 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./support/api');
+const { image } = require('./support/images');
+const { listRoutes } = require('../openapi');
+const { exportBatches } = require('../export');
+
+const MISSING_ID = '00000000-0000-4000-8000-000000000000';
+
+process.env.CRON_SECRET = 'cron-secret';
+
+// Every /admin route: 401 without a token and 403 for a reporter (checked for
+// all of them from the route table), then each one's success path as an admin.
+describe('admin routes', () => {
+  let api;
+  let admin;
+  let reporter;
+  let adminRoutes;
+  const reached = new Set();
+
+  // An admin request that must answer `status`; counts toward the coverage check
+  const expectOk = async (route, options = {}, status = 200) => {
+    const response = await api.request(route, { token: admin, ...options });
+    assert.equal(response.status, status, `${route}: ${response.body?.message}`);
+    reached.add(route);
+    return response.body;
+  };
+
+  // A fresh complaint by the reporter
+  const newComplaint = async (fields) => (await api.submit(reporter.token, fields)).body.complaint;
+
+  before(async () => {
+    api = await startApi();
+    admin = await api.adminToken();
+    reporter = await api.createUser();
+    adminRoutes = listRoutes(api.app)
+      .map(({ method, path }) => `${method} ${path}`)
+      .filter((route) => route.includes(' /admin/') && route !== 'POST /admin/login');
+  });
+
+  after(() => api.close());
+
+  it('answer 401 without a token', async () => {
+    for (const route of adminRoutes) {
+      const { status } = await api.request(route, { params: { id: MISSING_ID, userId: MISSING_ID, commentId: MISSING_ID } });
+      assert.equal(status, 401, route);
+    }
+  });
+
+  it('answer 403 to reporters', async () => {
+    for (const route of adminRoutes) {
+      const { status } = await api.request(route, {
+        token: reporter.token,
+        params: { id: MISSING_ID, userId: MISSING_ID, commentId: MISSING_ID },
+      });
+      assert.equal(status, 403, route);
+    }
+  });
+
+  it('answer 403 to moderators for admin-only actions', async () => {
+    const moderator = await api.createUser({ role: 'moderator' });
+    const complaint = await newComplaint();
+
+    assert.equal((await api.request('GET /admin/complaints', { token: moderator.token })).status, 200);
+    for (const route of ['DELETE /admin/complaints/{id}', 'PUT /admin/users/{userId}/role', 'POST /admin/categories']) {
+      const { status } = await api.request(route, { token: moderator.token, params: { id: complaint.id, userId: reporter.id } });
+      assert.equal(status, 403, route);
+    }
+  });
+
+  it('POST /admin/login', async () => {
+    const wrong = await api.request('POST /admin/login', { body: { email: process.env.LOCAL_ADMIN_EMAIL, password: 'wrong-password' } });
+    assert.equal(wrong.status, 401);
+    const { body } = await api.request('POST /admin/login', {
+      body: { email: process.env.LOCAL_ADMIN_EMAIL, password: process.env.LOCAL_ADMIN_PASSWORD },
+    });
+    assert.ok(body.token);
+  });
+
+  it('profile, dashboard and audit', async () => {
+    const profile = await expectOk('GET /admin/profile');
+    assert.equal(profile.role, 'admin');
+    await expectOk('GET /admin/analytics', { query: { interval: 'day' } });
+    await expectOk('GET /admin/statistics');
+    await expectOk('GET /admin/audit', { query: { action: 'created' } });
+  });
+
+  it('categories', async () => {
+    const { category } = await expectOk('POST /admin/categories', { body: { name: 'water', resolve_hours: 48 } }, 201);
+    const { category: other } = await expectOk('POST /admin/categories', { body: { name: 'plumbing' } }, 201);
+    const spare = await expectOk('POST /admin/categories', { body: { name: 'spare' } }, 201);
+
+    const { categories } = await expectOk('GET /admin/categories');
+    assert.ok(['plumbing', 'spare', 'water'].every((name) => categories.some((entry) => entry.name === name)));
+
+    const complaint = await newComplaint({ tags: ['plumbing'] });
+    const updated = await expectOk('PUT /admin/categories/{id}', { params: { id: category.id }, body: { description: 'Leaks and supply' } });
+    assert.equal(updated.category.description, 'Leaks and supply');
+
+    const merged = await expectOk('POST /admin/categories/{id}/merge', { params: { id: other.id }, body: { into: category.id } });
+    assert.equal(merged.complaints_updated, 1);
+    const { body: retagged } = await api.request('GET /admin/complaints/{id}', { token: admin, params: { id: complaint.id } });
+    assert.deepEqual(retagged.tags, ['water']);
+
+    await expectOk('DELETE /admin/categories/{id}', { params: { id: spare.category.id } });
+  });
+
+  it('complaints', async () => {
+    const complaint = await newComplaint({ images: [await image()] });
+    const params = { id: complaint.id };
+
+    const list = await expectOk('GET /admin/complaints', { query: { status: 'pending', limit: 5 } });
+    assert.ok(list.complaints.some((entry) => entry.id === complaint.id));
+    await expectOk('GET /admin/complaints/geojson');
+    await expectOk('GET /admin/complaints/overdue');
+
+    const csv = await expectOk('GET /admin/complaints/export', { query: { format: 'csv' } });
+    assert.match(csv, new RegExp(complaint.id));
+    const json = await expectOk('GET /admin/complaints/export', { query: { format: 'json' } });
+    assert.ok(json.some((entry) => entry.id === complaint.id));
+    const pdf = await expectOk('GET /admin/complaints/export', { query: { format: 'pdf' } });
+    assert.equal(pdf.subarray(0, 4).toString(), '%PDF');
+    const located = await newComplaint({ title: '=SUM(A1:A9)', latitude: '-33.86', longitude: '-73.98' });
+    const row = (await expectOk('GET /admin/complaints/export', { query: { format: 'csv' } }))
+      .split('\r\n').find((line) => line.startsWith(located.id));
+    assert.match(row, /,'=SUM\(A1:A9\),/);
+    assert.match(row, /,-33\.86,-73\.98,/);
+    const filtered = await api.request('GET /admin/complaints/export', { token: admin, query: { format: 'pdf', status: 'pending' } });
+    assert.equal(filtered.status, 400);
+    for (const query of [{ format: 'csv', interval: 'week' }, { format: 'json', top: 5 }, { format: 'csv', sort: 'upvotes' }]) {
+      assert.equal((await api.request('GET /admin/complaints/export', { token: admin, query })).status, 400, JSON.stringify(query));
+    }
+
+    const detail = await expectOk('GET /admin/complaints/{id}', { params });
+    assert.equal(detail.attachments.length, 1);
+
+    await expectOk('PUT /admin/complaints/{id}/priority', { params, body: { priority: 'high' } });
+    const { complaint: working } = await expectOk('PUT /admin/complaints/{id}/status', { params, body: { status: 'working' } });
+    assert.equal(working.status, 'working');
+    const conflict = await api.request('PUT /admin/complaints/{id}/status', { token: admin, params, body: { status: 'pending' } });
+    assert.equal(conflict.status, 409);
+
+    const { history } = await expectOk('GET /admin/complaints/{id}/history', { params });
+    assert.deepEqual(history.map((event) => event.action), ['created', 'image_added', 'priority_changed', 'status_changed']);
+
+    const proof = new FormData();
+    proof.append('images', new Blob([(await image()).data], { type: 'image/png' }), 'proof.png');
+    const added = await expectOk('POST /admin/complaints/{id}/attachments', { params, form: proof }, 201);
+    assert.equal(added.attachments[0].kind, 'proof');
+
+    const duplicate = await newComplaint();
+    const merged = await expectOk('POST /admin/complaints/{id}/merge', { params: { id: duplicate.id }, body: { into: complaint.id } });
+    assert.equal(merged.complaint.id, complaint.id);
+
+    const escalated = await expectOk('POST /admin/sla/escalate');
+    assert.deepEqual(escalated.complaints, []);
+
+    await expectOk('DELETE /admin/complaints/{id}', { params });
+    assert.equal((await api.request('GET /admin/complaints/{id}', { token: admin, params })).status, 404);
+  });
+
+  it('escalates for the scheduler with the cron secret only', async () => {
+    const escalate = (authorization) => api.request('GET /cron/sla/escalate', { headers: authorization ? { authorization } : {} });
+
+    assert.equal((await escalate()).status, 401);
+    assert.equal((await escalate('Bearer wrong-secret')).status, 401);
+    assert.equal((await escalate(`Bearer ${admin}`)).status, 401);
+
+    const { status, body } = await escalate('Bearer cron-secret');
+    assert.equal(status, 200);
+    assert.deepEqual(body.complaints, []);
+  });
+
+  it('exports every complaint once while others are added and deleted', async () => {
+    const { repos } = api.app.locals;
+    const before = (await repos.complaints.search({}, { limit: 1000 })).items.map((complaint) => complaint.id);
+    const batches = exportBatches(repos, {}, { batchSize: 2 });
+
+    const { value: first } = await batches.next();
+    await repos.complaints.remove(first[0].id);
+    const added = await newComplaint();
+
+    const exported = first.map((complaint) => complaint.id);
+    for await (const batch of batches) exported.push(...batch.map((complaint) => complaint.id));
+    assert.equal(new Set(exported).size, exported.length);
+    assert.deepEqual([...exported].sort(), [...before, added.id].sort());
+  });
+
+  it('bulk operations', async () => {
+    const first = await newComplaint();
+    const second = await newComplaint();
+
+    const result = await expectOk('POST /admin/complaints/bulk', {
+      body: { action: 'set_status', status: 'acknowledged', ids: [first.id, second.id, MISSING_ID] },
+    });
+    assert.equal(result.succeeded, 2);
+    assert.equal(result.failed, 1);
+  });
+
+  it('comments', async () => {
+    const complaint = await newComplaint();
+    const params = { id: complaint.id };
+
+    const { comment } = await expectOk('POST /admin/complaints/{id}/comments', { params, body: { body: 'Checked on site', internal: true } }, 201);
+    await expectOk('POST /admin/complaints/{id}/comment', { params, body: { comment: 'Fix scheduled' } }, 201);
+    await api.request('PATCH /complaints/{id}/comments/{commentId}', {
+      token: admin, params: { ...params, commentId: comment.id }, body: { body: 'Checked on site twice' },
+    });
+
+    const { comments } = await expectOk('GET /admin/complaints/{id}/comments', { params });
+    assert.equal(comments.length, 2);
+    const { body: visible } = await api.request('GET /complaints/{id}/comments', { token: reporter.token, params });
+    assert.deepEqual(visible.comments.map((entry) => entry.body), ['Fix scheduled']);
+
+    const { revisions } = await expectOk('GET /admin/complaints/{id}/comments/{commentId}/history', {
+      params: { ...params, commentId: comment.id },
+    });
+    assert.equal(revisions.length, 1);
+  });
+
+  it('departments, staff and assignment', async () => {
+    await api.request('POST /admin/categories', { token: admin, body: { name: 'electrical' } });
+    const { department } = await expectOk('POST /admin/departments', { body: { name: 'Electrical', tags: ['electrical'] } }, 201);
+    const { department: spare } = await expectOk('POST /admin/departments', { body: { name: 'Spare' } }, 201);
+    await expectOk('PUT /admin/departments/{id}', { params: { id: department.id }, body: { description: 'Wiring and lights' } });
+    const { departments } = await expectOk('GET /admin/departments');
+    assert.equal(departments.length, 2);
+    await expectOk('DELETE /admin/departments/{id}', { params: { id: spare.id } });
+
+    const worker = await api.createUser({ role: 'staff' });
+    await expectOk('POST /admin/staff', { body: { user_id: worker.id, department_id: department.id } }, 201);
+    await expectOk('PUT /admin/staff/{userId}', { params: { userId: worker.id }, body: { active: true } });
+    const { staff } = await expectOk('GET /admin/staff');
+    assert.deepEqual(staff.map((member) => member.user_id), [worker.id]);
+
+    const complaint = await newComplaint({ tags: ['electrical'] });
+    assert.equal(complaint.department_id, department.id);
+    const { complaint: assigned } = await expectOk('PUT /admin/complaints/{id}/assignee', {
+      params: { id: complaint.id }, body: { assignee_id: worker.id },
+    });
+    assert.equal(assigned.assignee_id, worker.id);
+
+    const { body: queue } = await api.request('GET /staff/queue', { token: worker.token });
+    assert.deepEqual(queue.complaints.map((entry) => entry.id), [complaint.id]);
+    const moved = await api.request('PUT /staff/complaints/{id}/status', {
+      token: worker.token, params: { id: complaint.id }, body: { status: 'working' },
+    });
+    assert.equal(moved.status, 200);
+
+    await expectOk('DELETE /admin/staff/{userId}', { params: { userId: worker.id } });
+  });
+
+  it('users and roles', async () => {
+    const user = await api.createUser();
+    const params = { userId: user.id };
+
+    const { users } = await expectOk('GET /admin/users', { query: { q: user.email } });
+    assert.deepEqual(users.map((entry) => entry.user_id), [user.id]);
+    const { user: detail } = await expectOk('GET /admin/users/{userId}', { params });
+    assert.equal(detail.role, 'reporter');
+    await expectOk('GET /admin/users/{userId}/complaints', { params });
+
+    const { roles } = await expectOk('GET /admin/roles');
+    assert.deepEqual(roles.map((entry) => entry.role), ['reporter', 'staff', 'moderator', 'admin']);
+    await expectOk('PUT /admin/users/{userId}/role', { params, body: { role: 'moderator' } });
+    const role = await expectOk('GET /admin/users/{userId}/role', { params });
+    assert.equal(role.role, 'moderator');
+
+    // The built-in admin is one through its account metadata, which no role overrides
+    const builtIn = { userId: JSON.parse(Buffer.from(admin.split('.')[1], 'base64url')).id };
+    const demoted = await api.request('PUT /admin/users/{userId}/role', {
+      token: (await api.createUser({ role: 'admin' })).token, params: builtIn, body: { role: 'reporter' },
+    });
+    assert.equal(demoted.status, 409);
+    const unchanged = await expectOk('GET /admin/users/{userId}/role', { params: builtIn });
+    assert.equal(unchanged.assigned, null);
+
+    const disabled = await expectOk('POST /admin/users/{userId}/disable', { params, body: { reason: 'Spam' } });
+    assert.equal(disabled.user.disabled, true);
+    const enabled = await expectOk('POST /admin/users/{userId}/enable', { params });
+    assert.equal(enabled.user.disabled, false);
+  });
+
+  it('locations', async () => {
+    const { location: building } = await expectOk('POST /admin/locations', { body: { kind: 'building', name: 'Main block', code: 'MB' } }, 201);
+    const { location: floor } = await expectOk('POST /admin/locations', {
+      body: { kind: 'floor', name: 'Ground floor', parent_id: building.id },
+    }, 201);
+    const unpaired = await api.request('PUT /admin/locations/{id}', { token: admin, params: { id: floor.id }, body: { latitude: 12.9 } });
+    assert.deepEqual(unpaired.body.errors.map((error) => error.field), ['longitude']);
+    const located = await expectOk('PUT /admin/locations/{id}', { params: { id: floor.id }, body: { latitude: '12.9', longitude: 77.6, code: 'G' } });
+    assert.equal(located.location.latitude, 12.9);
+    const cleared = await expectOk('PUT /admin/locations/{id}', { params: { id: floor.id }, body: { latitude: null, longitude: null, code: '' } });
+    assert.equal(cleared.location.latitude, null);
+    assert.equal(cleared.location.code, null);
+    const updated = await expectOk('PUT /admin/locations/{id}', { params: { id: floor.id }, body: { name: 'Floor 0' } });
+    assert.equal(updated.location.name, 'Floor 0');
+    await expectOk('DELETE /admin/locations/{id}', { params: { id: floor.id } });
+  });
+
+  it('notification dead letters', async () => {
+    const { notifications } = api.app.locals.repos;
+    const payload = { subject: 'Complaint update', text: 'Your complaint was resolved' };
+    const retried = await notifications.addDeadLetter({ channel: 'email', target: 'a@urbanfix.test', payload, error: 'timeout', attempts: 3 });
+    const dropped = await notifications.addDeadLetter({ channel: 'email', target: 'b@urbanfix.test', payload, error: 'timeout', attempts: 3 });
+
+    const page = await expectOk('GET /admin/notifications/dead-letters');
+    assert.equal(page.total, 2);
+    await expectOk('POST /admin/notifications/dead-letters/{id}/retry', { params: { id: retried.id } });
+    assert.ok(api.app.locals.mailer.sent.some((mail) => mail.to === 'a@urbanfix.test'));
+    await expectOk('DELETE /admin/notifications/dead-letters/{id}', { params: { id: dropped.id } });
+    assert.equal((await expectOk('GET /admin/notifications/dead-letters')).total, 0);
+  });
+
+  it('every admin route was reached above', () => {
+    assert.deepEqual(adminRoutes.filter((route) => !reached.has(route)), []);
+  });
+});
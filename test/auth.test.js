@@ -0,0 +1,154 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./support/api');
+const { createAccounts } = require('../accounts');
+
+describe('sign-up, login and sessions', () => {
+  let api;
+
+  before(async () => {
+    api = await startApi();
+  });
+
+  after(() => api.close());
+
+  describe('POST /signup', () => {
+    it('creates an unverified account, logs it in and mails a verification token', async () => {
+      const { status, body } = await api.request('POST /signup', {
+        body: { name: 'Asha', email: ' Asha@Example.org ', password: 'long-enough' },
+      });
+      assert.equal(status, 201);
+      assert.equal(body.user.email, 'asha@example.org');
+      assert.equal(body.email_verified, false);
+      assert.ok(body.token && body.refresh_token);
+      assert.ok(api.mailedToken('asha@example.org'));
+
+      const { body: profile } = await api.request('GET /profile', { token: body.token });
+      assert.equal(profile.profile.display_name, 'Asha');
+      assert.equal(profile.profile.email_verified, false);
+    });
+
+    it('reports every invalid field', async () => {
+      const { status, body } = await api.request('POST /signup', { body: { name: 'X', email: 'nope', password: 'short' } });
+      assert.equal(status, 400);
+      assert.equal(body.code, 'VALIDATION_FAILED');
+      assert.deepEqual(body.errors.map((error) => error.field).sort(), ['email', 'password']);
+    });
+
+    it('refuses an address that is already registered', async () => {
+      const { email } = await api.createUser();
+      const { status } = await api.request('POST /signup', { body: { name: 'Again', email, password: 'another-password' } });
+      assert.equal(status, 400);
+    });
+  });
+
+  describe('POST /login', () => {
+    it('logs in with the right password only', async () => {
+      const user = await api.createUser();
+      assert.ok(await api.login(user.email, user.password));
+
+      const wrong = await api.request('POST /login', { body: { email: user.email, password: 'wrong-password' } });
+      assert.equal(wrong.status, 401);
+      const unknown = await api.request('POST /login', { body: { email: 'nobody@urbanfix.test', password: 'whatever-password' } });
+      assert.equal(unknown.status, 401);
+    });
+
+    it('gives a token the protected routes accept', async () => {
+      const user = await api.createUser();
+      assert.equal((await api.request('GET /profile', { token: user.token })).status, 200);
+      assert.equal((await api.request('GET /profile')).status, 401);
+      assert.equal((await api.request('GET /profile', { token: 'not.a.jwt' })).status, 401);
+    });
+
+    it('refuses disabled accounts', async () => {
+      const user = await api.createUser();
+      await api.request('POST /admin/users/{userId}/disable', { token: await api.adminToken(), params: { userId: user.id } });
+
+      const { status } = await api.request('POST /login', { body: { email: user.email, password: user.password } });
+      assert.equal(status, 403);
+      assert.equal((await api.request('GET /profile', { token: user.token })).status, 401);
+    });
+  });
+
+  describe('POST /admin/login', () => {
+    it('lets the admin in and keeps reporters out', async () => {
+      assert.ok(await api.adminToken());
+
+      const reporter = await api.createUser();
+      const { status } = await api.request('POST /admin/login', { body: { email: reporter.email, password: reporter.password } });
+      assert.equal(status, 403);
+    });
+  });
+
+  describe('sessions', () => {
+    it('rotates refresh tokens', async () => {
+      const user = await api.createUser();
+      const { body: first } = await api.request('POST /login', { body: { email: user.email, password: user.password } });
+
+      const refreshed = await api.request('POST /token/refresh', { body: { refresh_token: first.refresh_token } });
+      assert.equal(refreshed.status, 200);
+      assert.notEqual(refreshed.body.refresh_token, first.refresh_token);
+
+      const reused = await api.request('POST /token/refresh', { body: { refresh_token: first.refresh_token } });
+      assert.equal(reused.status, 401);
+    });
+
+    it('lets only one of two concurrent refreshes through', async () => {
+      const user = await api.createUser();
+      const { body } = await api.request('POST /login', { body: { email: user.email, password: user.password } });
+
+      const results = await Promise.all([1, 2].map(() => api.request('POST /token/refresh', { body: { refresh_token: body.refresh_token } })));
+      assert.deepEqual(results.map((result) => result.status).sort(), [200, 401]);
+    });
+
+    it('refuses malformed refresh tokens', async () => {
+      for (const token of ['not-a-session.secret', 'no-dot', `${'0'.repeat(8)}.`]) {
+        assert.equal((await api.request('POST /token/refresh', { body: { refresh_token: token } })).status, 401);
+      }
+    });
+
+    it('ends the session on logout', async () => {
+      const user = await api.createUser();
+      const { body } = await api.request('POST /login', { body: { email: user.email, password: user.password } });
+
+      assert.equal((await api.request('POST /logout', { token: body.token })).status, 200);
+      const { status } = await api.request('POST /token/refresh', { body: { refresh_token: body.refresh_token } });
+      assert.equal(status, 401);
+    });
+  });
+
+  describe('account recovery', () => {
+    it('resets a forgotten password with the mailed token', async () => {
+      const user = await api.createUser();
+      assert.equal((await api.request('POST /password/forgot', { body: { email: user.email } })).status, 200);
+
+      const reset = await api.request('POST /password/reset', {
+        body: { token: api.mailedToken(user.email), password: 'brand-new-password' },
+      });
+      assert.equal(reset.status, 200);
+      assert.ok(await api.login(user.email, 'brand-new-password'));
+      const old = await api.request('POST /login', { body: { email: user.email, password: user.password } });
+      assert.equal(old.status, 401);
+    });
+
+    it('prints tokens mail would not deliver, outside production only', async (t) => {
+      const user = await api.createUser();
+      const mailer = { delivers: false, send: async () => {} };
+      const printed = t.mock.method(console, 'log', () => {});
+
+      const local = createAccounts({ repos: api.app.locals.repos, mailer, production: false });
+      await local.sendVerification(user.id, user.email);
+      const [line] = printed.mock.calls.at(-1).arguments;
+      const token = line.match(/token (\S+)$/)[1];
+      assert.ok(await local.consume(token, 'email_verification'));
+
+      const production = createAccounts({ repos: api.app.locals.repos, mailer, production: true });
+      await assert.rejects(production.sendVerification(user.id, user.email));
+    });
+
+    it("doesn't reveal whether an address is registered", async () => {
+      const { status } = await api.request('POST /password/forgot', { body: { email: 'nobody@urbanfix.test' } });
+      assert.equal(status, 200);
+    });
+  });
+});
@@ -0,0 +1,453 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./support/api');
+const { image, fakeImage, brokenImage } = require('./support/images');
+
+describe('complaints', () => {
+  let api;
+  let owner;
+  let other;
+
+  before(async () => {
+    api = await startApi();
+    await api.request('POST /admin/categories', { token: await api.adminToken(), body: { name: 'lighting' } });
+    owner = await api.createUser();
+    other = await api.createUser();
+  });
+
+  after(() => api.close());
+
+  describe('POST /submit', () => {
+    it('stores a complaint without an image', async () => {
+      const { status, body } = await api.submit(owner.token, { title: 'No light', tags: ['lighting'] });
+      assert.equal(status, 201);
+      assert.equal(body.complaint.user_id, owner.id);
+      assert.equal(body.complaint.status, 'pending');
+      assert.deepEqual(body.complaint.tags, ['lighting']);
+      assert.equal(body.complaint.image_url, null);
+      assert.deepEqual(body.attachments, []);
+
+      const { body: mine } = await api.request('GET /complaints', { token: owner.token });
+      assert.ok(mine.complaints.some((complaint) => complaint.id === body.complaint.id));
+      const { body: theirs } = await api.request('GET /complaints', { token: other.token });
+      assert.ok(!theirs.complaints.some((complaint) => complaint.id === body.complaint.id));
+    });
+
+    it('stores images and serves them', async () => {
+      const { status, body } = await api.submit(owner.token, { images: [await image(), await image({ format: 'jpeg' })] });
+      assert.equal(status, 201);
+      assert.equal(body.attachments.length, 2);
+      assert.ok(body.complaint.image_url);
+
+      const served = await fetch(new URL(body.attachments[0].url, api.base));
+      assert.equal(served.status, 200);
+      assert.match(served.headers.get('content-type'), /^image\//);
+
+      const { body: listed } = await api.request('GET /complaints/{id}/attachments', {
+        token: owner.token, params: { id: body.complaint.id },
+      });
+      assert.equal(listed.attachments.length, 2);
+    });
+
+    it('rejects files that are not images', async () => {
+      const { status } = await api.submit(owner.token, { images: [fakeImage()] });
+      assert.equal(status, 415);
+    });
+
+    it('checks coordinates and the location note with the other fields', async () => {
+      const fieldsOf = async (fields) => {
+        const { status, body } = await api.submit(owner.token, fields);
+        assert.equal(status, 400);
+        assert.equal(body.code, 'VALIDATION_FAILED');
+        return body.errors.map((error) => error.field);
+      };
+
+      assert.deepEqual(await fieldsOf({ latitude: '12.97' }), ['longitude']);
+      assert.deepEqual(await fieldsOf({ latitude: 'north', longitude: '200' }), ['latitude', 'longitude']);
+      assert.deepEqual(await fieldsOf({ location_note: 'x'.repeat(201) }), ['location_note']);
+
+      const { body } = await api.submit(owner.token, { latitude: '12.97', longitude: '77.59', location_note: ' By the gate ' });
+      assert.equal(body.complaint.latitude, 12.97);
+      assert.equal(body.complaint.location_source, 'gps');
+      assert.equal(body.complaint.location_note, 'By the gate');
+    });
+
+    it("stores nothing when an image can't be decoded", async () => {
+      const reporter = await api.createUser();
+      const { status, body } = await api.submit(reporter.token, { images: [await image(), await brokenImage()] });
+      assert.equal(status, 415);
+      assert.equal(body.message, 'Could not read image: broken.png');
+
+      const { body: mine } = await api.request('GET /complaints', { token: reporter.token });
+      assert.equal(mine.total, 0);
+    });
+
+    it("names an anonymous complaint's uploader only to them and staff", async () => {
+      const { body } = await api.submit(owner.token, { visibility: 'anonymous', images: [await image()] });
+      const uploaderOf = async (token) => {
+        const { body: listed } = await api.request('GET /complaints/{id}/attachments', { token, params: { id: body.complaint.id } });
+        return listed.attachments[0].uploader_id;
+      };
+
+      assert.equal(await uploaderOf(other.token), null);
+      assert.equal(await uploaderOf(owner.token), owner.id);
+      assert.equal(await uploaderOf(await api.adminToken()), owner.id);
+    });
+
+    it('rejects missing fields and unknown tags', async () => {
+      const missing = await api.submit(owner.token, { title: '   ' });
+      assert.equal(missing.status, 400);
+      assert.equal(missing.body.errors[0].field, 'title');
+
+      const unknown = await api.submit(owner.token, { tags: ['lighting', 'weather'] });
+      assert.equal(unknown.status, 400);
+      assert.equal(unknown.body.code, 'UNKNOWN_TAGS');
+      assert.deepEqual(unknown.body.invalid_tags, ['weather']);
+    });
+
+    it('needs a verified email address and a login', async () => {
+      const unverified = await api.createUser({ verified: false });
+      const { status, body } = await api.submit(unverified.token);
+      assert.equal(status, 403);
+      assert.equal(body.code, 'EMAIL_NOT_VERIFIED');
+
+      assert.equal((await api.submit(undefined)).status, 401);
+    });
+  });
+
+  describe('DELETE /complaints/:id', () => {
+    it('lets only the owner delete', async () => {
+      const { body } = await api.submit(owner.token);
+      const params = { id: body.complaint.id };
+
+      assert.equal((await api.request('DELETE /complaints/{id}', { params })).status, 401);
+      assert.equal((await api.request('DELETE /complaints/{id}', { token: other.token, params })).status, 403);
+      assert.equal((await api.request('DELETE /complaints/{id}', { token: owner.token, params })).status, 200);
+      assert.equal((await api.request('DELETE /complaints/{id}', { token: owner.token, params })).status, 404);
+    });
+
+    it('lets admins delete any complaint', async () => {
+      const { body } = await api.submit(owner.token);
+      const { status } = await api.request('DELETE /complaints/{id}', { token: await api.adminToken(), params: { id: body.complaint.id } });
+      assert.equal(status, 200);
+    });
+
+    it('checks the id', async () => {
+      const { status } = await api.request('DELETE /complaints/{id}', { token: owner.token, params: { id: '42' } });
+      assert.equal(status, 400);
+    });
+  });
+
+  describe('DELETE /complaints/:id/image', () => {
+    it('lets only the owner remove the image', async () => {
+      const { body } = await api.submit(owner.token, { images: [await image()] });
+      const params = { id: body.complaint.id };
+
+      assert.equal((await api.request('DELETE /complaints/{id}/image', { params })).status, 401);
+      assert.equal((await api.request('DELETE /complaints/{id}/image', { token: other.token, params })).status, 403);
+      assert.equal((await api.request('DELETE /complaints/{id}/image', { token: owner.token, params })).status, 200);
+
+      const { body: complaint } = await api.request('GET /admin/complaints/{id}', { token: await api.adminToken(), params });
+      assert.equal(complaint.image_url, null);
+      assert.deepEqual(complaint.attachments, []);
+    });
+
+    it('answers 404 for unknown complaints', async () => {
+      const { status } = await api.request('DELETE /complaints/{id}/image', {
+        token: owner.token, params: { id: '00000000-0000-4000-8000-000000000000' },
+      });
+      assert.equal(status, 404);
+    });
+  });
+
+  describe('follow-up', () => {
+    it('suggests similar open complaints', async () => {
+      const { body } = await api.submit(owner.token, { title: 'Flooded corridor in hostel four', tags: ['lighting'] });
+      const { body: similar } = await api.request('GET /complaints/similar', {
+        token: other.token, query: { title: 'Corridor flooded in hostel four' },
+      });
+      assert.equal(similar.possible_duplicates[0].id, body.complaint.id);
+
+      assert.equal((await api.request('GET /complaints/similar', { token: other.token })).status, 400);
+    });
+
+    it('lets the owner reopen a resolved complaint', async () => {
+      const admin = await api.adminToken();
+      const { body } = await api.submit(owner.token);
+      const params = { id: body.complaint.id };
+      await api.request('PUT /admin/complaints/{id}/status', { token: admin, params, body: { status: 'working' } });
+      await api.request('PUT /admin/complaints/{id}/status', { token: admin, params, body: { status: 'resolved', resolution_note: 'Bulb replaced' } });
+
+      assert.equal((await api.request('POST /complaints/{id}/reopen', { token: other.token, params, body: { reason: 'Still dark' } })).status, 403);
+      assert.equal((await api.request('POST /complaints/{id}/reopen', { token: owner.token, params })).status, 400);
+      const reopened = await api.request('POST /complaints/{id}/reopen', { token: owner.token, params, body: { reason: 'Still dark' } });
+      assert.equal(reopened.status, 200);
+      assert.equal(reopened.body.complaint.status, 'reopened');
+      assert.equal((await api.request('POST /complaints/{id}/reopen', { token: owner.token, params, body: { reason: 'Again' } })).status, 409);
+    });
+
+    it('keeps comments editable by their author only', async () => {
+      const { body } = await api.submit(owner.token);
+      const params = { id: body.complaint.id };
+
+      for (const text of [{}, { body: '   ' }, { comment: 'x'.repeat(2001) }]) {
+        const refused = await api.request('POST /complaints/{id}/comments', { token: owner.token, params, body: text });
+        assert.equal(refused.body.code, 'VALIDATION_FAILED');
+      }
+
+      const { status, body: added } = await api.request('POST /complaints/{id}/comments', { token: owner.token, params, body: { body: 'Any news?' } });
+      assert.equal(status, 201);
+      const commentParams = { ...params, commentId: added.comment.id };
+      assert.equal((await api.request('PATCH /complaints/{id}/comments/{commentId}', {
+        token: other.token, params: commentParams, body: { body: 'Hijacked' },
+      })).status, 403);
+      assert.equal((await api.request('PATCH /complaints/{id}/comments/{commentId}', {
+        token: owner.token, params: commentParams, body: { body: 'Any news yet?' },
+      })).status, 200);
+
+      const { body: thread } = await api.request('GET /complaints/{id}/comments', { token: owner.token, params });
+      assert.equal(thread.comments[0].body, 'Any news yet?');
+      assert.equal(thread.comments[0].edited, true);
+
+      assert.equal((await api.request('DELETE /complaints/{id}/comments/{commentId}', { token: other.token, params: commentParams })).status, 403);
+      assert.equal((await api.request('DELETE /complaints/{id}/comments/{commentId}', { token: owner.token, params: commentParams })).status, 200);
+    });
+
+    it('lets the owner add and remove images', async () => {
+      const { body } = await api.submit(owner.token);
+      const params = { id: body.complaint.id };
+      const form = async () => {
+        const data = new FormData();
+        data.append('images', new Blob([(await image()).data], { type: 'image/png' }), 'photo.png');
+        return data;
+      };
+
+      const added = await api.request('POST /complaints/{id}/attachments', { token: owner.token, params, form: await form() });
+      assert.equal(added.status, 201);
+      assert.equal(added.body.attachments[0].kind, 'report');
+      assert.equal((await api.request('POST /complaints/{id}/attachments', { token: other.token, params, form: await form() })).status, 403);
+
+      const attachmentParams = { ...params, attachmentId: added.body.attachments[0].id };
+      assert.equal((await api.request('DELETE /complaints/{id}/attachments/{attachmentId}', { token: other.token, params: attachmentParams })).status, 403);
+      assert.equal((await api.request('DELETE /complaints/{id}/attachments/{attachmentId}', { token: owner.token, params: attachmentParams })).status, 200);
+    });
+  });
+
+  describe('status workflow', () => {
+    let admin;
+    const move = (id, body) => api.request('PUT /admin/complaints/{id}/status', { token: admin, params: { id }, body });
+    const fetchComplaint = async (id) => (await api.request('GET /admin/complaints/{id}', { token: admin, params: { id } })).body;
+
+    before(async () => {
+      admin = await api.adminToken();
+    });
+
+    it('refuses transitions the workflow does not allow', async () => {
+      const { body: { complaint } } = await api.submit(owner.token);
+
+      for (const status of ['resolved', 'closed', 'reopened']) {
+        const { status: code, body } = await move(complaint.id, { status, reason: 'Testing', resolution_note: 'Done' });
+        assert.equal(code, 409, status);
+        assert.equal(body.message, `Cannot change status from pending to ${status}`);
+      }
+      assert.equal((await move(complaint.id, { status: 'done' })).status, 400);
+
+      const unchanged = await fetchComplaint(complaint.id);
+      assert.equal(unchanged.status, 'pending');
+      assert.equal(unchanged.status_changed_at, null);
+    });
+
+    it('requires the fields a transition names', async () => {
+      const { body: { complaint } } = await api.submit(owner.token);
+
+      const rejected = await move(complaint.id, { status: 'rejected' });
+      assert.equal(rejected.status, 400);
+      assert.equal(rejected.body.message, '"reason" is required to move a complaint to rejected');
+
+      assert.equal((await move(complaint.id, { status: 'working' })).status, 200);
+      assert.equal((await move(complaint.id, { status: 'resolved' })).status, 400);
+      assert.equal((await move(complaint.id, { status: 'resolved', resolution_note: '   ' })).status, 400);
+      assert.equal((await fetchComplaint(complaint.id)).status, 'working');
+    });
+
+    it('marks complaints duplicate only by merging them', async () => {
+      const { body: { complaint: surviving } } = await api.submit(owner.token);
+      const { body: { complaint } } = await api.submit(owner.token);
+
+      const { status, body } = await move(complaint.id, { status: 'duplicate', duplicate_of: surviving.id });
+      assert.equal(status, 400);
+      assert.match(body.message, /by merging/);
+      const bulk = await api.request('POST /admin/complaints/bulk', {
+        token: admin, body: { action: 'set_status', ids: [complaint.id], status: 'duplicate', duplicate_of: surviving.id },
+      });
+      assert.equal(bulk.body.results[0].status, 400);
+      assert.equal((await fetchComplaint(complaint.id)).status, 'pending');
+
+      await api.request('POST /admin/complaints/{id}/merge', { token: admin, params: { id: complaint.id }, body: { into: surviving.id } });
+      const merged = await fetchComplaint(complaint.id);
+      assert.equal(merged.status, 'duplicate');
+      assert.equal(merged.merged_into, surviving.id);
+    });
+
+    it('records when and with what the status last changed', async () => {
+      const { body: { complaint } } = await api.submit(owner.token);
+      const before = new Date().toISOString();
+
+      const { body: { complaint: working } } = await move(complaint.id, { status: 'working' });
+      assert.equal(working.status_details, null);
+      assert.ok(working.status_changed_at >= before);
+      assert.equal(working.acknowledged_at, working.status_changed_at);
+
+      const { body: { complaint: resolved } } = await move(complaint.id, { status: 'resolved', resolution_note: 'Bulb replaced', reason: 'Fixed' });
+      assert.deepEqual(resolved.status_details, { resolution_note: 'Bulb replaced' });
+      assert.ok(resolved.status_changed_at >= working.status_changed_at);
+      assert.equal(resolved.resolved_at, resolved.status_changed_at);
+
+      const { body: { history } } = await api.request('GET /admin/complaints/{id}/history', { token: admin, params: { id: complaint.id } });
+      const last = history[history.length - 1];
+      assert.equal(last.action, 'status_changed');
+      assert.equal(last.reason, 'Fixed');
+      assert.deepEqual(last.details, { resolution_note: 'Bulb replaced' });
+
+      const { body: { complaint: closed } } = await move(complaint.id, { status: 'closed' });
+      assert.equal(closed.status_details, null);
+      assert.equal(closed.resolved_at, resolved.resolved_at);
+    });
+  });
+
+  describe('votes and the feed', () => {
+    it('counts one upvote per user', async () => {
+      const { body } = await api.submit(owner.token);
+      const params = { id: body.complaint.id };
+
+      const first = await api.request('POST /complaints/{id}/upvote', { token: other.token, params });
+      assert.equal(first.status, 200);
+      assert.equal(first.body.upvotes, 1);
+      assert.equal(first.body.has_voted, true);
+      assert.equal((await api.request('POST /complaints/{id}/upvote', { token: other.token, params })).status, 409);
+
+      const { body: votes } = await api.request('GET /profile/votes', { token: other.token });
+      assert.deepEqual(votes.complaints.map((complaint) => complaint.id), [params.id]);
+
+      const withdrawn = await api.request('DELETE /complaints/{id}/upvote', { token: other.token, params });
+      assert.equal(withdrawn.body.upvotes, 0);
+    });
+
+    it("keeps votes to complaints the voter may see, without anonymous reporters", async () => {
+      const { body: { complaint: anonymous } } = await api.submit(owner.token, { visibility: 'anonymous' });
+      const { body: { complaint: hidden } } = await api.submit(owner.token, { visibility: 'private' });
+      const { body: { complaint: duplicate } } = await api.submit(owner.token);
+      await api.request('POST /admin/complaints/{id}/merge', {
+        token: await api.adminToken(), params: { id: duplicate.id }, body: { into: anonymous.id },
+      });
+
+      const voted = await api.request('POST /complaints/{id}/upvote', { token: other.token, params: { id: anonymous.id } });
+      assert.equal(voted.status, 200);
+      assert.equal(voted.body.user_id, null);
+      const { body: votes } = await api.request('GET /profile/votes', { token: other.token, query: { limit: 100 } });
+      assert.equal(votes.complaints.find((complaint) => complaint.id === anonymous.id).user_id, null);
+      const withdrawn = await api.request('DELETE /complaints/{id}/upvote', { token: other.token, params: { id: anonymous.id } });
+      assert.equal(withdrawn.body.user_id, null);
+
+      for (const { id } of [hidden, duplicate]) {
+        assert.equal((await api.request('POST /complaints/{id}/upvote', { token: other.token, params: { id } })).status, 404);
+      }
+      assert.equal((await api.request('POST /complaints/{id}/upvote', { token: owner.token, params: { id: hidden.id } })).status, 200);
+    });
+
+    it('hides the reporter of anonymous complaints and private ones entirely', async () => {
+      const { body: anonymous } = await api.submit(owner.token, { visibility: 'anonymous', title: 'Anonymous report' });
+      const { body: hidden } = await api.submit(owner.token, { visibility: 'private', title: 'Private report' });
+
+      const { body } = await api.request('GET /feed', { token: other.token, query: { limit: 100 } });
+      const listed = body.complaints.find((complaint) => complaint.id === anonymous.complaint.id);
+      assert.equal(listed.user_id, null);
+      assert.ok(!body.complaints.some((complaint) => complaint.id === hidden.complaint.id));
+    });
+  });
+
+  describe('listing', () => {
+    let reporter;
+    let admin;
+    const titles = ['Quokka leak in the lab', 'Quokka door jammed', 'Broken quokka sign', 'Quokka lift stuck', 'Dim corridor'];
+    const ids = {};
+
+    // Every page of a list, following next_cursor
+    const allPages = async (route, token, query) => {
+      const pages = [];
+      let cursor;
+      do {
+        const { status, body } = await api.request(route, { token, query: { ...query, ...(cursor && { cursor }) } });
+        assert.equal(status, 200, body.message);
+        pages.push(body);
+        cursor = body.next_cursor;
+      } while (cursor);
+      return pages;
+    };
+
+    const titlesOf = (body) => body.complaints.map((complaint) => complaint.title);
+
+    before(async () => {
+      reporter = await api.createUser();
+      admin = await api.adminToken();
+      for (const title of titles) {
+        const { body } = await api.submit(reporter.token, { title, description: title === 'Dim corridor' ? 'Near the QUOKKA mural' : 'Please fix' });
+        ids[title] = body.complaint.id;
+      }
+      for (const [title, votes] of [['Quokka door jammed', 2], ['Quokka lift stuck', 1]]) {
+        for (const voter of [owner, other].slice(0, votes)) {
+          await api.request('POST /complaints/{id}/upvote', { token: voter.token, params: { id: ids[title] } });
+        }
+      }
+    });
+
+    it('pages through /complaints with next_cursor', async () => {
+      const { body: everything } = await api.request('GET /complaints', { token: reporter.token, query: { limit: 100 } });
+      assert.equal(everything.total, titles.length);
+      assert.equal(everything.next_cursor, null);
+
+      const pages = await allPages('GET /complaints', reporter.token, { limit: 2 });
+      assert.deepEqual(pages.map((page) => page.complaints.length), [2, 2, 1]);
+      assert.deepEqual(pages.map((page) => page.page), [1, 2, 3]);
+      assert.deepEqual(pages.flatMap(titlesOf), titlesOf(everything));
+    });
+
+    it('pages through /admin/complaints with the same filters on every page', async () => {
+      const query = { q: 'quokka', sort: 'created_at', order: 'asc', limit: 2 };
+      const pages = await allPages('GET /admin/complaints', admin, query);
+      assert.ok(pages.every((page) => page.total === titles.length));
+      assert.deepEqual(pages.flatMap(titlesOf), titles);
+    });
+
+    it('refuses cursors it did not issue', async () => {
+      const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+      for (const cursor of ['not a cursor', encode({ offset: -1 }), encode({ offset: 1.5 }), encode({ page: 2 })]) {
+        for (const [route, token] of [['GET /complaints', reporter.token], ['GET /admin/complaints', admin]]) {
+          const { status, body } = await api.request(route, { token, query: { cursor } });
+          assert.equal(status, 400, `${route} with ${cursor}`);
+          assert.equal(body.message, 'Invalid cursor');
+        }
+      }
+    });
+
+    it('searches title and description case-insensitively, in the requested order', async () => {
+      const { body: byVotes } = await api.request('GET /complaints', {
+        token: reporter.token, query: { q: 'QUOKKA', sort: 'upvotes', order: 'desc' },
+      });
+      assert.equal(byVotes.total, titles.length);
+      assert.deepEqual(titlesOf(byVotes).slice(0, 2), ['Quokka door jammed', 'Quokka lift stuck']);
+
+      const { body: oldest } = await api.request('GET /admin/complaints', {
+        token: admin, query: { q: 'mural', sort: 'created_at', order: 'asc' },
+      });
+      assert.deepEqual(titlesOf(oldest), ['Dim corridor']);
+
+      const { body: none } = await api.request('GET /complaints', { token: reporter.token, query: { q: 'walrus' } });
+      assert.deepEqual(none, { complaints: [], total: 0, limit: 20, page: 1, next_cursor: null });
+
+      const badSort = await api.request('GET /complaints', { token: reporter.token, query: { q: 'quokka', sort: 'title' } });
+      assert.equal(badSort.status, 400);
+      assert.equal(badSort.body.code, 'VALIDATION_FAILED');
+    });
+  });
+});
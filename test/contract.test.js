@@ -0,0 +1,184 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./support/api');
+const { checkResponse } = require('./support/schema');
+const { checkOperations } = require('../openapi');
+
+// /openapi.json against the routes and their real responses. Every call
+// through api.request() is checked against the document, so each test here
+// only has to reach a route with the status it wants to see.
+describe('OpenAPI contract', () => {
+  let api;
+  let admin;
+  let reporter;
+  let complaint;
+
+  before(async () => {
+    api = await startApi();
+    admin = await api.adminToken();
+
+    await api.request('POST /signup', {
+      body: { name: 'Contract Reporter', email: 'reporter@urbanfix.test', password: 'reporter-password' },
+    });
+    reporter = await api.login('reporter@urbanfix.test', 'reporter-password');
+
+    await api.request('POST /admin/categories', { token: admin, body: { name: 'roads' } });
+    const form = new FormData();
+    form.append('title', 'Pothole by the library');
+    form.append('description', 'Deep pothole at the library entrance');
+    form.append('tags', JSON.stringify(['roads']));
+    ({ body: { complaint } } = await api.request('POST /submit', { token: admin, form }));
+  });
+
+  after(() => api.close());
+
+  describe('the document', () => {
+    it('documents every route, and only routes that exist', () => {
+      assert.deepEqual(checkOperations(api.app), { undocumented: [], stale: [] });
+    });
+
+    it('resolves every $ref', () => {
+      const refs = JSON.stringify(api.spec).match(/"\$ref":"[^"]+"/g);
+      for (const ref of new Set(refs)) {
+        const name = ref.slice(ref.lastIndexOf('/') + 1, -1);
+        assert.ok(api.spec.components.schemas[name], `${ref} does not resolve`);
+      }
+    });
+
+    it('takes parameters, bodies and security from the routes', () => {
+      const list = api.spec.paths['/admin/complaints'].get;
+      assert.deepEqual(list.security, [{ bearerAuth: [] }]);
+      assert.deepEqual(list['x-permissions'], ['complaints:read:any']);
+      const status = list.parameters.find((parameter) => parameter.name === 'status');
+      assert.equal(status.in, 'query');
+      assert.equal(status.schema.type, 'array');
+
+      const submit = api.spec.paths['/submit'].post;
+      const form = submit.requestBody.content['multipart/form-data'].schema;
+      assert.deepEqual(form.required, ['title', 'description']);
+      assert.equal(form.properties.images.items.format, 'binary');
+      assert.ok(submit.responses[413] && submit.responses[415] && submit.responses[429]);
+
+      const history = api.spec.paths['/admin/complaints/{id}/history'].get;
+      assert.deepEqual(history.parameters, [{ name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }]);
+
+      const login = api.spec.paths['/login'].post;
+      assert.equal(login.security, undefined);
+      assert.equal(login.requestBody.content['application/json'].schema.properties.email.format, 'email');
+    });
+
+    it('catches a response that drifts from it', () => {
+      const drifted = { ...complaint, upvotes: 'many' };
+      delete drifted.status;
+      const problems = checkResponse(api.spec, {
+        method: 'GET', path: '/admin/complaints/{id}', status: 200, contentType: 'application/json', body: drifted,
+      });
+      assert.ok(problems.some((problem) => problem.includes('$.status: is missing')), problems.join('\n'));
+      assert.ok(problems.some((problem) => problem.includes('$.upvotes: expected integer')), problems.join('\n'));
+
+      assert.match(checkResponse(api.spec, {
+        method: 'GET', path: '/workflow', status: 418, contentType: 'application/json', body: {},
+      })[0], /418 is not documented/);
+    });
+
+    it('serves the docs page', async () => {
+      const { status, body } = await api.request('GET /docs');
+      assert.equal(status, 200);
+      assert.match(body, /swagger-ui/);
+      assert.doesNotMatch(body, /https?:\/\//);
+
+      for (const asset of body.match(/docs\/assets\/[\w.-]+/g)) {
+        const res = await fetch(`${api.base}/${asset}`);
+        assert.equal(res.status, 200, asset);
+        assert.ok((await res.arrayBuffer()).byteLength > 0, asset);
+      }
+    });
+  });
+
+  describe('responses', () => {
+    it('auth and account', async () => {
+      assert.equal((await api.request('POST /login', { body: { email: 'reporter@urbanfix.test', password: 'wrong-password' } })).status, 401);
+      assert.equal((await api.request('POST /signup', { body: { email: 'not-an-email' } })).status, 400);
+      assert.equal((await api.request('GET /profile')).status, 401);
+      assert.equal((await api.request('GET /profile', { token: reporter })).status, 200);
+      assert.equal((await api.request('GET /profile/sessions', { token: reporter })).status, 200);
+      assert.equal((await api.request('GET /profile/notifications', { token: reporter })).status, 200);
+      assert.equal((await api.request('POST /profile/update', { token: reporter, body: { hostel: 'H4' } })).status, 200);
+      assert.equal((await api.request('POST /email/verify', { body: { token: 'not-a-token' } })).status, 400);
+      assert.equal((await api.request('GET /admin/profile', { token: admin })).status, 200);
+    });
+
+    it('complaints', async () => {
+      assert.equal((await api.request('GET /complaints', { token: admin })).status, 200);
+      assert.equal((await api.request('GET /feed', { token: reporter, query: { tag: 'roads' } })).status, 200);
+      assert.equal((await api.request('GET /complaints/similar', { token: reporter, query: { title: 'Pothole near library' } })).status, 200);
+      assert.equal((await api.request('GET /workflow', { token: reporter })).status, 200);
+      assert.equal((await api.request('GET /tags', { token: reporter })).status, 200);
+
+      assert.equal((await api.request('POST /complaints/{id}/upvote', { token: reporter, params: { id: complaint.id } })).status, 200);
+      assert.equal((await api.request('POST /complaints/{id}/upvote', { token: reporter, params: { id: complaint.id } })).status, 409);
+      assert.equal((await api.request('GET /profile/votes', { token: reporter })).status, 200);
+      assert.equal((await api.request('DELETE /complaints/{id}/upvote', { token: reporter, params: { id: complaint.id } })).status, 200);
+
+      assert.equal((await api.request('DELETE /complaints/{id}', { token: reporter, params: { id: complaint.id } })).status, 403);
+      assert.equal((await api.request('DELETE /complaints/{id}', { token: reporter, params: { id: 'nope' } })).status, 400);
+    });
+
+    it('comments and attachments', async () => {
+      const params = { id: complaint.id };
+      const { status, body } = await api.request('POST /complaints/{id}/comments', { token: admin, params, body: { body: 'On it' } });
+      assert.equal(status, 201);
+      await api.request('POST /admin/complaints/{id}/comments', { token: admin, params, body: { body: 'Reply', parent_id: body.comment.id } });
+      await api.request('PATCH /complaints/{id}/comments/{commentId}', { token: admin, params: { ...params, commentId: body.comment.id }, body: { body: 'On it now' } });
+      assert.equal((await api.request('GET /complaints/{id}/comments', { token: admin, params })).status, 200);
+      assert.equal((await api.request('GET /admin/complaints/{id}/comments', { token: admin, params })).status, 200);
+      assert.equal((await api.request('GET /admin/complaints/{id}/comments/{commentId}/history', {
+        token: admin, params: { ...params, commentId: body.comment.id },
+      })).status, 200);
+      assert.equal((await api.request('GET /complaints/{id}/attachments', { token: admin, params })).status, 200);
+    });
+
+    it('complaint administration', async () => {
+      const params = { id: complaint.id };
+      assert.equal((await api.request('GET /admin/complaints', { token: admin, query: { status: 'pending', sort: 'upvotes' } })).status, 200);
+      assert.equal((await api.request('GET /admin/complaints', { token: reporter })).status, 403);
+      assert.equal((await api.request('GET /admin/complaints', { token: admin, query: { sort: 'title' } })).status, 400);
+      assert.equal((await api.request('GET /admin/complaints/{id}', { token: admin, params })).status, 200);
+      assert.equal((await api.request('GET /admin/complaints/{id}', {
+        token: admin, params: { id: '00000000-0000-4000-8000-000000000000' },
+      })).status, 404);
+      assert.equal((await api.request('PUT /admin/complaints/{id}/status', { token: admin, params, body: { status: 'acknowledged' } })).status, 200);
+      assert.equal((await api.request('PUT /admin/complaints/{id}/priority', { token: admin, params, body: { priority: 'high' } })).status, 200);
+      assert.equal((await api.request('GET /admin/complaints/{id}/history', { token: admin, params })).status, 200);
+      assert.equal((await api.request('GET /admin/complaints/overdue', { token: admin })).status, 200);
+      assert.equal((await api.request('GET /admin/complaints/geojson', { token: admin })).status, 200);
+      assert.equal((await api.request('GET /admin/complaints/export', { token: admin, query: { format: 'csv' } })).status, 200);
+      assert.equal((await api.request('GET /admin/audit', { token: admin })).status, 200);
+      assert.equal((await api.request('POST /admin/complaints/bulk', {
+        token: admin, body: { action: 'set_status', status: 'working', ids: [complaint.id] },
+      })).status, 200);
+      assert.equal((await api.request('POST /admin/complaints/bulk', {
+        token: admin, body: { action: 'set_status', status: 'pending', precheck: true, ids: [complaint.id] },
+      })).status, 409);
+    });
+
+    it('dashboard, users and catalogue', async () => {
+      assert.equal((await api.request('GET /admin/statistics', { token: admin })).status, 200);
+      assert.equal((await api.request('GET /admin/analytics', { token: admin, query: { interval: 'week' } })).status, 200);
+      assert.equal((await api.request('GET /admin/users', { token: admin })).status, 200);
+      assert.equal((await api.request('GET /admin/roles', { token: admin })).status, 200);
+      assert.equal((await api.request('GET /admin/categories', { token: admin })).status, 200);
+      assert.equal((await api.request('POST /admin/categories', { token: admin, body: { name: 'roads' } })).status, 409);
+      assert.equal((await api.request('GET /admin/notifications/dead-letters', { token: admin })).status, 200);
+
+      const { body: department } = await api.request('POST /admin/departments', { token: admin, body: { name: 'Works', tags: ['roads'] } });
+      assert.equal((await api.request('GET /admin/departments', { token: admin })).status, 200);
+      assert.equal((await api.request('GET /admin/staff', { token: admin, query: { department_id: department.department.id } })).status, 200);
+
+      const { status, body } = await api.request('POST /admin/locations', { token: admin, body: { kind: 'building', name: 'Library' } });
+      assert.equal(status, 201);
+      assert.equal((await api.request('GET /locations', { token: reporter })).status, 200);
+      assert.equal((await api.request('GET /locations/{id}', { token: reporter, params: { id: body.location.id } })).status, 200);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./support/api');
+const { openEvents } = require('./support/events');
+
+describe('GET /events', () => {
+  let api;
+  let admin;
+  let owner;
+  let other;
+  const streams = [];
+
+  const open = async (options) => {
+    const stream = await openEvents(api, options);
+    streams.push(stream);
+    return stream;
+  };
+
+  before(async () => {
+    api = await startApi();
+    admin = await api.adminToken();
+    owner = await api.createUser();
+    other = await api.createUser();
+  });
+
+  after(() => {
+    streams.forEach((stream) => stream.close());
+    return api.close();
+  });
+
+  it('needs a token', async () => {
+    assert.equal((await api.request('GET /events')).status, 401);
+    assert.equal((await api.request('GET /events', { query: { access_token: 'not.a.jwt' } })).status, 401);
+  });
+
+  it('sends admins every complaint event', async () => {
+    const stream = await open({ token: admin });
+    const { body } = await api.submit(owner.token);
+    const id = body.complaint.id;
+
+    const created = await stream.next((message) => message.data.complaint_id === id);
+    assert.equal(created.data.action, 'created');
+    assert.equal(created.data.actor_id, owner.id);
+    assert.equal(created.id, created.data.id);
+
+    await api.request('POST /complaints/{id}/upvote', { token: other.token, params: { id } });
+    const upvoted = await stream.next((message) => message.data.complaint_id === id);
+    assert.equal(upvoted.data.action, 'upvoted');
+    assert.equal(upvoted.data.new_value, 1);
+  });
+
+  it("sends reporters only their own and followed complaints' events", async () => {
+    const stream = await open({ query: { access_token: owner.token } });
+    const { body: { complaint: unrelated } } = await api.submit(other.token, { title: 'Not followed' });
+    const { body: { complaint: followed } } = await api.submit(other.token, { title: 'Followed' });
+
+    assert.equal((await api.request('POST /complaints/{id}/follow', { token: owner.token, params: { id: followed.id } })).status, 200);
+    assert.equal((await api.request('POST /complaints/{id}/follow', { token: owner.token, params: { id: followed.id } })).status, 409);
+
+    // Events arrive in order, so anything not meant for the owner would come first
+    const move = (complaint) => api.request('PUT /admin/complaints/{id}/status', {
+      token: admin, params: { id: complaint.id }, body: { status: 'acknowledged' },
+    });
+    await move(unrelated);
+    await move(followed);
+    const changed = await stream.next();
+    assert.equal(changed.data.complaint_id, followed.id);
+    assert.equal(changed.data.action, 'status_changed');
+    assert.equal(changed.data.actor_id, null);
+
+    const params = { id: followed.id };
+    await api.request('POST /admin/complaints/{id}/comments', { token: admin, params, body: { body: 'Internal', internal: true } });
+    await api.request('POST /complaints/{id}/comments', { token: admin, params, body: { body: 'Public' } });
+    const comment = await stream.next();
+    assert.equal(comment.data.action, 'comment_added');
+    assert.equal(comment.data.new_value, 'Public');
+
+    assert.equal((await api.request('DELETE /complaints/{id}/follow', { token: owner.token, params })).status, 200);
+    assert.equal((await api.request('DELETE /complaints/{id}/follow', { token: owner.token, params })).status, 404);
+    await api.request('PUT /admin/complaints/{id}/status', { token: admin, params, body: { status: 'working' } });
+    const { body: { complaint: own } } = await api.submit(owner.token);
+    const next = await stream.next();
+    assert.equal(next.data.complaint_id, own.id);
+    assert.equal(next.data.actor_id, owner.id);
+  });
+
+  it("doesn't let reporters follow other people's private complaints", async () => {
+    const { body } = await api.submit(other.token, { visibility: 'private' });
+    const { status } = await api.request('POST /complaints/{id}/follow', { token: owner.token, params: { id: body.complaint.id } });
+    assert.equal(status, 404);
+  });
+
+  it("keeps staff ids from reporters and tells followers about deletions", async () => {
+    const worker = await api.createUser({ role: 'staff' });
+    await api.request('POST /admin/staff', { token: admin, body: { user_id: worker.id } });
+    const { body: { complaint } } = await api.submit(other.token);
+    const params = { id: complaint.id };
+    await api.request('POST /complaints/{id}/follow', { token: owner.token, params });
+
+    const follower = await open({ token: owner.token });
+    const assignee = await open({ token: worker.token });
+    const about = (message) => message.data.complaint_id === complaint.id;
+
+    await api.request('PUT /admin/complaints/{id}/assignee', { token: admin, params, body: { assignee_id: worker.id } });
+    const seen = await follower.next(about);
+    assert.equal(seen.data.action, 'assigned');
+    assert.equal(seen.data.old_value, null);
+    assert.equal(seen.data.new_value, null);
+    assert.equal((await assignee.next(about)).data.new_value.assignee_id, worker.id);
+
+    assert.equal((await api.request('DELETE /admin/complaints/{id}', { token: admin, params })).status, 200);
+    const deleted = await follower.next(about);
+    assert.equal(deleted.data.action, 'deleted');
+    assert.equal(deleted.data.old_value, null);
+    assert.deepEqual(deleted.data.details, {});
+  });
+
+  it('replays missed events after the last event id', async () => {
+    const first = await open({ token: admin });
+    const { body: { complaint } } = await api.submit(owner.token);
+    const { id: lastEventId } = await first.next((message) => message.data.complaint_id === complaint.id);
+    first.close();
+
+    const params = { id: complaint.id };
+    await api.request('PUT /admin/complaints/{id}/priority', { token: admin, params, body: { priority: 'high' } });
+    await api.request('POST /complaints/{id}/upvote', { token: other.token, params });
+
+    const resumed = await open({ token: admin, lastEventId });
+    assert.equal((await resumed.next()).data.action, 'priority_changed');
+    assert.equal((await resumed.next()).data.action, 'upvoted');
+
+    await api.request('DELETE /complaints/{id}/upvote', { token: other.token, params });
+    assert.equal((await resumed.next()).data.action, 'upvote_removed');
+  });
+
+  it("replays only what the reporter may see, and resets when it can't", async () => {
+    const first = await open({ token: owner.token });
+    const { body: { complaint } } = await api.submit(owner.token);
+    const { id: lastEventId } = await first.next();
+    first.close();
+
+    const { body: { complaint: theirs } } = await api.submit(other.token);
+    await api.request('POST /complaints/{id}/upvote', { token: other.token, params: { id: complaint.id } });
+    await api.request('POST /complaints/{id}/upvote', { token: owner.token, params: { id: theirs.id } });
+
+    const resumed = await open({ token: owner.token, lastEventId });
+    const missed = await resumed.next();
+    assert.equal(missed.data.complaint_id, complaint.id);
+    assert.equal(missed.data.action, 'upvoted');
+
+    const unknown = await open({ token: owner.token, lastEventId: '00000000-0000-4000-8000-000000000000' });
+    assert.equal((await unknown.next()).event, 'reset');
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./support/api');
+const { image, fakeImage } = require('./support/images');
+
+describe("the caller's profile and settings", () => {
+  let api;
+
+  before(async () => {
+    api = await startApi();
+  });
+
+  after(() => api.close());
+
+  it('updates profile fields', async () => {
+    const user = await api.createUser({ name: 'Ravi' });
+
+    const { status, body } = await api.request('POST /profile/update', {
+      token: user.token, body: { hostel: ' H4 ', preferred_language: 'ta' },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.profile.hostel, 'H4');
+    assert.equal(body.profile.disabled_at, undefined);
+
+    const { body: { profile } } = await api.request('GET /profile', { token: user.token });
+    assert.equal(profile.display_name, 'Ravi');
+    assert.equal(profile.preferred_language, 'ta');
+    assert.equal(profile.email_verified, true);
+
+    const invalid = await api.request('POST /profile/update', { token: user.token, body: { preferred_language: 'xx', display_name: ' ' } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'VALIDATION_FAILED');
+    assert.deepEqual(invalid.body.errors.map((error) => error.field).sort(), ['display_name', 'preferred_language']);
+    assert.equal((await api.request('POST /profile/update', { token: user.token, body: {} })).status, 400);
+
+    await api.request('POST /profile/update', { token: user.token, body: { hostel: '', preferred_language: null } });
+    const { body: { profile: cleared } } = await api.request('GET /profile', { token: user.token });
+    assert.equal(cleared.hostel, null);
+    assert.equal(cleared.preferred_language, null);
+
+    const documented = api.spec.paths['/profile/update'].post.requestBody.content['application/json'].schema;
+    assert.equal(documented.properties.phone.maxLength, 100);
+  });
+
+  it('stores and removes an avatar', async () => {
+    const user = await api.createUser();
+    const avatar = await image({ width: 300, height: 200 });
+    const form = new FormData();
+    form.append('avatar', new Blob([avatar.data], { type: avatar.type }), avatar.name);
+
+    const { status, body } = await api.request('POST /profile/avatar', { token: user.token, form });
+    assert.equal(status, 200);
+    assert.ok(body.profile.avatar_url);
+    assert.deepEqual(Object.keys(body.profile.avatar).sort(), ['128', '256', '64']);
+
+    const notImage = new FormData();
+    notImage.append('avatar', new Blob([fakeImage().data], { type: 'image/png' }), 'avatar.png');
+    assert.equal((await api.request('POST /profile/avatar', { token: user.token, form: notImage })).status, 415);
+
+    const removed = await api.request('DELETE /profile/avatar', { token: user.token });
+    assert.equal(removed.body.profile.avatar_url, null);
+  });
+
+  it('saves notification preferences', async () => {
+    const user = await api.createUser();
+    const { body: defaults } = await api.request('GET /profile/notifications', { token: user.token });
+    assert.equal(defaults.preferences.email, true);
+
+    const { body } = await api.request('PUT /profile/notifications', {
+      token: user.token, body: { events: { comment_added: false } },
+    });
+    assert.equal(body.preferences.events.comment_added, false);
+    assert.equal(body.preferences.email, true);
+
+    const unknown = await api.request('PUT /profile/notifications', { token: user.token, body: { events: { lunch: true } } });
+    assert.equal(unknown.status, 400);
+  });
+
+  it('lists and revokes sessions', async () => {
+    const user = await api.createUser();
+    const second = await api.login(user.email, user.password);
+    const { sid } = JSON.parse(Buffer.from(second.split('.')[1], 'base64url'));
+
+    // Signing up logs in too
+    const { body } = await api.request('GET /profile/sessions', { token: user.token });
+    assert.equal(body.sessions.length, 3);
+    assert.equal(body.sessions.filter((session) => session.current).length, 1);
+
+    assert.equal((await api.request('DELETE /profile/sessions/{id}', { token: user.token, params: { id: sid } })).status, 200);
+    assert.equal((await api.request('GET /profile', { token: second })).status, 401);
+
+    const { body: all } = await api.request('POST /logout/all', { token: user.token });
+    assert.equal(all.revoked, 2);
+    assert.equal((await api.request('GET /profile', { token: user.token })).status, 401);
+  });
+
+  it('changes the password with the current one', async () => {
+    const user = await api.createUser();
+
+    const wrong = await api.request('POST /profile/password', {
+      token: user.token, body: { current_password: 'not-it', new_password: 'changed-password' },
+    });
+    assert.equal(wrong.status, 403);
+
+    const changed = await api.request('POST /profile/password', {
+      token: user.token, body: { current_password: user.password, new_password: 'changed-password' },
+    });
+    assert.equal(changed.status, 200);
+    assert.ok(await api.login(user.email, 'changed-password'));
+  });
+
+  it('resends the verification email until the address is verified', async () => {
+    const unverified = await api.createUser({ verified: false });
+    const before = api.app.locals.mailer.sent.length;
+    assert.equal((await api.request('POST /email/verify/resend', { token: unverified.token })).status, 200);
+    assert.equal(api.app.locals.mailer.sent.length, before + 1);
+
+    const verified = await api.createUser();
+    assert.equal((await api.request('POST /email/verify/resend', { token: verified.token })).status, 409);
+  });
+
+  it('reads the catalogue and the workflow', async () => {
+    const user = await api.createUser();
+    const admin = await api.adminToken();
+    const { body: { location } } = await api.request('POST /admin/locations', { token: admin, body: { kind: 'building', name: 'Library' } });
+
+    const { body } = await api.request('GET /locations', { token: user.token, query: { kind: 'building' } });
+    assert.deepEqual(body.locations.map((entry) => entry.name), ['Library']);
+    const { body: detail } = await api.request('GET /locations/{id}', { token: user.token, params: { id: location.id } });
+    assert.deepEqual(detail.children, []);
+
+    const { body: workflow } = await api.request('GET /workflow', { token: user.token });
+    assert.equal(workflow.initial, 'pending');
+    const { body: tags } = await api.request('GET /tags', { token: user.token });
+    assert.ok(tags.tags.length > 0);
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./support/api');
+
+// Small limits, behind a proxy on loopback: X-Forwarded-For's last hop is the
+// client address, anything before it is whatever the client sent.
+process.env.TRUST_PROXY = 'loopback';
+process.env.LOGIN_MAX_FAILURES = '3';
+process.env.COMPLAINTS_PER_DAY = '2';
+process.env.RATE_LIMITS = JSON.stringify({
+  login: { ip: null },
+  admin_login: { ip: null },
+  signup: { ip: null },
+  password_forgot: { ip: { max: 2, windowSeconds: 60 } },
+  submit: { ip: null, user: null },
+  upvote: { ip: null, user: { max: 2, windowSeconds: 60 } },
+});
+
+const from = (client, claimed = client) => ({ 'x-forwarded-for': `${claimed}, ${client}` });
+
+const assertLimited = (response, code) => {
+  assert.equal(response.status, 429);
+  assert.equal(response.body.code, code);
+  assert.ok(Number(response.headers.get('retry-after')) > 0);
+  assert.equal(response.body.retry_after, Number(response.headers.get('retry-after')));
+};
+
+describe('rate limits', () => {
+  let api;
+
+  before(async () => {
+    api = await startApi();
+  });
+
+  after(() => api.close());
+
+  it('limits each client address, whatever X-Forwarded-For claims', async () => {
+    const forgot = (headers) => api.request('POST /password/forgot', { body: { email: 'someone@urbanfix.test' }, headers });
+
+    assert.equal((await forgot(from('203.0.113.7', '198.51.100.1'))).status, 200);
+    assert.equal((await forgot(from('203.0.113.7', '198.51.100.2'))).status, 200);
+    assertLimited(await forgot(from('203.0.113.7', '198.51.100.3')), 'RATE_LIMITED');
+
+    assert.equal((await forgot(from('203.0.113.8'))).status, 200);
+  });
+
+  it('limits upvotes per user', async () => {
+    const owner = await api.createUser();
+    const voter = await api.createUser();
+    const { body } = await api.submit(owner.token);
+    const params = { id: body.complaint.id };
+
+    assert.equal((await api.request('POST /complaints/{id}/upvote', { token: voter.token, params })).status, 200);
+    await api.request('DELETE /complaints/{id}/upvote', { token: voter.token, params });
+    assert.equal((await api.request('POST /complaints/{id}/upvote', { token: voter.token, params })).status, 200);
+    await api.request('DELETE /complaints/{id}/upvote', { token: voter.token, params });
+    assertLimited(await api.request('POST /complaints/{id}/upvote', { token: voter.token, params }), 'RATE_LIMITED');
+
+    assert.equal((await api.request('POST /complaints/{id}/upvote', { token: owner.token, params })).status, 200);
+  });
+
+  it('locks an account out, whichever addresses the failures came from', async () => {
+    const user = await api.createUser();
+    const login = (password, client) => api.request('POST /login', { body: { email: user.email, password }, headers: from(client) });
+
+    for (const client of ['203.0.113.20', '203.0.113.21', '203.0.113.22']) {
+      assert.equal((await login('wrong-password', client)).status, 401);
+    }
+    assertLimited(await login(user.password, '203.0.113.23'), 'ACCOUNT_LOCKED');
+
+    const other = await api.createUser();
+    const { status } = await api.request('POST /login', { body: { email: other.email, password: other.password }, headers: from('203.0.113.20') });
+    assert.equal(status, 200);
+  });
+
+  it('caps complaints per user and day', async () => {
+    const user = await api.createUser();
+    assert.equal((await api.submit(user.token)).status, 201);
+    assert.equal((await api.submit(user.token)).status, 201);
+    assertLimited(await api.submit(user.token), 'QUOTA_EXCEEDED');
+
+    const other = await api.createUser();
+    assert.equal((await api.submit(other.token)).status, 201);
+  });
+});
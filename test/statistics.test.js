@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { startApi } = require('./support/api');
+
+// /admin/statistics over a known set of complaints. This file's app has a
+// store of its own, so the counts are exact.
+describe('GET /admin/statistics', () => {
+  let api;
+  let admin;
+  const submitted = [];
+
+  const move = (complaint, status, fields = {}) => api.request('PUT /admin/complaints/{id}/status', {
+    token: admin, params: { id: complaint.id }, body: { status, ...fields },
+  });
+
+  before(async () => {
+    api = await startApi();
+    admin = await api.adminToken();
+    await api.request('POST /admin/categories', { token: admin, body: { name: 'roads' } });
+    await api.request('POST /admin/categories', { token: admin, body: { name: 'water', resolve_hours: 48 } });
+
+    const reporter = await api.createUser();
+    for (const tags of [['roads'], ['roads', 'water'], ['water'], [], ['roads'], ['roads']]) {
+      const { body } = await api.submit(reporter.token, { tags });
+      submitted.push(body.complaint);
+      await sleep(5); // distinct created_at, so "recent" has one order
+    }
+
+    const [, acknowledged, resolved, rejected] = submitted;
+    await move(acknowledged, 'acknowledged');
+    await move(resolved, 'working');
+    await move(resolved, 'resolved', { resolution_note: 'Pipe replaced' });
+    await move(rejected, 'rejected', { reason: 'Not on campus' });
+  });
+
+  after(() => api.close());
+
+  it('counts complaints by status and tag', async () => {
+    const { body } = await api.request('GET /admin/statistics', { token: admin });
+
+    assert.equal(body.total, 6);
+    assert.deepEqual(body.byStatus, {
+      pending: 3, acknowledged: 1, working: 0, resolved: 1, closed: 0, rejected: 1, duplicate: 0, reopened: 0,
+    });
+    assert.equal(body.byTag.roads, 4);
+    assert.equal(body.byTag.water, 2);
+    const { body: categories } = await api.request('GET /tags', { token: admin });
+    assert.deepEqual(Object.keys(body.byTag).sort(), categories.tags.sort());
+  });
+
+  it('lists the five newest complaints, newest first', async () => {
+    const { body } = await api.request('GET /admin/statistics', { token: admin });
+    assert.deepEqual(body.recent.map((complaint) => complaint.id), submitted.slice(1).reverse().map((complaint) => complaint.id));
+  });
+
+  it('reports SLA compliance of resolved complaints', async () => {
+    const { body: { sla } } = await api.request('GET /admin/statistics', { token: admin });
+
+    assert.equal(sla.compliance, 1);
+    assert.ok(sla.mean_time_to_resolve_hours >= 0 && sla.mean_time_to_resolve_hours < 1);
+    assert.deepEqual(sla.byTag.water, { resolved: 1, within_sla: 1, compliance: 1 });
+    assert.deepEqual(sla.byTag.roads, { resolved: 0, within_sla: 0, compliance: null });
+  });
+
+  it('agrees with /admin/analytics', async () => {
+    const { body: statistics } = await api.request('GET /admin/statistics', { token: admin });
+    const { body: analytics } = await api.request('GET /admin/analytics', { token: admin });
+
+    assert.equal(analytics.total, statistics.total);
+    assert.deepEqual(analytics.by_status, statistics.byStatus);
+    assert.equal(analytics.series.reduce((sum, period) => sum + period.opened, 0), 6);
+  });
+
+  it('follows deletions', async () => {
+    await api.request('DELETE /admin/complaints/{id}', { token: admin, params: { id: submitted[0].id } });
+
+    const { body } = await api.request('GET /admin/statistics', { token: admin });
+    assert.equal(body.total, 5);
+    assert.equal(body.byStatus.pending, 2);
+    assert.equal(body.byTag.roads, 3);
+  });
+
+  it('is open to moderators only', async () => {
+    const reporter = await api.createUser();
+    const moderator = await api.createUser({ role: 'moderator' });
+
+    assert.equal((await api.request('GET /admin/statistics')).status, 401);
+    assert.equal((await api.request('GET /admin/statistics', { token: reporter.token })).status, 403);
+    assert.equal((await api.request('GET /admin/statistics', { token: moderator.token })).status, 200);
+  });
+});
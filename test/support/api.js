@@ -0,0 +1,139 @@
+const assert = require('node:assert/strict');
+const { checkResponse } = require('./schema');
+
+// The app in this process on the in-memory local backend: no Supabase, no
+// mail or webhooks sent, nothing written to disk. Mail is kept in
+// app.locals.mailer.sent.
+const ISOLATED = { DATA_BACKEND: 'local', LOCAL_DATA_DIR: '', MAIL_TRANSPORT: 'memory', NOTIFY_WEBHOOK_URLS: '' };
+
+// Rate limits and the daily quota are off so tests can repeat requests. Set
+// any of these before startApi() to change them.
+const DEFAULTS = {
+  JWT_SECRET: 'test-secret',
+  LOCAL_ADMIN_EMAIL: 'admin@urbanfix.test',
+  LOCAL_ADMIN_PASSWORD: 'admin-password',
+  SLA_CHECK_INTERVAL_MINUTES: '0',
+  ANALYTICS_CACHE_SECONDS: '0',
+  COMPLAINTS_PER_DAY: '0',
+  RATE_LIMITS: JSON.stringify(Object.fromEntries(
+    ['login', 'admin_login', 'signup', 'password_forgot', 'submit', 'upvote'].map((name) => [name, { ip: null, user: null }]),
+  )),
+};
+
+const parseBody = async (res) => {
+  const type = res.headers.get('content-type') || '';
+  const buffer = Buffer.from(await res.arrayBuffer());
+  if (/json/.test(type)) return buffer.length ? JSON.parse(buffer.toString()) : undefined;
+  if (/^text\//.test(type)) return buffer.toString();
+  return buffer;
+};
+
+// Starts the app on a free port. request() checks every response against the
+// app's own /openapi.json and fails the test when it doesn't match.
+const startApi = async () => {
+  for (const [name, value] of Object.entries(DEFAULTS)) {
+    if (process.env[name] === undefined) process.env[name] = value;
+  }
+  Object.assign(process.env, ISOLATED);
+  const app = require('../../index');
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const spec = await (await fetch(`${base}/openapi.json`)).json();
+
+  // route is "METHOD /path/{param}" as in the document; form is a FormData
+  const request = async (route, { params = {}, query, body, form, token, headers = {} } = {}) => {
+    const [method, path] = route.split(' ');
+    let url = path.replace(/{(\w+)}/g, (match, name) => encodeURIComponent(params[name]));
+    if (query) url += `?${new URLSearchParams(query)}`;
+
+    const init = { method, headers: { ...headers } };
+    if (token) init.headers.authorization = `Bearer ${token}`;
+    if (form) {
+      init.body = form;
+    } else if (body !== undefined) {
+      init.headers['content-type'] = 'application/json';
+      init.body = typeof body === 'string' ? body : JSON.stringify(body);
+    }
+
+    const res = await fetch(`${base}${url}`, init);
+    const parsed = await parseBody(res);
+    const problems = checkResponse(spec, {
+      method, path, status: res.status, contentType: res.headers.get('content-type'), body: parsed,
+    });
+    assert.deepEqual(problems, [], `${route} answered ${res.status}, which doesn't match /openapi.json`);
+    return { status: res.status, body: parsed, headers: res.headers };
+  };
+
+  const login = async (email, password, route = 'POST /login') => {
+    const { status, body } = await request(route, { body: { email, password } });
+    assert.equal(status, 200, body.message);
+    return body.token;
+  };
+
+  // The token in the last mail sent to `to` (APP_URL links or the bare token)
+  const mailedToken = (to) => {
+    const mail = app.locals.mailer.sent.filter((message) => message.to === to).pop();
+    assert.ok(mail, `no mail sent to ${to}`);
+    return decodeURIComponent(mail.text.match(/token=([^&\s]+)|Token: (\S+)/).slice(1).find(Boolean));
+  };
+
+  // Signs up a new account and logs it in: { id, email, password, token }.
+  // verified: false skips email verification; a role is assigned by the admin
+  // before logging in, so it's in the token.
+  let users = 0;
+  const createUser = async ({ role, verified = true, name = `Test User ${users + 1}` } = {}) => {
+    users += 1;
+    const email = `user${users}@urbanfix.test`;
+    const password = `password-${users}`;
+    const { status, body } = await request('POST /signup', { body: { name, email, password } });
+    assert.equal(status, 201, body.message);
+
+    if (verified) {
+      const verify = await request('POST /email/verify', { body: { token: mailedToken(email) } });
+      assert.equal(verify.status, 200, verify.body.message);
+    }
+    if (role) {
+      const assigned = await request('PUT /admin/users/{userId}/role', {
+        token: await adminToken(),
+        params: { userId: body.user.id },
+        body: { role },
+      });
+      assert.equal(assigned.status, 200, assigned.body.message);
+    }
+    return { id: body.user.id, email, password, token: await login(email, password) };
+  };
+
+  // Submits a complaint as `token`; fields go into the multipart form, and
+  // images are [{ name, type, data }] sent in "images"
+  const submit = async (token, { images = [], ...fields } = {}) => {
+    const form = new FormData();
+    const values = { title: 'Broken streetlight', description: 'The light outside block C is out', ...fields };
+    for (const [name, value] of Object.entries(values)) {
+      form.append(name, typeof value === 'string' ? value : JSON.stringify(value));
+    }
+    for (const image of images) form.append('images', new Blob([image.data], { type: image.type }), image.name);
+    return request('POST /submit', { token, form });
+  };
+
+  const adminToken = () => login(process.env.LOCAL_ADMIN_EMAIL, process.env.LOCAL_ADMIN_PASSWORD, 'POST /admin/login');
+
+  return {
+    app,
+    base,
+    spec,
+    request,
+    login,
+    mailedToken,
+    createUser,
+    submit,
+    adminToken,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+};
+
+module.exports = { startApi };
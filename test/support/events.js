@@ -0,0 +1,63 @@
+const assert = require('node:assert/strict');
+const { EventEmitter, once } = require('node:events');
+
+// Parses one server-sent event; null for frames without data (retry, pings)
+const parseFrame = (frame) => {
+  const fields = {};
+  for (const line of frame.split('\n')) {
+    const match = line.match(/^(\w[\w-]*): ?(.*)$/);
+    if (match) fields[match[1]] = match[2];
+  }
+  if (fields.data === undefined) return null;
+  return { id: fields.id, event: fields.event || 'message', data: JSON.parse(fields.data) };
+};
+
+// GET /events on a started api, read as it arrives. next() resolves with the
+// first message not yet taken that matches, failing after timeoutMs.
+const openEvents = async (api, { token, lastEventId, query } = {}) => {
+  const controller = new AbortController();
+  const headers = {};
+  if (token) headers.authorization = `Bearer ${token}`;
+  if (lastEventId) headers['last-event-id'] = lastEventId;
+
+  const url = `${api.base}/events${query ? `?${new URLSearchParams(query)}` : ''}`;
+  const res = await fetch(url, { headers, signal: controller.signal });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+
+  const messages = [];
+  const arrivals = new EventEmitter();
+  (async () => {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of res.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const message = parseFrame(buffer.slice(0, end));
+        buffer = buffer.slice(end + 2);
+        if (message) {
+          messages.push(message);
+          arrivals.emit('message');
+        }
+      }
+    }
+  })().catch(() => {}); // aborted by close()
+
+  const next = async (match = () => true, timeoutMs = 2000) => {
+    const deadline = AbortSignal.timeout(timeoutMs);
+    for (;;) {
+      const index = messages.findIndex(match);
+      if (index !== -1) return messages.splice(index, 1)[0];
+      try {
+        await once(arrivals, 'message', { signal: deadline });
+      } catch {
+        assert.fail(`no matching event within ${timeoutMs}ms; received ${JSON.stringify(messages)}`);
+      }
+    }
+  };
+
+  return { next, close: () => controller.abort() };
+};
+
+module.exports = { openEvents };
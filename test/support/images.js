@@ -0,0 +1,21 @@
+const sharp = require('sharp');
+
+// A small solid-colour image, in the { name, type, data } shape api.submit() takes
+const image = async ({ width = 64, height = 48, format = 'png' } = {}) => ({
+  name: `photo.${format}`,
+  type: `image/${format}`,
+  data: await sharp({ create: { width, height, channels: 3, background: { r: 200, g: 120, b: 40 } } })
+    .toFormat(format)
+    .toBuffer(),
+});
+
+// Bytes that claim to be an image but aren't
+const fakeImage = () => ({ name: 'photo.png', type: 'image/png', data: Buffer.from('not really a picture') });
+
+// A PNG cut short: it passes the type check but can't be decoded
+const brokenImage = async () => {
+  const { data } = await image();
+  return { name: 'broken.png', type: 'image/png', data: data.subarray(0, 40) };
+};
+
+module.exports = { image, fakeImage, brokenImage };
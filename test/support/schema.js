@@ -0,0 +1,81 @@
+// Checks JSON values against the OpenAPI 3.0 schema keywords openapi/ uses
+// ($ref, allOf, type, nullable, enum, format, minimum, properties, required,
+// additionalProperties, items). Returns a list of problems, empty when the
+// value matches.
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (Buffer.isBuffer(value)) return 'binary';
+  return value === null ? 'null' : typeof value;
+};
+
+const TYPES = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number',
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: Array.isArray,
+  object: (value) => typeOf(value) === 'object',
+};
+
+const resolve = (spec, ref) => ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], spec);
+
+const matchSchema = (spec, schema, value, at = '$') => {
+  if (schema.$ref) {
+    const target = resolve(spec, schema.$ref);
+    return target ? matchSchema(spec, target, value, at) : [`${at}: ${schema.$ref} does not resolve`];
+  }
+  if (schema.format === 'binary' && Buffer.isBuffer(value)) return [];
+  if (value === null) {
+    const typed = schema.type || schema.allOf || schema.properties;
+    return !typed || schema.nullable ? [] : [`${at}: is null`];
+  }
+
+  const problems = (schema.allOf || []).flatMap((part) => matchSchema(spec, part, value, at));
+
+  if (schema.type && !TYPES[schema.type](value)) {
+    return [...problems, `${at}: expected ${schema.type}, got ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) problems.push(`${at}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+  if (schema.format === 'uuid' && !UUID.test(value)) problems.push(`${at}: "${value}" is not a UUID`);
+  if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) problems.push(`${at}: "${value}" is not a date-time`);
+  if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${at}: ${value} is below ${schema.minimum}`);
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => problems.push(...matchSchema(spec, schema.items, item, `${at}[${index}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const field of schema.required || []) {
+      if (!(field in value)) problems.push(`${at}.${field}: is missing`);
+    }
+    for (const [field, entry] of Object.entries(value)) {
+      const fieldSchema = properties[field]
+        || (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      if (fieldSchema) problems.push(...matchSchema(spec, fieldSchema, entry, `${at}.${field}`));
+    }
+  }
+  return problems;
+};
+
+// Problems with a response to `METHOD path` (path as in the document)
+const checkResponse = (spec, { method, path, status, contentType, body }) => {
+  const operation = spec.paths[path]?.[method.toLowerCase()];
+  if (!operation) return [`${method} ${path} is not in the document`];
+
+  const response = operation.responses[status];
+  if (!response) {
+    return [`status ${status} is not documented (documented: ${Object.keys(operation.responses).join(', ')})`];
+  }
+  if (!response.content) return [];
+
+  const mediaType = (contentType || '').split(';')[0].trim();
+  const media = response.content[mediaType];
+  if (!media) return [`content type "${mediaType}" is not documented for ${status}`];
+  return media.schema ? matchSchema(spec, media.schema, body) : [];
+};
+
+module.exports = { matchSchema, checkResponse };
@@ -0,0 +1,264 @@
+// Declarative request checks. A schema maps each field to a rule:
+//
+//   validate({
+//     params: { id: uuid() },
+//     body: { title: string({ trim: true, min: 1, max: 200 }), visibility: oneOf(VISIBILITIES, { optional: true }) },
+//   })
+//
+// Fields are required unless { optional: true } (or given a default); null is
+// only accepted with { nullable: true }, and '' counts as not given with
+// { blank: true } (HTML forms send empty fields). Numbers and booleans also accept
+// their string forms, since query strings and multipart fields are text.
+// Fields the schema doesn't name are passed through untouched.
+// Rules that span fields (e.g. latitude with longitude) are attached with
+// withChecks(schema, ...checks) and run once every field has passed.
+//
+// Each part is replaced with the checked (trimmed, coerced, defaulted)
+// values. Any problems end the request with 400 VALIDATION_FAILED and
+// errors: [{ location, field, message }]. On multipart routes, validate goes
+// after the upload middleware, which is what fills in req.body.
+//
+// Every rule also describes itself as JSON Schema (rule.jsonSchema()), and
+// validate() keeps its schemas on the middleware, which is how openapi/
+// documents each route's parameters and body.
+
+const { apiError } = require('./errors');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Rules resolve a value to { value } or { errors: [{ field, message }] }, where
+// field is the path below the rule's own ('' for the value itself)
+const fail = (message) => ({ errors: [{ field: '', message }] });
+
+const below = (prefix, errors) => errors.map(({ field, message }) => ({
+  field: !field ? prefix : field.startsWith('[') ? `${prefix}${field}` : `${prefix}.${field}`,
+  message,
+}));
+
+// Wraps a check of a present, non-null value with the optional/nullable/default
+// handling; describe(options) gives the JSON Schema of the value
+const rule = (check, describe) => (options = {}) => Object.assign((value) => {
+  if (value === undefined || (options.blank && value === '')) {
+    if (options.default !== undefined) return { value: options.default };
+    return options.optional ? { value: undefined } : fail('is required');
+  }
+  if (value === null) return options.nullable ? { value } : fail('must not be null');
+  return check(value, options);
+}, {
+  optional: Boolean(options.optional || options.default !== undefined),
+  jsonSchema: () => ({
+    ...describe(options),
+    ...(options.nullable && { nullable: true }),
+    ...(options.default !== undefined && { default: options.default }),
+  }),
+});
+
+// JSON Schema keywords for the options that are set
+const bounds = (keywords) => Object.fromEntries(Object.entries(keywords).filter(([, value]) => value !== undefined));
+
+const string = rule((value, { min = 0, max = 10000, trim = false, pattern, hint }) => {
+  if (typeof value !== 'string') return fail('must be a string');
+  const text = trim ? value.trim() : value;
+  if (text.length < min) return fail(min === 1 ? 'must not be empty' : `must be at least ${min} characters`);
+  if (text.length > max) return fail(`must be at most ${max} characters`);
+  if (pattern && !pattern.test(text)) return fail(`must be ${hint || `in the format ${pattern}`}`);
+  return { value: text };
+}, ({ min, max, pattern, format }) => ({
+  type: 'string',
+  ...bounds({ minLength: min || undefined, maxLength: max, format, pattern: format ? undefined : pattern?.source }),
+}));
+
+const uuid = (options = {}) => string({ ...options, pattern: UUID_PATTERN, hint: 'a UUID', format: 'uuid' });
+
+// Trimmed and lower-cased
+const email = (options = {}) => {
+  const check = string({ ...options, trim: true, max: 254, pattern: EMAIL_PATTERN, hint: 'an email address', format: 'email' });
+  return Object.assign((value) => {
+    const result = check(value);
+    return typeof result.value === 'string' ? { value: result.value.toLowerCase() } : result;
+  }, { optional: check.optional, jsonSchema: check.jsonSchema });
+};
+
+const oneOf = (values, options = {}) => rule((value) => (values.includes(value)
+  ? { value }
+  : fail(`must be one of ${values.join(', ')}`)), () => ({
+  ...(values.every((value) => typeof value === 'string') && { type: 'string' }),
+  enum: values,
+}))(options);
+
+const number = rule((value, { min, max, integer = false }) => {
+  const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof parsed !== 'number' || !Number.isFinite(parsed)) return fail(integer ? 'must be an integer' : 'must be a number');
+  if (integer && !Number.isInteger(parsed)) return fail('must be an integer');
+  if (min !== undefined && parsed < min) return fail(`must be at least ${min}`);
+  if (max !== undefined && parsed > max) return fail(`must be at most ${max}`);
+  return { value: parsed };
+}, ({ min, max, integer }) => ({ type: integer ? 'integer' : 'number', ...bounds({ minimum: min, maximum: max }) }));
+
+const integer = (options = {}) => number({ ...options, integer: true });
+
+const boolean = rule((value) => {
+  if (typeof value === 'boolean') return { value };
+  if (value === 'true' || value === 'false') return { value: value === 'true' };
+  return fail('must be true or false');
+}, () => ({ type: 'boolean' }));
+
+// { json: true } also takes the array as a JSON string (multipart forms)
+const array = (item, options = {}) => rule((value, { min = 0, max = 1000, json = false, unique = false }) => {
+  let list = value;
+  if (json && typeof value === 'string') {
+    try {
+      list = JSON.parse(value);
+    } catch (error) {
+      return fail('must be a JSON array');
+    }
+  }
+  if (!Array.isArray(list)) return fail('must be an array');
+  if (list.length < min) return fail(min === 1 ? 'must not be empty' : `must have at least ${min} items`);
+  if (list.length > max) return fail(`must have at most ${max} items`);
+
+  const values = [];
+  const errors = [];
+  list.forEach((entry, index) => {
+    const result = item(entry);
+    if (result.errors) errors.push(...below(`[${index}]`, result.errors));
+    else values.push(result.value);
+  });
+  if (errors.length) return { errors };
+  return { value: unique ? [...new Set(values)] : values };
+}, ({ min, max = 1000, json, unique }) => ({
+  type: 'array',
+  items: item.jsonSchema(),
+  ...bounds({ minItems: min || undefined, maxItems: max, uniqueItems: unique || undefined }),
+  ...(json && { description: 'In multipart forms, a JSON-encoded array' }),
+}))(options);
+
+// A query parameter that may be repeated or comma-separated (see toList);
+// each item is checked with `item` and the value is passed on as given
+const list = (item, options = {}) => rule((value, { max = 100 }) => {
+  const items = (Array.isArray(value) ? value : [value]);
+  if (items.some((entry) => typeof entry !== 'string')) return fail('must be a list of values');
+
+  const split = items.flatMap((entry) => entry.split(',')).map((entry) => entry.trim()).filter(Boolean);
+  if (split.length > max) return fail(`must have at most ${max} items`);
+  for (const entry of split) {
+    const result = item(entry);
+    if (result.errors) return fail(`"${entry}" ${result.errors[0].message}`);
+  }
+  return { value };
+}, () => ({ type: 'array', items: item.jsonSchema(), description: 'Comma-separated or repeated' }))(options);
+
+// Checks across a schema's fields, kept under a symbol so they are not taken
+// for a field (and are carried along when the schema is spread)
+const CHECKS = Symbol('checks');
+
+// The schema with checks that get the checked values and return
+// [{ field, message }] for what's wrong
+const withChecks = (schema, ...checks) => ({ ...schema, [CHECKS]: [...(schema[CHECKS] || []), ...checks] });
+
+const given = (value) => value !== undefined && value !== null;
+
+// All of the fields or none of them
+const together = (...fields) => (values) => {
+  const present = fields.filter((field) => given(values[field]));
+  if (!present.length || present.length === fields.length) return [];
+  return fields.filter((field) => !present.includes(field))
+    .map((field) => ({ field, message: `must be given with ${present.join(', ')}` }));
+};
+
+// At least one of the fields (alternative names, e.g. for older clients)
+const oneRequired = (...fields) => (values) => (fields.some((field) => given(values[field]))
+  ? []
+  : [{ field: fields[0], message: fields.length > 1 ? `is required (or ${fields.slice(1).join(', ')})` : 'is required' }]);
+
+// A nested object checked against its own schema
+const object = (schema, options = {}) => rule((value) => {
+  if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+
+  const checked = { ...value };
+  const errors = [];
+  for (const [field, check] of Object.entries(schema)) {
+    const result = check(value[field]);
+    if (result.errors) errors.push(...below(field, result.errors));
+    else if (result.value === undefined) delete checked[field];
+    else checked[field] = result.value;
+  }
+  if (!errors.length) {
+    for (const check of schema[CHECKS] || []) errors.push(...check(checked));
+  }
+  return errors.length ? { errors } : { value: checked };
+}, () => objectSchema(schema))(options);
+
+// An object with arbitrary keys: every key must pass `key`, every value `item`
+const record = (key, item, options = {}) => rule((value) => {
+  if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+
+  const checked = {};
+  const errors = [];
+  for (const [name, entry] of Object.entries(value)) {
+    const keyResult = key(name);
+    if (keyResult.errors) {
+      errors.push({ field: name, message: `is not a valid key: ${keyResult.errors[0].message}` });
+      continue;
+    }
+    const result = item(entry);
+    if (result.errors) errors.push(...below(name, result.errors));
+    else checked[name] = result.value;
+  }
+  return errors.length ? { errors } : { value: checked };
+}, () => ({ type: 'object', additionalProperties: item.jsonSchema(), 'x-keys': key.jsonSchema() }))(options);
+
+// JSON Schema of a { field: rule } schema
+function objectSchema(schema) {
+  const fields = Object.entries(schema);
+  const required = fields.filter(([, check]) => !check.optional).map(([field]) => field);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(fields.map(([field, check]) => [field, check.jsonSchema()])),
+    ...(required.length && { required }),
+  };
+}
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Middleware checking req.params, req.query and req.body against the schemas given
+const validate = (schemas) => Object.assign((req, res, next) => {
+  const errors = [];
+  for (const location of LOCATIONS) {
+    if (!schemas[location]) continue;
+
+    const result = object(schemas[location])(req[location] || {});
+    if (result.errors) errors.push(...result.errors.map((error) => ({ location, ...error })));
+    else req[location] = result.value;
+  }
+
+  if (!errors.length) return next();
+
+  const [first] = errors;
+  const message = errors.length === 1
+    ? `"${first.field}" ${first.message}`
+    : `"${first.field}" ${first.message} (and ${errors.length - 1} more)`;
+  next(apiError(400, message, { code: 'VALIDATION_FAILED', errors }));
+}, { schemas });
+
+module.exports = {
+  validate,
+  string,
+  uuid,
+  email,
+  oneOf,
+  number,
+  integer,
+  boolean,
+  array,
+  list,
+  object,
+  record,
+  withChecks,
+  together,
+  oneRequired,
+  objectSchema,
+  UUID_PATTERN,
+  EMAIL_PATTERN,
+};
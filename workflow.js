@@ -0,0 +1,136 @@
+const fs = require('fs');
+
+// Complaint workflow: the states a complaint can be in, which transitions are
+// allowed, and which request fields a transition requires. Override the default
+// by pointing WORKFLOW_CONFIG at a JSON file with the same shape.
+//
+// checkTransition/checkReopen return { from, to, fields } or { error } (with
+// `conflict: true` when the request is valid but the current state forbids it).
+const DEFAULT_WORKFLOW = {
+  initial: 'pending',
+  states: ['pending', 'acknowledged', 'working', 'resolved', 'closed', 'rejected', 'duplicate', 'reopened'],
+  transitions: {
+    pending: ['acknowledged', 'working', 'rejected', 'duplicate'],
+    acknowledged: ['working', 'rejected', 'duplicate'],
+    working: ['resolved', 'acknowledged'],
+    resolved: ['closed', 'reopened'],
+    closed: ['reopened'],
+    rejected: ['reopened'],
+    duplicate: ['reopened'],
+    reopened: ['acknowledged', 'working', 'rejected', 'duplicate'],
+  },
+  // Keyed by target state, or by "from->to" for a single transition
+  required: {
+    resolved: ['resolution_note'],
+    rejected: ['reason'],
+    duplicate: ['duplicate_of'],
+    reopened: ['reason'],
+  },
+  // Merged duplicates are put in this state; only a merge moves them there
+  merged: 'duplicate',
+  // States in which a complaint no longer needs work
+  terminal: ['resolved', 'closed', 'rejected', 'duplicate'],
+  // Reporters may reopen their own complaint from these states for a while
+  reopen: { from: ['resolved', 'closed'], to: 'reopened', windowDays: 14 },
+  // Statuses written by older clients, mapped onto configured states
+  aliases: { finished: 'resolved' },
+};
+
+const createWorkflow = (config = DEFAULT_WORKFLOW) => {
+  const { initial, states, transitions = {}, required = {}, terminal = [], reopen, aliases = {}, merged } = config;
+
+  // Fail at startup rather than on the first status change
+  const assertState = (state, where) => {
+    if (!states.includes(state)) throw new Error(`Workflow: unknown state "${state}" in ${where}`);
+  };
+  assertState(initial, 'initial');
+  for (const [from, targets] of Object.entries(transitions)) {
+    assertState(from, 'transitions');
+    targets.forEach((to) => assertState(to, `transitions.${from}`));
+  }
+  terminal.forEach((state) => assertState(state, 'terminal'));
+  if (merged) assertState(merged, 'merged');
+  Object.values(aliases).forEach((state) => assertState(state, 'aliases'));
+  if (reopen) {
+    assertState(reopen.to, 'reopen.to');
+    reopen.from.forEach((state) => assertState(state, 'reopen.from'));
+  }
+
+  const normalize = (status) => aliases[status] || status;
+
+  const requiredFields = (from, to) => required[`${from}->${to}`] || required[to] || [];
+
+  const pickFields = (from, to, body) => {
+    const fields = {};
+    for (const field of requiredFields(from, to)) {
+      const value = body[field];
+      if (value === undefined || value === null || String(value).trim() === '') {
+        return { error: `"${field}" is required to move a complaint to ${to}` };
+      }
+      fields[field] = value;
+    }
+    return { fields };
+  };
+
+  // `merging` is set by the merge route only: the merged state also means
+  // votes and followers have moved to the surviving complaint
+  const checkTransition = (from, to, body = {}, { merging = false } = {}) => {
+    from = normalize(from);
+    to = normalize(to);
+
+    if (!states.includes(to)) {
+      return { error: `Invalid status value (expected one of ${states.join(', ')})` };
+    }
+    if (to === merged && !merging) {
+      return { error: `Complaints become ${to} by merging them into another (POST /admin/complaints/{id}/merge)` };
+    }
+    if (!(transitions[from] || []).includes(to)) {
+      return { error: `Cannot change status from ${from} to ${to}`, conflict: true };
+    }
+
+    const { fields, error } = pickFields(from, to, body);
+    if (error) return { error };
+    return { from, to, fields };
+  };
+
+  return {
+    initial,
+    states,
+    transitions,
+    terminal,
+    reopen,
+    normalize,
+    checkTransition,
+
+    isOpen: (status) => !terminal.includes(normalize(status)),
+
+    // Stored statuses that count as `state`, including legacy aliases
+    statusesFor: (state) => [state, ...Object.keys(aliases).filter((alias) => aliases[alias] === state)],
+
+    // Reporter-initiated reopen: allowed states and time window
+    checkReopen(complaint, body, now = new Date()) {
+      if (!reopen) return { error: 'Reopening complaints is disabled' };
+
+      const from = normalize(complaint.status);
+      if (!reopen.from.includes(from)) {
+        return { error: `Only ${reopen.from.join(' or ')} complaints can be reopened`, conflict: true };
+      }
+
+      const since = new Date(complaint.status_changed_at || complaint.created_at);
+      if (now - since > reopen.windowDays * 24 * 60 * 60 * 1000) {
+        return { error: `Complaints can only be reopened within ${reopen.windowDays} days`, conflict: true };
+      }
+
+      const { fields, error } = pickFields(from, reopen.to, body);
+      if (error) return { error };
+      return { from, to: reopen.to, fields };
+    },
+
+    describe: () => ({ initial, states, transitions, required, terminal, reopen, merged }),
+  };
+};
+
+const loadWorkflow = (file = process.env.WORKFLOW_CONFIG) =>
+  createWorkflow(file ? JSON.parse(fs.readFileSync(file, 'utf8')) : DEFAULT_WORKFLOW);
+
+module.exports = { createWorkflow, loadWorkflow, DEFAULT_WORKFLOW };